@@ -212,6 +212,12 @@ CREATE TABLE IF NOT EXISTS tenancies (
   (offboarding_status IN ('active', 'initiated', 'pending_clearance',
   'completed'));
 
+-- Day of the month a tenancy's rent cycle starts and falls due. A cycle runs
+-- from this day to the day before it next month (1 = calendar month); capped
+-- at 28 so every month has it.
+ALTER TABLE tenancies
+  ADD COLUMN IF NOT EXISTS billing_day INTEGER NOT NULL DEFAULT 1 CHECK (billing_day BETWEEN 1 AND 28);
+
 -- ================================
 -- FINANCIAL MANAGEMENT TABLES
 -- ================================
@@ -243,6 +249,133 @@ CREATE TABLE payment_receipts (
      uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
    );
 
+-- Payment reminders history (Every reminder attempt, sent or failed)
+CREATE TABLE IF NOT EXISTS payment_reminders (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    reminder_type VARCHAR(30) NOT NULL CHECK (reminder_type IN ('gentle', 'firm', 'final', 'manager_escalation')),
+    channel VARCHAR(20) NOT NULL DEFAULT 'email' CHECK (channel IN ('email', 'sms', 'whatsapp')),
+    recipient VARCHAR(255),
+    status VARCHAR(20) NOT NULL CHECK (status IN ('sent', 'failed')),
+    error_message TEXT,
+    custom_message TEXT,
+    days_overdue INTEGER,
+    sent_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for automated reminders
+    sent_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_payment_reminders_payment_id ON payment_reminders(payment_id);
+CREATE INDEX idx_payment_reminders_sent_at ON payment_reminders(sent_at);
+
+-- Dunning schedules (Days overdue at which each reminder stage is sent, per building)
+-- Buildings without a row use the default schedule: gentle 1, firm 7, final 15, escalation 30
+-- A NULL day disables that stage for the building
+CREATE TABLE IF NOT EXISTS dunning_schedules (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER UNIQUE REFERENCES buildings(id) ON DELETE CASCADE,
+    gentle_day INTEGER DEFAULT 1 CHECK (gentle_day >= 0),
+    firm_day INTEGER DEFAULT 7 CHECK (firm_day >= 0),
+    final_day INTEGER DEFAULT 15 CHECK (final_day >= 0),
+    escalation_day INTEGER DEFAULT 30 CHECK (escalation_day >= 0),
+    is_active BOOLEAN DEFAULT true,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Late fee policies (Applied nightly to overdue rent, per building)
+CREATE TABLE IF NOT EXISTS late_fee_policies (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER UNIQUE REFERENCES buildings(id) ON DELETE CASCADE,
+    grace_days INTEGER NOT NULL DEFAULT 5 CHECK (grace_days >= 0),
+    fee_type VARCHAR(20) NOT NULL DEFAULT 'flat' CHECK (fee_type IN ('flat', 'percentage')),
+    fee_value DECIMAL(10,2) NOT NULL CHECK (fee_value >= 0), -- Amount for flat, percent of due amount for percentage
+    daily_accrual BOOLEAN DEFAULT false, -- Charge fee_value for every day past the grace period
+    max_fee DECIMAL(10,2), -- Cap per payment, NULL for no cap
+    is_active BOOLEAN DEFAULT true,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE payments
+  ADD COLUMN late_fee_waived BOOLEAN DEFAULT false,
+  ADD COLUMN late_fee_waived_reason TEXT,
+  ADD COLUMN late_fee_waived_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  ADD COLUMN late_fee_waived_at TIMESTAMP;
+
+-- Late fee assessments audit trail (Every change to payments.late_fee)
+CREATE TABLE IF NOT EXISTS late_fee_assessments (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    policy_id INTEGER REFERENCES late_fee_policies(id) ON DELETE SET NULL,
+    assessment_type VARCHAR(20) NOT NULL CHECK (assessment_type IN ('automatic', 'manual', 'waiver')),
+    days_overdue INTEGER,
+    previous_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    new_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    calculation TEXT, -- Human readable breakdown of how the fee was computed
+    reason TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for the nightly job
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_late_fee_assessments_payment_id ON late_fee_assessments(payment_id);
+
+-- ================================
+-- TENANT LEDGER
+-- ================================
+
+-- Amount settled against each payment through ledger allocations
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS paid_amount DECIMAL(10,2) DEFAULT 0;
+
+-- Ledger entries (Receipts, adjustments and credits per tenancy)
+-- Charges are the payments rows themselves; the ledger view merges both
+CREATE TABLE IF NOT EXISTS ledger_entries (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER REFERENCES tenancies(id) ON DELETE CASCADE,
+    entry_type VARCHAR(20) NOT NULL CHECK (entry_type IN ('receipt', 'adjustment', 'credit')),
+    entry_date DATE NOT NULL DEFAULT CURRENT_DATE,
+    debit DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (debit >= 0), -- Increases what the tenant owes
+    credit DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (credit >= 0), -- Reduces what the tenant owes
+    payment_method VARCHAR(20) CHECK (payment_method IN ('cash', 'bank_transfer', 'upi', 'card', 'cheque')),
+    transaction_id VARCHAR(100),
+    description TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((debit > 0 AND credit = 0) OR (credit > 0 AND debit = 0))
+);
+
+-- Allocation of receipts and credits to the dues (payments) they settle
+CREATE TABLE IF NOT EXISTS ledger_allocations (
+    id SERIAL PRIMARY KEY,
+    ledger_entry_id INTEGER REFERENCES ledger_entries(id) ON DELETE CASCADE,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    allocation_method VARCHAR(20) NOT NULL DEFAULT 'auto' CHECK (allocation_method IN ('auto', 'manual')),
+    allocated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(ledger_entry_id, payment_id)
+);
+
+CREATE INDEX idx_ledger_entries_tenancy_id ON ledger_entries(tenancy_id, entry_date);
+CREATE INDEX idx_ledger_allocations_payment_id ON ledger_allocations(payment_id);
+CREATE INDEX idx_ledger_allocations_entry_id ON ledger_allocations(ledger_entry_id);
+
+-- ================================
+-- GENERATED PAYMENT RECEIPTS
+-- ================================
+
+-- Receipt PDFs generated when a payment is paid are stored alongside uploaded proofs
+ALTER TABLE payment_receipts
+  ADD COLUMN IF NOT EXISTS receipt_type VARCHAR(20) DEFAULT 'upload' CHECK (receipt_type IN ('upload', 'generated')),
+  ADD COLUMN IF NOT EXISTS receipt_number VARCHAR(30) UNIQUE; -- RCT-YYYY-000001, generated receipts only
+
+CREATE SEQUENCE IF NOT EXISTS payment_receipt_number_seq START 1;
+
+-- One generated receipt per payment
+CREATE UNIQUE INDEX idx_payment_receipts_generated ON payment_receipts(payment_id) WHERE receipt_type = 'generated';
+
 -- Monthly rent cycles (Per unit through tenancy)
 CREATE TABLE IF NOT EXISTS rent_cycles (
     id SERIAL PRIMARY KEY,
@@ -260,6 +393,557 @@ CREATE TABLE IF NOT EXISTS rent_cycles (
     UNIQUE(tenancy_id, cycle_month, cycle_year)
 );
 
+-- Pro-rating of first and last months (RENT_PRORATION_CONVENTION: actual or 30_360)
+ALTER TABLE rent_cycles
+  ADD COLUMN IF NOT EXISTS full_rent_amount DECIMAL(10,2), -- Monthly rent before pro-rating
+  ADD COLUMN IF NOT EXISTS is_prorated BOOLEAN DEFAULT false,
+  ADD COLUMN IF NOT EXISTS period_start DATE, -- First occupied day billed in this cycle
+  ADD COLUMN IF NOT EXISTS period_end DATE, -- Last occupied day billed in this cycle
+  ADD COLUMN IF NOT EXISTS occupied_days INTEGER,
+  ADD COLUMN IF NOT EXISTS basis_days INTEGER, -- Days in the month under the convention used
+  ADD COLUMN IF NOT EXISTS proration_convention VARCHAR(20) CHECK (proration_convention IN ('actual', '30_360')),
+  ADD COLUMN IF NOT EXISTS proration_details TEXT;
+
+-- ================================
+-- RENT REVISIONS
+-- ================================
+
+-- Scheduled rent revisions (Escalations applied to tenancies.rent_amount on the effective date)
+CREATE TABLE IF NOT EXISTS rent_revisions (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER REFERENCES tenancies(id) ON DELETE CASCADE,
+    revision_type VARCHAR(20) NOT NULL CHECK (revision_type IN ('percentage', 'fixed')),
+    revision_value DECIMAL(10,2) NOT NULL, -- Percent for percentage, amount added to rent for fixed (negative to reduce)
+    effective_date DATE NOT NULL,
+    recurrence_months INTEGER CHECK (recurrence_months > 0), -- e.g. 12 schedules the same revision again a year later
+    notice_days INTEGER NOT NULL DEFAULT 30 CHECK (notice_days >= 0), -- Tenant is emailed this many days ahead
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'applied', 'cancelled')),
+    previous_rent DECIMAL(10,2), -- Filled in when applied
+    new_rent DECIMAL(10,2),
+    notes TEXT,
+    notified_at TIMESTAMP,
+    applied_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Rent history per tenancy (effective_to is NULL for the rent currently in effect)
+CREATE TABLE IF NOT EXISTS tenancy_rent_history (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER REFERENCES tenancies(id) ON DELETE CASCADE,
+    rent_amount DECIMAL(10,2) NOT NULL,
+    effective_from DATE NOT NULL,
+    effective_to DATE,
+    revision_id INTEGER REFERENCES rent_revisions(id) ON DELETE SET NULL, -- NULL for the original rent
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(tenancy_id, effective_from)
+);
+
+CREATE INDEX idx_rent_revisions_due ON rent_revisions(status, effective_date);
+CREATE INDEX idx_rent_revisions_tenancy_id ON rent_revisions(tenancy_id);
+CREATE INDEX idx_tenancy_rent_history_tenancy_id ON tenancy_rent_history(tenancy_id, effective_from);
+
+-- ================================
+-- SECURITY DEPOSIT SETTLEMENTS
+-- ================================
+
+-- Deposit settlement per tenancy at offboarding (Draft until a manager approves it)
+CREATE TABLE IF NOT EXISTS deposit_settlements (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER UNIQUE REFERENCES tenancies(id) ON DELETE CASCADE,
+    move_out_date DATE NOT NULL, -- Date the settlement was calculated for
+    security_deposit DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_deductions DECIMAL(10,2) NOT NULL DEFAULT 0,
+    refund_amount DECIMAL(10,2) NOT NULL DEFAULT 0, -- Deposit returned to the tenant
+    amount_due DECIMAL(10,2) NOT NULL DEFAULT 0, -- Owed by the tenant when deductions exceed the deposit
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'approved')),
+    notes TEXT,
+    prepared_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Itemized settlement lines (Positive amounts are deducted from the deposit, negative are credits)
+CREATE TABLE IF NOT EXISTS deposit_settlement_items (
+    id SERIAL PRIMARY KEY,
+    settlement_id INTEGER REFERENCES deposit_settlements(id) ON DELETE CASCADE,
+    item_type VARCHAR(30) NOT NULL CHECK (item_type IN ('unpaid_payment', 'unbilled_rent', 'rent_credit', 'damage', 'notice_shortfall', 'other')),
+    description TEXT NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL, -- For unpaid_payment lines
+    calculated_amount DECIMAL(10,2), -- System calculation, NULL for lines added by a manager
+    amount DECIMAL(10,2) NOT NULL, -- Amount used in the settlement after any adjustment
+    calculation TEXT,
+    adjustment_reason TEXT,
+    adjusted_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_deposit_settlement_items_settlement_id ON deposit_settlement_items(settlement_id);
+
+-- ================================
+-- BANK STATEMENT RECONCILIATION
+-- ================================
+
+-- Uploaded bank / UPI settlement statements
+CREATE TABLE IF NOT EXISTS bank_statement_imports (
+    id SERIAL PRIMARY KEY,
+    file_name VARCHAR(255) NOT NULL,
+    file_path VARCHAR(500) NOT NULL,
+    source VARCHAR(20) NOT NULL DEFAULT 'bank' CHECK (source IN ('bank', 'upi')),
+    total_lines INTEGER NOT NULL DEFAULT 0, -- Credit lines imported
+    matched_lines INTEGER NOT NULL DEFAULT 0, -- Lines auto-matched on import
+    uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Credit lines of a statement and their match to a pending payment
+CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id SERIAL PRIMARY KEY,
+    import_id INTEGER REFERENCES bank_statement_imports(id) ON DELETE CASCADE,
+    line_number INTEGER NOT NULL, -- Row in the uploaded file
+    transaction_date DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    reference VARCHAR(255), -- Bank reference / UTR / UPI transaction id
+    description TEXT, -- Narration as printed on the statement
+    payer_name VARCHAR(255),
+    match_status VARCHAR(20) NOT NULL DEFAULT 'unmatched' CHECK (match_status IN ('unmatched', 'suggested', 'confirmed', 'rejected', 'duplicate')),
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    match_score INTEGER, -- 0-100, how strongly the auto-match agrees
+    match_reasons TEXT[], -- e.g. {transaction_id, amount, date, tenant_name}
+    ledger_entry_id INTEGER REFERENCES ledger_entries(id) ON DELETE SET NULL, -- Receipt recorded on confirmation
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_bank_statement_lines_import_id ON bank_statement_lines(import_id);
+CREATE INDEX idx_bank_statement_lines_status ON bank_statement_lines(match_status);
+CREATE INDEX idx_bank_statement_lines_reference ON bank_statement_lines(reference) WHERE reference IS NOT NULL;
+
+-- ================================
+-- ONLINE PAYMENTS
+-- ================================
+
+-- Gateway orders created when a tenant starts paying a due online
+CREATE TABLE IF NOT EXISTS payment_orders (
+    id SERIAL PRIMARY KEY,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE CASCADE,
+    provider VARCHAR(30) NOT NULL, -- mock, razorpay
+    provider_order_id VARCHAR(100) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    currency VARCHAR(3) NOT NULL DEFAULT 'INR',
+    status VARCHAR(20) NOT NULL DEFAULT 'created' CHECK (status IN ('created', 'paid', 'failed')),
+    provider_payment_id VARCHAR(100), -- Gateway payment id, stored as payments.transaction_id
+    payment_method VARCHAR(20),
+    failure_reason TEXT,
+    ledger_entry_id INTEGER REFERENCES ledger_entries(id) ON DELETE SET NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    paid_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, provider_order_id)
+);
+
+-- Webhook events already processed, so gateway retries are applied once
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+    id SERIAL PRIMARY KEY,
+    provider VARCHAR(30) NOT NULL,
+    event_id VARCHAR(150) NOT NULL,
+    event_type VARCHAR(50) NOT NULL,
+    payment_order_id INTEGER REFERENCES payment_orders(id) ON DELETE SET NULL,
+    payload JSONB NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(provider, event_id)
+);
+
+CREATE INDEX idx_payment_orders_payment_id ON payment_orders(payment_id);
+
+-- ================================
+-- METERED UTILITIES
+-- ================================
+
+-- Utility tariffs (building_id NULL is the default for buildings without their own)
+CREATE TABLE IF NOT EXISTS utility_tariffs (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    utility_type VARCHAR(20) NOT NULL DEFAULT 'electricity' CHECK (utility_type IN ('electricity', 'water', 'gas')),
+    name VARCHAR(100) NOT NULL,
+    rate_per_unit DECIMAL(10,4) NOT NULL DEFAULT 0, -- Flat rate when no slabs are set
+    slabs JSONB, -- Optional telescopic slabs, e.g. [{"up_to": 100, "rate": 5}, {"up_to": null, "rate": 7}]
+    fixed_charge DECIMAL(10,2) NOT NULL DEFAULT 0, -- Monthly charge per meter
+    effective_from DATE NOT NULL DEFAULT CURRENT_DATE,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Meters per room (shared by its occupants) or per unit
+CREATE TABLE IF NOT EXISTS utility_meters (
+    id SERIAL PRIMARY KEY,
+    meter_number VARCHAR(50) UNIQUE NOT NULL,
+    utility_type VARCHAR(20) NOT NULL DEFAULT 'electricity' CHECK (utility_type IN ('electricity', 'water', 'gas')),
+    room_id INTEGER NOT NULL REFERENCES rooms(id) ON DELETE CASCADE,
+    unit_id INTEGER REFERENCES units(id) ON DELETE CASCADE, -- NULL when the meter covers the whole room
+    tariff_id INTEGER REFERENCES utility_tariffs(id) ON DELETE SET NULL, -- Overrides the building tariff
+    initial_reading DECIMAL(12,2) NOT NULL DEFAULT 0,
+    installed_on DATE DEFAULT CURRENT_DATE,
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'inactive')),
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Monthly meter readings (Billed once by the recurring payments job)
+CREATE TABLE IF NOT EXISTS meter_readings (
+    id SERIAL PRIMARY KEY,
+    meter_id INTEGER REFERENCES utility_meters(id) ON DELETE CASCADE,
+    reading_year INTEGER NOT NULL,
+    reading_month INTEGER NOT NULL CHECK (reading_month BETWEEN 1 AND 12),
+    reading_date DATE NOT NULL,
+    reading_value DECIMAL(12,2) NOT NULL,
+    previous_reading DECIMAL(12,2) NOT NULL,
+    consumption DECIMAL(12,2) NOT NULL,
+    is_flagged BOOLEAN NOT NULL DEFAULT false, -- Unusually high consumption, worth a second look
+    flag_reason TEXT,
+    billed_at TIMESTAMP,
+    billing_note TEXT, -- e.g. why a reading produced no charges
+    recorded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(meter_id, reading_year, reading_month)
+);
+
+-- Each occupant's share of a reading and the utility payment raised for it
+CREATE TABLE IF NOT EXISTS utility_charges (
+    id SERIAL PRIMARY KEY,
+    reading_id INTEGER REFERENCES meter_readings(id) ON DELETE CASCADE,
+    tenancy_id INTEGER REFERENCES tenancies(id) ON DELETE CASCADE,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL,
+    consumption_share DECIMAL(12,2) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    occupied_days INTEGER NOT NULL,
+    calculation TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(reading_id, tenancy_id)
+);
+
+CREATE INDEX idx_utility_meters_room_id ON utility_meters(room_id);
+CREATE INDEX idx_meter_readings_unbilled ON meter_readings(reading_year, reading_month) WHERE billed_at IS NULL;
+CREATE INDEX idx_utility_charges_payment_id ON utility_charges(payment_id);
+
+-- ================================
+-- TAX INVOICES
+-- ================================
+
+-- Legal entity that invoices on behalf of a building
+CREATE TABLE IF NOT EXISTS building_legal_entities (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER UNIQUE REFERENCES buildings(id) ON DELETE CASCADE,
+    legal_name VARCHAR(200) NOT NULL,
+    gstin VARCHAR(15), -- NULL when the entity is not GST registered
+    pan VARCHAR(10),
+    address TEXT NOT NULL,
+    state_code VARCHAR(2) NOT NULL, -- GST state code of the property, e.g. 29 for Karnataka
+    invoice_prefix VARCHAR(5) UNIQUE NOT NULL, -- Numbers read BLR01-2627-0001 (credit notes BLR01-2627-C0001)
+    gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0 CHECK (gst_rate >= 0 AND gst_rate <= 28),
+    sac_code VARCHAR(10) NOT NULL DEFAULT '997211', -- Rental of residential property
+    is_active BOOLEAN DEFAULT true,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Billing details of corporate tenants, printed as the invoice recipient
+ALTER TABLE tenancies
+  ADD COLUMN IF NOT EXISTS billing_name VARCHAR(200),
+  ADD COLUMN IF NOT EXISTS billing_gstin VARCHAR(15),
+  ADD COLUMN IF NOT EXISTS billing_address TEXT;
+
+-- Last number issued per building, financial year and document type. The row
+-- is locked while a number is taken, so a rolled back invoice leaves no gap.
+CREATE TABLE IF NOT EXISTS invoice_number_series (
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    financial_year VARCHAR(7) NOT NULL, -- e.g. 2026-27
+    document_type VARCHAR(20) NOT NULL CHECK (document_type IN ('invoice', 'credit_note')),
+    last_number INTEGER NOT NULL DEFAULT 0,
+    PRIMARY KEY (building_id, financial_year, document_type)
+);
+
+-- Tax invoices for billed charges and the credit notes that cancel them.
+-- Supplier and recipient details are copied at issue time.
+CREATE TABLE IF NOT EXISTS tax_invoices (
+    id SERIAL PRIMARY KEY,
+    document_type VARCHAR(20) NOT NULL DEFAULT 'invoice' CHECK (document_type IN ('invoice', 'credit_note')),
+    invoice_number VARCHAR(20) UNIQUE NOT NULL,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE RESTRICT,
+    financial_year VARCHAR(7) NOT NULL,
+    sequence_number INTEGER NOT NULL,
+    invoice_date DATE NOT NULL,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE RESTRICT,
+    tenancy_id INTEGER REFERENCES tenancies(id) ON DELETE RESTRICT,
+    original_invoice_id INTEGER REFERENCES tax_invoices(id) ON DELETE RESTRICT, -- Credit notes only
+    supplier_name VARCHAR(200) NOT NULL,
+    supplier_gstin VARCHAR(15),
+    supplier_pan VARCHAR(10),
+    supplier_address TEXT NOT NULL,
+    supplier_state_code VARCHAR(2) NOT NULL,
+    recipient_name VARCHAR(200) NOT NULL,
+    recipient_gstin VARCHAR(15),
+    recipient_address TEXT,
+    place_of_supply VARCHAR(2) NOT NULL, -- State code where the property is
+    description TEXT NOT NULL,
+    sac_code VARCHAR(10) NOT NULL,
+    taxable_amount DECIMAL(10,2) NOT NULL,
+    gst_rate DECIMAL(5,2) NOT NULL DEFAULT 0,
+    cgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    sgst_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total_amount DECIMAL(10,2) NOT NULL, -- Equals the billed charge; GST is included in it
+    status VARCHAR(20) NOT NULL DEFAULT 'issued' CHECK (status IN ('issued', 'cancelled')),
+    cancellation_reason TEXT,
+    cancelled_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    cancelled_at TIMESTAMP,
+    file_path VARCHAR(500), -- Rendered PDF, rebuilt on download when missing
+    file_size INTEGER,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL, -- NULL for the recurring payments job
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(building_id, financial_year, document_type, sequence_number)
+);
+
+-- At most one live invoice per charge; a cancelled one can be reissued
+CREATE UNIQUE INDEX idx_tax_invoices_issued_payment ON tax_invoices(payment_id)
+  WHERE document_type = 'invoice' AND status = 'issued';
+CREATE INDEX idx_tax_invoices_tenancy_id ON tax_invoices(tenancy_id);
+CREATE INDEX idx_tax_invoices_original_invoice_id ON tax_invoices(original_invoice_id);
+
+-- ================================
+-- RECURRING CHARGES
+-- ================================
+
+-- Add-on charges such as parking or meal plans are payment types of their own
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_type_check;
+ALTER TABLE payments ADD CONSTRAINT payments_payment_type_check CHECK (payment_type IN (
+  'rent', 'security_deposit', 'maintenance', 'utility', 'late_fee', 'other',
+  'parking', 'laundry', 'meal_plan'
+));
+
+-- Charges billed with rent on the tenancy's billing day, every `frequency`
+-- counted from the cycle the charge starts in
+CREATE TABLE IF NOT EXISTS tenancy_recurring_charges (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER NOT NULL REFERENCES tenancies(id) ON DELETE CASCADE,
+    payment_type VARCHAR(20) NOT NULL CHECK (payment_type IN ('maintenance', 'utility', 'parking', 'laundry', 'meal_plan', 'other')),
+    description VARCHAR(200) NOT NULL,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    frequency VARCHAR(20) NOT NULL DEFAULT 'monthly' CHECK (frequency IN ('monthly', 'quarterly', 'half_yearly', 'yearly')),
+    start_date DATE NOT NULL,
+    end_date DATE, -- Last day the charge applies; NULL runs until the tenancy ends
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+-- Payment raised from a recurring charge, at most one per charge and due date
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS recurring_charge_id INTEGER REFERENCES tenancy_recurring_charges(id) ON DELETE SET NULL;
+
+CREATE INDEX idx_tenancy_recurring_charges_tenancy_id ON tenancy_recurring_charges(tenancy_id);
+CREATE UNIQUE INDEX idx_payments_recurring_charge_due ON payments(recurring_charge_id, due_date)
+  WHERE recurring_charge_id IS NOT NULL;
+
+-- ================================
+-- REFUNDS AND CREDIT NOTES
+-- ================================
+
+-- Refunds return money to a tenant; credit notes waive all or part of a charge
+CREATE TABLE IF NOT EXISTS payment_refunds (
+    id SERIAL PRIMARY KEY,
+    refund_type VARCHAR(20) NOT NULL CHECK (refund_type IN ('refund', 'credit_note')),
+    tenancy_id INTEGER NOT NULL REFERENCES tenancies(id) ON DELETE CASCADE,
+    payment_id INTEGER REFERENCES payments(id) ON DELETE SET NULL, -- Original charge, if any
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    reason_category VARCHAR(30) NOT NULL CHECK (reason_category IN ('overpayment', 'waiver', 'deposit_refund', 'billing_error', 'goodwill', 'other')),
+    reason TEXT NOT NULL,
+    refund_method VARCHAR(20) CHECK (refund_method IN ('cash', 'bank_transfer', 'upi', 'card', 'cheque')),
+    transaction_id VARCHAR(100),
+    refund_date DATE NOT NULL DEFAULT CURRENT_DATE, -- Date the money went back or the credit applies
+    status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+    requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    approved_at TIMESTAMP,
+    rejected_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    rejected_at TIMESTAMP,
+    rejection_reason TEXT,
+    ledger_entry_id INTEGER REFERENCES ledger_entries(id) ON DELETE SET NULL, -- Posted on approval
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (refund_type = 'credit_note' OR refund_method IS NOT NULL)
+);
+
+-- Money paid back to a tenant is a debit on their ledger
+ALTER TABLE ledger_entries DROP CONSTRAINT IF EXISTS ledger_entries_entry_type_check;
+ALTER TABLE ledger_entries ADD CONSTRAINT ledger_entries_entry_type_check
+  CHECK (entry_type IN ('receipt', 'adjustment', 'credit', 'refund'));
+
+CREATE INDEX idx_payment_refunds_tenancy_id ON payment_refunds(tenancy_id);
+CREATE INDEX idx_payment_refunds_payment_id ON payment_refunds(payment_id);
+CREATE INDEX idx_payment_refunds_status ON payment_refunds(status, refund_date);
+
+-- ================================
+-- INSTALLMENT PLANS
+-- ================================
+
+-- Overdue dues moved into an installment plan are marked rescheduled; what was
+-- outstanding on them is collected through the plan's installments instead
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_status_check;
+ALTER TABLE payments ADD CONSTRAINT payments_status_check CHECK (status IN (
+  'pending', 'paid', 'overdue', 'partial', 'failed', 'rescheduled'
+));
+
+ALTER TABLE payments DROP CONSTRAINT IF EXISTS payments_payment_type_check;
+ALTER TABLE payments ADD CONSTRAINT payments_payment_type_check CHECK (payment_type IN (
+  'rent', 'security_deposit', 'maintenance', 'utility', 'late_fee', 'other',
+  'parking', 'laundry', 'meal_plan', 'installment'
+));
+
+-- Payment plans agreed with tenants for their arrears
+CREATE TABLE IF NOT EXISTS payment_plans (
+    id SERIAL PRIMARY KEY,
+    tenancy_id INTEGER NOT NULL REFERENCES tenancies(id) ON DELETE CASCADE,
+    total_amount DECIMAL(10,2) NOT NULL CHECK (total_amount > 0),
+    installment_count INTEGER NOT NULL CHECK (installment_count > 0),
+    grace_days INTEGER NOT NULL DEFAULT 3 CHECK (grace_days >= 0), -- Days an installment may stay unpaid past its due date before the plan is broken
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed', 'broken')),
+    notes TEXT, -- Terms agreed with the tenant
+    broken_at TIMESTAMP,
+    broken_reason TEXT,
+    completed_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Dues rescheduled into a plan and the outstanding amount moved from each
+CREATE TABLE IF NOT EXISTS payment_plan_items (
+    id SERIAL PRIMARY KEY,
+    plan_id INTEGER NOT NULL REFERENCES payment_plans(id) ON DELETE CASCADE,
+    payment_id INTEGER NOT NULL UNIQUE REFERENCES payments(id) ON DELETE CASCADE,
+    amount DECIMAL(10,2) NOT NULL CHECK (amount > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Installments are payments of type 'installment' linked to their plan
+ALTER TABLE payments
+  ADD COLUMN IF NOT EXISTS payment_plan_id INTEGER REFERENCES payment_plans(id) ON DELETE SET NULL;
+
+-- Installments get their own reminders: ahead of the due date and once missed
+ALTER TABLE payment_reminders DROP CONSTRAINT IF EXISTS payment_reminders_reminder_type_check;
+ALTER TABLE payment_reminders ADD CONSTRAINT payment_reminders_reminder_type_check CHECK (reminder_type IN (
+  'gentle', 'firm', 'final', 'manager_escalation', 'installment_upcoming', 'installment_missed'
+));
+
+CREATE INDEX idx_payment_plans_tenancy_id ON payment_plans(tenancy_id);
+CREATE INDEX idx_payment_plans_status ON payment_plans(status);
+CREATE INDEX idx_payment_plan_items_plan_id ON payment_plan_items(plan_id);
+CREATE INDEX idx_payments_payment_plan_id ON payments(payment_plan_id) WHERE payment_plan_id IS NOT NULL;
+
+-- ================================
+-- ACCOUNTING PERIODS
+-- ================================
+
+-- Monthly accounting periods per building. A month without a row is open;
+-- once closed, its payments and ledger entries can no longer be changed and
+-- corrections go through adjusting entries dated in an open period
+CREATE TABLE IF NOT EXISTS accounting_periods (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    period_start DATE NOT NULL CHECK (EXTRACT(DAY FROM period_start) = 1), -- First day of the month
+    status VARCHAR(10) NOT NULL DEFAULT 'closed' CHECK (status IN ('open', 'closed')),
+    closed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    closed_at TIMESTAMP,
+    reopened_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reopened_at TIMESTAMP,
+    notes TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE(building_id, period_start)
+);
+
+-- Audit trail of every close and reopen of a period
+CREATE TABLE IF NOT EXISTS accounting_period_events (
+    id SERIAL PRIMARY KEY,
+    period_id INTEGER REFERENCES accounting_periods(id) ON DELETE CASCADE,
+    action VARCHAR(10) NOT NULL CHECK (action IN ('closed', 'reopened')),
+    reason TEXT,
+    performed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_accounting_periods_building_id ON accounting_periods(building_id, period_start);
+CREATE INDEX idx_accounting_period_events_period_id ON accounting_period_events(period_id);
+
+-- ================================
+-- ACCOUNTING EXPORT
+-- ================================
+
+-- Ledger in the accounting package each kind of amount posts to: one per
+-- payment type, plus the tenant, cash, bank and GST ledgers. Rows without a
+-- building are the defaults for every building.
+CREATE TABLE IF NOT EXISTS accounting_ledger_mappings (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    account_type VARCHAR(30) NOT NULL CHECK (account_type IN (
+      'rent', 'security_deposit', 'maintenance', 'utility', 'late_fee', 'other',
+      'parking', 'laundry', 'meal_plan', 'installment',
+      'tenant_receivable', 'tenant_advance', 'cash', 'bank', 'output_cgst', 'output_sgst'
+    )),
+    ledger_name VARCHAR(200) NOT NULL,
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_accounting_ledger_mappings_building ON accounting_ledger_mappings(building_id, account_type)
+  WHERE building_id IS NOT NULL;
+CREATE UNIQUE INDEX idx_accounting_ledger_mappings_default ON accounting_ledger_mappings(account_type)
+  WHERE building_id IS NULL;
+
+-- Files handed to the accounting package
+CREATE TABLE IF NOT EXISTS accounting_exports (
+    id SERIAL PRIMARY KEY,
+    export_format VARCHAR(20) NOT NULL CHECK (export_format IN ('journal_csv', 'tally_xml')),
+    from_date DATE NOT NULL,
+    to_date DATE NOT NULL,
+    building_ids INTEGER[] NOT NULL,
+    voucher_count INTEGER NOT NULL DEFAULT 0,
+    exported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (to_date >= from_date)
+);
+
+-- Receipts (ledger entries), tax invoices and refunds in each export. A
+-- record is exported once; later exports skip it.
+CREATE TABLE IF NOT EXISTS accounting_export_items (
+    id SERIAL PRIMARY KEY,
+    export_id INTEGER NOT NULL REFERENCES accounting_exports(id) ON DELETE CASCADE,
+    record_type VARCHAR(20) NOT NULL CHECK (record_type IN ('receipt', 'invoice', 'refund')),
+    record_id INTEGER NOT NULL,
+    UNIQUE(record_type, record_id)
+);
+
+CREATE INDEX idx_accounting_export_items_export_id ON accounting_export_items(export_id);
+
 
 -- Building amenities
 CREATE TABLE IF NOT EXISTS building_amenities (
@@ -660,6 +1344,156 @@ CREATE TRIGGER trigger_announcements_updated_at
     BEFORE UPDATE ON announcements
     FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
 
+-- ================================
+-- COMPLAINT SLAS
+-- ================================
+
+-- Hours allowed to acknowledge and to resolve a complaint. A policy without a
+-- category covers every category of its priority; priorities with no policy
+-- use the defaults in complaintSlaService
+CREATE TABLE IF NOT EXISTS complaint_sla_policies (
+    id SERIAL PRIMARY KEY,
+    category VARCHAR(50),
+    priority VARCHAR(20) NOT NULL CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    acknowledge_within_hours INTEGER NOT NULL CHECK (acknowledge_within_hours > 0),
+    resolve_within_hours INTEGER NOT NULL CHECK (resolve_within_hours > 0),
+    updated_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (resolve_within_hours >= acknowledge_within_hours)
+);
+
+-- Deadlines are stamped when the complaint is submitted, so later policy
+-- changes do not move them
+ALTER TABLE complaints
+    ADD COLUMN IF NOT EXISTS sla_policy_id INTEGER REFERENCES complaint_sla_policies(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS acknowledge_due_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS resolve_due_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS acknowledge_breached_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS resolve_breached_at TIMESTAMP,
+    ADD COLUMN IF NOT EXISTS escalation_level INTEGER DEFAULT 0 CHECK (escalation_level BETWEEN 0 AND 2), -- 1 building manager, 2 admins
+    ADD COLUMN IF NOT EXISTS escalated_at TIMESTAMP;
+
+CREATE UNIQUE INDEX idx_complaint_sla_policies_category ON complaint_sla_policies(category, priority) WHERE category IS NOT NULL;
+CREATE UNIQUE INDEX idx_complaint_sla_policies_default ON complaint_sla_policies(priority) WHERE category IS NULL;
+CREATE INDEX idx_complaints_sla_open ON complaints(resolve_due_at) WHERE status NOT IN ('resolved', 'closed', 'rejected');
+
+-- ================================
+-- VENDORS AND WORK ORDERS
+-- ================================
+
+-- Outside plumbers, electricians and other contractors. Vendors with work
+-- orders are deactivated rather than deleted
+CREATE TABLE IF NOT EXISTS vendors (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(200) NOT NULL,
+    trade VARCHAR(30) NOT NULL CHECK (trade IN (
+        'plumbing', 'electrical', 'carpentry', 'painting', 'hvac', 'appliance_repair',
+        'pest_control', 'cleaning', 'civil', 'general'
+    )),
+    contact_person VARCHAR(100),
+    phone VARCHAR(20) NOT NULL,
+    email VARCHAR(255),
+    address TEXT,
+    gstin VARCHAR(15),
+    visit_charge DECIMAL(10,2) CHECK (visit_charge >= 0), -- Per call-out
+    hourly_rate DECIMAL(10,2) CHECK (hourly_rate >= 0),
+    notes TEXT,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A job sent to a vendor to fix a complaint. The actual cost of completed
+-- orders is added to the complaint's cost_incurred
+CREATE TABLE IF NOT EXISTS complaint_work_orders (
+    id SERIAL PRIMARY KEY,
+    complaint_id INTEGER REFERENCES complaints(id) ON DELETE CASCADE,
+    vendor_id INTEGER NOT NULL REFERENCES vendors(id),
+    description TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'scheduled' CHECK (status IN ('scheduled', 'in_progress', 'completed', 'cancelled')),
+    scheduled_visit_at TIMESTAMP,
+    quoted_cost DECIMAL(10,2) CHECK (quoted_cost >= 0),
+    actual_cost DECIMAL(10,2) CHECK (actual_cost >= 0),
+    completed_at TIMESTAMP,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completion_notes TEXT,
+    completion_attachments TEXT[], -- Photos of the finished work, invoices
+    vendor_rating INTEGER CHECK (vendor_rating >= 1 AND vendor_rating <= 5),
+    cancellation_reason TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_vendors_trade ON vendors(trade) WHERE is_active = true;
+CREATE INDEX idx_complaint_work_orders_complaint_id ON complaint_work_orders(complaint_id);
+CREATE INDEX idx_complaint_work_orders_vendor_id ON complaint_work_orders(vendor_id, created_at);
+
+-- ================================
+-- PREVENTIVE MAINTENANCE
+-- ================================
+
+-- Equipment that needs regular servicing: water tanks, AC units, lifts,
+-- fire extinguishers. room_id is set for equipment inside a room
+CREATE TABLE IF NOT EXISTS maintenance_assets (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    room_id INTEGER REFERENCES rooms(id) ON DELETE SET NULL,
+    name VARCHAR(200) NOT NULL,
+    asset_type VARCHAR(50) NOT NULL, -- water_tank, ac, lift, fire_extinguisher, generator, etc.
+    location VARCHAR(200),
+    serial_number VARCHAR(100),
+    installed_on DATE,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Recurring maintenance plans for a building or one of its assets. Due dates
+-- are counted from start_date so month-end dates do not drift; a task is
+-- generated lead_days before each due date
+CREATE TABLE IF NOT EXISTS maintenance_schedules (
+    id SERIAL PRIMARY KEY,
+    building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    asset_id INTEGER REFERENCES maintenance_assets(id) ON DELETE CASCADE,
+    title VARCHAR(200) NOT NULL,
+    description TEXT,
+    category VARCHAR(50) NOT NULL,
+    priority VARCHAR(20) DEFAULT 'medium' CHECK (priority IN ('low', 'medium', 'high', 'urgent')),
+    frequency VARCHAR(20) NOT NULL CHECK (frequency IN ('weekly', 'monthly', 'quarterly', 'half_yearly', 'yearly')),
+    start_date DATE NOT NULL,
+    lead_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_days >= 0 AND lead_days <= 90),
+    occurrences_generated INTEGER NOT NULL DEFAULT 0,
+    next_due_date DATE NOT NULL,
+    is_active BOOLEAN DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Requests are tied to their building directly, since preventive tasks for
+-- building-wide equipment have no room
+ALTER TABLE maintenance_requests
+    ADD COLUMN IF NOT EXISTS building_id INTEGER REFERENCES buildings(id) ON DELETE CASCADE,
+    ADD COLUMN IF NOT EXISTS schedule_id INTEGER REFERENCES maintenance_schedules(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS asset_id INTEGER REFERENCES maintenance_assets(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS assigned_user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    ADD COLUMN IF NOT EXISTS completion_notes TEXT,
+    ADD COLUMN IF NOT EXISTS completion_photos TEXT[],
+    ADD COLUMN IF NOT EXISTS completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL;
+
+UPDATE maintenance_requests mr
+SET building_id = r.building_id
+FROM rooms r
+WHERE mr.room_id = r.id AND mr.building_id IS NULL;
+
+CREATE INDEX idx_maintenance_assets_building_id ON maintenance_assets(building_id);
+CREATE INDEX idx_maintenance_schedules_next_due ON maintenance_schedules(next_due_date) WHERE is_active = true;
+CREATE INDEX idx_maintenance_requests_building_id ON maintenance_requests(building_id, status);
+CREATE UNIQUE INDEX idx_maintenance_requests_schedule_due ON maintenance_requests(schedule_id, scheduled_date) WHERE schedule_id IS NOT NULL;
+
 -- ================================
 -- SAMPLE DATA
 -- ================================
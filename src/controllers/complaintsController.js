@@ -2,6 +2,18 @@
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
 import { sendComplaintEmail } from "../services/emailService.js";
+import {
+  COMPLAINT_PRIORITIES,
+  DEFAULT_SLA_TARGETS,
+  ADMIN_ESCALATION_HOURS,
+  getSlaPolicies,
+  setSlaPolicies,
+} from "../services/complaintSlaService.js";
+import {
+  createWorkOrder,
+  updateWorkOrder,
+  completeWorkOrder,
+} from "../services/workOrderService.js";
 
 class ComplaintsController {
   // Helper method to get buildings managed by a user
@@ -19,6 +31,32 @@ class ComplaintsController {
     return [];
   };
 
+  // SLA deadlines of a complaint and whether it is past either of them now
+  formatSla = (complaint) => {
+    const now = new Date();
+    const isOpen = !["resolved", "closed", "rejected"].includes(
+      complaint.status
+    );
+    const acknowledgeOverdue =
+      complaint.status === "submitted" &&
+      !!complaint.acknowledge_due_at &&
+      new Date(complaint.acknowledge_due_at) < now;
+    const resolveOverdue =
+      isOpen &&
+      !!complaint.resolve_due_at &&
+      new Date(complaint.resolve_due_at) < now;
+
+    return {
+      acknowledgeDueAt: complaint.acknowledge_due_at,
+      resolveDueAt: complaint.resolve_due_at,
+      acknowledgeBreachedAt: complaint.acknowledge_breached_at,
+      resolveBreachedAt: complaint.resolve_breached_at,
+      isBreached: acknowledgeOverdue || resolveOverdue,
+      escalationLevel: complaint.escalation_level || 0,
+      escalatedAt: complaint.escalated_at,
+    };
+  };
+
   // GET /api/complaints
   getComplaints = async (req, res, next) => {
     try {
@@ -33,6 +71,7 @@ class ComplaintsController {
         date_from,
         date_to,
         search,
+        sla_breached,
       } = req.query;
 
       const offset = (page - 1) * limit;
@@ -141,6 +180,14 @@ class ComplaintsController {
           paramIndex++;
         }
 
+        // Complaints currently past an SLA deadline
+        if (sla_breached === "true") {
+          whereConditions.push(`(
+            (c.status = 'submitted' AND c.acknowledge_due_at < CURRENT_TIMESTAMP) OR
+            (c.status IN ('submitted', 'acknowledged', 'in_progress') AND c.resolve_due_at < CURRENT_TIMESTAMP)
+          )`);
+        }
+
         const whereClause = whereConditions.join(" AND ");
 
         // Main complaints query
@@ -284,6 +331,7 @@ class ComplaintsController {
             closedAt: complaint.closed_at,
             lastActivityAt: complaint.last_activity_at,
           },
+          sla: this.formatSla(complaint),
           resolution: {
             notes: complaint.resolution_notes,
             estimatedTime: complaint.estimated_resolution_time,
@@ -519,6 +567,7 @@ class ComplaintsController {
                 resolvedAt: complaint.resolved_at,
                 closedAt: complaint.closed_at,
               },
+              sla: this.formatSla(complaint),
               resolution: {
                 notes: complaint.resolution_notes,
                 estimatedTime: complaint.estimated_resolution_time,
@@ -1369,6 +1418,492 @@ class ComplaintsController {
       next(error);
     }
   };
+
+  // GET /api/complaints/sla-policies
+  getSlaPolicies = async (req, res, next) => {
+    try {
+      const policies = await getSlaPolicies();
+
+      res.json({
+        success: true,
+        data: {
+          defaults: COMPLAINT_PRIORITIES.map((priority) => ({
+            priority,
+            ...DEFAULT_SLA_TARGETS[priority],
+          })),
+          policies: policies.map((policy) => ({
+            id: policy.id,
+            category: policy.category,
+            priority: policy.priority,
+            acknowledgeWithinHours: policy.acknowledge_within_hours,
+            resolveWithinHours: policy.resolve_within_hours,
+            updatedBy: policy.updated_by,
+            updatedAt: policy.updated_at,
+          })),
+          adminEscalationHours: ADMIN_ESCALATION_HOURS,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PUT /api/complaints/sla-policies
+  updateSlaPolicies = async (req, res, next) => {
+    try {
+      const { policies } = req.body;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await setSlaPolicies(
+          {
+            policies: policies.map((policy) => ({
+              category: policy.category,
+              priority: policy.priority,
+              acknowledgeWithinHours: policy.acknowledge_within_hours,
+              resolveWithinHours: policy.resolve_within_hours,
+            })),
+            updatedBy: req.user.userId,
+          },
+          client
+        );
+
+        await client.query("COMMIT");
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+
+      res.json({
+        success: true,
+        message:
+          "SLA policies updated; they apply to complaints submitted from now on",
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  formatVendor = (vendor) => ({
+    id: vendor.id,
+    name: vendor.name,
+    trade: vendor.trade,
+    contactPerson: vendor.contact_person,
+    phone: vendor.phone,
+    email: vendor.email,
+    address: vendor.address,
+    gstin: vendor.gstin,
+    visitCharge:
+      vendor.visit_charge !== null ? parseFloat(vendor.visit_charge) : null,
+    hourlyRate:
+      vendor.hourly_rate !== null ? parseFloat(vendor.hourly_rate) : null,
+    notes: vendor.notes,
+    isActive: vendor.is_active,
+    createdAt: vendor.created_at,
+  });
+
+  formatWorkOrder = (workOrder) => ({
+    id: workOrder.id,
+    complaintId: workOrder.complaint_id,
+    vendor: {
+      id: workOrder.vendor_id,
+      name: workOrder.vendor_name,
+      trade: workOrder.vendor_trade,
+      phone: workOrder.vendor_phone,
+    },
+    description: workOrder.description,
+    status: workOrder.status,
+    scheduledVisitAt: workOrder.scheduled_visit_at,
+    quotedCost:
+      workOrder.quoted_cost !== null ? parseFloat(workOrder.quoted_cost) : null,
+    actualCost:
+      workOrder.actual_cost !== null ? parseFloat(workOrder.actual_cost) : null,
+    completion: {
+      completedAt: workOrder.completed_at,
+      completedBy: workOrder.completed_by,
+      notes: workOrder.completion_notes,
+      attachments: workOrder.completion_attachments || [],
+      vendorRating: workOrder.vendor_rating,
+    },
+    cancellationReason: workOrder.cancellation_reason,
+    createdBy: workOrder.created_by,
+    createdAt: workOrder.created_at,
+    updatedAt: workOrder.updated_at,
+  });
+
+  // Check the user may manage the complaint, by complaint or work order id
+  assertComplaintAccess = async (client, user, { complaintId, workOrderId }) => {
+    const managedBuildingIds = await this.getManagedBuildingIds(
+      client,
+      user.userId,
+      user.role
+    );
+
+    const complaintResult = await client.query(
+      workOrderId
+        ? `SELECT c.id, c.building_id
+          FROM complaint_work_orders wo
+          JOIN complaints c ON wo.complaint_id = c.id
+          WHERE wo.id = $1`
+        : "SELECT id, building_id FROM complaints WHERE id = $1",
+      [workOrderId || complaintId]
+    );
+
+    const complaint = complaintResult.rows[0];
+    if (
+      !complaint ||
+      (managedBuildingIds !== null &&
+        !managedBuildingIds.includes(complaint.building_id))
+    ) {
+      throw createError(
+        "NOT_FOUND",
+        workOrderId ? "Work order not found" : "Complaint not found"
+      );
+    }
+
+    return complaint;
+  };
+
+  // GET /api/complaints/vendors
+  getVendors = async (req, res, next) => {
+    try {
+      const { trade, search, include_inactive } = req.query;
+
+      const conditions = [];
+      const params = [];
+
+      if (include_inactive !== "true") {
+        conditions.push("v.is_active = true");
+      }
+      if (trade) {
+        params.push(trade);
+        conditions.push(`v.trade = $${params.length}`);
+      }
+      if (search) {
+        params.push(`%${search}%`);
+        conditions.push(
+          `(v.name ILIKE $${params.length} OR v.contact_person ILIKE $${params.length} OR v.phone LIKE $${params.length})`
+        );
+      }
+
+      const vendorsResult = await pool.query(
+        `SELECT
+          v.*,
+          COUNT(wo.id) FILTER (WHERE wo.status IN ('scheduled', 'in_progress')) as open_orders,
+          COUNT(wo.id) FILTER (WHERE wo.status = 'completed') as completed_orders,
+          AVG(wo.vendor_rating) as avg_rating
+        FROM vendors v
+        LEFT JOIN complaint_work_orders wo ON wo.vendor_id = v.id
+        ${conditions.length > 0 ? `WHERE ${conditions.join(" AND ")}` : ""}
+        GROUP BY v.id
+        ORDER BY v.is_active DESC, v.trade, v.name`,
+        params
+      );
+
+      res.json({
+        success: true,
+        data: {
+          vendors: vendorsResult.rows.map((vendor) => ({
+            ...this.formatVendor(vendor),
+            openOrders: parseInt(vendor.open_orders),
+            completedOrders: parseInt(vendor.completed_orders),
+            averageRating: vendor.avg_rating
+              ? parseFloat(vendor.avg_rating).toFixed(1)
+              : null,
+          })),
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/complaints/vendors
+  createVendor = async (req, res, next) => {
+    try {
+      const {
+        name,
+        trade,
+        contact_person,
+        phone,
+        email,
+        address,
+        gstin,
+        visit_charge,
+        hourly_rate,
+        notes,
+      } = req.body;
+
+      const vendorResult = await pool.query(
+        `INSERT INTO vendors (
+          name, trade, contact_person, phone, email, address, gstin,
+          visit_charge, hourly_rate, notes, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *`,
+        [
+          name,
+          trade,
+          contact_person || null,
+          phone,
+          email || null,
+          address || null,
+          gstin || null,
+          visit_charge ?? null,
+          hourly_rate ?? null,
+          notes || null,
+          req.user.userId,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Vendor added",
+        data: { vendor: this.formatVendor(vendorResult.rows[0]) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PUT /api/complaints/vendors/:vendorId
+  updateVendor = async (req, res, next) => {
+    try {
+      const columns = [
+        "name",
+        "trade",
+        "contact_person",
+        "phone",
+        "email",
+        "address",
+        "gstin",
+        "visit_charge",
+        "hourly_rate",
+        "notes",
+        "is_active",
+      ];
+      const updateFields = [];
+      const updateValues = [req.params.vendorId];
+
+      for (const column of columns) {
+        if (req.body[column] !== undefined) {
+          updateValues.push(req.body[column]);
+          updateFields.push(`${column} = $${updateValues.length}`);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return next(createError("VALIDATION_ERROR", "No changes provided"));
+      }
+
+      const vendorResult = await pool.query(
+        `UPDATE vendors
+        SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *`,
+        updateValues
+      );
+
+      if (vendorResult.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Vendor not found"));
+      }
+
+      res.json({
+        success: true,
+        message: "Vendor updated",
+        data: { vendor: this.formatVendor(vendorResult.rows[0]) },
+      });
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // GET /api/complaints/:id/work-orders
+  getWorkOrders = async (req, res, next) => {
+    try {
+      const client = await pool.connect();
+
+      try {
+        await this.assertComplaintAccess(client, req.user, {
+          complaintId: req.params.id,
+        });
+
+        const workOrdersResult = await client.query(
+          `SELECT
+            wo.*,
+            v.name as vendor_name,
+            v.trade as vendor_trade,
+            v.phone as vendor_phone
+          FROM complaint_work_orders wo
+          JOIN vendors v ON wo.vendor_id = v.id
+          WHERE wo.complaint_id = $1
+          ORDER BY wo.created_at DESC`,
+          [req.params.id]
+        );
+
+        res.json({
+          success: true,
+          data: {
+            workOrders: workOrdersResult.rows.map(this.formatWorkOrder),
+          },
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/complaints/:id/work-orders
+  createWorkOrder = async (req, res, next) => {
+    try {
+      const { vendor_id, description, scheduled_visit_at, quoted_cost } =
+        req.body;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await this.assertComplaintAccess(client, req.user, {
+          complaintId: req.params.id,
+        });
+
+        const workOrder = await createWorkOrder(
+          {
+            complaintId: req.params.id,
+            vendorId: vendor_id,
+            description,
+            scheduledVisitAt: scheduled_visit_at || null,
+            quotedCost: quoted_cost ?? null,
+            createdBy: req.user.userId,
+          },
+          client
+        );
+
+        await client.query("COMMIT");
+
+        res.status(201).json({
+          success: true,
+          message: `Work order raised to ${workOrder.vendor_name}`,
+          data: { workOrder: this.formatWorkOrder(workOrder) },
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // PUT /api/complaints/work-orders/:workOrderId
+  updateWorkOrder = async (req, res, next) => {
+    try {
+      const {
+        description,
+        status,
+        scheduled_visit_at,
+        quoted_cost,
+        actual_cost,
+        cancellation_reason,
+      } = req.body;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await this.assertComplaintAccess(client, req.user, {
+          workOrderId: req.params.workOrderId,
+        });
+
+        const workOrder = await updateWorkOrder(
+          {
+            workOrderId: req.params.workOrderId,
+            changes: {
+              description,
+              status,
+              scheduledVisitAt: scheduled_visit_at,
+              quotedCost: quoted_cost,
+              actualCost: actual_cost,
+              cancellationReason: cancellation_reason,
+            },
+            updatedBy: req.user.userId,
+          },
+          client
+        );
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "Work order updated",
+          data: { workOrder: this.formatWorkOrder(workOrder) },
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  // POST /api/complaints/work-orders/:workOrderId/complete
+  completeWorkOrder = async (req, res, next) => {
+    try {
+      const { actual_cost, completion_notes, vendor_rating } = req.body;
+
+      // Handle file uploads
+      const attachments = req.files
+        ? req.files.map((file) => `/uploads/work-orders/${file.filename}`)
+        : [];
+
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await this.assertComplaintAccess(client, req.user, {
+          workOrderId: req.params.workOrderId,
+        });
+
+        const workOrder = await completeWorkOrder(
+          {
+            workOrderId: req.params.workOrderId,
+            actualCost: actual_cost,
+            completionNotes: completion_notes || null,
+            attachments,
+            vendorRating: vendor_rating ?? null,
+            completedBy: req.user.userId,
+          },
+          client
+        );
+
+        await client.query("COMMIT");
+
+        res.json({
+          success: true,
+          message: "Work order completed and its cost added to the complaint",
+          data: { workOrder: this.formatWorkOrder(workOrder) },
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      next(error);
+    }
+  };
 }
 
 export default new ComplaintsController();
@@ -1,6 +1,7 @@
 // src/controllers/dashboardController.js
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
+import { getRefundTotals } from "../services/refundService.js";
 
 class DashboardController {
   /**
@@ -132,8 +133,7 @@ class DashboardController {
           SELECT 
             COUNT(*) as pending_maintenance
           FROM maintenance_requests mr
-          JOIN rooms r ON mr.room_id = r.id
-          JOIN buildings b ON r.building_id = b.id
+          JOIN buildings b ON mr.building_id = b.id
           WHERE b.id = ANY($1) ${buildingFilter}
           AND mr.status IN ('pending', 'assigned', 'in_progress')
         )
@@ -575,7 +575,50 @@ class DashboardController {
           JOIN rooms r ON u.room_id = r.id
           JOIN buildings b ON r.building_id = b.id
           WHERE p.due_date < CURRENT_DATE - INTERVAL '7 days'
-          AND p.status != 'paid'
+          AND p.status NOT IN ('paid', 'rescheduled')
+          AND b.id = ANY($1) ${buildingFilter}
+          GROUP BY b.id, b.name
+          HAVING COUNT(*) > 0
+        ),
+        -- Rent falls due on each tenancy's billing day, so collections are
+        -- spread through the month rather than all on the 1st
+        rent_due_alerts AS (
+          SELECT 
+            'rent' as category,
+            'medium' as priority,
+            'Rent falling due (' || COUNT(*) || ')' as title,
+            COUNT(*) || ' rent payments fall due in the next 3 days' as message,
+            COUNT(*) as count,
+            b.name as building_name,
+            b.id as building_id
+          FROM payments p
+          JOIN tenancies t ON p.tenancy_id = t.id
+          JOIN units u ON t.unit_id = u.id
+          JOIN rooms r ON u.room_id = r.id
+          JOIN buildings b ON r.building_id = b.id
+          WHERE p.payment_type = 'rent'
+          AND p.due_date BETWEEN CURRENT_DATE AND CURRENT_DATE + 3
+          AND p.status NOT IN ('paid', 'rescheduled')
+          AND b.id = ANY($1) ${buildingFilter}
+          GROUP BY b.id, b.name
+          HAVING COUNT(*) > 0
+        ),
+        -- Installment plans a tenant has fallen behind on
+        payment_plan_alerts AS (
+          SELECT 
+            'rent' as category,
+            'high' as priority,
+            'Broken payment plans (' || COUNT(*) || ')' as title,
+            COUNT(*) || ' installment plans have a missed installment' as message,
+            COUNT(*) as count,
+            b.name as building_name,
+            b.id as building_id
+          FROM payment_plans pp
+          JOIN tenancies t ON pp.tenancy_id = t.id
+          JOIN units u ON t.unit_id = u.id
+          JOIN rooms r ON u.room_id = r.id
+          JOIN buildings b ON r.building_id = b.id
+          WHERE pp.status = 'broken'
           AND b.id = ANY($1) ${buildingFilter}
           GROUP BY b.id, b.name
           HAVING COUNT(*) > 0
@@ -600,6 +643,26 @@ class DashboardController {
           GROUP BY b.id, b.name
           HAVING COUNT(*) > 2
         ),
+        -- Open complaints past their acknowledge or resolve deadline
+        sla_breach_alerts AS (
+          SELECT 
+            'complaints' as category,
+            'urgent' as priority,
+            'Complaints past SLA (' || COUNT(*) || ')' as title,
+            COUNT(*) || ' open complaints have missed their acknowledgement or resolution deadline' as message,
+            COUNT(*) as count,
+            b.name as building_name,
+            b.id as building_id
+          FROM complaints c
+          JOIN buildings b ON c.building_id = b.id
+          WHERE (
+            (c.status = 'submitted' AND c.acknowledge_due_at < CURRENT_TIMESTAMP)
+            OR (c.status IN ('submitted', 'acknowledged', 'in_progress') AND c.resolve_due_at < CURRENT_TIMESTAMP)
+          )
+          AND b.id = ANY($1) ${buildingFilter}
+          GROUP BY b.id, b.name
+          HAVING COUNT(*) > 0
+        ),
         maintenance_alerts AS (
           SELECT 
             'maintenance' as category,
@@ -614,13 +677,30 @@ class DashboardController {
             b.name as building_name,
             b.id as building_id
           FROM maintenance_requests mr
-          JOIN rooms r ON mr.room_id = r.id
-          JOIN buildings b ON r.building_id = b.id
+          JOIN buildings b ON mr.building_id = b.id
           WHERE mr.status IN ('pending', 'assigned', 'in_progress')
           AND b.id = ANY($1) ${buildingFilter}
           GROUP BY b.id, b.name
           HAVING COUNT(*) > 3
         ),
+        -- Open maintenance tasks past their due date
+        overdue_maintenance_alerts AS (
+          SELECT 
+            'maintenance' as category,
+            'high' as priority,
+            'Overdue maintenance (' || COUNT(*) || ')' as title,
+            COUNT(*) || ' maintenance tasks are past their due date' as message,
+            COUNT(*) as count,
+            b.name as building_name,
+            b.id as building_id
+          FROM maintenance_requests mr
+          JOIN buildings b ON mr.building_id = b.id
+          WHERE mr.status IN ('pending', 'assigned', 'in_progress')
+          AND mr.scheduled_date < CURRENT_DATE
+          AND b.id = ANY($1) ${buildingFilter}
+          GROUP BY b.id, b.name
+          HAVING COUNT(*) > 0
+        ),
         occupancy_alerts AS (
           SELECT 
             'system' as category,
@@ -656,10 +736,18 @@ class DashboardController {
         )
         SELECT * FROM rent_alerts
         UNION ALL
+        SELECT * FROM rent_due_alerts
+        UNION ALL
+        SELECT * FROM payment_plan_alerts
+        UNION ALL
         SELECT * FROM complaint_alerts
         UNION ALL
+        SELECT * FROM sla_breach_alerts
+        UNION ALL
         SELECT * FROM maintenance_alerts
         UNION ALL
+        SELECT * FROM overdue_maintenance_alerts
+        UNION ALL
         SELECT * FROM occupancy_alerts
         ORDER BY 
           CASE priority
@@ -824,17 +912,32 @@ class DashboardController {
       const revenueData = data.revenue_data || {};
       const buildingsData = data.buildings_data || [];
 
-      const collectionRate = revenueData.total_due > 0 
-        ? ((revenueData.total_collected / revenueData.total_due) * 100).toFixed(2)
+      // Approved credit notes and refunds come off revenue for the period
+      const refundTotals = await getRefundTotals({
+        startDate,
+        endDate,
+        buildingIds: buildingFilter ? [parseInt(building_id)] : accessibleBuildingIds,
+      });
+      const { credited, creditedPaid, refunded } = refundTotals.totals;
+
+      const grossDue = parseFloat(revenueData.total_due) || 0;
+      const grossCollected = parseFloat(revenueData.total_collected) || 0;
+      const totalDue = grossDue - credited;
+      const totalRevenue = grossCollected - creditedPaid - refunded;
+
+      const collectionRate = totalDue > 0 
+        ? ((totalRevenue / totalDue) * 100).toFixed(2)
         : 0;
 
       const response = {
         success: true,
         data: {
           summary: {
-            totalRevenue: parseFloat(revenueData.total_collected) || 0,
-            totalDue: parseFloat(revenueData.total_due) || 0,
-            totalOutstanding: (parseFloat(revenueData.total_due) || 0) - (parseFloat(revenueData.total_collected) || 0),
+            totalRevenue,
+            totalDue,
+            totalOutstanding: grossDue - grossCollected - (credited - creditedPaid),
+            totalCreditNotes: credited,
+            totalRefunds: refunded,
             collectionRate: parseFloat(collectionRate),
             totalPayments: parseInt(revenueData.total_payments) || 0,
             paidPayments: parseInt(revenueData.paid_payments) || 0,
@@ -843,7 +946,9 @@ class DashboardController {
             buildings: buildingsData.map(building => ({
               id: building.id,
               name: building.name,
-              revenue: parseFloat(building.revenue) || 0,
+              revenue: (parseFloat(building.revenue) || 0) -
+                (refundTotals.byBuilding.get(building.id)?.creditedPaid || 0) -
+                (refundTotals.byBuilding.get(building.id)?.refunded || 0),
               totalUnits: parseInt(building.total_units) || 0,
               occupiedUnits: parseInt(building.occupied_units) || 0,
               occupancyRate: building.total_units > 0 
@@ -121,7 +121,7 @@ class JobsController {
   // POST /api/admin/jobs/trigger
   async triggerJob(req, res, next) {
     try {
-      const { jobName } = req.body;
+      const { jobName, options = {} } = req.body;
 
       if (!jobName) {
         throw createError("Job name is required", 400);
@@ -131,7 +131,7 @@ class JobsController {
         `Admin triggering job: ${jobName} by user ${req.user.userId}`
       );
 
-      const result = await jobScheduler.triggerJob(jobName);
+      const result = await jobScheduler.triggerJob(jobName, options);
 
       res.json({
         success: true,
@@ -0,0 +1,725 @@
+// src/controllers/maintenanceController.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  OPEN_TASK_STATUSES,
+  createSchedule,
+  updateSchedule,
+  completeTask,
+} from "../services/maintenanceScheduleService.js";
+
+class MaintenanceController {
+  /**
+   * Get building IDs accessible to the current user based on role
+   */
+  static async getAccessibleBuildingIds(userId, userRole) {
+    if (userRole === "super_admin" || userRole === "admin") {
+      const result = await pool.query(
+        "SELECT id FROM buildings WHERE status = $1",
+        ["active"]
+      );
+      return result.rows.map((row) => row.id);
+    } else if (userRole === "manager") {
+      const result = await pool.query(
+        "SELECT id FROM buildings WHERE manager_id = $1 AND status = $2",
+        [userId, "active"]
+      );
+      return result.rows.map((row) => row.id);
+    }
+    return [];
+  }
+
+  static formatAsset(asset) {
+    return {
+      id: asset.id,
+      buildingId: asset.building_id,
+      buildingName: asset.building_name || null,
+      roomId: asset.room_id,
+      roomNumber: asset.room_number || null,
+      name: asset.name,
+      assetType: asset.asset_type,
+      location: asset.location,
+      serialNumber: asset.serial_number,
+      installedOn: asset.installed_on,
+      isActive: asset.is_active,
+      createdAt: asset.created_at,
+    };
+  }
+
+  static formatSchedule(schedule) {
+    return {
+      id: schedule.id,
+      buildingId: schedule.building_id,
+      buildingName: schedule.building_name || null,
+      assetId: schedule.asset_id,
+      assetName: schedule.asset_name || null,
+      title: schedule.title,
+      description: schedule.description,
+      category: schedule.category,
+      priority: schedule.priority,
+      frequency: schedule.frequency,
+      startDate: schedule.start_date,
+      leadDays: schedule.lead_days,
+      nextDueDate: schedule.next_due_date,
+      isActive: schedule.is_active,
+      openTasks:
+        schedule.open_tasks !== undefined
+          ? parseInt(schedule.open_tasks)
+          : undefined,
+      lastCompletedOn: schedule.last_completed_on,
+      createdAt: schedule.created_at,
+    };
+  }
+
+  static formatTask(task) {
+    return {
+      id: task.id,
+      buildingId: task.building_id,
+      buildingName: task.building_name || null,
+      roomId: task.room_id,
+      roomNumber: task.room_number || null,
+      scheduleId: task.schedule_id,
+      assetId: task.asset_id,
+      assetName: task.asset_name || null,
+      title: task.title,
+      description: task.description,
+      category: task.category,
+      priority: task.priority,
+      status: task.status,
+      assignedTo: task.assigned_to,
+      assignedUserId: task.assigned_user_id,
+      requestedDate: task.requested_date,
+      dueDate: task.scheduled_date,
+      isOverdue: task.is_overdue || false,
+      daysOverdue: task.days_overdue ? parseInt(task.days_overdue) : 0,
+      completion: {
+        completedOn: task.completion_date,
+        completedBy: task.completed_by,
+        notes: task.completion_notes,
+        photos: task.completion_photos || [],
+        actualCost:
+          task.actual_cost !== null && task.actual_cost !== undefined
+            ? parseFloat(task.actual_cost)
+            : null,
+      },
+    };
+  }
+
+  /**
+   * GET /api/maintenance/assets
+   * List maintenance assets of accessible buildings
+   */
+  static async getAssets(req, res, next) {
+    try {
+      const { building_id, asset_type, include_inactive } = req.query;
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds];
+      let filters = "";
+
+      if (building_id) {
+        queryParams.push(building_id);
+        filters += ` AND ma.building_id = $${queryParams.length}`;
+      }
+      if (asset_type) {
+        queryParams.push(asset_type);
+        filters += ` AND ma.asset_type = $${queryParams.length}`;
+      }
+      if (include_inactive !== "true") {
+        filters += " AND ma.is_active = true";
+      }
+
+      const result = await pool.query(
+        `SELECT ma.*, b.name as building_name, r.room_number
+         FROM maintenance_assets ma
+         JOIN buildings b ON ma.building_id = b.id
+         LEFT JOIN rooms r ON ma.room_id = r.id
+         WHERE ma.building_id = ANY($1) ${filters}
+         ORDER BY b.name, ma.asset_type, ma.name`,
+        queryParams
+      );
+
+      res.json({
+        success: true,
+        data: { assets: result.rows.map(MaintenanceController.formatAsset) },
+      });
+    } catch (error) {
+      console.error("Error fetching maintenance assets:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch maintenance assets"));
+    }
+  }
+
+  /**
+   * POST /api/maintenance/assets
+   * Register a maintenance asset in a building
+   */
+  static async createAsset(req, res, next) {
+    try {
+      const {
+        building_id,
+        room_id,
+        name,
+        asset_type,
+        location,
+        serial_number,
+        installed_on,
+      } = req.body;
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      if (!accessibleBuildingIds.includes(building_id)) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      if (room_id) {
+        const roomResult = await pool.query(
+          "SELECT id FROM rooms WHERE id = $1 AND building_id = $2",
+          [room_id, building_id]
+        );
+
+        if (roomResult.rows.length === 0) {
+          return next(
+            createError(
+              "VALIDATION_ERROR",
+              "Room does not belong to this building"
+            )
+          );
+        }
+      }
+
+      const result = await pool.query(
+        `INSERT INTO maintenance_assets (
+          building_id, room_id, name, asset_type, location, serial_number,
+          installed_on, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *`,
+        [
+          building_id,
+          room_id || null,
+          name,
+          asset_type,
+          location || null,
+          serial_number || null,
+          installed_on || null,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Asset registered successfully",
+        data: { asset: MaintenanceController.formatAsset(result.rows[0]) },
+      });
+    } catch (error) {
+      console.error("Error registering maintenance asset:", error);
+      next(createError("DATABASE_ERROR", "Failed to register asset"));
+    }
+  }
+
+  /**
+   * PUT /api/maintenance/assets/:assetId
+   * Update an asset or retire it. Schedules of a retired asset stop
+   * generating tasks.
+   */
+  static async updateAsset(req, res, next) {
+    try {
+      const { assetId } = req.params;
+      const fields = {
+        name: req.body.name,
+        asset_type: req.body.asset_type,
+        location: req.body.location,
+        serial_number: req.body.serial_number,
+        installed_on: req.body.installed_on,
+        is_active: req.body.is_active,
+      };
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const updateFields = [];
+      const updateParams = [];
+      for (const [column, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          updateParams.push(value);
+          updateFields.push(`${column} = $${updateParams.length}`);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return next(createError("VALIDATION_ERROR", "No fields to update"));
+      }
+
+      updateParams.push(assetId, accessibleBuildingIds);
+      const result = await pool.query(
+        `UPDATE maintenance_assets
+         SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${updateParams.length - 1} AND building_id = ANY($${
+          updateParams.length
+        })
+         RETURNING *`,
+        updateParams
+      );
+
+      if (result.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Asset not found or access denied"));
+      }
+
+      res.json({
+        success: true,
+        message: "Asset updated successfully",
+        data: { asset: MaintenanceController.formatAsset(result.rows[0]) },
+      });
+    } catch (error) {
+      console.error("Error updating maintenance asset:", error);
+      next(createError("DATABASE_ERROR", "Failed to update asset"));
+    }
+  }
+
+  /**
+   * GET /api/maintenance/schedules
+   * List preventive maintenance schedules with their open tasks
+   */
+  static async getSchedules(req, res, next) {
+    try {
+      const { building_id, asset_id, include_inactive } = req.query;
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds, OPEN_TASK_STATUSES];
+      let filters = "";
+
+      if (building_id) {
+        queryParams.push(building_id);
+        filters += ` AND ms.building_id = $${queryParams.length}`;
+      }
+      if (asset_id) {
+        queryParams.push(asset_id);
+        filters += ` AND ms.asset_id = $${queryParams.length}`;
+      }
+      if (include_inactive !== "true") {
+        filters += " AND ms.is_active = true";
+      }
+
+      const result = await pool.query(
+        `SELECT
+           ms.*,
+           b.name as building_name,
+           ma.name as asset_name,
+           COUNT(mr.id) FILTER (WHERE mr.status = ANY($2)) as open_tasks,
+           MAX(mr.completion_date) as last_completed_on
+         FROM maintenance_schedules ms
+         JOIN buildings b ON ms.building_id = b.id
+         LEFT JOIN maintenance_assets ma ON ms.asset_id = ma.id
+         LEFT JOIN maintenance_requests mr ON mr.schedule_id = ms.id
+         WHERE ms.building_id = ANY($1) ${filters}
+         GROUP BY ms.id, b.name, ma.name
+         ORDER BY ms.next_due_date, b.name`,
+        queryParams
+      );
+
+      res.json({
+        success: true,
+        data: {
+          schedules: result.rows.map(MaintenanceController.formatSchedule),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching maintenance schedules:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to fetch maintenance schedules")
+      );
+    }
+  }
+
+  /**
+   * POST /api/maintenance/schedules
+   * Create a recurring maintenance plan for a building or an asset
+   */
+  static async createSchedule(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const {
+        building_id,
+        asset_id,
+        title,
+        description,
+        category,
+        priority,
+        frequency,
+        start_date,
+        lead_days,
+      } = req.body;
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      await client.query("BEGIN");
+
+      const schedule = await createSchedule(
+        {
+          buildingId: building_id || null,
+          assetId: asset_id || null,
+          title,
+          description: description || null,
+          category,
+          priority,
+          frequency,
+          startDate: start_date,
+          leadDays: lead_days,
+          createdBy: req.user.id,
+        },
+        client
+      );
+
+      if (!accessibleBuildingIds.includes(schedule.building_id)) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: `Maintenance schedule created; first due on ${new Date(
+          schedule.next_due_date
+        ).toLocaleDateString("en-IN")}`,
+        data: { schedule: MaintenanceController.formatSchedule(schedule) },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating maintenance schedule:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to create maintenance schedule")
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * PUT /api/maintenance/schedules/:scheduleId
+   * Update, pause or resume a maintenance schedule. Tasks already generated
+   * are left as they are.
+   */
+  static async updateSchedule(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { scheduleId } = req.params;
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const accessResult = await client.query(
+        "SELECT id FROM maintenance_schedules WHERE id = $1 AND building_id = ANY($2)",
+        [scheduleId, accessibleBuildingIds]
+      );
+
+      if (accessResult.rows.length === 0) {
+        return next(
+          createError("NOT_FOUND", "Maintenance schedule not found")
+        );
+      }
+
+      await client.query("BEGIN");
+
+      const schedule = await updateSchedule(
+        {
+          scheduleId,
+          changes: {
+            title: req.body.title,
+            description: req.body.description,
+            category: req.body.category,
+            priority: req.body.priority,
+            frequency: req.body.frequency,
+            startDate: req.body.start_date,
+            leadDays: req.body.lead_days,
+            isActive: req.body.is_active,
+          },
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Maintenance schedule updated successfully",
+        data: { schedule: MaintenanceController.formatSchedule(schedule) },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error updating maintenance schedule:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to update maintenance schedule")
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/maintenance/tasks
+   * List maintenance tasks, optionally only overdue ones, with a summary
+   */
+  static async getTasks(req, res, next) {
+    try {
+      const {
+        building_id,
+        status,
+        schedule_id,
+        assigned_to_me,
+        overdue,
+        page = 1,
+        limit = 20,
+      } = req.query;
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds, OPEN_TASK_STATUSES];
+      let filters = "";
+
+      if (building_id) {
+        queryParams.push(building_id);
+        filters += ` AND mr.building_id = $${queryParams.length}`;
+      }
+      if (status) {
+        queryParams.push(status);
+        filters += ` AND mr.status = $${queryParams.length}`;
+      }
+      if (schedule_id) {
+        queryParams.push(schedule_id);
+        filters += ` AND mr.schedule_id = $${queryParams.length}`;
+      }
+      if (assigned_to_me === "true") {
+        queryParams.push(req.user.id);
+        filters += ` AND mr.assigned_user_id = $${queryParams.length}`;
+      }
+      if (overdue === "true") {
+        filters +=
+          " AND mr.status = ANY($2) AND mr.scheduled_date < CURRENT_DATE";
+      }
+
+      const offset = (page - 1) * limit;
+
+      const tasksQuery = `
+        SELECT
+          mr.*,
+          b.name as building_name,
+          r.room_number,
+          ma.name as asset_name,
+          (mr.status = ANY($2) AND mr.scheduled_date < CURRENT_DATE) as is_overdue,
+          CASE
+            WHEN mr.status = ANY($2) AND mr.scheduled_date < CURRENT_DATE
+            THEN CURRENT_DATE - mr.scheduled_date
+          END as days_overdue
+        FROM maintenance_requests mr
+        JOIN buildings b ON mr.building_id = b.id
+        LEFT JOIN rooms r ON mr.room_id = r.id
+        LEFT JOIN maintenance_assets ma ON mr.asset_id = ma.id
+        WHERE mr.building_id = ANY($1) ${filters}
+        ORDER BY
+          CASE WHEN mr.status = ANY($2) THEN 0 ELSE 1 END,
+          mr.scheduled_date ASC NULLS LAST,
+          mr.created_at DESC
+        LIMIT $${queryParams.length + 1} OFFSET $${queryParams.length + 2}
+      `;
+
+      const summaryQuery = `
+        SELECT
+          COUNT(*) as total,
+          COUNT(*) FILTER (WHERE mr.status = ANY($2)) as open,
+          COUNT(*) FILTER (WHERE mr.status = ANY($2) AND mr.scheduled_date < CURRENT_DATE) as overdue,
+          COUNT(*) FILTER (WHERE mr.status = 'completed') as completed
+        FROM maintenance_requests mr
+        WHERE mr.building_id = ANY($1) ${filters}
+      `;
+
+      const [tasksResult, summaryResult] = await Promise.all([
+        pool.query(tasksQuery, [...queryParams, limit, offset]),
+        pool.query(summaryQuery, queryParams),
+      ]);
+
+      const summary = summaryResult.rows[0];
+      const totalCount = parseInt(summary.total);
+
+      res.json({
+        success: true,
+        data: {
+          tasks: tasksResult.rows.map(MaintenanceController.formatTask),
+          summary: {
+            total: totalCount,
+            open: parseInt(summary.open),
+            overdue: parseInt(summary.overdue),
+            completed: parseInt(summary.completed),
+          },
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / limit),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching maintenance tasks:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch maintenance tasks"));
+    }
+  }
+
+  /**
+   * PUT /api/maintenance/tasks/:taskId
+   * Start, reschedule or cancel an open maintenance task
+   */
+  static async updateTask(req, res, next) {
+    try {
+      const { taskId } = req.params;
+      const { status, scheduled_date } = req.body;
+
+      if (!status && !scheduled_date) {
+        return next(createError("VALIDATION_ERROR", "No fields to update"));
+      }
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const result = await pool.query(
+        `UPDATE maintenance_requests
+         SET status = COALESCE($1, status),
+             scheduled_date = COALESCE($2, scheduled_date),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3 AND building_id = ANY($4) AND status = ANY($5)
+         RETURNING *`,
+        [
+          status || null,
+          scheduled_date || null,
+          taskId,
+          accessibleBuildingIds,
+          OPEN_TASK_STATUSES,
+        ]
+      );
+
+      if (result.rows.length === 0) {
+        return next(
+          createError(
+            "NOT_FOUND",
+            "Open maintenance task not found or access denied"
+          )
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Maintenance task updated successfully",
+        data: { task: MaintenanceController.formatTask(result.rows[0]) },
+      });
+    } catch (error) {
+      if (error.code === "23505") {
+        return next(
+          createError(
+            "CONFLICT",
+            "This schedule already has a task due on that date"
+          )
+        );
+      }
+      console.error("Error updating maintenance task:", error);
+      next(createError("DATABASE_ERROR", "Failed to update maintenance task"));
+    }
+  }
+
+  /**
+   * POST /api/maintenance/tasks/:taskId/complete
+   * Record a task as done with notes, photos and its cost
+   */
+  static async completeTask(req, res, next) {
+    try {
+      const { taskId } = req.params;
+      const { completion_notes, actual_cost } = req.body;
+
+      const photos = req.files
+        ? req.files.map((file) => `/uploads/maintenance/${file.filename}`)
+        : [];
+
+      const accessibleBuildingIds =
+        await MaintenanceController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const accessResult = await pool.query(
+        "SELECT id FROM maintenance_requests WHERE id = $1 AND building_id = ANY($2)",
+        [taskId, accessibleBuildingIds]
+      );
+
+      if (accessResult.rows.length === 0) {
+        return next(
+          createError("NOT_FOUND", "Maintenance task not found or access denied")
+        );
+      }
+
+      const task = await completeTask(
+        {
+          taskId,
+          completionNotes: completion_notes,
+          photos,
+          actualCost: actual_cost ?? null,
+          completedBy: req.user.id,
+        },
+        pool
+      );
+
+      res.json({
+        success: true,
+        message: "Maintenance task completed",
+        data: { task: MaintenanceController.formatTask(task) },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error completing maintenance task:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to complete maintenance task")
+      );
+    }
+  }
+}
+
+export default MaintenanceController;
@@ -1,6 +1,12 @@
 // src/controllers/offboardingController.js
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
+import {
+  prepareSettlement,
+  getSettlement,
+  approveSettlement,
+  updateSettlementTotals,
+} from "../services/depositSettlementService.js";
 
 class OffboardingController {
   // Helper method to get buildings managed by a user
@@ -18,6 +24,39 @@ class OffboardingController {
     return [];
   };
 
+  // Helper method to load a tenancy for settlement work, enforcing building access
+  getSettlementTenancy = async (client, tenancyId, userId, userRole) => {
+    const tenancyResult = await client.query(
+      `SELECT t.*, b.id as building_id
+       FROM tenancies t
+       JOIN units u ON t.unit_id = u.id
+       JOIN rooms r ON u.room_id = r.id
+       JOIN buildings b ON r.building_id = b.id
+       WHERE t.id = $1`,
+      [tenancyId]
+    );
+
+    if (tenancyResult.rows.length === 0) {
+      throw createError("NOT_FOUND", "Tenancy not found");
+    }
+
+    const tenancy = tenancyResult.rows[0];
+    const managedBuildingIds = await this.getManagedBuildingIds(
+      client,
+      userId,
+      userRole
+    );
+
+    if (
+      managedBuildingIds !== null &&
+      !managedBuildingIds.includes(tenancy.building_id)
+    ) {
+      throw createError("FORBIDDEN", "Access denied to this building");
+    }
+
+    return tenancy;
+  };
+
   // GET /api/offboarding
   // Get all offboarding requests with filters and pagination
   getAllOffboardingRequests = async (req, res, next) => {
@@ -374,12 +413,15 @@ class OffboardingController {
         const complaintsResult = await client.query(complaintsQuery, [offboardingRequest.tenant_user_id]);
         const complaints = complaintsResult.rows;
 
+        const depositSettlement = await getSettlement(id, client);
+
         res.json({
           success: true,
           data: {
             offboarding_request: offboardingRequest,
             payments,
             complaints,
+            deposit_settlement: depositSettlement,
           },
         });
       } finally {
@@ -543,6 +585,24 @@ class OffboardingController {
           return next(createError("FORBIDDEN", "Access denied"));
         }
 
+        // Once a deposit settlement exists, its approval sets the final figures
+        if (finalDues !== undefined || depositRefundAmount !== undefined) {
+          const settlementResult = await client.query(
+            "SELECT id FROM deposit_settlements WHERE tenancy_id = $1",
+            [id]
+          );
+
+          if (settlementResult.rows.length > 0) {
+            await client.query("ROLLBACK");
+            return next(
+              createError(
+                "VALIDATION_ERROR",
+                "Final dues and deposit refund come from the deposit settlement; adjust its line items instead"
+              )
+            );
+          }
+        }
+
         // Build update query dynamically
         const updates = [];
         const values = [];
@@ -643,6 +703,298 @@ class OffboardingController {
     }
   };
 
+  // GET /api/offboarding/:id/settlement
+  // Get the itemized deposit settlement of a tenancy
+  getDepositSettlement = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const client = await pool.connect();
+
+      try {
+        await this.getSettlementTenancy(
+          client,
+          id,
+          req.user.userId,
+          req.user.role
+        );
+
+        const settlement = await getSettlement(id, client);
+
+        if (!settlement) {
+          return next(
+            createError("NOT_FOUND", "Deposit settlement has not been prepared")
+          );
+        }
+
+        res.json({
+          success: true,
+          data: settlement,
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      if (error.statusCode) return next(error);
+      console.error("Get deposit settlement error:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch deposit settlement"));
+    }
+  };
+
+  // POST /api/offboarding/:id/settlement
+  // Prepare (or recalculate) the draft deposit settlement
+  prepareDepositSettlement = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { moveOutDate, damageCharges, notes } = req.body;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        const tenancy = await this.getSettlementTenancy(
+          client,
+          id,
+          req.user.userId,
+          req.user.role
+        );
+
+        if (tenancy.offboarding_status === "active") {
+          throw createError(
+            "VALIDATION_ERROR",
+            "Offboarding has not been initiated for this tenancy"
+          );
+        }
+
+        const settlementMoveOutDate =
+          moveOutDate ||
+          tenancy.actual_move_out_date ||
+          tenancy.intended_move_out_date ||
+          new Date().toISOString().split("T")[0];
+
+        const prepared = await prepareSettlement(
+          tenancy,
+          {
+            moveOutDate: settlementMoveOutDate,
+            damageCharges: damageCharges || [],
+            notes,
+            preparedBy: req.user.userId,
+          },
+          client
+        );
+
+        await client.query("COMMIT");
+
+        const settlement = await getSettlement(prepared.tenancy_id);
+
+        res.json({
+          success: true,
+          message: "Deposit settlement prepared successfully",
+          data: settlement,
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      if (error.statusCode) return next(error);
+      console.error("Prepare deposit settlement error:", error);
+      next(createError("DATABASE_ERROR", "Failed to prepare deposit settlement"));
+    }
+  };
+
+  // PUT /api/offboarding/:id/settlement/items
+  // Adjust, add or remove line items of a draft settlement
+  updateDepositSettlementItems = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const { items = [], removeItemIds = [] } = req.body;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await this.getSettlementTenancy(
+          client,
+          id,
+          req.user.userId,
+          req.user.role
+        );
+
+        const settlementResult = await client.query(
+          "SELECT * FROM deposit_settlements WHERE tenancy_id = $1 FOR UPDATE",
+          [id]
+        );
+
+        if (settlementResult.rows.length === 0) {
+          throw createError("NOT_FOUND", "Deposit settlement has not been prepared");
+        }
+
+        const settlement = settlementResult.rows[0];
+
+        if (settlement.status === "approved") {
+          throw createError(
+            "CONFLICT",
+            "Approved deposit settlements cannot be changed"
+          );
+        }
+
+        for (const item of items) {
+          if (!item.id) {
+            await client.query(
+              `INSERT INTO deposit_settlement_items (
+                settlement_id, item_type, description, amount, adjustment_reason,
+                adjusted_by, created_at, updated_at
+              ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+              [
+                settlement.id,
+                item.item_type || "other",
+                item.description,
+                item.amount,
+                item.adjustment_reason || null,
+                req.user.userId,
+              ]
+            );
+            continue;
+          }
+
+          const existingResult = await client.query(
+            "SELECT * FROM deposit_settlement_items WHERE id = $1 AND settlement_id = $2",
+            [item.id, settlement.id]
+          );
+
+          if (existingResult.rows.length === 0) {
+            throw createError("NOT_FOUND", `Settlement item ${item.id} not found`);
+          }
+
+          const existing = existingResult.rows[0];
+
+          // Calculated lines can be overridden, but the reason is kept on record
+          if (
+            existing.calculated_amount !== null &&
+            parseFloat(item.amount) !== parseFloat(existing.calculated_amount) &&
+            !item.adjustment_reason
+          ) {
+            throw createError(
+              "VALIDATION_ERROR",
+              `An adjustment reason is required to change "${existing.description}"`
+            );
+          }
+
+          await client.query(
+            `UPDATE deposit_settlement_items
+             SET amount = $1,
+                 description = COALESCE($2, description),
+                 adjustment_reason = $3,
+                 adjusted_by = $4,
+                 updated_at = CURRENT_TIMESTAMP
+             WHERE id = $5`,
+            [
+              item.amount,
+              item.description || null,
+              item.adjustment_reason || null,
+              req.user.userId,
+              existing.id,
+            ]
+          );
+        }
+
+        if (removeItemIds.length > 0) {
+          // Calculated lines are zeroed with a reason rather than removed
+          const removeResult = await client.query(
+            `DELETE FROM deposit_settlement_items
+             WHERE settlement_id = $1 AND id = ANY($2) AND calculated_amount IS NULL
+             RETURNING id`,
+            [settlement.id, removeItemIds]
+          );
+
+          if (removeResult.rows.length !== removeItemIds.length) {
+            throw createError(
+              "VALIDATION_ERROR",
+              "Only manually added items can be removed; set calculated items to zero with a reason instead"
+            );
+          }
+        }
+
+        await updateSettlementTotals(settlement.id, client);
+
+        await client.query("COMMIT");
+
+        const updated = await getSettlement(id);
+
+        res.json({
+          success: true,
+          message: "Deposit settlement updated successfully",
+          data: updated,
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      if (error.statusCode) return next(error);
+      console.error("Update deposit settlement items error:", error);
+      next(createError("DATABASE_ERROR", "Failed to update deposit settlement"));
+    }
+  };
+
+  // POST /api/offboarding/:id/settlement/approve
+  // Approve the settlement and write the final figures to the tenancy
+  approveDepositSettlement = async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const client = await pool.connect();
+
+      try {
+        await client.query("BEGIN");
+
+        await this.getSettlementTenancy(
+          client,
+          id,
+          req.user.userId,
+          req.user.role
+        );
+
+        const settlementResult = await client.query(
+          "SELECT id FROM deposit_settlements WHERE tenancy_id = $1",
+          [id]
+        );
+
+        if (settlementResult.rows.length === 0) {
+          throw createError("NOT_FOUND", "Deposit settlement has not been prepared");
+        }
+
+        await approveSettlement(
+          settlementResult.rows[0].id,
+          req.user.userId,
+          client
+        );
+
+        await client.query("COMMIT");
+
+        const settlement = await getSettlement(id);
+
+        res.json({
+          success: true,
+          message: "Deposit settlement approved successfully",
+          data: settlement,
+        });
+      } catch (error) {
+        await client.query("ROLLBACK");
+        throw error;
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      if (error.statusCode) return next(error);
+      console.error("Approve deposit settlement error:", error);
+      next(createError("DATABASE_ERROR", "Failed to approve deposit settlement"));
+    }
+  };
+
   // GET /api/offboarding/stats
   // Get offboarding statistics
   getOffboardingStats = async (req, res, next) => {
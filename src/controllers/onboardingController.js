@@ -2,6 +2,7 @@
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
 import { sendLeadOnboardingEmail } from "../services/emailService.js";
+import { recordRentChange } from "../services/rentRevisionService.js";
 
 class OnboardingController {
   // GET /api/onboarding/won-leads
@@ -337,8 +338,8 @@ class OnboardingController {
           INSERT INTO tenancies (
             unit_id, tenant_user_id, start_date, end_date, rent_amount, security_deposit,
             agreement_status, move_in_date, notice_period_days, documents_submitted,
-            created_at, updated_at
-          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            billing_day, created_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
           RETURNING id
         `;
 
@@ -353,6 +354,7 @@ class OnboardingController {
           tenancyDetails.moveInDate || tenancyDetails.startDate,
           tenancyDetails.noticePeriodDays || 30,
           documents || [],
+          tenancyDetails.billingDay || 1,
         ]);
 
         const tenancyId = tenancyResult.rows[0].id;
@@ -639,6 +641,12 @@ class OnboardingController {
 
         // Update tenancy if provided
         if (tenancyData) {
+          // Rents before the edit, so hand-made changes land in the rent history
+          const previousRentsResult = await client.query(
+            "SELECT id, rent_amount, start_date FROM tenancies WHERE tenant_user_id = $1",
+            [tenantId]
+          );
+
           const tenancyUpdateQuery = `
             UPDATE tenancies SET
               start_date = COALESCE($1, start_date),
@@ -649,8 +657,9 @@ class OnboardingController {
               move_in_date = COALESCE($6, move_in_date),
               notice_period_days = COALESCE($7, notice_period_days),
               documents_submitted = COALESCE($8, documents_submitted),
+              billing_day = COALESCE($9, billing_day),
               updated_at = CURRENT_TIMESTAMP
-            WHERE tenant_user_id = $9
+            WHERE tenant_user_id = $10
           `;
 
           await client.query(tenancyUpdateQuery, [
@@ -662,8 +671,36 @@ class OnboardingController {
             tenancyData.moveInDate,
             tenancyData.noticePeriodDays,
             tenancyData.documentsSubmitted,
+            tenancyData.billingDay,
             tenantId,
           ]);
+
+          if (
+            tenancyData.rentAmount !== undefined &&
+            tenancyData.rentAmount !== null
+          ) {
+            for (const tenancy of previousRentsResult.rows) {
+              if (
+                parseFloat(tenancy.rent_amount) !==
+                parseFloat(tenancyData.rentAmount)
+              ) {
+                await recordRentChange(
+                  {
+                    tenancyId: tenancy.id,
+                    previousRent: tenancy.rent_amount,
+                    newRent: tenancyData.rentAmount,
+                    // Before the tenancy starts the edit replaces the original rent
+                    effectiveFrom:
+                      new Date(tenancy.start_date) > new Date()
+                        ? tenancy.start_date
+                        : new Date(),
+                    tenancyStart: tenancy.start_date,
+                  },
+                  client
+                );
+              }
+            }
+          }
         }
 
         await client.query("COMMIT");
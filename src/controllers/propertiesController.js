@@ -6,6 +6,7 @@ import {
   getAvailableManagers,
 } from "../middleware/rbac.js";
 import { ROLES } from "../middleware/auth.js";
+import { getVendorPerformance } from "../services/workOrderService.js";
 
 class PropertiesController {
   // GET /api/properties/managers/available
@@ -255,8 +256,7 @@ class PropertiesController {
         (SELECT 'maintenance_requests' as activity_type, COUNT(*) as count,
          ARRAY_AGG(DISTINCT mr.category) as details
          FROM maintenance_requests mr
-         JOIN rooms r ON mr.room_id = r.id
-         JOIN buildings b ON r.building_id = b.id
+         JOIN buildings b ON mr.building_id = b.id
          WHERE mr.requested_date >= ${dateParam} AND b.status = 'active' ${buildingFilter.clause})
         UNION ALL
         (SELECT 'payments' as activity_type, COUNT(*) as count,
@@ -2892,6 +2892,7 @@ class PropertiesController {
             t.move_in_date,
             t.move_out_date,
             t.notice_period_days,
+            t.billing_day,
             t.created_at as tenancy_created_at,
             u.status as user_status,
             u.created_at as user_created_at,
@@ -3019,6 +3020,7 @@ class PropertiesController {
             moveInDate: tenant.move_in_date,
             moveOutDate: tenant.move_out_date,
             noticePeriodDays: tenant.notice_period_days,
+            billingDay: tenant.billing_day,
             ...(includeOptions.includes("documents") && {
               documentsSubmitted: tenant.documents_submitted || [],
               idProofDocument: tenant.id_proof_document,
@@ -3970,8 +3972,7 @@ class PropertiesController {
               AVG(CASE WHEN mr.actual_cost IS NOT NULL THEN mr.actual_cost END) as avg_cost,
               AVG(CASE WHEN mr.tenant_rating IS NOT NULL THEN mr.tenant_rating END) as avg_rating
             FROM maintenance_requests mr
-            JOIN rooms r ON mr.room_id = r.id
-            WHERE r.building_id = $1
+            WHERE mr.building_id = $1
             AND mr.requested_date >= $2
             AND mr.requested_date <= $3
             GROUP BY DATE_TRUNC('month', mr.requested_date)
@@ -4057,6 +4058,18 @@ class PropertiesController {
           };
         }
 
+        // Vendor work orders on the building's complaints
+        if (requestedMetrics.includes("vendors")) {
+          analyticsData.vendors = await getVendorPerformance(
+            {
+              buildingId,
+              fromDate: dateRange.start.toISOString().split("T")[0],
+              toDate: currentDate.toISOString().split("T")[0],
+            },
+            client
+          );
+        }
+
         if (requestedMetrics.includes("tenant_satisfaction")) {
           analyticsData.tenant_satisfaction = {
             summary: {
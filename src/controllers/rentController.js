@@ -1,6 +1,62 @@
 // src/controllers/rentController.js
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
+import { sendPaymentReminder } from "../services/reminderService.js";
+import {
+  createLedgerEntry,
+  allocateEntry,
+  recordReceipt,
+  receivePayment,
+  reallocateEntry,
+  syncPaymentStatus,
+  getTenancyLedger,
+} from "../services/ledgerService.js";
+import { generatePaymentReceipt } from "../services/receiptService.js";
+import {
+  issuePaymentInvoice,
+  cancelInvoice,
+  getOrCreateInvoicePdf,
+} from "../services/invoiceService.js";
+import {
+  getRentRoll,
+  buildRentRollWorkbook,
+} from "../services/rentRollService.js";
+import {
+  getAgingReport,
+  buildAgingWorkbook,
+} from "../services/agingReportService.js";
+import {
+  importStatement,
+  confirmStatementLine,
+  rejectStatementLine,
+} from "../services/reconciliationService.js";
+import {
+  applyRentRevision,
+  calculateRevisedRent,
+} from "../services/rentRevisionService.js";
+import { createPaymentPlan } from "../services/paymentPlanService.js";
+import {
+  assertPeriodsOpen,
+  closePeriod,
+  reopenPeriod,
+} from "../services/accountingPeriodService.js";
+import {
+  getLedgerMappings,
+  setLedgerMappings,
+  createAccountingExport,
+  getExportVouchers,
+  renderExport,
+} from "../services/accountingExportService.js";
+import {
+  createRefundRequest,
+  approveRefund,
+  rejectRefund,
+  getRefundTotals,
+} from "../services/refundService.js";
+import {
+  DEFAULT_DUNNING_SCHEDULE,
+  DUNNING_STAGES,
+} from "../jobs/dunningJob.js";
 import fs from "fs/promises";
 import path from "path";
 
@@ -27,6 +83,32 @@ class RentController {
     return [];
   }
 
+  /**
+   * Accessible buildings narrowed to a comma separated `building_ids` filter,
+   * or null when any of the requested buildings is not accessible
+   */
+  static async getRequestedBuildingIds(userId, userRole, buildingIdsParam) {
+    const accessibleBuildingIds =
+      await RentController.getAccessibleBuildingIds(userId, userRole);
+
+    if (!buildingIdsParam) {
+      return accessibleBuildingIds;
+    }
+
+    const requestedIds = [
+      ...new Set(
+        String(buildingIdsParam)
+          .split(",")
+          .map((id) => parseInt(id.trim()))
+      ),
+    ];
+    const buildingIds = accessibleBuildingIds.filter((id) =>
+      requestedIds.includes(id)
+    );
+
+    return buildingIds.length === requestedIds.length ? buildingIds : null;
+  }
+
   /**
    * GET /api/rent-collection/overview
    * Get rent collection overview with building-wise breakdown
@@ -65,6 +147,7 @@ class RentController {
       let buildingFilter = "";
       let params = [];
       let paramIndex = 1;
+      let overviewBuildingIds = accessibleBuildingIds;
 
       // Filter by accessible buildings
       buildingFilter = ` AND b.id = ANY($${paramIndex})`;
@@ -79,6 +162,7 @@ class RentController {
         buildingFilter += ` AND b.id = $${paramIndex}`;
         params.push(parseInt(building_id));
         paramIndex++;
+        overviewBuildingIds = [parseInt(building_id)];
       }
 
       // Get overall overview from payments table only
@@ -111,14 +195,30 @@ class RentController {
         JOIN buildings b ON r.building_id = b.id
         WHERE p.due_date >= '${targetYear}-${targetMonth.toString().padStart(2, '0')}-01' 
         AND p.due_date < '${targetMonth === 12 ? targetYear + 1 : targetYear}-${(targetMonth === 12 ? 1 : targetMonth + 1).toString().padStart(2, '0')}-01'
+        AND p.status != 'rescheduled'
         ${buildingFilter}
       `;
 
       const overviewResult = await pool.query(overviewQuery, params);
       const overview = overviewResult.rows[0];
 
-      const totalDue = parseFloat(overview.total_due) || 0;
-      const totalCollected = parseFloat(overview.total_collected) || 0;
+      // Credit notes waive part of the month's charges and refunds hand
+      // collected money back, so both come off the revenue figures
+      const nextMonth = targetMonth === 12 ? 1 : targetMonth + 1;
+      const nextMonthYear = targetMonth === 12 ? targetYear + 1 : targetYear;
+      const refundTotals = await getRefundTotals({
+        startDate: `${targetYear}-${targetMonth.toString().padStart(2, "0")}-01`,
+        endDate: `${nextMonthYear}-${nextMonth.toString().padStart(2, "0")}-01`,
+        buildingIds: overviewBuildingIds,
+      });
+      const { credited, creditedPaid, refunded } = refundTotals.totals;
+
+      const grossDue = parseFloat(overview.total_due) || 0;
+      const grossCollected = parseFloat(overview.total_collected) || 0;
+      const totalDue = grossDue - credited;
+      const totalCollected = grossCollected - creditedPaid - refunded;
+      const totalOutstanding =
+        grossDue - grossCollected - (credited - creditedPaid);
       const collectionRate =
         totalDue > 0 ? ((totalCollected / totalDue) * 100).toFixed(2) : 0;
 
@@ -170,7 +270,7 @@ class RentController {
         LEFT JOIN rooms r ON f.id = r.floor_id AND r.status = 'active'
         LEFT JOIN units u ON r.id = u.room_id
         LEFT JOIN tenancies t ON u.id = t.unit_id AND t.agreement_status = 'executed'
-        LEFT JOIN payments bp ON t.id = bp.tenancy_id
+        LEFT JOIN payments bp ON t.id = bp.tenancy_id AND bp.status != 'rescheduled'
         WHERE b.id = ANY($1) ${
           building_id && accessibleBuildingIds.includes(parseInt(building_id))
             ? " AND b.id = $2"
@@ -183,9 +283,19 @@ class RentController {
       const buildingsResult = await pool.query(buildingsQuery, params);
 
       const buildings = buildingsResult.rows.map((building) => {
-        const buildingDue = parseFloat(building.building_total_due) || 0;
-        const buildingCollected =
+        const buildingRefunds = refundTotals.byBuilding.get(building.id) || {
+          credited: 0,
+          creditedPaid: 0,
+          refunded: 0,
+        };
+        const grossBuildingDue = parseFloat(building.building_total_due) || 0;
+        const grossBuildingCollected =
           parseFloat(building.building_total_collected) || 0;
+        const buildingDue = grossBuildingDue - buildingRefunds.credited;
+        const buildingCollected =
+          grossBuildingCollected -
+          buildingRefunds.creditedPaid -
+          buildingRefunds.refunded;
         const buildingCollectionRate =
           buildingDue > 0
             ? ((buildingCollected / buildingDue) * 100).toFixed(2)
@@ -207,7 +317,12 @@ class RentController {
           occupancyRate: parseFloat(occupancyRate),
           totalDue: buildingDue,
           totalCollected: buildingCollected,
-          totalOutstanding: buildingDue - buildingCollected,
+          totalOutstanding:
+            grossBuildingDue -
+            grossBuildingCollected -
+            (buildingRefunds.credited - buildingRefunds.creditedPaid),
+          totalCredited: buildingRefunds.credited,
+          totalRefunded: buildingRefunds.refunded,
           collectionRate: parseFloat(buildingCollectionRate),
           pendingPayments: parseInt(building.pending_payments) || 0,
           overduePayments: parseInt(building.overdue_payments) || 0,
@@ -220,7 +335,11 @@ class RentController {
           overview: {
             totalDue: totalDue,
             totalCollected: totalCollected,
-            totalOutstanding: totalDue - totalCollected,
+            totalOutstanding: totalOutstanding,
+            grossDue: grossDue,
+            grossCollected: grossCollected,
+            totalCredited: credited,
+            totalRefunded: refunded,
             collectionRate: parseFloat(collectionRate),
             totalPayments: parseInt(overview.total_payments) || 0,
             overduePayments: parseInt(overview.overdue_payments) || 0,
@@ -244,6 +363,57 @@ class RentController {
     }
   }
 
+  /**
+   * GET /api/rent-collection/rent-roll
+   * Download the month's rent roll as an Excel workbook
+   */
+  static async exportRentRoll(req, res, next) {
+    try {
+      const currentDate = new Date();
+      const {
+        month = currentDate.getMonth() + 1,
+        year = currentDate.getFullYear(),
+        building_ids,
+      } = req.query;
+
+      const buildingIds = await RentController.getRequestedBuildingIds(
+        req.user.id,
+        req.user.role,
+        building_ids
+      );
+
+      if (!buildingIds) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      const rentRoll = await getRentRoll({
+        year: parseInt(year),
+        month: parseInt(month),
+        buildingIds,
+      });
+      const workbook = buildRentRollWorkbook(rentRoll);
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=rent_roll_${rentRoll.year}_${String(
+          rentRoll.month
+        ).padStart(2, "0")}.xlsx`
+      );
+
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (error) {
+      console.error("Error exporting rent roll:", error);
+      next(createError("DATABASE_ERROR", "Failed to export rent roll"));
+    }
+  }
+
   /**
    * GET /api/rent-collection/payments
    * Get paginated list of rent payments with comprehensive filters
@@ -345,7 +515,7 @@ class RentController {
       // Overdue filter
       if (overdue_only === "true") {
         whereConditions.push(
-          `p.due_date < CURRENT_DATE AND p.status != 'paid'`
+          `p.due_date < CURRENT_DATE AND p.status NOT IN ('paid', 'rescheduled')`
         );
       }
 
@@ -410,7 +580,7 @@ class RentController {
           
           -- Calculate days overdue
           CASE 
-            WHEN p.due_date < CURRENT_DATE AND p.status != 'paid'
+            WHEN p.due_date < CURRENT_DATE AND p.status NOT IN ('paid', 'rescheduled')
             THEN (CURRENT_DATE - p.due_date)::integer
             ELSE 0
           END as days_overdue,
@@ -433,6 +603,8 @@ class RentController {
                 'file_name', pr.file_name,
                 'file_path', pr.file_path,
                 'file_size', pr.file_size,
+                'receipt_type', pr.receipt_type,
+                'receipt_number', pr.receipt_number,
                 'uploaded_at', pr.uploaded_at
               )
               FROM payment_receipts pr 
@@ -537,6 +709,225 @@ class RentController {
     }
   }
 
+  /**
+   * GET /api/rent-collection/payments/:paymentId
+   * Get a single payment with receipts and reminders history
+   */
+  static async getPaymentById(req, res, next) {
+    try {
+      const { paymentId } = req.params;
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      // Get accessible building IDs
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      const paymentQuery = `
+        SELECT 
+          p.*,
+          
+          -- Tenant info
+          u_user.id as tenant_user_id,
+          u_user.email as tenant_email,
+          up.first_name,
+          up.last_name,
+          up.phone as tenant_phone,
+          
+          -- Unit info
+          un.unit_number,
+          r.room_number,
+          f.floor_number,
+          
+          -- Building info
+          b.id as building_id,
+          b.name as building_name,
+          
+          -- Tenancy info
+          t.rent_amount as tenancy_rent,
+          t.start_date as tenancy_start,
+          t.end_date as tenancy_end,
+          
+          CASE 
+            WHEN p.due_date < CURRENT_DATE AND p.status NOT IN ('paid', 'rescheduled')
+            THEN (CURRENT_DATE - p.due_date)::integer
+            ELSE 0
+          END as days_overdue,
+          
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'id', pr.id,
+                'file_name', pr.file_name,
+                'file_path', pr.file_path,
+                'file_size', pr.file_size,
+                'receipt_type', pr.receipt_type,
+                'receipt_number', pr.receipt_number,
+                'uploaded_at', pr.uploaded_at
+              )
+              FROM payment_receipts pr 
+              WHERE pr.payment_id = p.id
+              ORDER BY pr.uploaded_at DESC
+            ), 
+            ARRAY[]::json[]
+          ) as receipts,
+          
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'id', prm.id,
+                'reminder_type', prm.reminder_type,
+                'channel', prm.channel,
+                'recipient', prm.recipient,
+                'status', prm.status,
+                'error_message', prm.error_message,
+                'custom_message', prm.custom_message,
+                'days_overdue', prm.days_overdue,
+                'sent_at', prm.sent_at,
+                'sent_by', CASE 
+                  WHEN sp.user_id IS NOT NULL 
+                  THEN TRIM(CONCAT(sp.first_name, ' ', sp.last_name))
+                  ELSE NULL 
+                END
+              )
+              FROM payment_reminders prm
+              LEFT JOIN user_profiles sp ON prm.sent_by = sp.user_id
+              WHERE prm.payment_id = p.id
+              ORDER BY prm.sent_at DESC
+            ), 
+            ARRAY[]::json[]
+          ) as reminders,
+          
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'id', lfa.id,
+                'assessment_type', lfa.assessment_type,
+                'days_overdue', lfa.days_overdue,
+                'previous_fee', lfa.previous_fee,
+                'new_fee', lfa.new_fee,
+                'calculation', lfa.calculation,
+                'reason', lfa.reason,
+                'created_by', lfa.created_by,
+                'created_at', lfa.created_at
+              )
+              FROM late_fee_assessments lfa
+              WHERE lfa.payment_id = p.id
+              ORDER BY lfa.created_at DESC
+            ), 
+            ARRAY[]::json[]
+          ) as late_fee_assessments,
+
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'id', ti.id,
+                'document_type', ti.document_type,
+                'invoice_number', ti.invoice_number,
+                'invoice_date', ti.invoice_date,
+                'total_amount', ti.total_amount,
+                'status', ti.status,
+                'cancellation_reason', ti.cancellation_reason
+              )
+              FROM tax_invoices ti
+              WHERE ti.payment_id = p.id
+              ORDER BY ti.id DESC
+            ),
+            ARRAY[]::json[]
+          ) as invoices
+          
+        FROM payments p
+        JOIN tenancies t ON p.tenancy_id = t.id
+        JOIN users u_user ON t.tenant_user_id = u_user.id
+        JOIN user_profiles up ON u_user.id = up.user_id
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        JOIN floors f ON r.floor_id = f.id
+        JOIN buildings b ON r.building_id = b.id
+        WHERE p.id = $1 AND b.id = ANY($2)
+      `;
+
+      const paymentResult = await pool.query(paymentQuery, [
+        paymentId,
+        accessibleBuildingIds,
+      ]);
+
+      if (paymentResult.rows.length === 0) {
+        return next(
+          createError("NOT_FOUND", "Payment not found or access denied")
+        );
+      }
+
+      const payment = paymentResult.rows[0];
+
+      res.json({
+        success: true,
+        data: {
+          payment: {
+            id: payment.id,
+            paymentType: payment.payment_type,
+            amount: parseFloat(payment.amount),
+            dueDate: payment.due_date,
+            paymentDate: payment.payment_date,
+            paymentMethod: payment.payment_method,
+            transactionId: payment.transaction_id,
+            status: payment.status,
+            lateFee: parseFloat(payment.late_fee) || 0,
+            notes: payment.notes,
+            daysOverdue: payment.days_overdue,
+            createdAt: payment.created_at,
+            updatedAt: payment.updated_at,
+
+            tenant: {
+              id: payment.tenant_user_id,
+              firstName: payment.first_name,
+              lastName: payment.last_name,
+              fullName: `${payment.first_name || ""} ${
+                payment.last_name || ""
+              }`.trim(),
+              email: payment.tenant_email,
+              phone: payment.tenant_phone,
+            },
+
+            unit: {
+              unitNumber: payment.unit_number,
+              roomNumber: payment.room_number,
+              floorNumber: payment.floor_number,
+            },
+
+            building: {
+              id: payment.building_id,
+              name: payment.building_name,
+            },
+
+            tenancy: {
+              id: payment.tenancy_id,
+              rentAmount: parseFloat(payment.tenancy_rent),
+              startDate: payment.tenancy_start,
+              endDate: payment.tenancy_end,
+            },
+
+            receipts: payment.receipts || [],
+            reminders: payment.reminders || [],
+
+            lateFeeWaiver: payment.late_fee_waived
+              ? {
+                  reason: payment.late_fee_waived_reason,
+                  waivedBy: payment.late_fee_waived_by,
+                  waivedAt: payment.late_fee_waived_at,
+                }
+              : null,
+            lateFeeAssessments: payment.late_fee_assessments || [],
+            invoices: payment.invoices || [],
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payment details:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch payment details"));
+    }
+  }
+
   /**
    * PUT /api/rent-collection/payments/:paymentId
    * Update payment status and upload receipts
@@ -588,18 +979,63 @@ class RentController {
       }
 
 
+      const existingPayment = paymentCheckResult.rows[0];
+
+      // What was outstanding on a rescheduled due is collected through its
+      // installment plan
+      if (existingPayment.status === "rescheduled") {
+        await client.query("ROLLBACK");
+        return next(
+          createError(
+            "CONFLICT",
+            "Payment has been rescheduled into an installment plan; record receipts against its installments"
+          )
+        );
+      }
+
+      // Money received on an unpaid due goes through the tenant ledger, which
+      // derives paid_amount and status from the receipt allocations
+      const recordsReceipt =
+        existingPayment.status !== "paid" &&
+        (status === "paid" || paid_amount !== undefined);
+
+      // Amounts, dates and statuses of a due in a closed accounting period
+      // are fixed. Receipts are checked against the period they are dated in.
+      const changesLockedFields =
+        (!recordsReceipt && status && status !== existingPayment.status) ||
+        (!recordsReceipt &&
+          paid_amount !== undefined &&
+          parseFloat(paid_amount) !==
+            (parseFloat(existingPayment.paid_amount) || 0)) ||
+        (!recordsReceipt && payment_date) ||
+        (late_fee !== undefined &&
+          parseFloat(late_fee) !==
+            (parseFloat(existingPayment.late_fee) || 0));
+
+      if (changesLockedFields) {
+        await assertPeriodsOpen(
+          existingPayment.building_id,
+          [
+            existingPayment.due_date,
+            existingPayment.payment_date,
+            payment_date,
+          ],
+          client
+        );
+      }
+
       // Prepare update fields
       let updateFields = [];
       let updateParams = [];
       let paramIndex = 1;
 
-      if (status) {
+      if (status && !recordsReceipt) {
         updateFields.push(`status = $${paramIndex}`);
         updateParams.push(status);
         paramIndex++;
       }
 
-      if (paid_amount !== undefined) {
+      if (paid_amount !== undefined && !recordsReceipt) {
         updateFields.push(`paid_amount = $${paramIndex}`);
         updateParams.push(parseFloat(paid_amount));
         paramIndex++;
@@ -650,6 +1086,41 @@ class RentController {
         await client.query(updateQuery, updateParams);
       }
 
+      // Record manual late fee changes in the late fee audit trail
+      const previousLateFee = parseFloat(existingPayment.late_fee) || 0;
+      if (
+        late_fee !== undefined &&
+        parseFloat(late_fee) !== previousLateFee
+      ) {
+        await client.query(
+          `INSERT INTO late_fee_assessments (
+            payment_id, assessment_type, previous_fee, new_fee, reason,
+            created_by, created_at
+          ) VALUES ($1, 'manual', $2, $3, $4, $5, CURRENT_TIMESTAMP)`,
+          [
+            paymentId,
+            previousLateFee,
+            parseFloat(late_fee),
+            notes || null,
+            userId,
+          ]
+        );
+      }
+
+      if (recordsReceipt) {
+        await receivePayment(
+          paymentId,
+          {
+            paidAmount: status === "paid" ? null : paid_amount,
+            paymentDate: payment_date || null,
+            paymentMethod: payment_method || null,
+            transactionId: transaction_id || null,
+            createdBy: userId,
+          },
+          client
+        );
+      }
+
       // Handle file uploads
       const uploadedReceipts = [];
       if (files.length > 0) {
@@ -681,6 +1152,38 @@ class RentController {
 
       await client.query("COMMIT");
 
+      // Issue the numbered PDF receipt once the payment is fully paid. A failure
+      // here must not undo the payment update; the receipt is rebuilt on download.
+      let generatedReceipt = null;
+      const statusResult = await client.query(
+        "SELECT status FROM payments WHERE id = $1",
+        [paymentId]
+      );
+      if (
+        existingPayment.status !== "paid" &&
+        statusResult.rows[0].status === "paid"
+      ) {
+        try {
+          const receipt = await generatePaymentReceipt(
+            paymentId,
+            { generatedBy: userId },
+            client
+          );
+          generatedReceipt = {
+            id: receipt.id,
+            receiptNumber: receipt.receipt_number,
+            fileName: receipt.file_name,
+            filePath: receipt.file_path,
+            fileSize: receipt.file_size,
+          };
+        } catch (receiptError) {
+          console.error(
+            `Error generating receipt for payment ${paymentId}:`,
+            receiptError
+          );
+        }
+      }
+
       // Fetch updated payment with all details
       const updatedPaymentQuery = `
         SELECT 
@@ -697,6 +1200,8 @@ class RentController {
                 'file_name', pr.file_name,
                 'file_path', pr.file_path,
                 'file_size', pr.file_size,
+                'receipt_type', pr.receipt_type,
+                'receipt_number', pr.receipt_number,
                 'uploaded_at', pr.uploaded_at
               )
               FROM payment_receipts pr 
@@ -733,7 +1238,7 @@ class RentController {
             transactionId: updatedPayment.transaction_id,
             lateFee: parseFloat(updatedPayment.late_fee) || 0,
             notes: updatedPayment.notes,
-            paidAmount: 0,
+            paidAmount: parseFloat(updatedPayment.paid_amount) || 0,
             tenant: {
               name: `${updatedPayment.first_name || ""} ${
                 updatedPayment.last_name || ""
@@ -749,6 +1254,7 @@ class RentController {
             receipts: updatedPayment.receipts || [],
           },
           uploadedReceipts,
+          generatedReceipt,
         },
       });
     } catch (error) {
@@ -766,6 +1272,9 @@ class RentController {
         }
       }
 
+      if (error.statusCode) {
+        return next(error);
+      }
       next(createError("DATABASE_ERROR", "Failed to update payment"));
     } finally {
       client.release();
@@ -802,6 +1311,7 @@ class RentController {
               },
             },
             payments: [],
+            paymentPlans: [],
           },
         });
       }
@@ -809,7 +1319,7 @@ class RentController {
       let whereConditions = [
         "b.id = ANY($1)",
         "p.due_date < CURRENT_DATE",
-        "p.status != 'paid'",
+        "p.status NOT IN ('paid', 'rescheduled')",
       ];
       let params = [accessibleBuildingIds];
       let paramIndex = 2;
@@ -877,6 +1387,16 @@ class RentController {
           
           -- Tenancy info
           t.rent_amount as tenancy_rent,
+          t.billing_day,
+          
+          -- Billing cycle the rent was due for
+          rc.period_start,
+          rc.period_end,
+          
+          -- Installment plan the payment belongs to
+          pp.id as plan_id,
+          pp.status as plan_status,
+          pp.installment_count as plan_installment_count,
           
           -- Calculate days overdue
           (CURRENT_DATE - p.due_date)::integer as days_overdue,
@@ -898,12 +1418,28 @@ class RentController {
         JOIN rooms r ON un.room_id = r.id
         JOIN floors f ON r.floor_id = f.id
         JOIN buildings b ON r.building_id = b.id
+        LEFT JOIN rent_cycles rc ON (
+          p.payment_type = 'rent'
+          AND rc.tenancy_id = t.id
+          AND rc.due_date = p.due_date
+        )
+        LEFT JOIN payment_plans pp ON p.payment_plan_id = pp.id
         WHERE ${whereClause}
         ORDER BY ${sortColumn}
       `;
 
       const overdueResult = await pool.query(overdueQuery, params);
 
+      // Arrears under an installment plan, broken plans first
+      const planRows = await RentController.findPaymentPlans(
+        [
+          "r.building_id = ANY($1)",
+          "pp.status IN ('active', 'broken')",
+          ...(params.length > 1 ? ["r.building_id = $2"] : []),
+        ],
+        params.slice(0, 2)
+      );
+
       // Calculate aging summary
       const aging = {
         "current": { count: 0, amount: 0 },
@@ -935,6 +1471,16 @@ class RentController {
           paymentType: payment.payment_type,
           daysOverdue: payment.days_overdue,
           agingBucket: payment.aging_bucket,
+          billingPeriod: payment.period_start
+            ? { start: payment.period_start, end: payment.period_end }
+            : null,
+          paymentPlan: payment.plan_id
+            ? {
+                id: payment.plan_id,
+                status: payment.plan_status,
+                installmentCount: payment.plan_installment_count,
+              }
+            : null,
 
           tenant: {
             firstName: payment.first_name,
@@ -959,6 +1505,7 @@ class RentController {
 
           tenancy: {
             rentAmount: parseFloat(payment.tenancy_rent),
+            billingDay: payment.billing_day,
           },
         };
       });
@@ -970,8 +1517,13 @@ class RentController {
             totalOverdue,
             totalAmount,
             aging,
+            activePlans: planRows.filter((plan) => plan.status === "active")
+              .length,
+            brokenPlans: planRows.filter((plan) => plan.status === "broken")
+              .length,
           },
           payments,
+          paymentPlans: planRows.map(RentController.formatPaymentPlan),
           filters: {
             building_id,
             days_overdue,
@@ -985,6 +1537,99 @@ class RentController {
     }
   }
 
+  /**
+   * GET /api/rent-collection/aging
+   * Get receivables by building and tenant in current, 1-30, 31-60, 61-90
+   * and 90+ day buckets as of a date, with former tenants listed apart
+   */
+  static async getAgingReport(req, res, next) {
+    try {
+      const today = new Date().toLocaleDateString("en-CA");
+      const { as_of_date = today, building_ids } = req.query;
+
+      if (as_of_date > today) {
+        return next(
+          createError("VALIDATION_ERROR", "As of date cannot be in the future")
+        );
+      }
+
+      const buildingIds = await RentController.getRequestedBuildingIds(
+        req.user.id,
+        req.user.role,
+        building_ids
+      );
+
+      if (!buildingIds) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      const report = await getAgingReport({
+        asOfDate: as_of_date,
+        buildingIds,
+      });
+
+      res.json({
+        success: true,
+        data: report,
+      });
+    } catch (error) {
+      console.error("Error fetching aging report:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch aging report"));
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/aging/export
+   * Download the receivables aging report as an Excel workbook
+   */
+  static async exportAgingReport(req, res, next) {
+    try {
+      const today = new Date().toLocaleDateString("en-CA");
+      const { as_of_date = today, building_ids } = req.query;
+
+      if (as_of_date > today) {
+        return next(
+          createError("VALIDATION_ERROR", "As of date cannot be in the future")
+        );
+      }
+
+      const buildingIds = await RentController.getRequestedBuildingIds(
+        req.user.id,
+        req.user.role,
+        building_ids
+      );
+
+      if (!buildingIds) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      const report = await getAgingReport({
+        asOfDate: as_of_date,
+        buildingIds,
+      });
+      const workbook = buildAgingWorkbook(report);
+
+      res.setHeader(
+        "Content-Type",
+        "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet"
+      );
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=receivables_aging_${report.asOfDate}.xlsx`
+      );
+
+      await workbook.xlsx.write(res);
+      res.end();
+    } catch (error) {
+      console.error("Error exporting aging report:", error);
+      next(createError("DATABASE_ERROR", "Failed to export aging report"));
+    }
+  }
+
   /**
    * GET /api/rent-collection/tenant/:tenantId/history
    * Get payment history for a specific tenant
@@ -1025,6 +1670,7 @@ class RentController {
           up.first_name,
           up.last_name,
           up.phone,
+          t.id as tenancy_id,
           b.id as building_id,
           b.name as building_name
         FROM users u
@@ -1034,6 +1680,7 @@ class RentController {
         JOIN rooms r ON un.room_id = r.id
         JOIN buildings b ON r.building_id = b.id
         WHERE u.id = $1 AND b.id = ANY($2)
+        ORDER BY t.start_date DESC
         LIMIT 1
       `;
 
@@ -1074,6 +1721,7 @@ class RentController {
           p.transaction_id,
           p.status,
           p.late_fee,
+          p.paid_amount,
           p.notes,
           p.created_at,
           
@@ -1101,7 +1749,25 @@ class RentController {
             WHEN p.payment_date IS NOT NULL AND p.payment_date > p.due_date
             THEN (p.payment_date - p.due_date)::integer
             ELSE 0
-          END as days_late
+          END as days_late,
+          
+          -- Reminders sent for this payment
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'id', prm.id,
+                'reminder_type', prm.reminder_type,
+                'channel', prm.channel,
+                'status', prm.status,
+                'error_message', prm.error_message,
+                'sent_at', prm.sent_at
+              )
+              FROM payment_reminders prm
+              WHERE prm.payment_id = p.id
+              ORDER BY prm.sent_at DESC
+            ), 
+            ARRAY[]::json[]
+          ) as reminders
           
         FROM payments p
         JOIN tenancies t ON p.tenancy_id = t.id
@@ -1118,6 +1784,9 @@ class RentController {
       params.push(parseInt(limit));
       const historyResult = await pool.query(historyQuery, params);
 
+      // Account ledger with running balance for the tenant's current tenancy
+      const ledger = await getTenancyLedger(tenant.tenancy_id);
+
       // Calculate summary statistics
       let totalPayments = 0;
       let totalPaid = 0;
@@ -1154,8 +1823,10 @@ class RentController {
           notes: payment.notes,
           paidOnTime: payment.paid_on_time,
           daysLate: payment.days_late,
-          paidAmount: 0,
+          paidAmount: parseFloat(payment.paid_amount) || 0,
           createdAt: payment.created_at,
+          reminders: payment.reminders || [],
+          lastReminderAt: payment.reminders?.[0]?.sent_at || null,
 
           unit: {
             unitNumber: payment.unit_number,
@@ -1193,6 +1864,10 @@ class RentController {
             },
           },
           payments,
+          ledger: {
+            tenancyId: tenant.tenancy_id,
+            ...ledger,
+          },
           summary: {
             totalPayments,
             totalPaid: Math.round(totalPaid * 100) / 100,
@@ -1234,7 +1909,7 @@ class RentController {
    */
   static async sendPaymentReminders(req, res, next) {
     try {
-      const { payment_ids, reminder_type } = req.body;
+      const { payment_ids, reminder_type, custom_message } = req.body;
       const userId = req.user.id;
       const userRole = req.user.role;
 
@@ -1273,7 +1948,7 @@ class RentController {
         JOIN units un ON t.unit_id = un.id
         JOIN rooms r ON un.room_id = r.id
         JOIN buildings b ON r.building_id = b.id
-        WHERE p.id = ANY($1) AND b.id = ANY($2) AND p.status != 'paid'
+        WHERE p.id = ANY($1) AND b.id = ANY($2) AND p.status NOT IN ('paid', 'rescheduled')
       `;
 
       const paymentsResult = await pool.query(paymentsQuery, [
@@ -1291,66 +1966,28 @@ class RentController {
       let sentCount = 0;
       let failedCount = 0;
 
-      // Reminder functionality would be implemented here
-      // const reminderTemplates = {
-      //   gentle: { subject: "Friendly Reminder: Rent Payment Due", template: "gentle_reminder" },
-      //   firm: { subject: "Important: Overdue Rent Payment", template: "firm_reminder" },
-      //   final: { subject: "FINAL NOTICE: Immediate Action Required", template: "final_reminder" },
-      // };
-      // const reminderConfig = reminderTemplates[reminder_type];
-
-      // Send reminders (This is a placeholder - implement actual email sending)
       for (const payment of paymentsResult.rows) {
-        try {
-          // Here you would implement the actual email sending logic
-          // using your email service (nodemailer, etc.)
-
-          // Email data would be prepared here for actual email sending
-          // const emailData = {
-          //   to: payment.tenant_email,
-          //   subject: reminderConfig.subject,
-          //   template: reminderConfig.template,
-          //   data: {
-          //     tenantName: `${payment.first_name || ""} ${payment.last_name || ""}`.trim(),
-          //     unitNumber: payment.unit_number,
-          //     buildingName: payment.building_name,
-          //     amount: parseFloat(payment.amount),
-          //     dueDate: payment.due_date,
-          //     daysOverdue: payment.days_overdue,
-          //     customMessage: custom_message || "",
-          //   },
-          // };
-
-          // Placeholder for email sending
-          // await emailService.sendReminderEmail(emailData);
-
-          results.push({
-            paymentId: payment.id,
-            tenantEmail: payment.tenant_email,
-            status: "sent",
-            sentAt: new Date().toISOString(),
-          });
+        const reminder = await sendPaymentReminder(payment, reminder_type, {
+          sentBy: userId,
+          customMessage: custom_message || null,
+        });
 
+        if (reminder.status === "sent") {
           sentCount++;
-        } catch (emailError) {
-          console.error(
-            `Failed to send reminder for payment ${payment.id}:`,
-            emailError
-          );
-
-          results.push({
-            paymentId: payment.id,
-            tenantEmail: payment.tenant_email,
-            status: "failed",
-            error: emailError.message,
-          });
-
+        } else {
           failedCount++;
         }
-      }
 
-      // Log reminder activity (optional)
-      // You might want to create a reminders table to track sent reminders
+        results.push({
+          paymentId: payment.id,
+          reminderId: reminder.id,
+          tenantEmail: payment.tenant_email,
+          status: reminder.status,
+          channel: reminder.channel,
+          sentAt: reminder.sent_at,
+          ...(reminder.error_message && { error: reminder.error_message }),
+        });
+      }
 
       res.json({
         success: true,
@@ -1368,6 +2005,3243 @@ class RentController {
       next(createError("DATABASE_ERROR", "Failed to send payment reminders"));
     }
   }
+
+  /**
+   * GET /api/rent-collection/dunning-schedules
+   * Get the reminder escalation schedule for each accessible building
+   */
+  static async getDunningSchedules(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      const schedulesQuery = `
+        SELECT 
+          b.id as building_id,
+          b.name as building_name,
+          ds.id as schedule_id,
+          ds.gentle_day,
+          ds.firm_day,
+          ds.final_day,
+          ds.escalation_day,
+          ds.is_active,
+          ds.updated_at
+        FROM buildings b
+        LEFT JOIN dunning_schedules ds ON ds.building_id = b.id
+        WHERE b.id = ANY($1)
+        ORDER BY b.name
+      `;
+
+      const schedulesResult = await pool.query(schedulesQuery, [
+        accessibleBuildingIds,
+      ]);
+
+      const schedules = schedulesResult.rows.map((row) => {
+        const schedule = row.schedule_id ? row : DEFAULT_DUNNING_SCHEDULE;
+
+        return {
+          building: {
+            id: row.building_id,
+            name: row.building_name,
+          },
+          isDefault: !row.schedule_id,
+          isActive: row.schedule_id ? row.is_active : true,
+          gentleDay: schedule.gentle_day,
+          firmDay: schedule.firm_day,
+          finalDay: schedule.final_day,
+          escalationDay: schedule.escalation_day,
+          updatedAt: row.updated_at,
+        };
+      });
+
+      res.json({
+        success: true,
+        data: {
+          schedules,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching dunning schedules:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch dunning schedules"));
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/dunning-schedules/:buildingId
+   * Create or update the reminder escalation schedule for a building
+   */
+  static async updateDunningSchedule(req, res, next) {
+    try {
+      const { buildingId } = req.params;
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      if (!accessibleBuildingIds.includes(parseInt(buildingId))) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      // Days not provided fall back to the default schedule; null disables a stage
+      const days = {};
+      for (const stage of DUNNING_STAGES) {
+        const value = req.body[stage.column];
+        days[stage.column] =
+          value === undefined
+            ? DEFAULT_DUNNING_SCHEDULE[stage.column]
+            : value === null
+            ? null
+            : parseInt(value);
+      }
+
+      const enabledDays = DUNNING_STAGES.map((stage) => days[stage.column]).filter(
+        (day) => day !== null
+      );
+      const isAscending = enabledDays.every(
+        (day, index) => index === 0 || day > enabledDays[index - 1]
+      );
+
+      if (!isAscending) {
+        return next(
+          createError(
+            "VALIDATION_ERROR",
+            "Reminder days must increase from gentle to firm to final to escalation"
+          )
+        );
+      }
+
+      const upsertQuery = `
+        INSERT INTO dunning_schedules (
+          building_id, gentle_day, firm_day, final_day, escalation_day,
+          is_active, updated_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (building_id) DO UPDATE SET
+          gentle_day = EXCLUDED.gentle_day,
+          firm_day = EXCLUDED.firm_day,
+          final_day = EXCLUDED.final_day,
+          escalation_day = EXCLUDED.escalation_day,
+          is_active = EXCLUDED.is_active,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await pool.query(upsertQuery, [
+        parseInt(buildingId),
+        days.gentle_day,
+        days.firm_day,
+        days.final_day,
+        days.escalation_day,
+        req.body.is_active === undefined ? true : req.body.is_active,
+        userId,
+      ]);
+
+      const schedule = result.rows[0];
+
+      res.json({
+        success: true,
+        message: "Dunning schedule updated successfully",
+        data: {
+          schedule: {
+            buildingId: schedule.building_id,
+            isActive: schedule.is_active,
+            gentleDay: schedule.gentle_day,
+            firmDay: schedule.firm_day,
+            finalDay: schedule.final_day,
+            escalationDay: schedule.escalation_day,
+            updatedAt: schedule.updated_at,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error updating dunning schedule:", error);
+      next(createError("DATABASE_ERROR", "Failed to update dunning schedule"));
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/late-fee-policies
+   * Get the late fee policy for each accessible building
+   */
+  static async getLateFeePolicies(req, res, next) {
+    try {
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      const policiesQuery = `
+        SELECT 
+          b.id as building_id,
+          b.name as building_name,
+          lfp.id as policy_id,
+          lfp.grace_days,
+          lfp.fee_type,
+          lfp.fee_value,
+          lfp.daily_accrual,
+          lfp.max_fee,
+          lfp.is_active,
+          lfp.updated_at
+        FROM buildings b
+        LEFT JOIN late_fee_policies lfp ON lfp.building_id = b.id
+        WHERE b.id = ANY($1)
+        ORDER BY b.name
+      `;
+
+      const policiesResult = await pool.query(policiesQuery, [
+        accessibleBuildingIds,
+      ]);
+
+      const policies = policiesResult.rows.map((row) => ({
+        building: {
+          id: row.building_id,
+          name: row.building_name,
+        },
+        policy: row.policy_id
+          ? {
+              id: row.policy_id,
+              graceDays: row.grace_days,
+              feeType: row.fee_type,
+              feeValue: parseFloat(row.fee_value),
+              dailyAccrual: row.daily_accrual,
+              maxFee: row.max_fee !== null ? parseFloat(row.max_fee) : null,
+              isActive: row.is_active,
+              updatedAt: row.updated_at,
+            }
+          : null,
+      }));
+
+      res.json({
+        success: true,
+        data: {
+          policies,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching late fee policies:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch late fee policies"));
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/late-fee-policies/:buildingId
+   * Create or update the late fee policy for a building
+   */
+  static async updateLateFeePolicy(req, res, next) {
+    try {
+      const { buildingId } = req.params;
+      const {
+        grace_days = 5,
+        fee_type,
+        fee_value,
+        daily_accrual = false,
+        max_fee = null,
+        is_active = true,
+      } = req.body;
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      if (!accessibleBuildingIds.includes(parseInt(buildingId))) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      const upsertQuery = `
+        INSERT INTO late_fee_policies (
+          building_id, grace_days, fee_type, fee_value, daily_accrual,
+          max_fee, is_active, updated_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (building_id) DO UPDATE SET
+          grace_days = EXCLUDED.grace_days,
+          fee_type = EXCLUDED.fee_type,
+          fee_value = EXCLUDED.fee_value,
+          daily_accrual = EXCLUDED.daily_accrual,
+          max_fee = EXCLUDED.max_fee,
+          is_active = EXCLUDED.is_active,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await pool.query(upsertQuery, [
+        parseInt(buildingId),
+        parseInt(grace_days),
+        fee_type,
+        parseFloat(fee_value),
+        daily_accrual,
+        max_fee !== null ? parseFloat(max_fee) : null,
+        is_active,
+        userId,
+      ]);
+
+      const policy = result.rows[0];
+
+      res.json({
+        success: true,
+        message: "Late fee policy updated successfully",
+        data: {
+          policy: {
+            id: policy.id,
+            buildingId: policy.building_id,
+            graceDays: policy.grace_days,
+            feeType: policy.fee_type,
+            feeValue: parseFloat(policy.fee_value),
+            dailyAccrual: policy.daily_accrual,
+            maxFee: policy.max_fee !== null ? parseFloat(policy.max_fee) : null,
+            isActive: policy.is_active,
+            updatedAt: policy.updated_at,
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error updating late fee policy:", error);
+      next(createError("DATABASE_ERROR", "Failed to update late fee policy"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/payments/:paymentId/waive-late-fee
+   * Waive the late fee on a payment and stop further automatic assessment
+   */
+  static async waiveLateFee(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { paymentId } = req.params;
+      const { reason } = req.body;
+      const userId = req.user.id;
+      const userRole = req.user.role;
+
+      await client.query("BEGIN");
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, userRole);
+
+      const paymentCheckQuery = `
+        SELECT p.id, COALESCE(p.late_fee, 0) as late_fee, p.late_fee_waived,
+               COALESCE(p.paid_amount, 0) as paid_amount, p.due_date,
+               b.id as building_id,
+               CASE 
+                 WHEN p.due_date < CURRENT_DATE THEN (CURRENT_DATE - p.due_date)::integer
+                 ELSE 0
+               END as days_overdue
+        FROM payments p
+        JOIN tenancies t ON p.tenancy_id = t.id
+        JOIN units u ON t.unit_id = u.id
+        JOIN rooms r ON u.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        WHERE p.id = $1 AND b.id = ANY($2)
+        FOR UPDATE OF p
+      `;
+
+      const paymentCheckResult = await client.query(paymentCheckQuery, [
+        paymentId,
+        accessibleBuildingIds,
+      ]);
+
+      if (paymentCheckResult.rows.length === 0) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Payment not found or access denied")
+        );
+      }
+
+      const payment = paymentCheckResult.rows[0];
+
+      if (payment.late_fee_waived) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("CONFLICT", "Late fee has already been waived")
+        );
+      }
+
+      await assertPeriodsOpen(payment.building_id, [payment.due_date], client);
+
+      const updateResult = await client.query(
+        `UPDATE payments
+         SET late_fee = 0,
+             late_fee_waived = true,
+             late_fee_waived_reason = $1,
+             late_fee_waived_by = $2,
+             late_fee_waived_at = CURRENT_TIMESTAMP,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $3
+         RETURNING id, late_fee, late_fee_waived, late_fee_waived_reason, late_fee_waived_at`,
+        [reason, userId, paymentId]
+      );
+
+      await client.query(
+        `INSERT INTO late_fee_assessments (
+          payment_id, assessment_type, days_overdue, previous_fee, new_fee,
+          reason, created_by, created_at
+        ) VALUES ($1, 'waiver', $2, $3, 0, $4, $5, CURRENT_TIMESTAMP)`,
+        [
+          paymentId,
+          payment.days_overdue,
+          parseFloat(payment.late_fee),
+          reason,
+          userId,
+        ]
+      );
+
+      // Receipts already allocated may now cover the reduced amount
+      if (parseFloat(payment.paid_amount) > 0) {
+        await syncPaymentStatus([payment.id], client);
+      }
+
+      await client.query("COMMIT");
+
+      const updated = updateResult.rows[0];
+
+      res.json({
+        success: true,
+        message: "Late fee waived successfully",
+        data: {
+          payment: {
+            id: updated.id,
+            lateFee: parseFloat(updated.late_fee) || 0,
+            waivedAmount: parseFloat(payment.late_fee),
+            lateFeeWaived: updated.late_fee_waived,
+            waiverReason: updated.late_fee_waived_reason,
+            waivedAt: updated.late_fee_waived_at,
+          },
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error waiving late fee:", error);
+      next(createError("DATABASE_ERROR", "Failed to waive late fee"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Get a tenancy within the user's accessible buildings, or null
+   */
+  static async getAccessibleTenancy(tenancyId, userId, userRole, db = pool) {
+    const accessibleBuildingIds =
+      await RentController.getAccessibleBuildingIds(userId, userRole);
+
+    const tenancyQuery = `
+      SELECT t.id, t.tenant_user_id, b.id as building_id
+      FROM tenancies t
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      WHERE t.id = $1 AND b.id = ANY($2)
+    `;
+
+    const result = await db.query(tenancyQuery, [
+      tenancyId,
+      accessibleBuildingIds,
+    ]);
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * GET /api/rent-collection/tenancies/:tenancyId/ledger
+   * Get the account ledger of a tenancy with running balance
+   */
+  static async getTenancyLedger(req, res, next) {
+    try {
+      const { tenancyId } = req.params;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const ledger = await getTenancyLedger(tenancy.id);
+
+      res.json({
+        success: true,
+        data: {
+          tenancyId: tenancy.id,
+          ...ledger,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching tenancy ledger:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch tenancy ledger"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/tenancies/:tenancyId/ledger/receipts
+   * Record money received from a tenant and allocate it to open dues
+   */
+  static async recordLedgerReceipt(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { tenancyId } = req.params;
+      const {
+        amount,
+        entry_date,
+        payment_method,
+        transaction_id,
+        description,
+        allocations,
+      } = req.body;
+      const userId = req.user.id;
+
+      await client.query("BEGIN");
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        userId,
+        req.user.role,
+        client
+      );
+
+      if (!tenancy) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const result = await recordReceipt(
+        {
+          tenancyId: tenancy.id,
+          amount: parseFloat(amount),
+          entryDate: entry_date || null,
+          paymentMethod: payment_method,
+          transactionId: transaction_id || null,
+          description: description || "Payment received",
+          createdBy: userId,
+          allocations: allocations || null,
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: "Receipt recorded successfully",
+        data: {
+          entry: result.entry,
+          allocations: result.allocations,
+          unallocated: result.unallocated,
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error recording ledger receipt:", error);
+      next(createError("DATABASE_ERROR", "Failed to record receipt"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/tenancies/:tenancyId/ledger/adjustments
+   * Add an adjustment (charge or reduction) or a credit to a tenancy's ledger
+   */
+  static async createLedgerAdjustment(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { tenancyId } = req.params;
+      const {
+        entry_type,
+        direction = "credit",
+        amount,
+        entry_date,
+        description,
+        allocate = true,
+      } = req.body;
+      const userId = req.user.id;
+
+      await client.query("BEGIN");
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        userId,
+        req.user.role,
+        client
+      );
+
+      if (!tenancy) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      // Credits always reduce what the tenant owes
+      const isDebit = entry_type === "adjustment" && direction === "debit";
+
+      const entry = await createLedgerEntry(
+        {
+          tenancyId: tenancy.id,
+          entryType: entry_type,
+          debit: isDebit ? parseFloat(amount) : 0,
+          credit: isDebit ? 0 : parseFloat(amount),
+          entryDate: entry_date || null,
+          description,
+          createdBy: userId,
+        },
+        client
+      );
+
+      let allocationResult = null;
+      if (!isDebit && allocate !== false && allocate !== "false") {
+        allocationResult = await allocateEntry(
+          entry.id,
+          { allocatedBy: userId },
+          client
+        );
+      }
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: "Ledger entry created successfully",
+        data: {
+          entry,
+          allocations: allocationResult ? allocationResult.allocations : [],
+          unallocated: allocationResult
+            ? allocationResult.unallocated
+            : isDebit
+            ? 0
+            : parseFloat(entry.credit),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating ledger entry:", error);
+      next(createError("DATABASE_ERROR", "Failed to create ledger entry"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/ledger/entries/:entryId/allocations
+   * Reallocate a receipt or credit across dues manually (or back to oldest-first)
+   */
+  static async reallocateLedgerEntry(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { entryId } = req.params;
+      const { allocations } = req.body;
+      const userId = req.user.id;
+
+      await client.query("BEGIN");
+
+      const entryResult = await client.query(
+        "SELECT id, tenancy_id FROM ledger_entries WHERE id = $1 FOR UPDATE",
+        [entryId]
+      );
+
+      const tenancy =
+        entryResult.rows.length > 0
+          ? await RentController.getAccessibleTenancy(
+              entryResult.rows[0].tenancy_id,
+              userId,
+              req.user.role,
+              client
+            )
+          : null;
+
+      if (!tenancy) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Ledger entry not found or access denied")
+        );
+      }
+
+      const result = await reallocateEntry(
+        entryResult.rows[0].id,
+        { allocations: allocations || null, allocatedBy: userId },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Allocations updated successfully",
+        data: {
+          entryId: result.entry.id,
+          allocations: result.allocations,
+          unallocated: result.unallocated,
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error reallocating ledger entry:", error);
+      next(createError("DATABASE_ERROR", "Failed to update allocations"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/tenancies/:tenancyId/rent-revisions
+   * Get scheduled and past rent revisions with the tenancy's rent history
+   */
+  static async getRentRevisions(req, res, next) {
+    try {
+      const { tenancyId } = req.params;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const tenancyResult = await pool.query(
+        "SELECT rent_amount, start_date FROM tenancies WHERE id = $1",
+        [tenancy.id]
+      );
+
+      const revisionsResult = await pool.query(
+        `SELECT
+          rr.*,
+          TRIM(CONCAT(cp.first_name, ' ', cp.last_name)) as created_by_name
+        FROM rent_revisions rr
+        LEFT JOIN user_profiles cp ON rr.created_by = cp.user_id
+        WHERE rr.tenancy_id = $1
+        ORDER BY rr.effective_date DESC, rr.id DESC`,
+        [tenancy.id]
+      );
+
+      const historyResult = await pool.query(
+        `SELECT id, rent_amount, effective_from, effective_to, revision_id
+         FROM tenancy_rent_history
+         WHERE tenancy_id = $1
+         ORDER BY effective_from DESC`,
+        [tenancy.id]
+      );
+
+      const currentRent = parseFloat(tenancyResult.rows[0].rent_amount);
+
+      res.json({
+        success: true,
+        data: {
+          tenancyId: tenancy.id,
+          currentRent,
+          revisions: revisionsResult.rows.map((revision) => ({
+            id: revision.id,
+            revisionType: revision.revision_type,
+            revisionValue: parseFloat(revision.revision_value),
+            effectiveDate: revision.effective_date,
+            recurrenceMonths: revision.recurrence_months,
+            noticeDays: revision.notice_days,
+            status: revision.status,
+            previousRent:
+              revision.previous_rent !== null
+                ? parseFloat(revision.previous_rent)
+                : null,
+            newRent:
+              revision.new_rent !== null ? parseFloat(revision.new_rent) : null,
+            // Projection from today's rent for revisions not yet applied
+            projectedRent:
+              revision.status === "scheduled"
+                ? calculateRevisedRent(
+                    currentRent,
+                    revision.revision_type,
+                    revision.revision_value
+                  )
+                : null,
+            notes: revision.notes,
+            notifiedAt: revision.notified_at,
+            appliedAt: revision.applied_at,
+            cancelledAt: revision.cancelled_at,
+            createdBy: revision.created_by_name || null,
+            createdAt: revision.created_at,
+          })),
+          history:
+            historyResult.rows.length > 0
+              ? historyResult.rows.map((row) => ({
+                  id: row.id,
+                  rentAmount: parseFloat(row.rent_amount),
+                  effectiveFrom: row.effective_from,
+                  effectiveTo: row.effective_to,
+                  revisionId: row.revision_id,
+                }))
+              : [
+                  {
+                    id: null,
+                    rentAmount: currentRent,
+                    effectiveFrom: tenancyResult.rows[0].start_date,
+                    effectiveTo: null,
+                    revisionId: null,
+                  },
+                ],
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching rent revisions:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch rent revisions"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/tenancies/:tenancyId/rent-revisions
+   * Schedule a rent revision; revisions effective today are applied immediately
+   */
+  static async createRentRevision(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { tenancyId } = req.params;
+      const {
+        revision_type,
+        revision_value,
+        effective_date,
+        recurrence_months = null,
+        notice_days = 30,
+        notes,
+      } = req.body;
+      const userId = req.user.id;
+
+      await client.query("BEGIN");
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        userId,
+        req.user.role,
+        client
+      );
+
+      if (!tenancy) {
+        await client.query("ROLLBACK");
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const dateCheckResult = await client.query(
+        `SELECT
+          $1::date < CURRENT_DATE as is_past,
+          $1::date = CURRENT_DATE as is_today,
+          EXISTS (
+            SELECT 1 FROM rent_revisions
+            WHERE tenancy_id = $2 AND effective_date = $1::date AND status = 'scheduled'
+          ) as has_conflict
+        `,
+        [effective_date, tenancy.id]
+      );
+      const { is_past, is_today, has_conflict } = dateCheckResult.rows[0];
+
+      if (is_past) {
+        await client.query("ROLLBACK");
+        return next(
+          createError(
+            "VALIDATION_ERROR",
+            "Effective date cannot be in the past"
+          )
+        );
+      }
+
+      if (has_conflict) {
+        await client.query("ROLLBACK");
+        return next(
+          createError(
+            "CONFLICT",
+            "A rent revision is already scheduled for this date"
+          )
+        );
+      }
+
+      const insertResult = await client.query(
+        `INSERT INTO rent_revisions (
+          tenancy_id, revision_type, revision_value, effective_date,
+          recurrence_months, notice_days, notes, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *`,
+        [
+          tenancy.id,
+          revision_type,
+          parseFloat(revision_value),
+          effective_date,
+          recurrence_months ? parseInt(recurrence_months) : null,
+          parseInt(notice_days),
+          notes || null,
+          userId,
+        ]
+      );
+
+      let revision = insertResult.rows[0];
+      let nextRevision = null;
+
+      if (is_today) {
+        const applied = await applyRentRevision(revision.id, client);
+        revision = applied.revision;
+        nextRevision = applied.nextRevision;
+      }
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: is_today
+          ? "Rent revision applied successfully"
+          : "Rent revision scheduled successfully",
+        data: {
+          revision,
+          nextRevision,
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating rent revision:", error);
+      next(createError("DATABASE_ERROR", "Failed to create rent revision"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * DELETE /api/rent-collection/rent-revisions/:revisionId
+   * Cancel a scheduled rent revision
+   */
+  static async cancelRentRevision(req, res, next) {
+    try {
+      const { revisionId } = req.params;
+      const userId = req.user.id;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, req.user.role);
+
+      const cancelQuery = `
+        UPDATE rent_revisions rr
+        SET status = 'cancelled',
+            cancelled_by = $1,
+            cancelled_at = CURRENT_TIMESTAMP,
+            updated_at = CURRENT_TIMESTAMP
+        FROM tenancies t
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        WHERE rr.id = $2
+          AND rr.tenancy_id = t.id
+          AND r.building_id = ANY($3)
+          AND rr.status = 'scheduled'
+        RETURNING rr.*
+      `;
+
+      const result = await pool.query(cancelQuery, [
+        userId,
+        revisionId,
+        accessibleBuildingIds,
+      ]);
+
+      if (result.rows.length === 0) {
+        return next(
+          createError(
+            "NOT_FOUND",
+            "Scheduled rent revision not found or access denied"
+          )
+        );
+      }
+
+      res.json({
+        success: true,
+        message: "Rent revision cancelled successfully",
+        data: { revision: result.rows[0] },
+      });
+    } catch (error) {
+      console.error("Error cancelling rent revision:", error);
+      next(createError("DATABASE_ERROR", "Failed to cancel rent revision"));
+    }
+  }
+
+  /**
+   * Shape a recurring charge row for the API
+   */
+  static formatRecurringCharge(charge) {
+    return {
+      id: charge.id,
+      tenancyId: charge.tenancy_id,
+      paymentType: charge.payment_type,
+      description: charge.description,
+      amount: parseFloat(charge.amount),
+      frequency: charge.frequency,
+      startDate: charge.start_date,
+      endDate: charge.end_date,
+      isActive: charge.is_active,
+      lastBilledOn: charge.last_billed_on || null,
+      createdAt: charge.created_at,
+      updatedAt: charge.updated_at,
+    };
+  }
+
+  /**
+   * GET /api/rent-collection/tenancies/:tenancyId/recurring-charges
+   * List a tenancy's recurring add-on charges
+   */
+  static async getRecurringCharges(req, res, next) {
+    try {
+      const { tenancyId } = req.params;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const result = await pool.query(
+        `SELECT
+          rc.*,
+          (SELECT MAX(p.due_date) FROM payments p WHERE p.recurring_charge_id = rc.id) as last_billed_on
+        FROM tenancy_recurring_charges rc
+        WHERE rc.tenancy_id = $1
+        ORDER BY rc.is_active DESC, rc.start_date DESC, rc.id DESC`,
+        [tenancy.id]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          tenancyId: tenancy.id,
+          charges: result.rows.map(RentController.formatRecurringCharge),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching recurring charges:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch recurring charges"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/tenancies/:tenancyId/recurring-charges
+   * Attach a recurring charge, billed by the recurring payments job with rent
+   */
+  static async createRecurringCharge(req, res, next) {
+    try {
+      const { tenancyId } = req.params;
+      const {
+        payment_type,
+        description,
+        amount,
+        frequency = "monthly",
+        start_date,
+        end_date = null,
+      } = req.body;
+      const userId = req.user.id;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        userId,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      if (end_date && new Date(end_date) < new Date(start_date)) {
+        return next(
+          createError("VALIDATION_ERROR", "End date cannot be before start date")
+        );
+      }
+
+      const result = await pool.query(
+        `INSERT INTO tenancy_recurring_charges (
+          tenancy_id, payment_type, description, amount, frequency,
+          start_date, end_date, created_by, updated_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *`,
+        [
+          tenancy.id,
+          payment_type,
+          description.trim(),
+          parseFloat(amount),
+          frequency,
+          start_date,
+          end_date || null,
+          userId,
+        ]
+      );
+
+      res.status(201).json({
+        success: true,
+        message: "Recurring charge added successfully",
+        data: {
+          charge: RentController.formatRecurringCharge(result.rows[0]),
+        },
+      });
+    } catch (error) {
+      console.error("Error creating recurring charge:", error);
+      next(createError("DATABASE_ERROR", "Failed to create recurring charge"));
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/recurring-charges/:chargeId
+   * Change or stop a recurring charge; payments already raised are unchanged
+   */
+  static async updateRecurringCharge(req, res, next) {
+    try {
+      const { chargeId } = req.params;
+      const { description, amount, frequency, end_date, is_active } = req.body;
+      const userId = req.user.id;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, req.user.role);
+
+      const existingResult = await pool.query(
+        `SELECT rc.*
+        FROM tenancy_recurring_charges rc
+        JOIN tenancies t ON rc.tenancy_id = t.id
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        WHERE rc.id = $1 AND r.building_id = ANY($2)`,
+        [chargeId, accessibleBuildingIds]
+      );
+
+      const existing = existingResult.rows[0];
+      if (!existing) {
+        return next(
+          createError("NOT_FOUND", "Recurring charge not found or access denied")
+        );
+      }
+
+      if (end_date && new Date(end_date) < new Date(existing.start_date)) {
+        return next(
+          createError("VALIDATION_ERROR", "End date cannot be before start date")
+        );
+      }
+
+      const result = await pool.query(
+        `UPDATE tenancy_recurring_charges SET
+          description = COALESCE($1, description),
+          amount = COALESCE($2, amount),
+          frequency = COALESCE($3, frequency),
+          end_date = CASE WHEN $4::boolean THEN $5::date ELSE end_date END,
+          is_active = COALESCE($6, is_active),
+          updated_by = $7,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = $8
+        RETURNING *`,
+        [
+          description ? description.trim() : null,
+          amount !== undefined ? parseFloat(amount) : null,
+          frequency || null,
+          end_date !== undefined,
+          end_date || null,
+          is_active !== undefined ? is_active : null,
+          userId,
+          existing.id,
+        ]
+      );
+
+      res.json({
+        success: true,
+        message: "Recurring charge updated successfully",
+        data: {
+          charge: RentController.formatRecurringCharge(result.rows[0]),
+        },
+      });
+    } catch (error) {
+      console.error("Error updating recurring charge:", error);
+      next(createError("DATABASE_ERROR", "Failed to update recurring charge"));
+    }
+  }
+
+  /**
+   * Shape a refund or credit note row for the API
+   */
+  static formatRefund(refund) {
+    return {
+      id: refund.id,
+      refundType: refund.refund_type,
+      tenancyId: refund.tenancy_id,
+      paymentId: refund.payment_id,
+      amount: parseFloat(refund.amount),
+      reasonCategory: refund.reason_category,
+      reason: refund.reason,
+      refundMethod: refund.refund_method,
+      transactionId: refund.transaction_id,
+      refundDate: refund.refund_date,
+      status: refund.status,
+      requestedBy: refund.requested_by,
+      approvedBy: refund.approved_by,
+      approvedAt: refund.approved_at,
+      rejectedBy: refund.rejected_by,
+      rejectedAt: refund.rejected_at,
+      rejectionReason: refund.rejection_reason,
+      ledgerEntryId: refund.ledger_entry_id,
+      createdAt: refund.created_at,
+      updatedAt: refund.updated_at,
+    };
+  }
+
+  /**
+   * Check that a refund belongs to a building the user can access
+   */
+  static async getAccessibleRefund(refundId, userId, userRole) {
+    const accessibleBuildingIds =
+      await RentController.getAccessibleBuildingIds(userId, userRole);
+
+    const result = await pool.query(
+      `SELECT pr.*
+      FROM payment_refunds pr
+      JOIN tenancies t ON pr.tenancy_id = t.id
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      WHERE pr.id = $1 AND r.building_id = ANY($2)`,
+      [refundId, accessibleBuildingIds]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * GET /api/rent-collection/refunds
+   * List refunds and credit notes with filters
+   */
+  static async getRefunds(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        status,
+        refund_type,
+        building_id,
+        tenancy_id,
+      } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds];
+      let filters = "";
+
+      const addFilter = (column, value) => {
+        queryParams.push(value);
+        filters += ` AND ${column} = $${queryParams.length}`;
+      };
+
+      if (status) addFilter("pr.status", status);
+      if (refund_type) addFilter("pr.refund_type", refund_type);
+      if (building_id) addFilter("r.building_id", building_id);
+      if (tenancy_id) addFilter("pr.tenancy_id", tenancy_id);
+
+      queryParams.push(parseInt(limit), offset);
+
+      const refundsQuery = `
+        SELECT
+          pr.*,
+          TRIM(CONCAT(up.first_name, ' ', up.last_name)) as tenant_name,
+          un.unit_number,
+          b.id as building_id,
+          b.name as building_name,
+          p.payment_type,
+          p.due_date as payment_due_date,
+          TRIM(CONCAT(requester.first_name, ' ', requester.last_name)) as requested_by_name,
+          TRIM(CONCAT(approver.first_name, ' ', approver.last_name)) as approved_by_name,
+          COUNT(*) OVER() as total_count
+        FROM payment_refunds pr
+        JOIN tenancies t ON pr.tenancy_id = t.id
+        LEFT JOIN user_profiles up ON t.tenant_user_id = up.user_id
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        LEFT JOIN payments p ON pr.payment_id = p.id
+        LEFT JOIN user_profiles requester ON pr.requested_by = requester.user_id
+        LEFT JOIN user_profiles approver ON pr.approved_by = approver.user_id
+        WHERE r.building_id = ANY($1) ${filters}
+        ORDER BY pr.created_at DESC, pr.id DESC
+        LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}
+      `;
+
+      const result = await pool.query(refundsQuery, queryParams);
+      const totalCount =
+        result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      res.json({
+        success: true,
+        data: {
+          refunds: result.rows.map((row) => ({
+            ...RentController.formatRefund(row),
+            tenantName: row.tenant_name,
+            unitNumber: row.unit_number,
+            building: {
+              id: row.building_id,
+              name: row.building_name,
+            },
+            payment: row.payment_id
+              ? {
+                  id: row.payment_id,
+                  paymentType: row.payment_type,
+                  dueDate: row.payment_due_date,
+                }
+              : null,
+            requestedByName: row.requested_by_name,
+            approvedByName: row.approved_by_name,
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / parseInt(limit)),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching refunds:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch refunds"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/refunds
+   * Request a refund or credit note for a tenancy, optionally against one of
+   * its payments; it takes effect once approved
+   */
+  static async createRefund(req, res, next) {
+    try {
+      const {
+        tenancy_id,
+        payment_id,
+        refund_type,
+        amount,
+        reason_category,
+        reason,
+        refund_method,
+        transaction_id,
+        refund_date,
+      } = req.body;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancy_id,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const refund = await createRefundRequest({
+        refundType: refund_type,
+        tenancyId: tenancy.id,
+        paymentId: payment_id,
+        amount,
+        reasonCategory: reason_category,
+        reason: reason.trim(),
+        refundMethod: refund_method,
+        transactionId: transaction_id,
+        refundDate: refund_date,
+        requestedBy: req.user.id,
+      });
+
+      res.status(201).json({
+        success: true,
+        message:
+          refund.refund_type === "credit_note"
+            ? "Credit note submitted for approval"
+            : "Refund submitted for approval",
+        data: {
+          refund: RentController.formatRefund(refund),
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating refund:", error);
+      next(createError("DATABASE_ERROR", "Failed to create refund"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/refunds/:refundId/approve
+   * Approve a pending refund or credit note and post it to the tenant's ledger
+   */
+  static async approveRefund(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { refundId } = req.params;
+
+      const existing = await RentController.getAccessibleRefund(
+        refundId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!existing) {
+        return next(
+          createError("NOT_FOUND", "Refund not found or access denied")
+        );
+      }
+
+      await client.query("BEGIN");
+      const refund = await approveRefund(
+        existing.id,
+        { approvedBy: req.user.id },
+        client
+      );
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message:
+          refund.refund_type === "credit_note"
+            ? "Credit note approved"
+            : "Refund approved",
+        data: {
+          refund: RentController.formatRefund(refund),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error approving refund:", error);
+      next(createError("DATABASE_ERROR", "Failed to approve refund"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/refunds/:refundId/reject
+   * Reject a pending refund or credit note
+   */
+  static async rejectRefund(req, res, next) {
+    try {
+      const { refundId } = req.params;
+      const { reason } = req.body;
+
+      const existing = await RentController.getAccessibleRefund(
+        refundId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!existing) {
+        return next(
+          createError("NOT_FOUND", "Refund not found or access denied")
+        );
+      }
+
+      const refund = await rejectRefund(existing.id, {
+        rejectedBy: req.user.id,
+        reason: reason.trim(),
+      });
+
+      res.json({
+        success: true,
+        message: "Refund rejected",
+        data: {
+          refund: RentController.formatRefund(refund),
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error rejecting refund:", error);
+      next(createError("DATABASE_ERROR", "Failed to reject refund"));
+    }
+  }
+
+  /**
+   * Installment plans matching `conditions` (over pp, t, r and b) with their
+   * progress, broken plans first
+   */
+  static async findPaymentPlans(conditions, params, { limit, offset } = {}) {
+    const pagination =
+      limit !== undefined
+        ? ` LIMIT $${params.length + 1} OFFSET $${params.length + 2}`
+        : "";
+
+    const plansQuery = `
+      SELECT
+        pp.*,
+        up.first_name,
+        up.last_name,
+        u_user.email as tenant_email,
+        un.unit_number,
+        b.id as building_id,
+        b.name as building_name,
+        installments.paid_installments,
+        installments.amount_paid,
+        installments.next_due_date,
+        installments.missed_installments,
+        COUNT(*) OVER() as total_count
+      FROM payment_plans pp
+      JOIN tenancies t ON pp.tenancy_id = t.id
+      JOIN users u_user ON t.tenant_user_id = u_user.id
+      LEFT JOIN user_profiles up ON u_user.id = up.user_id
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      CROSS JOIN LATERAL (
+        SELECT
+          COUNT(*) FILTER (WHERE p.status = 'paid') as paid_installments,
+          COALESCE(SUM(
+            CASE WHEN p.status = 'paid' THEN p.amount + COALESCE(p.late_fee, 0)
+                 ELSE COALESCE(p.paid_amount, 0) END
+          ), 0) as amount_paid,
+          MIN(p.due_date) FILTER (WHERE p.status != 'paid') as next_due_date,
+          COUNT(*) FILTER (
+            WHERE p.status != 'paid' AND p.due_date < CURRENT_DATE
+          ) as missed_installments
+        FROM payments p
+        WHERE p.payment_plan_id = pp.id
+      ) installments
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY pp.status = 'broken' DESC, pp.created_at DESC, pp.id DESC
+      ${pagination}
+    `;
+
+    const result = await pool.query(
+      plansQuery,
+      limit !== undefined ? [...params, limit, offset] : params
+    );
+
+    return result.rows;
+  }
+
+  /**
+   * Shape an installment plan row (from findPaymentPlans) for the API
+   */
+  static formatPaymentPlan(plan) {
+    const totalAmount = parseFloat(plan.total_amount);
+    const amountPaid = parseFloat(plan.amount_paid) || 0;
+
+    return {
+      id: plan.id,
+      tenancyId: plan.tenancy_id,
+      status: plan.status,
+      totalAmount,
+      amountPaid,
+      amountRemaining: Math.round((totalAmount - amountPaid) * 100) / 100,
+      installmentCount: plan.installment_count,
+      paidInstallments: parseInt(plan.paid_installments) || 0,
+      missedInstallments: parseInt(plan.missed_installments) || 0,
+      nextDueDate: plan.next_due_date,
+      graceDays: plan.grace_days,
+      notes: plan.notes,
+      brokenAt: plan.broken_at,
+      brokenReason: plan.broken_reason,
+      completedAt: plan.completed_at,
+      createdAt: plan.created_at,
+      tenant: {
+        fullName: `${plan.first_name || ""} ${plan.last_name || ""}`.trim(),
+        email: plan.tenant_email,
+      },
+      unitNumber: plan.unit_number,
+      building: {
+        id: plan.building_id,
+        name: plan.building_name,
+      },
+    };
+  }
+
+  /**
+   * GET /api/rent-collection/payment-plans
+   * List installment plans for arrears
+   */
+  static async getPaymentPlans(req, res, next) {
+    try {
+      const { page = 1, limit = 20, status, building_id, tenancy_id } =
+        req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const params = [accessibleBuildingIds];
+      const conditions = ["r.building_id = ANY($1)"];
+
+      const addFilter = (column, value) => {
+        params.push(value);
+        conditions.push(`${column} = $${params.length}`);
+      };
+
+      if (status) addFilter("pp.status", status);
+      if (building_id) addFilter("r.building_id", building_id);
+      if (tenancy_id) addFilter("pp.tenancy_id", tenancy_id);
+
+      const rows = await RentController.findPaymentPlans(conditions, params, {
+        limit: parseInt(limit),
+        offset,
+      });
+      const totalCount = rows.length > 0 ? parseInt(rows[0].total_count) : 0;
+
+      res.json({
+        success: true,
+        data: {
+          plans: rows.map(RentController.formatPaymentPlan),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / parseInt(limit)),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payment plans:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch payment plans"));
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/payment-plans/:planId
+   * Installment plan with the dues it replaced and its installments
+   */
+  static async getPaymentPlanById(req, res, next) {
+    try {
+      const { planId } = req.params;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const [plan] = await RentController.findPaymentPlans(
+        ["r.building_id = ANY($1)", "pp.id = $2"],
+        [accessibleBuildingIds, planId]
+      );
+
+      if (!plan) {
+        return next(
+          createError("NOT_FOUND", "Payment plan not found or access denied")
+        );
+      }
+
+      const itemsResult = await pool.query(
+        `SELECT ppi.payment_id, ppi.amount, p.payment_type, p.due_date, p.amount as original_amount
+        FROM payment_plan_items ppi
+        JOIN payments p ON ppi.payment_id = p.id
+        WHERE ppi.plan_id = $1
+        ORDER BY p.due_date, p.id`,
+        [plan.id]
+      );
+
+      const installmentsResult = await pool.query(
+        `SELECT
+          p.id, p.amount, p.due_date, p.status, p.payment_date,
+          COALESCE(p.paid_amount, 0) as paid_amount,
+          (
+            SELECT MAX(prm.sent_at) FROM payment_reminders prm
+            WHERE prm.payment_id = p.id AND prm.status = 'sent'
+          ) as last_reminder_at
+        FROM payments p
+        WHERE p.payment_plan_id = $1
+        ORDER BY p.due_date, p.id`,
+        [plan.id]
+      );
+
+      res.json({
+        success: true,
+        data: {
+          plan: {
+            ...RentController.formatPaymentPlan(plan),
+            rescheduledDues: itemsResult.rows.map((item) => ({
+              paymentId: item.payment_id,
+              paymentType: item.payment_type,
+              dueDate: item.due_date,
+              originalAmount: parseFloat(item.original_amount),
+              amountRescheduled: parseFloat(item.amount),
+            })),
+            installments: installmentsResult.rows.map((installment) => ({
+              paymentId: installment.id,
+              amount: parseFloat(installment.amount),
+              dueDate: installment.due_date,
+              status: installment.status,
+              paidAmount: parseFloat(installment.paid_amount),
+              paymentDate: installment.payment_date,
+              lastReminderAt: installment.last_reminder_at,
+            })),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payment plan:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch payment plan"));
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/tenancies/:tenancyId/payment-plans
+   * Convert overdue dues into a plan of dated installments, either listed
+   * explicitly or split monthly from a first due date
+   */
+  static async createPaymentPlan(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { tenancyId } = req.params;
+      const {
+        payment_ids,
+        installments,
+        installment_count,
+        first_due_date,
+        grace_days,
+        notes,
+      } = req.body;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        req.user.id,
+        req.user.role,
+        client
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      if (!installments && !(installment_count && first_due_date)) {
+        return next(
+          createError(
+            "VALIDATION_ERROR",
+            "Provide either installments or installment_count with first_due_date"
+          )
+        );
+      }
+
+      await client.query("BEGIN");
+      const result = await createPaymentPlan(
+        {
+          tenancyId: tenancy.id,
+          paymentIds: payment_ids,
+          installments: installments
+            ? installments.map((installment) => ({
+                dueDate: installment.due_date,
+                amount: installment.amount,
+              }))
+            : null,
+          installmentCount: installment_count,
+          firstDueDate: first_due_date,
+          graceDays: grace_days ?? 3,
+          notes: notes || null,
+          createdBy: req.user.id,
+        },
+        client
+      );
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: `Payment plan created with ${result.installments.length} installments`,
+        data: {
+          plan: {
+            id: result.plan.id,
+            tenancyId: result.plan.tenancy_id,
+            status: result.plan.status,
+            totalAmount: parseFloat(result.plan.total_amount),
+            installmentCount: result.plan.installment_count,
+            graceDays: result.plan.grace_days,
+            notes: result.plan.notes,
+            createdAt: result.plan.created_at,
+            rescheduledPaymentIds: result.rescheduledPaymentIds,
+            installments: result.installments.map((installment) => ({
+              paymentId: installment.id,
+              amount: parseFloat(installment.amount),
+              dueDate: installment.due_date,
+              status: installment.status,
+            })),
+          },
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating payment plan:", error);
+      next(createError("DATABASE_ERROR", "Failed to create payment plan"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * Shape an accounting period (joined with its building and audit events)
+   */
+  static formatAccountingPeriod(period) {
+    return {
+      id: period.id,
+      buildingId: period.building_id,
+      buildingName: period.building_name,
+      periodStart: period.period_start,
+      month: parseInt(period.month),
+      year: parseInt(period.year),
+      status: period.status,
+      closedBy: period.closed_by,
+      closedAt: period.closed_at,
+      reopenedBy: period.reopened_by,
+      reopenedAt: period.reopened_at,
+      notes: period.notes,
+      events: (period.events || []).map((event) => ({
+        action: event.action,
+        reason: event.reason,
+        performedBy: event.performed_by,
+        performedByName: event.performed_by_name,
+        createdAt: event.created_at,
+      })),
+    };
+  }
+
+  /**
+   * Accounting periods matching `conditions` (over ap) with their audit trail,
+   * latest first
+   */
+  static async findAccountingPeriods(conditions, params) {
+    const periodsQuery = `
+      SELECT
+        ap.*,
+        b.name as building_name,
+        EXTRACT(MONTH FROM ap.period_start) as month,
+        EXTRACT(YEAR FROM ap.period_start) as year,
+        COALESCE(
+          (
+            SELECT json_agg(
+              json_build_object(
+                'action', ape.action,
+                'reason', ape.reason,
+                'performed_by', ape.performed_by,
+                'performed_by_name', TRIM(CONCAT(up.first_name, ' ', up.last_name)),
+                'created_at', ape.created_at
+              ) ORDER BY ape.created_at DESC
+            )
+            FROM accounting_period_events ape
+            LEFT JOIN user_profiles up ON ape.performed_by = up.user_id
+            WHERE ape.period_id = ap.id
+          ),
+          '[]'::json
+        ) as events
+      FROM accounting_periods ap
+      JOIN buildings b ON ap.building_id = b.id
+      WHERE ${conditions.join(" AND ")}
+      ORDER BY ap.period_start DESC, b.name ASC
+    `;
+
+    const result = await pool.query(periodsQuery, params);
+    return result.rows;
+  }
+
+  /**
+   * GET /api/rent-collection/accounting-periods
+   * Get closed and reopened accounting periods by building; months without
+   * an entry are open
+   */
+  static async getAccountingPeriods(req, res, next) {
+    try {
+      const { building_id, year, status } = req.query;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const conditions = ["ap.building_id = ANY($1)"];
+      const params = [accessibleBuildingIds];
+
+      if (building_id) {
+        params.push(building_id);
+        conditions.push(`ap.building_id = $${params.length}`);
+      }
+
+      if (year) {
+        params.push(year);
+        conditions.push(
+          `EXTRACT(YEAR FROM ap.period_start) = $${params.length}`
+        );
+      }
+
+      if (status) {
+        params.push(status);
+        conditions.push(`ap.status = $${params.length}`);
+      }
+
+      const periods = await RentController.findAccountingPeriods(
+        conditions,
+        params
+      );
+
+      res.json({
+        success: true,
+        data: {
+          periods: periods.map(RentController.formatAccountingPeriod),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching accounting periods:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to fetch accounting periods")
+      );
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/accounting-periods/close
+   * Close a building's month so its payments and ledger entries are locked
+   */
+  static async closeAccountingPeriod(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { building_id, month, year, notes } = req.body;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      if (!accessibleBuildingIds.includes(parseInt(building_id))) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      await client.query("BEGIN");
+      const period = await closePeriod(
+        {
+          buildingId: parseInt(building_id),
+          periodStart: `${year}-${String(month).padStart(2, "0")}-01`,
+          closedBy: req.user.id,
+          notes: notes || null,
+        },
+        client
+      );
+      await client.query("COMMIT");
+
+      const [closed] = await RentController.findAccountingPeriods(
+        ["ap.id = $1"],
+        [period.id]
+      );
+
+      res.json({
+        success: true,
+        message: "Accounting period closed successfully",
+        data: {
+          period: RentController.formatAccountingPeriod(closed),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error closing accounting period:", error);
+      next(createError("DATABASE_ERROR", "Failed to close accounting period"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/accounting-periods/reopen
+   * Reopen a closed month (super admins only); the reason is kept in the
+   * period's audit trail
+   */
+  static async reopenAccountingPeriod(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { building_id, month, year, reason } = req.body;
+
+      await client.query("BEGIN");
+      const period = await reopenPeriod(
+        {
+          buildingId: parseInt(building_id),
+          periodStart: `${year}-${String(month).padStart(2, "0")}-01`,
+          reopenedBy: req.user.id,
+          reason: reason.trim(),
+        },
+        client
+      );
+      await client.query("COMMIT");
+
+      const [reopened] = await RentController.findAccountingPeriods(
+        ["ap.id = $1"],
+        [period.id]
+      );
+
+      res.json({
+        success: true,
+        message: "Accounting period reopened successfully",
+        data: {
+          period: RentController.formatAccountingPeriod(reopened),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error reopening accounting period:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to reopen accounting period")
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/accounting-ledgers
+   * Get the ledger each payment type and account posts to, for a building or
+   * the defaults of all buildings
+   */
+  static async getAccountingLedgers(req, res, next) {
+    try {
+      const { building_id } = req.query;
+
+      if (building_id) {
+        const accessibleBuildingIds =
+          await RentController.getAccessibleBuildingIds(
+            req.user.id,
+            req.user.role
+          );
+
+        if (!accessibleBuildingIds.includes(parseInt(building_id))) {
+          return next(
+            createError("NOT_FOUND", "Building not found or access denied")
+          );
+        }
+      }
+
+      const ledgers = await getLedgerMappings(
+        building_id ? parseInt(building_id) : null
+      );
+
+      res.json({
+        success: true,
+        data: {
+          buildingId: building_id ? parseInt(building_id) : null,
+          ledgers,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching accounting ledgers:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to fetch accounting ledgers")
+      );
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/accounting-ledgers
+   * Map payment types and accounts to ledgers of the accounting package
+   */
+  static async updateAccountingLedgers(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { building_id, ledgers } = req.body;
+      const buildingId = building_id ? parseInt(building_id) : null;
+
+      if (buildingId) {
+        const accessibleBuildingIds =
+          await RentController.getAccessibleBuildingIds(
+            req.user.id,
+            req.user.role
+          );
+
+        if (!accessibleBuildingIds.includes(buildingId)) {
+          return next(
+            createError("NOT_FOUND", "Building not found or access denied")
+          );
+        }
+      }
+
+      await client.query("BEGIN");
+      await setLedgerMappings(
+        {
+          buildingId,
+          mappings: ledgers.map((ledger) => ({
+            accountType: ledger.account_type,
+            ledgerName: ledger.ledger_name ? ledger.ledger_name.trim() : null,
+          })),
+          updatedBy: req.user.id,
+        },
+        client
+      );
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: "Accounting ledgers updated successfully",
+        data: {
+          buildingId,
+          ledgers: await getLedgerMappings(buildingId),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      console.error("Error updating accounting ledgers:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to update accounting ledgers")
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/accounting-exports
+   * Download receipts, invoices and refunds of a date range not exported
+   * before, as a journal CSV or Tally XML, and mark them exported
+   */
+  static async createAccountingExport(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { from_date, to_date, format, building_ids } = req.body;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      let buildingIds = accessibleBuildingIds;
+      if (building_ids && building_ids.length > 0) {
+        const requestedIds = [
+          ...new Set(building_ids.map((id) => parseInt(id))),
+        ];
+        buildingIds = accessibleBuildingIds.filter((id) =>
+          requestedIds.includes(id)
+        );
+
+        if (buildingIds.length !== requestedIds.length) {
+          return next(
+            createError("NOT_FOUND", "Building not found or access denied")
+          );
+        }
+      }
+
+      await client.query("BEGIN");
+      const result = await createAccountingExport(
+        {
+          fromDate: from_date,
+          toDate: to_date,
+          buildingIds,
+          format,
+          exportedBy: req.user.id,
+        },
+        client
+      );
+      await client.query("COMMIT");
+
+      const file = renderExport(format, result.vouchers);
+
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=accounting_export_${result.export.id}_${from_date}_${to_date}.${file.extension}`
+      );
+      res.setHeader("X-Export-Id", result.export.id);
+      res.send(file.content);
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error creating accounting export:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to create accounting export")
+      );
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/accounting-exports
+   * List past accounting exports
+   */
+  static async getAccountingExports(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const exportsResult = await pool.query(
+        `SELECT
+          ae.*,
+          TRIM(CONCAT(up.first_name, ' ', up.last_name)) as exported_by_name,
+          COUNT(*) OVER() as total_count
+        FROM accounting_exports ae
+        LEFT JOIN user_profiles up ON ae.exported_by = up.user_id
+        WHERE ae.building_ids <@ $1::integer[]
+        ORDER BY ae.created_at DESC
+        LIMIT $2 OFFSET $3`,
+        [accessibleBuildingIds, parseInt(limit), offset]
+      );
+
+      const totalCount =
+        exportsResult.rows.length > 0
+          ? parseInt(exportsResult.rows[0].total_count)
+          : 0;
+
+      res.json({
+        success: true,
+        data: {
+          exports: exportsResult.rows.map((accountingExport) => ({
+            id: accountingExport.id,
+            format: accountingExport.export_format,
+            fromDate: accountingExport.from_date,
+            toDate: accountingExport.to_date,
+            buildingIds: accountingExport.building_ids,
+            voucherCount: accountingExport.voucher_count,
+            exportedBy: accountingExport.exported_by,
+            exportedByName: accountingExport.exported_by_name,
+            createdAt: accountingExport.created_at,
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / parseInt(limit)),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching accounting exports:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to fetch accounting exports")
+      );
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/accounting-exports/:exportId/download
+   * Download a past export again, in its own or another format
+   */
+  static async downloadAccountingExport(req, res, next) {
+    try {
+      const { exportId } = req.params;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const exportResult = await pool.query(
+        `SELECT * FROM accounting_exports
+        WHERE id = $1 AND building_ids <@ $2::integer[]`,
+        [exportId, accessibleBuildingIds]
+      );
+
+      if (exportResult.rows.length === 0) {
+        return next(
+          createError("NOT_FOUND", "Export not found or access denied")
+        );
+      }
+
+      const accountingExport = exportResult.rows[0];
+      const format = req.query.format || accountingExport.export_format;
+      const vouchers = await getExportVouchers(accountingExport.id);
+      const file = renderExport(format, vouchers);
+      const period = [accountingExport.from_date, accountingExport.to_date]
+        .map((date) => date.toLocaleDateString("en-CA"))
+        .join("_");
+
+      res.setHeader("Content-Type", file.contentType);
+      res.setHeader(
+        "Content-Disposition",
+        `attachment; filename=accounting_export_${accountingExport.id}_${period}.${file.extension}`
+      );
+      res.send(file.content);
+    } catch (error) {
+      console.error("Error downloading accounting export:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to download accounting export")
+      );
+    }
+  }
+
+  /**
+   * Shape a bank statement line (joined with its matched payment) for the review screen
+   */
+  static formatStatementLine(line) {
+    return {
+      id: line.id,
+      importId: line.import_id,
+      lineNumber: line.line_number,
+      transactionDate: line.transaction_date,
+      amount: parseFloat(line.amount),
+      reference: line.reference,
+      description: line.description,
+      payerName: line.payer_name,
+      matchStatus: line.match_status,
+      matchScore: line.match_score,
+      matchReasons: line.match_reasons || [],
+      ledgerEntryId: line.ledger_entry_id,
+      reviewedAt: line.reviewed_at,
+      payment: line.payment_id
+        ? {
+            id: line.payment_id,
+            paymentType: line.payment_type,
+            amount: parseFloat(line.payment_amount),
+            lateFee: parseFloat(line.late_fee) || 0,
+            paidAmount: parseFloat(line.paid_amount) || 0,
+            dueDate: line.due_date,
+            status: line.payment_status,
+            tenant: {
+              name: `${line.first_name || ""} ${line.last_name || ""}`.trim(),
+            },
+            unit: { unitNumber: line.unit_number },
+            building: { id: line.building_id, name: line.building_name },
+          }
+        : null,
+    };
+  }
+
+  /**
+   * Issue PDF receipts for payments a reconciliation has fully paid. Failures
+   * are logged only; the receipt is rebuilt on download.
+   */
+  static async generateReconciledReceipts(paymentIds, userId) {
+    if (paymentIds.length === 0) return;
+
+    const paidResult = await pool.query(
+      "SELECT id FROM payments WHERE id = ANY($1) AND status = 'paid'",
+      [paymentIds]
+    );
+
+    for (const payment of paidResult.rows) {
+      try {
+        await generatePaymentReceipt(payment.id, { generatedBy: userId });
+      } catch (receiptError) {
+        console.error(
+          `Error generating receipt for payment ${payment.id}:`,
+          receiptError
+        );
+      }
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/reconciliation/statements
+   * Upload a bank or UPI statement (CSV/XLSX) and auto-match its credits
+   */
+  static async importBankStatement(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { source = "bank" } = req.body;
+
+      if (!req.file) {
+        return next(
+          createError("VALIDATION_ERROR", "Statement file is required")
+        );
+      }
+
+      await client.query("BEGIN");
+
+      const statementImport = await importStatement(
+        {
+          filePath: req.file.path,
+          fileName: req.file.originalname,
+          source,
+          uploadedBy: req.user.id,
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: `Imported ${statementImport.total_lines} credit lines, ${statementImport.matched_lines} auto-matched`,
+        data: {
+          import: {
+            id: statementImport.id,
+            fileName: statementImport.file_name,
+            source: statementImport.source,
+            totalLines: statementImport.total_lines,
+            matchedLines: statementImport.matched_lines,
+            createdAt: statementImport.created_at,
+          },
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error importing bank statement:", error);
+      next(createError("DATABASE_ERROR", "Failed to import bank statement"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/reconciliation/statements
+   * List imported statements with their review progress
+   */
+  static async getBankStatements(req, res, next) {
+    try {
+      const { page = 1, limit = 20 } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const statementsQuery = `
+        SELECT
+          bsi.*,
+          TRIM(CONCAT(up.first_name, ' ', up.last_name)) as uploaded_by_name,
+          COUNT(bsl.id) FILTER (WHERE bsl.match_status = 'suggested') as suggested_lines,
+          COUNT(bsl.id) FILTER (WHERE bsl.match_status = 'confirmed') as confirmed_lines,
+          COUNT(bsl.id) FILTER (WHERE bsl.match_status IN ('unmatched', 'rejected')) as unmatched_lines,
+          COUNT(bsl.id) FILTER (WHERE bsl.match_status = 'duplicate') as duplicate_lines,
+          COUNT(*) OVER() as total_count
+        FROM bank_statement_imports bsi
+        LEFT JOIN bank_statement_lines bsl ON bsl.import_id = bsi.id
+        LEFT JOIN user_profiles up ON bsi.uploaded_by = up.user_id
+        GROUP BY bsi.id, up.first_name, up.last_name
+        ORDER BY bsi.created_at DESC
+        LIMIT $1 OFFSET $2
+      `;
+
+      const result = await pool.query(statementsQuery, [
+        parseInt(limit),
+        offset,
+      ]);
+      const totalCount =
+        result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      res.json({
+        success: true,
+        data: {
+          statements: result.rows.map((row) => ({
+            id: row.id,
+            fileName: row.file_name,
+            source: row.source,
+            totalLines: row.total_lines,
+            matchedLines: row.matched_lines,
+            suggestedLines: parseInt(row.suggested_lines),
+            confirmedLines: parseInt(row.confirmed_lines),
+            unmatchedLines: parseInt(row.unmatched_lines),
+            duplicateLines: parseInt(row.duplicate_lines),
+            uploadedBy: row.uploaded_by_name,
+            createdAt: row.created_at,
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / parseInt(limit)),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching bank statements:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch bank statements"));
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/reconciliation/statements/:importId
+   * Statement lines with their suggested or confirmed payment, for review
+   */
+  static async getBankStatementLines(req, res, next) {
+    try {
+      const { importId } = req.params;
+      const { match_status } = req.query;
+
+      const importResult = await pool.query(
+        "SELECT * FROM bank_statement_imports WHERE id = $1",
+        [importId]
+      );
+
+      if (importResult.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Bank statement not found"));
+      }
+
+      const queryParams = [importId];
+      let statusCondition = "";
+      if (match_status) {
+        queryParams.push(match_status);
+        statusCondition = "AND bsl.match_status = $2";
+      }
+
+      const linesQuery = `
+        SELECT
+          bsl.*,
+          p.payment_type,
+          p.amount as payment_amount,
+          p.late_fee,
+          p.paid_amount,
+          p.due_date,
+          p.status as payment_status,
+          up.first_name,
+          up.last_name,
+          un.unit_number,
+          b.id as building_id,
+          b.name as building_name
+        FROM bank_statement_lines bsl
+        LEFT JOIN payments p ON bsl.payment_id = p.id
+        LEFT JOIN tenancies t ON p.tenancy_id = t.id
+        LEFT JOIN user_profiles up ON t.tenant_user_id = up.user_id
+        LEFT JOIN units un ON t.unit_id = un.id
+        LEFT JOIN rooms r ON un.room_id = r.id
+        LEFT JOIN buildings b ON r.building_id = b.id
+        WHERE bsl.import_id = $1 ${statusCondition}
+        ORDER BY bsl.line_number ASC
+      `;
+
+      const linesResult = await pool.query(linesQuery, queryParams);
+      const statementImport = importResult.rows[0];
+
+      res.json({
+        success: true,
+        data: {
+          import: {
+            id: statementImport.id,
+            fileName: statementImport.file_name,
+            source: statementImport.source,
+            totalLines: statementImport.total_lines,
+            matchedLines: statementImport.matched_lines,
+            createdAt: statementImport.created_at,
+          },
+          lines: linesResult.rows.map(RentController.formatStatementLine),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching bank statement lines:", error);
+      next(
+        createError("DATABASE_ERROR", "Failed to fetch bank statement lines")
+      );
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/reconciliation/lines/:lineId/confirm
+   * Confirm the suggested match, or match manually by passing payment_id
+   */
+  static async confirmStatementLine(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { lineId } = req.params;
+      const { payment_id } = req.body;
+      const userId = req.user.id;
+
+      await client.query("BEGIN");
+
+      const line = await confirmStatementLine(
+        lineId,
+        { paymentId: payment_id || null, confirmedBy: userId },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      await RentController.generateReconciledReceipts([line.payment_id], userId);
+
+      res.json({
+        success: true,
+        message: "Statement line confirmed and payment recorded",
+        data: {
+          line: {
+            id: line.id,
+            matchStatus: line.match_status,
+            paymentId: line.payment_id,
+            ledgerEntryId: line.ledger_entry_id,
+            reviewedAt: line.reviewed_at,
+          },
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error confirming statement line:", error);
+      next(createError("DATABASE_ERROR", "Failed to confirm statement line"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/reconciliation/statements/:importId/confirm
+   * Confirm every suggested match of a statement; each line is recorded on its own
+   */
+  static async confirmSuggestedStatementLines(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { importId } = req.params;
+      const userId = req.user.id;
+
+      const suggestedResult = await client.query(
+        `SELECT id FROM bank_statement_lines
+         WHERE import_id = $1 AND match_status = 'suggested'
+         ORDER BY line_number ASC`,
+        [importId]
+      );
+
+      const confirmedPaymentIds = [];
+      const failed = [];
+
+      for (const { id } of suggestedResult.rows) {
+        try {
+          await client.query("BEGIN");
+          const line = await confirmStatementLine(
+            id,
+            { confirmedBy: userId },
+            client
+          );
+          await client.query("COMMIT");
+          confirmedPaymentIds.push(line.payment_id);
+        } catch (lineError) {
+          await client.query("ROLLBACK");
+          failed.push({ lineId: id, error: lineError.message });
+        }
+      }
+
+      await RentController.generateReconciledReceipts(
+        confirmedPaymentIds,
+        userId
+      );
+
+      res.json({
+        success: true,
+        message: `Confirmed ${confirmedPaymentIds.length} statement lines`,
+        data: {
+          confirmed: confirmedPaymentIds.length,
+          failed,
+        },
+      });
+    } catch (error) {
+      console.error("Error confirming statement lines:", error);
+      next(createError("DATABASE_ERROR", "Failed to confirm statement lines"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/reconciliation/lines/:lineId/reject
+   * Reject a suggested match so the line can be matched by hand
+   */
+  static async rejectStatementLine(req, res, next) {
+    try {
+      const { lineId } = req.params;
+
+      const line = await rejectStatementLine(lineId, {
+        rejectedBy: req.user.id,
+      });
+
+      res.json({
+        success: true,
+        message: "Suggested match rejected",
+        data: {
+          line: {
+            id: line.id,
+            matchStatus: line.match_status,
+            reviewedAt: line.reviewed_at,
+          },
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error rejecting statement line:", error);
+      next(createError("DATABASE_ERROR", "Failed to reject statement line"));
+    }
+  }
+  static formatInvoice(invoice) {
+    return {
+      id: invoice.id,
+      documentType: invoice.document_type,
+      invoiceNumber: invoice.invoice_number,
+      invoiceDate: invoice.invoice_date,
+      financialYear: invoice.financial_year,
+      buildingId: invoice.building_id,
+      paymentId: invoice.payment_id,
+      tenancyId: invoice.tenancy_id,
+      originalInvoiceId: invoice.original_invoice_id,
+      supplier: {
+        name: invoice.supplier_name,
+        gstin: invoice.supplier_gstin,
+        pan: invoice.supplier_pan,
+        address: invoice.supplier_address,
+        stateCode: invoice.supplier_state_code,
+      },
+      recipient: {
+        name: invoice.recipient_name,
+        gstin: invoice.recipient_gstin,
+        address: invoice.recipient_address,
+      },
+      placeOfSupply: invoice.place_of_supply,
+      description: invoice.description,
+      sacCode: invoice.sac_code,
+      taxableAmount: parseFloat(invoice.taxable_amount),
+      gstRate: parseFloat(invoice.gst_rate),
+      cgstAmount: parseFloat(invoice.cgst_amount),
+      sgstAmount: parseFloat(invoice.sgst_amount),
+      totalAmount: parseFloat(invoice.total_amount),
+      status: invoice.status,
+      cancellationReason: invoice.cancellation_reason,
+      cancelledAt: invoice.cancelled_at,
+      createdAt: invoice.created_at,
+    };
+  }
+
+  /**
+   * GET /api/rent-collection/legal-entities
+   * Get the invoicing legal entity of each building
+   */
+  static async getLegalEntities(req, res, next) {
+    try {
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const entitiesQuery = `
+        SELECT
+          b.id as building_id,
+          b.name as building_name,
+          ble.*
+        FROM buildings b
+        LEFT JOIN building_legal_entities ble ON ble.building_id = b.id
+        WHERE b.id = ANY($1)
+        ORDER BY b.name
+      `;
+
+      const result = await pool.query(entitiesQuery, [accessibleBuildingIds]);
+
+      res.json({
+        success: true,
+        data: {
+          legalEntities: result.rows.map((row) => ({
+            building: {
+              id: row.building_id,
+              name: row.building_name,
+            },
+            legalEntity: row.id
+              ? {
+                  id: row.id,
+                  legalName: row.legal_name,
+                  gstin: row.gstin,
+                  pan: row.pan,
+                  address: row.address,
+                  stateCode: row.state_code,
+                  invoicePrefix: row.invoice_prefix,
+                  gstRate: parseFloat(row.gst_rate),
+                  sacCode: row.sac_code,
+                  isActive: row.is_active,
+                  updatedAt: row.updated_at,
+                }
+              : null,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching legal entities:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch legal entities"));
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/legal-entities/:buildingId
+   * Create or update the legal entity a building invoices under. The prefix
+   * cannot change once invoices have been numbered with it.
+   */
+  static async updateLegalEntity(req, res, next) {
+    try {
+      const { buildingId } = req.params;
+      const {
+        legal_name,
+        gstin = null,
+        pan = null,
+        address,
+        state_code,
+        invoice_prefix,
+        gst_rate = 0,
+        sac_code = "997211",
+        is_active = true,
+      } = req.body;
+      const userId = req.user.id;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(userId, req.user.role);
+
+      if (!accessibleBuildingIds.includes(parseInt(buildingId))) {
+        return next(
+          createError("NOT_FOUND", "Building not found or access denied")
+        );
+      }
+
+      const prefix = invoice_prefix.toUpperCase();
+
+      const numberedResult = await pool.query(
+        `SELECT ble.invoice_prefix
+         FROM building_legal_entities ble
+         WHERE ble.building_id = $1
+           AND EXISTS (SELECT 1 FROM tax_invoices ti WHERE ti.building_id = ble.building_id)`,
+        [buildingId]
+      );
+
+      if (
+        numberedResult.rows.length > 0 &&
+        numberedResult.rows[0].invoice_prefix !== prefix
+      ) {
+        return next(
+          createError(
+            "CONFLICT",
+            "Invoice prefix cannot be changed after invoices have been issued"
+          )
+        );
+      }
+
+      const upsertQuery = `
+        INSERT INTO building_legal_entities (
+          building_id, legal_name, gstin, pan, address, state_code,
+          invoice_prefix, gst_rate, sac_code, is_active, updated_by,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        ON CONFLICT (building_id) DO UPDATE SET
+          legal_name = EXCLUDED.legal_name,
+          gstin = EXCLUDED.gstin,
+          pan = EXCLUDED.pan,
+          address = EXCLUDED.address,
+          state_code = EXCLUDED.state_code,
+          invoice_prefix = EXCLUDED.invoice_prefix,
+          gst_rate = EXCLUDED.gst_rate,
+          sac_code = EXCLUDED.sac_code,
+          is_active = EXCLUDED.is_active,
+          updated_by = EXCLUDED.updated_by,
+          updated_at = CURRENT_TIMESTAMP
+        RETURNING *
+      `;
+
+      const result = await pool.query(upsertQuery, [
+        parseInt(buildingId),
+        legal_name,
+        gstin ? gstin.toUpperCase() : null,
+        pan ? pan.toUpperCase() : null,
+        address,
+        state_code,
+        prefix,
+        parseFloat(gst_rate),
+        sac_code,
+        is_active,
+        userId,
+      ]);
+
+      const entity = result.rows[0];
+
+      res.json({
+        success: true,
+        message: "Legal entity updated successfully",
+        data: {
+          legalEntity: {
+            id: entity.id,
+            buildingId: entity.building_id,
+            legalName: entity.legal_name,
+            gstin: entity.gstin,
+            pan: entity.pan,
+            address: entity.address,
+            stateCode: entity.state_code,
+            invoicePrefix: entity.invoice_prefix,
+            gstRate: parseFloat(entity.gst_rate),
+            sacCode: entity.sac_code,
+            isActive: entity.is_active,
+            updatedAt: entity.updated_at,
+          },
+        },
+      });
+    } catch (error) {
+      if (error.code === "23505") {
+        return next(
+          createError(
+            "CONFLICT",
+            "This invoice prefix is already used by another building"
+          )
+        );
+      }
+      console.error("Error updating legal entity:", error);
+      next(createError("DATABASE_ERROR", "Failed to update legal entity"));
+    }
+  }
+
+  /**
+   * PUT /api/rent-collection/tenancies/:tenancyId/billing-details
+   * Set the name, GSTIN and address printed on a tenancy's invoices
+   */
+  static async updateBillingDetails(req, res, next) {
+    try {
+      const { tenancyId } = req.params;
+      const {
+        billing_name = null,
+        billing_gstin = null,
+        billing_address = null,
+      } = req.body;
+
+      const tenancy = await RentController.getAccessibleTenancy(
+        tenancyId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!tenancy) {
+        return next(
+          createError("NOT_FOUND", "Tenancy not found or access denied")
+        );
+      }
+
+      const result = await pool.query(
+        `UPDATE tenancies
+         SET billing_name = $1, billing_gstin = $2, billing_address = $3,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $4
+         RETURNING id, billing_name, billing_gstin, billing_address`,
+        [
+          billing_name || null,
+          billing_gstin ? billing_gstin.toUpperCase() : null,
+          billing_address || null,
+          tenancy.id,
+        ]
+      );
+
+      const updated = result.rows[0];
+
+      res.json({
+        success: true,
+        message: "Billing details updated. They apply to invoices issued from now on.",
+        data: {
+          tenancyId: updated.id,
+          billingName: updated.billing_name,
+          billingGstin: updated.billing_gstin,
+          billingAddress: updated.billing_address,
+        },
+      });
+    } catch (error) {
+      console.error("Error updating billing details:", error);
+      next(createError("DATABASE_ERROR", "Failed to update billing details"));
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/invoices
+   * List tax invoices and credit notes with filters
+   */
+  static async getInvoices(req, res, next) {
+    try {
+      const {
+        page = 1,
+        limit = 20,
+        building_id,
+        tenancy_id,
+        financial_year,
+        document_type,
+        status,
+      } = req.query;
+      const offset = (parseInt(page) - 1) * parseInt(limit);
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds];
+      let filters = "";
+
+      const addFilter = (column, value) => {
+        queryParams.push(value);
+        filters += ` AND ${column} = $${queryParams.length}`;
+      };
+
+      if (building_id) addFilter("ti.building_id", building_id);
+      if (tenancy_id) addFilter("ti.tenancy_id", tenancy_id);
+      if (financial_year) addFilter("ti.financial_year", financial_year);
+      if (document_type) addFilter("ti.document_type", document_type);
+      if (status) addFilter("ti.status", status);
+
+      queryParams.push(parseInt(limit), offset);
+
+      const invoicesQuery = `
+        SELECT
+          ti.*,
+          b.name as building_name,
+          COUNT(*) OVER() as total_count
+        FROM tax_invoices ti
+        JOIN buildings b ON ti.building_id = b.id
+        WHERE ti.building_id = ANY($1) ${filters}
+        ORDER BY ti.invoice_date DESC, ti.id DESC
+        LIMIT $${queryParams.length - 1} OFFSET $${queryParams.length}
+      `;
+
+      const result = await pool.query(invoicesQuery, queryParams);
+      const totalCount =
+        result.rows.length > 0 ? parseInt(result.rows[0].total_count) : 0;
+
+      res.json({
+        success: true,
+        data: {
+          invoices: result.rows.map((row) => ({
+            ...RentController.formatInvoice(row),
+            buildingName: row.building_name,
+          })),
+          pagination: {
+            currentPage: parseInt(page),
+            totalPages: Math.ceil(totalCount / parseInt(limit)),
+            totalCount,
+            limit: parseInt(limit),
+          },
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching invoices:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch invoices"));
+    }
+  }
+
+  /**
+   * Check that an invoice belongs to a building the user can access
+   */
+  static async getAccessibleInvoice(invoiceId, userId, userRole) {
+    const accessibleBuildingIds =
+      await RentController.getAccessibleBuildingIds(userId, userRole);
+
+    const result = await pool.query(
+      "SELECT * FROM tax_invoices WHERE id = $1 AND building_id = ANY($2)",
+      [invoiceId, accessibleBuildingIds]
+    );
+
+    return result.rows[0] || null;
+  }
+
+  /**
+   * POST /api/rent-collection/payments/:paymentId/invoice
+   * Issue the tax invoice for a charge (e.g. one billed before the building
+   * had a legal entity, or after its invoice was cancelled)
+   */
+  static async issueInvoice(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { paymentId } = req.params;
+
+      const accessibleBuildingIds =
+        await RentController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const paymentResult = await client.query(
+        `SELECT p.id
+         FROM payments p
+         JOIN tenancies t ON p.tenancy_id = t.id
+         JOIN units un ON t.unit_id = un.id
+         JOIN rooms r ON un.room_id = r.id
+         WHERE p.id = $1 AND r.building_id = ANY($2)`,
+        [paymentId, accessibleBuildingIds]
+      );
+
+      if (paymentResult.rows.length === 0) {
+        return next(
+          createError("NOT_FOUND", "Payment not found or access denied")
+        );
+      }
+
+      await client.query("BEGIN");
+      const invoice = await issuePaymentInvoice(
+        paymentId,
+        { createdBy: req.user.id },
+        client
+      );
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: `Invoice ${invoice.invoice_number} issued`,
+        data: {
+          invoice: RentController.formatInvoice(invoice),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error issuing invoice:", error);
+      next(createError("DATABASE_ERROR", "Failed to issue invoice"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/rent-collection/invoices/:invoiceId/cancel
+   * Cancel an invoice by issuing a credit note against it
+   */
+  static async cancelInvoice(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { invoiceId } = req.params;
+      const { reason } = req.body;
+
+      const invoice = await RentController.getAccessibleInvoice(
+        invoiceId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!invoice) {
+        return next(
+          createError("NOT_FOUND", "Invoice not found or access denied")
+        );
+      }
+
+      await client.query("BEGIN");
+      const { invoice: cancelledInvoice, creditNote } = await cancelInvoice(
+        invoice.id,
+        { reason, cancelledBy: req.user.id },
+        client
+      );
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: `Invoice ${cancelledInvoice.invoice_number} cancelled with credit note ${creditNote.invoice_number}`,
+        data: {
+          invoice: RentController.formatInvoice(cancelledInvoice),
+          creditNote: RentController.formatInvoice(creditNote),
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error cancelling invoice:", error);
+      next(createError("DATABASE_ERROR", "Failed to cancel invoice"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * GET /api/rent-collection/invoices/:invoiceId/download
+   * Download the PDF of an invoice or credit note
+   */
+  static async downloadInvoice(req, res, next) {
+    try {
+      const { invoiceId } = req.params;
+
+      const invoice = await RentController.getAccessibleInvoice(
+        invoiceId,
+        req.user.id,
+        req.user.role
+      );
+
+      if (!invoice) {
+        return next(
+          createError("NOT_FOUND", "Invoice not found or access denied")
+        );
+      }
+
+      const document = await getOrCreateInvoicePdf(invoice.id);
+
+      res.download(
+        path.resolve(document.file_path),
+        `${document.invoice_number}.pdf`,
+        (downloadError) => {
+          if (downloadError && !res.headersSent) {
+            console.error("Invoice download error:", downloadError);
+            next(createError("FILE_ERROR", "Failed to download invoice"));
+          }
+        }
+      );
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error downloading invoice:", error);
+      next(createError("FILE_ERROR", "Failed to download invoice"));
+    }
+  }
+
 }
 
 export default RentController;
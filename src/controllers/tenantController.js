@@ -2,6 +2,15 @@
 import pool from "../config/database.js";
 import { createError } from "../utils/errorHandler.js";
 import { sendComplaintEmail } from "../services/emailService.js";
+import {
+  getTenancyLedger,
+  getCreditBalance,
+} from "../services/ledgerService.js";
+import { getOrCreatePaymentReceipt } from "../services/receiptService.js";
+import { getOrCreateInvoicePdf } from "../services/invoiceService.js";
+import { getSettlement } from "../services/depositSettlementService.js";
+import { createPaymentOrder } from "../services/paymentGatewayService.js";
+import { applySlaDeadlines } from "../services/complaintSlaService.js";
 import path from "path";
 import fs from "fs/promises";
 
@@ -85,6 +94,58 @@ class TenantController {
         const nextRentResult = await client.query(nextRentQuery, [userId]);
         const nextRentDue = nextRentResult.rows[0] || null;
 
+        // Everything falling due with the next rent, itemized
+        if (nextRentDue) {
+          const nextDueItemsQuery = `
+            SELECT
+              p.id, p.payment_type, p.amount, p.status, p.recurring_charge_id,
+              COALESCE(rc.description, INITCAP(REPLACE(p.payment_type, '_', ' '))) as description
+            FROM payments p
+            JOIN tenancies t ON p.tenancy_id = t.id
+            LEFT JOIN tenancy_recurring_charges rc ON p.recurring_charge_id = rc.id
+            WHERE t.tenant_user_id = $1
+            AND p.due_date = $2
+            AND p.status IN ('pending', 'partial')
+            ORDER BY p.payment_type = 'rent' DESC, p.id
+          `;
+
+          const nextDueItemsResult = await client.query(nextDueItemsQuery, [
+            userId,
+            nextRentDue.due_date,
+          ]);
+          nextRentDue.items = nextDueItemsResult.rows;
+          nextRentDue.total_amount = nextDueItemsResult.rows.reduce(
+            (sum, item) => sum + parseFloat(item.amount),
+            0
+          );
+        }
+
+        // Add-on charges billed with rent
+        let recurringCharges = [];
+        if (tenancy) {
+          const recurringChargesQuery = `
+            SELECT id, payment_type, description, amount, frequency, start_date, end_date
+            FROM tenancy_recurring_charges
+            WHERE tenancy_id = $1
+            AND is_active = true
+            AND (end_date IS NULL OR end_date >= CURRENT_DATE)
+            ORDER BY start_date, id
+          `;
+
+          const recurringChargesResult = await client.query(
+            recurringChargesQuery,
+            [tenancy.tenancy_id]
+          );
+          recurringCharges = recurringChargesResult.rows;
+        }
+
+        // Advances and overpayments held for upcoming dues; the monthly
+        // billing run applies them to new charges automatically
+        let creditBalance = { available: 0, entries: [] };
+        if (tenancy) {
+          creditBalance = await getCreditBalance(tenancy.tenancy_id, client);
+        }
+
         res.json({
           success: true,
           data: {
@@ -94,6 +155,16 @@ class TenantController {
               complaints: complaintStats,
             },
             nextRentDue,
+            recurringCharges,
+            creditBalance: {
+              available: creditBalance.available,
+              credits: creditBalance.entries.map((entry) => ({
+                entry_id: entry.entryId,
+                entry_type: entry.entryType,
+                entry_date: entry.entryDate,
+                available: entry.available,
+              })),
+            },
             quickActions: [
               {
                 title: "Pay Rent",
@@ -464,10 +535,25 @@ class TenantController {
           SELECT 
             p.id, p.payment_type, p.amount, p.due_date, p.payment_date,
             p.payment_method, p.transaction_id, p.status, p.late_fee,
+            p.late_fee_waived, p.late_fee_waived_reason,
+            (p.amount + COALESCE(p.late_fee, 0)) as total_amount,
+            COALESCE(p.paid_amount, 0) as paid_amount,
             p.notes, p.created_at,
             t.id as tenancy_id, t.rent_amount,
             u.unit_number, r.room_number, b.name as building_name,
-            rc.cycle_month, rc.cycle_year
+            rc.cycle_month, rc.cycle_year, rc.is_prorated, rc.full_rent_amount,
+            rc.proration_details,
+            CASE WHEN uc.id IS NOT NULL THEN json_build_object(
+              'meter_number', um.meter_number,
+              'utility_type', um.utility_type,
+              'reading_year', mr.reading_year,
+              'reading_month', mr.reading_month,
+              'previous_reading', mr.previous_reading,
+              'reading_value', mr.reading_value,
+              'consumption_share', uc.consumption_share,
+              'occupied_days', uc.occupied_days,
+              'calculation', uc.calculation
+            ) END as utility_details
           FROM payments p
           JOIN tenancies t ON p.tenancy_id = t.id
           JOIN units u ON t.unit_id = u.id
@@ -477,6 +563,9 @@ class TenantController {
                                       p.payment_type = 'rent' AND 
                                       EXTRACT(MONTH FROM p.due_date) = rc.cycle_month AND 
                                       EXTRACT(YEAR FROM p.due_date) = rc.cycle_year)
+          LEFT JOIN utility_charges uc ON uc.payment_id = p.id
+          LEFT JOIN meter_readings mr ON uc.reading_id = mr.id
+          LEFT JOIN utility_meters um ON mr.meter_id = um.id
           WHERE t.tenant_user_id = $1
           ${statusFilter}
           ${typeFilter}
@@ -502,9 +591,24 @@ class TenantController {
         const countResult = await client.query(countQuery, countParams);
         const total = parseInt(countResult.rows[0].total);
 
+        // Account ledger with running balance for the current tenancy
+        const tenancyResult = await client.query(
+          `SELECT id FROM tenancies
+           WHERE tenant_user_id = $1 AND agreement_status = 'executed'
+           ORDER BY start_date DESC
+           LIMIT 1`,
+          [userId]
+        );
+
+        const ledger =
+          tenancyResult.rows.length > 0
+            ? await getTenancyLedger(tenancyResult.rows[0].id, client)
+            : null;
+
         res.json({
           success: true,
           data: result.rows,
+          ledger,
           pagination: {
             page: parseInt(page),
             limit: parseInt(limit),
@@ -521,6 +625,37 @@ class TenantController {
     }
   }
 
+  // POST /api/tenant/payments/:id/intent
+  async createPaymentIntent(req, res, next) {
+    try {
+      const { id } = req.params;
+      const userId = req.user.userId;
+
+      const { order, checkout } = await createPaymentOrder(id, {
+        tenantUserId: userId,
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Payment order created",
+        data: {
+          order_id: order.id,
+          payment_id: order.payment_id,
+          amount: parseFloat(order.amount),
+          currency: order.currency,
+          status: order.status,
+          checkout,
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Create payment intent error:", error);
+      next(createError("DATABASE_ERROR", "Failed to create payment order"));
+    }
+  }
+
   // GET /api/tenant/payments/upcoming
   async getUpcomingPayments(req, res, next) {
     try {
@@ -531,7 +666,12 @@ class TenantController {
         const query = `
           SELECT 
             p.id, p.payment_type, p.amount, p.due_date, p.status,
-            p.late_fee, u.unit_number, r.room_number,
+            p.late_fee, p.late_fee_waived,
+            (p.amount + COALESCE(p.late_fee, 0)) as total_amount,
+            p.recurring_charge_id, p.payment_plan_id,
+            COALESCE(rc.description, INITCAP(REPLACE(p.payment_type, '_', ' '))) as description,
+            rc.frequency as charge_frequency,
+            u.unit_number, r.room_number,
             CASE 
               WHEN p.due_date < CURRENT_DATE THEN 'overdue'
               WHEN p.due_date = CURRENT_DATE THEN 'due_today'
@@ -543,6 +683,7 @@ class TenantController {
           JOIN tenancies t ON p.tenancy_id = t.id
           JOIN units u ON t.unit_id = u.id
           JOIN rooms r ON u.room_id = r.id
+          LEFT JOIN tenancy_recurring_charges rc ON p.recurring_charge_id = rc.id
           WHERE t.tenant_user_id = $1 
           AND p.status IN ('pending', 'partial')
           AND p.due_date <= CURRENT_DATE + INTERVAL '30 days'
@@ -591,11 +732,15 @@ class TenantController {
               totalDueThisWeek: categorized.dueThisWeek.length,
               totalUpcoming: categorized.upcoming.length,
               overdue_amount: categorized.overdue.reduce(
-                (sum, p) => sum + parseFloat(p.amount || 0),
+                (sum, p) => sum + parseFloat(p.total_amount || 0),
                 0
               ),
               due_today_amount: categorized.dueToday.reduce(
-                (sum, p) => sum + parseFloat(p.amount || 0),
+                (sum, p) => sum + parseFloat(p.total_amount || 0),
+                0
+              ),
+              late_fee_amount: result.rows.reduce(
+                (sum, p) => sum + parseFloat(p.late_fee || 0),
                 0
               ),
             },
@@ -610,6 +755,101 @@ class TenantController {
     }
   }
 
+  // GET /api/tenant/payment-plans
+  async getPaymentPlans(req, res, next) {
+    try {
+      const client = await pool.connect();
+      const userId = req.user.userId;
+
+      try {
+        const plansQuery = `
+          SELECT
+            pp.id, pp.tenancy_id, pp.total_amount, pp.installment_count,
+            pp.grace_days, pp.status, pp.broken_at, pp.broken_reason,
+            pp.completed_at, pp.created_at,
+            u.unit_number, r.room_number
+          FROM payment_plans pp
+          JOIN tenancies t ON pp.tenancy_id = t.id
+          JOIN units u ON t.unit_id = u.id
+          JOIN rooms r ON u.room_id = r.id
+          WHERE t.tenant_user_id = $1
+          ORDER BY
+            CASE pp.status WHEN 'broken' THEN 1 WHEN 'active' THEN 2 ELSE 3 END,
+            pp.created_at DESC
+        `;
+
+        const plansResult = await client.query(plansQuery, [userId]);
+        const planIds = plansResult.rows.map((plan) => plan.id);
+
+        if (planIds.length === 0) {
+          return res.json({ success: true, data: { plans: [] } });
+        }
+
+        const installmentsResult = await client.query(
+          `SELECT
+            p.id, p.payment_plan_id, p.amount, p.due_date, p.status,
+            p.payment_date, p.payment_method,
+            COALESCE(p.paid_amount, 0) as amount_paid,
+            CASE
+              WHEN p.status != 'paid' AND p.due_date < CURRENT_DATE THEN 'missed'
+              ELSE p.status
+            END as installment_status
+          FROM payments p
+          WHERE p.payment_plan_id = ANY($1)
+          ORDER BY p.due_date ASC`,
+          [planIds]
+        );
+
+        const rescheduledResult = await client.query(
+          `SELECT
+            ppi.plan_id, ppi.payment_id, ppi.amount,
+            p.payment_type, p.due_date
+          FROM payment_plan_items ppi
+          JOIN payments p ON ppi.payment_id = p.id
+          WHERE ppi.plan_id = ANY($1)
+          ORDER BY p.due_date ASC`,
+          [planIds]
+        );
+
+        const plans = plansResult.rows.map((plan) => {
+          const installments = installmentsResult.rows.filter(
+            (installment) => installment.payment_plan_id === plan.id
+          );
+          const amountPaid = installments.reduce(
+            (sum, installment) => sum + parseFloat(installment.amount_paid),
+            0
+          );
+
+          return {
+            ...plan,
+            amount_paid: Math.round(amountPaid * 100) / 100,
+            amount_remaining:
+              Math.round((parseFloat(plan.total_amount) - amountPaid) * 100) /
+              100,
+            next_installment:
+              installments.find(
+                (installment) => installment.status !== "paid"
+              ) || null,
+            installments,
+            rescheduled_dues: rescheduledResult.rows.filter(
+              (item) => item.plan_id === plan.id
+            ),
+          };
+        });
+
+        res.json({
+          success: true,
+          data: { plans },
+        });
+      } finally {
+        client.release();
+      }
+    } catch (error) {
+      console.error("Get payment plans error:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch payment plans"));
+    }
+  }
+
   // GET /api/tenant/complaints
   async getComplaints(req, res, next) {
     try {
@@ -799,6 +1039,8 @@ class TenantController {
           [complaint.id, userId]
         );
 
+        const deadlines = await applySlaDeadlines(complaint.id, client);
+
         await client.query("COMMIT");
 
         // Get additional data for email notifications
@@ -874,7 +1116,7 @@ class TenantController {
         res.status(201).json({
           success: true,
           message: "Complaint submitted successfully",
-          data: complaint,
+          data: { ...complaint, ...deadlines },
         });
       } catch (error) {
         await client.query("ROLLBACK");
@@ -1320,12 +1562,14 @@ class TenantController {
         const receiptsQuery = `
           SELECT 
             'payment_receipt' as document_type,
-            '/receipts/' || p.id || '_receipt.pdf' as file_path,
+            COALESCE(pr.file_path, '/receipts/' || p.id || '_receipt.pdf') as file_path,
             CONCAT('Payment Receipt - ', TO_CHAR(p.payment_date, 'Mon YYYY')) as display_name,
+            pr.receipt_number,
             p.payment_date as uploaded_date,
             p.id as reference_id
           FROM payments p
           JOIN tenancies t ON p.tenancy_id = t.id
+          LEFT JOIN payment_receipts pr ON pr.payment_id = p.id AND pr.receipt_type = 'generated'
           WHERE t.tenant_user_id = $1 
           AND p.status = 'paid'
           AND p.payment_date >= CURRENT_DATE - INTERVAL '12 months'
@@ -1334,10 +1578,34 @@ class TenantController {
 
         const receiptsResult = await client.query(receiptsQuery, [userId]);
 
+        // Tax invoices and credit notes
+        const invoicesQuery = `
+          SELECT 
+            'tax_invoice' as document_type,
+            ti.file_path,
+            CONCAT(
+              CASE WHEN ti.document_type = 'credit_note' THEN 'Credit Note ' ELSE 'Tax Invoice ' END,
+              ti.invoice_number
+            ) as display_name,
+            ti.invoice_number,
+            ti.document_type as invoice_type,
+            ti.status,
+            ti.total_amount,
+            ti.invoice_date as uploaded_date,
+            ti.id as reference_id
+          FROM tax_invoices ti
+          JOIN tenancies t ON ti.tenancy_id = t.id
+          WHERE t.tenant_user_id = $1
+          ORDER BY ti.invoice_date DESC, ti.id DESC
+        `;
+
+        const invoicesResult = await client.query(invoicesQuery, [userId]);
+
         const documents = {
           profile: profileResult.rows,
           tenancy: tenancyResult.rows,
           payments: receiptsResult.rows,
+          invoices: invoicesResult.rows,
         };
 
         res.json({
@@ -1384,9 +1652,49 @@ class TenantController {
               );
             }
 
-            filePath = `/receipts/${id}_receipt.pdf`;
-            fileName = `payment_receipt_${id}.pdf`;
-            break;
+            // Receipts paid before PDF generation existed are built on first download
+            const receipt = await getOrCreatePaymentReceipt(id, client);
+
+            return res.download(
+              path.resolve(receipt.file_path),
+              `${receipt.receipt_number}.pdf`,
+              (downloadError) => {
+                if (downloadError && !res.headersSent) {
+                  console.error("Receipt download error:", downloadError);
+                  next(createError("FILE_ERROR", "Failed to download receipt"));
+                }
+              }
+            );
+
+          case "tax_invoice":
+            // Verify invoice belongs to tenant
+            const invoiceQuery = `
+              SELECT ti.id
+              FROM tax_invoices ti
+              JOIN tenancies t ON ti.tenancy_id = t.id
+              WHERE ti.id = $1 AND t.tenant_user_id = $2
+            `;
+            const invoiceResult = await client.query(invoiceQuery, [
+              id,
+              userId,
+            ]);
+
+            if (invoiceResult.rows.length === 0) {
+              return next(createError("NOT_FOUND", "Invoice not found"));
+            }
+
+            const invoice = await getOrCreateInvoicePdf(id, client);
+
+            return res.download(
+              path.resolve(invoice.file_path),
+              `${invoice.invoice_number}.pdf`,
+              (downloadError) => {
+                if (downloadError && !res.headersSent) {
+                  console.error("Invoice download error:", downloadError);
+                  next(createError("FILE_ERROR", "Failed to download invoice"));
+                }
+              }
+            );
 
           case "lease_agreement":
             // Verify tenancy belongs to tenant
@@ -1513,6 +1821,11 @@ class TenantController {
         // Tenants can always initiate offboarding if status is active
         const canInitiateOffboarding = tenancy.offboarding_status === 'active';
 
+        // Itemized deposit settlement, shown once approved
+        const settlement = await getSettlement(tenancy.id, client);
+        const depositSettlement =
+          settlement && settlement.status === 'approved' ? settlement : null;
+
         res.json({
           success: true,
           data: {
@@ -1533,7 +1846,8 @@ class TenantController {
               pending_payments_count: parseInt(paymentsSummary.pending_payments_count),
               total_pending_amount: parseFloat(paymentsSummary.total_pending_amount),
               can_initiate_offboarding: canInitiateOffboarding
-            }
+            },
+            deposit_settlement: depositSettlement
           }
         });
       } finally {
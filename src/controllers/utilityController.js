@@ -0,0 +1,749 @@
+// src/controllers/utilityController.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  recordMeterReading,
+  parseReadingsFile,
+} from "../services/utilityService.js";
+import fs from "fs/promises";
+
+class UtilityController {
+  /**
+   * Get building IDs accessible to the current user based on role
+   */
+  static async getAccessibleBuildingIds(userId, userRole) {
+    if (userRole === "super_admin" || userRole === "admin") {
+      const result = await pool.query(
+        "SELECT id FROM buildings WHERE status = $1",
+        ["active"]
+      );
+      return result.rows.map((row) => row.id);
+    } else if (userRole === "manager") {
+      const result = await pool.query(
+        "SELECT id FROM buildings WHERE manager_id = $1 AND status = $2",
+        [userId, "active"]
+      );
+      return result.rows.map((row) => row.id);
+    }
+    return [];
+  }
+
+  static formatTariff(tariff) {
+    return {
+      id: tariff.id,
+      buildingId: tariff.building_id,
+      buildingName: tariff.building_name || null,
+      utilityType: tariff.utility_type,
+      name: tariff.name,
+      ratePerUnit: parseFloat(tariff.rate_per_unit),
+      slabs: tariff.slabs,
+      fixedCharge: parseFloat(tariff.fixed_charge),
+      effectiveFrom: tariff.effective_from,
+      isActive: tariff.is_active,
+      createdAt: tariff.created_at,
+    };
+  }
+
+  static formatReading(reading) {
+    return {
+      id: reading.id,
+      meterId: reading.meter_id,
+      year: reading.reading_year,
+      month: reading.reading_month,
+      readingDate: reading.reading_date,
+      readingValue: parseFloat(reading.reading_value),
+      previousReading: parseFloat(reading.previous_reading),
+      consumption: parseFloat(reading.consumption),
+      isFlagged: reading.is_flagged,
+      flagReason: reading.flag_reason,
+      billedAt: reading.billed_at,
+      billingNote: reading.billing_note,
+    };
+  }
+
+  /**
+   * GET /api/utilities/tariffs
+   * List utility tariffs (defaults and building-specific)
+   */
+  static async getTariffs(req, res, next) {
+    try {
+      const { building_id, utility_type } = req.query;
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds];
+      let filters = "";
+
+      if (building_id) {
+        queryParams.push(building_id);
+        filters += ` AND ut.building_id = $${queryParams.length}`;
+      }
+
+      if (utility_type) {
+        queryParams.push(utility_type);
+        filters += ` AND ut.utility_type = $${queryParams.length}`;
+      }
+
+      const tariffsQuery = `
+        SELECT ut.*, b.name as building_name
+        FROM utility_tariffs ut
+        LEFT JOIN buildings b ON ut.building_id = b.id
+        WHERE (ut.building_id IS NULL OR ut.building_id = ANY($1)) ${filters}
+        ORDER BY ut.building_id NULLS FIRST, ut.utility_type, ut.effective_from DESC
+      `;
+
+      const result = await pool.query(tariffsQuery, queryParams);
+
+      res.json({
+        success: true,
+        data: {
+          tariffs: result.rows.map(UtilityController.formatTariff),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching utility tariffs:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch utility tariffs"));
+    }
+  }
+
+  /**
+   * POST /api/utilities/tariffs
+   * Create a utility tariff
+   */
+  static async createTariff(req, res, next) {
+    try {
+      const {
+        building_id,
+        utility_type = "electricity",
+        name,
+        rate_per_unit = 0,
+        slabs,
+        fixed_charge = 0,
+        effective_from,
+      } = req.body;
+
+      const insertQuery = `
+        INSERT INTO utility_tariffs (
+          building_id, utility_type, name, rate_per_unit, slabs, fixed_charge,
+          effective_from, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_DATE), $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *
+      `;
+
+      const result = await pool.query(insertQuery, [
+        building_id || null,
+        utility_type,
+        name,
+        rate_per_unit,
+        slabs && slabs.length > 0 ? JSON.stringify(slabs) : null,
+        fixed_charge,
+        effective_from || null,
+        req.user.id,
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: "Utility tariff created successfully",
+        data: { tariff: UtilityController.formatTariff(result.rows[0]) },
+      });
+    } catch (error) {
+      console.error("Error creating utility tariff:", error);
+      next(createError("DATABASE_ERROR", "Failed to create utility tariff"));
+    }
+  }
+
+  /**
+   * PUT /api/utilities/tariffs/:tariffId
+   * Update a utility tariff. Billed readings keep the amounts already raised.
+   */
+  static async updateTariff(req, res, next) {
+    try {
+      const { tariffId } = req.params;
+      const fields = {
+        name: req.body.name,
+        rate_per_unit: req.body.rate_per_unit,
+        slabs:
+          req.body.slabs === undefined
+            ? undefined
+            : req.body.slabs && req.body.slabs.length > 0
+            ? JSON.stringify(req.body.slabs)
+            : null,
+        fixed_charge: req.body.fixed_charge,
+        effective_from: req.body.effective_from,
+        is_active: req.body.is_active,
+      };
+
+      const updateFields = [];
+      const updateParams = [];
+      for (const [column, value] of Object.entries(fields)) {
+        if (value !== undefined) {
+          updateParams.push(value);
+          updateFields.push(`${column} = $${updateParams.length}`);
+        }
+      }
+
+      if (updateFields.length === 0) {
+        return next(createError("VALIDATION_ERROR", "No fields to update"));
+      }
+
+      updateParams.push(tariffId);
+      const result = await pool.query(
+        `UPDATE utility_tariffs
+         SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $${updateParams.length}
+         RETURNING *`,
+        updateParams
+      );
+
+      if (result.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Utility tariff not found"));
+      }
+
+      res.json({
+        success: true,
+        message: "Utility tariff updated successfully",
+        data: { tariff: UtilityController.formatTariff(result.rows[0]) },
+      });
+    } catch (error) {
+      console.error("Error updating utility tariff:", error);
+      next(createError("DATABASE_ERROR", "Failed to update utility tariff"));
+    }
+  }
+
+  /**
+   * GET /api/utilities/meters
+   * List meters with their latest reading
+   */
+  static async getMeters(req, res, next) {
+    try {
+      const { building_id, room_id, status } = req.query;
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds];
+      let filters = "";
+
+      if (building_id) {
+        queryParams.push(building_id);
+        filters += ` AND r.building_id = $${queryParams.length}`;
+      }
+
+      if (room_id) {
+        queryParams.push(room_id);
+        filters += ` AND um.room_id = $${queryParams.length}`;
+      }
+
+      if (status) {
+        queryParams.push(status);
+        filters += ` AND um.status = $${queryParams.length}`;
+      }
+
+      const metersQuery = `
+        SELECT
+          um.*,
+          r.room_number,
+          r.building_id,
+          b.name as building_name,
+          un.unit_number,
+          ut.name as tariff_name,
+          latest.reading_year as latest_reading_year,
+          latest.reading_month as latest_reading_month,
+          latest.reading_value as latest_reading_value
+        FROM utility_meters um
+        JOIN rooms r ON um.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        LEFT JOIN units un ON um.unit_id = un.id
+        LEFT JOIN utility_tariffs ut ON um.tariff_id = ut.id
+        LEFT JOIN LATERAL (
+          SELECT reading_year, reading_month, reading_value
+          FROM meter_readings mr
+          WHERE mr.meter_id = um.id
+          ORDER BY reading_year DESC, reading_month DESC
+          LIMIT 1
+        ) latest ON true
+        WHERE r.building_id = ANY($1) ${filters}
+        ORDER BY b.name, r.room_number, um.meter_number
+      `;
+
+      const result = await pool.query(metersQuery, queryParams);
+
+      res.json({
+        success: true,
+        data: {
+          meters: result.rows.map((meter) => ({
+            id: meter.id,
+            meterNumber: meter.meter_number,
+            utilityType: meter.utility_type,
+            status: meter.status,
+            scope: meter.unit_id ? "unit" : "room",
+            initialReading: parseFloat(meter.initial_reading),
+            installedOn: meter.installed_on,
+            room: { id: meter.room_id, roomNumber: meter.room_number },
+            unit: meter.unit_id
+              ? { id: meter.unit_id, unitNumber: meter.unit_number }
+              : null,
+            building: { id: meter.building_id, name: meter.building_name },
+            tariff: meter.tariff_id
+              ? { id: meter.tariff_id, name: meter.tariff_name }
+              : null,
+            latestReading: meter.latest_reading_year
+              ? {
+                  year: meter.latest_reading_year,
+                  month: meter.latest_reading_month,
+                  readingValue: parseFloat(meter.latest_reading_value),
+                }
+              : null,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching meters:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch meters"));
+    }
+  }
+
+  /**
+   * POST /api/utilities/meters
+   * Register a meter for a room (shared) or a single unit
+   */
+  static async createMeter(req, res, next) {
+    try {
+      const {
+        meter_number,
+        utility_type = "electricity",
+        room_id,
+        unit_id,
+        tariff_id,
+        initial_reading = 0,
+        installed_on,
+      } = req.body;
+
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const roomResult = await pool.query(
+        "SELECT id, building_id FROM rooms WHERE id = $1 AND building_id = ANY($2)",
+        [room_id, accessibleBuildingIds]
+      );
+
+      if (roomResult.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Room not found or access denied"));
+      }
+
+      if (unit_id) {
+        const unitResult = await pool.query(
+          "SELECT id FROM units WHERE id = $1 AND room_id = $2",
+          [unit_id, room_id]
+        );
+
+        if (unitResult.rows.length === 0) {
+          return next(
+            createError("VALIDATION_ERROR", "Unit does not belong to this room")
+          );
+        }
+      }
+
+      const insertQuery = `
+        INSERT INTO utility_meters (
+          meter_number, utility_type, room_id, unit_id, tariff_id, initial_reading,
+          installed_on, created_by, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, COALESCE($7, CURRENT_DATE), $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING *
+      `;
+
+      const result = await pool.query(insertQuery, [
+        meter_number,
+        utility_type,
+        room_id,
+        unit_id || null,
+        tariff_id || null,
+        initial_reading,
+        installed_on || null,
+        req.user.id,
+      ]);
+
+      res.status(201).json({
+        success: true,
+        message: "Meter registered successfully",
+        data: { meter: result.rows[0] },
+      });
+    } catch (error) {
+      if (error.code === "23505") {
+        return next(
+          createError("CONFLICT", "A meter with this number already exists")
+        );
+      }
+      console.error("Error registering meter:", error);
+      next(createError("DATABASE_ERROR", "Failed to register meter"));
+    }
+  }
+
+  /**
+   * PUT /api/utilities/meters/:meterId
+   * Update a meter's tariff or status
+   */
+  static async updateMeter(req, res, next) {
+    try {
+      const { meterId } = req.params;
+      const { tariff_id, status } = req.body;
+
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const updateQuery = `
+        UPDATE utility_meters um
+        SET tariff_id = CASE WHEN $1::boolean THEN $2::integer ELSE um.tariff_id END,
+            status = COALESCE($3, um.status),
+            updated_at = CURRENT_TIMESTAMP
+        FROM rooms r
+        WHERE um.id = $4 AND um.room_id = r.id AND r.building_id = ANY($5)
+        RETURNING um.*
+      `;
+
+      const result = await pool.query(updateQuery, [
+        tariff_id !== undefined,
+        tariff_id || null,
+        status || null,
+        meterId,
+        accessibleBuildingIds,
+      ]);
+
+      if (result.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Meter not found or access denied"));
+      }
+
+      res.json({
+        success: true,
+        message: "Meter updated successfully",
+        data: { meter: result.rows[0] },
+      });
+    } catch (error) {
+      console.error("Error updating meter:", error);
+      next(createError("DATABASE_ERROR", "Failed to update meter"));
+    }
+  }
+
+  /**
+   * Check that a meter is in a building the user can access
+   */
+  static async canAccessMeter(meterId, userId, userRole) {
+    const accessibleBuildingIds =
+      await UtilityController.getAccessibleBuildingIds(userId, userRole);
+
+    const result = await pool.query(
+      `SELECT um.id FROM utility_meters um
+       JOIN rooms r ON um.room_id = r.id
+       WHERE um.id = $1 AND r.building_id = ANY($2)`,
+      [meterId, accessibleBuildingIds]
+    );
+
+    return result.rows.length > 0;
+  }
+
+  /**
+   * GET /api/utilities/meters/:meterId/readings
+   * Reading history of a meter with the charges raised from each reading
+   */
+  static async getMeterReadings(req, res, next) {
+    try {
+      const { meterId } = req.params;
+
+      if (
+        !(await UtilityController.canAccessMeter(
+          meterId,
+          req.user.id,
+          req.user.role
+        ))
+      ) {
+        return next(createError("NOT_FOUND", "Meter not found or access denied"));
+      }
+
+      const readingsQuery = `
+        SELECT
+          mr.*,
+          COALESCE(
+            ARRAY(
+              SELECT json_build_object(
+                'tenancy_id', uc.tenancy_id,
+                'payment_id', uc.payment_id,
+                'consumption_share', uc.consumption_share,
+                'amount', uc.amount,
+                'occupied_days', uc.occupied_days,
+                'calculation', uc.calculation
+              )
+              FROM utility_charges uc
+              WHERE uc.reading_id = mr.id
+              ORDER BY uc.id
+            ),
+            ARRAY[]::json[]
+          ) as charges
+        FROM meter_readings mr
+        WHERE mr.meter_id = $1
+        ORDER BY mr.reading_year DESC, mr.reading_month DESC
+      `;
+
+      const result = await pool.query(readingsQuery, [meterId]);
+
+      res.json({
+        success: true,
+        data: {
+          readings: result.rows.map((reading) => ({
+            ...UtilityController.formatReading(reading),
+            charges: reading.charges,
+          })),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching meter readings:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch meter readings"));
+    }
+  }
+
+  /**
+   * POST /api/utilities/meters/:meterId/readings
+   * Record (or correct, until billed) a month's reading
+   */
+  static async recordReading(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { meterId } = req.params;
+      const { year, month, reading_value, reading_date } = req.body;
+
+      if (
+        !(await UtilityController.canAccessMeter(
+          meterId,
+          req.user.id,
+          req.user.role
+        ))
+      ) {
+        return next(createError("NOT_FOUND", "Meter not found or access denied"));
+      }
+
+      await client.query("BEGIN");
+
+      const { reading, warnings } = await recordMeterReading(
+        meterId,
+        {
+          year: parseInt(year),
+          month: parseInt(month),
+          readingValue: reading_value,
+          readingDate: reading_date || null,
+          recordedBy: req.user.id,
+        },
+        client
+      );
+
+      await client.query("COMMIT");
+
+      res.status(201).json({
+        success: true,
+        message: "Meter reading recorded successfully",
+        data: {
+          reading: UtilityController.formatReading(reading),
+          warnings,
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error recording meter reading:", error);
+      next(createError("DATABASE_ERROR", "Failed to record meter reading"));
+    } finally {
+      client.release();
+    }
+  }
+
+  /**
+   * POST /api/utilities/readings/bulk
+   * Record a month's readings from a CSV/XLSX upload. Valid rows are saved;
+   * rows that fail validation are reported back by row number.
+   */
+  static async bulkRecordReadings(req, res, next) {
+    const client = await pool.connect();
+
+    try {
+      const { year, month } = req.body;
+
+      if (!req.file) {
+        return next(createError("VALIDATION_ERROR", "Readings file is required"));
+      }
+
+      const rows = await parseReadingsFile(req.file.path, req.file.originalname);
+
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const metersResult = await client.query(
+        `SELECT um.id, um.meter_number FROM utility_meters um
+         JOIN rooms r ON um.room_id = r.id
+         WHERE r.building_id = ANY($1)`,
+        [accessibleBuildingIds]
+      );
+      const meterIds = new Map(
+        metersResult.rows.map((meter) => [
+          meter.meter_number.toLowerCase(),
+          meter.id,
+        ])
+      );
+
+      const recorded = [];
+      const errors = [];
+
+      await client.query("BEGIN");
+
+      for (const row of rows) {
+        const meterId = meterIds.get(row.meterNumber.toLowerCase());
+
+        if (!meterId) {
+          errors.push({
+            row: row.rowNumber,
+            meterNumber: row.meterNumber,
+            error: "Meter not found or access denied",
+          });
+          continue;
+        }
+
+        try {
+          await client.query("SAVEPOINT bulk_reading");
+          const { reading, warnings } = await recordMeterReading(
+            meterId,
+            {
+              year: parseInt(year),
+              month: parseInt(month),
+              readingValue: row.readingValue,
+              readingDate: row.readingDate,
+              recordedBy: req.user.id,
+            },
+            client
+          );
+          await client.query("RELEASE SAVEPOINT bulk_reading");
+
+          recorded.push({
+            row: row.rowNumber,
+            meterNumber: row.meterNumber,
+            consumption: parseFloat(reading.consumption),
+            warnings,
+          });
+        } catch (rowError) {
+          await client.query("ROLLBACK TO SAVEPOINT bulk_reading");
+          if (!rowError.statusCode) {
+            throw rowError;
+          }
+          errors.push({
+            row: row.rowNumber,
+            meterNumber: row.meterNumber,
+            error: rowError.message,
+          });
+        }
+      }
+
+      await client.query("COMMIT");
+
+      res.json({
+        success: true,
+        message: `Recorded ${recorded.length} readings, ${errors.length} rejected`,
+        data: {
+          recorded,
+          errors,
+        },
+      });
+    } catch (error) {
+      await client.query("ROLLBACK");
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Error importing meter readings:", error);
+      next(createError("DATABASE_ERROR", "Failed to import meter readings"));
+    } finally {
+      client.release();
+      if (req.file) {
+        await fs.unlink(req.file.path).catch(() => {});
+      }
+    }
+  }
+
+  /**
+   * GET /api/utilities/readings
+   * A month's reading sheet: every active meter with its reading, if entered
+   */
+  static async getMonthlyReadings(req, res, next) {
+    try {
+      const { year, month, building_id } = req.query;
+      const accessibleBuildingIds =
+        await UtilityController.getAccessibleBuildingIds(
+          req.user.id,
+          req.user.role
+        );
+
+      const queryParams = [accessibleBuildingIds, year, month];
+      let buildingFilter = "";
+      if (building_id) {
+        queryParams.push(building_id);
+        buildingFilter = `AND r.building_id = $${queryParams.length}`;
+      }
+
+      const sheetQuery = `
+        SELECT
+          um.id as meter_id,
+          um.meter_number,
+          um.utility_type,
+          r.room_number,
+          un.unit_number,
+          b.name as building_name,
+          mr.*
+        FROM utility_meters um
+        JOIN rooms r ON um.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        LEFT JOIN units un ON um.unit_id = un.id
+        LEFT JOIN meter_readings mr ON (
+          mr.meter_id = um.id AND mr.reading_year = $2 AND mr.reading_month = $3
+        )
+        WHERE um.status = 'active' AND r.building_id = ANY($1) ${buildingFilter}
+        ORDER BY b.name, r.room_number, um.meter_number
+      `;
+
+      const result = await pool.query(sheetQuery, queryParams);
+
+      res.json({
+        success: true,
+        data: {
+          year: parseInt(year),
+          month: parseInt(month),
+          meters: result.rows.map((row) => ({
+            meterId: row.meter_id,
+            meterNumber: row.meter_number,
+            utilityType: row.utility_type,
+            buildingName: row.building_name,
+            roomNumber: row.room_number,
+            unitNumber: row.unit_number,
+            reading: row.id ? UtilityController.formatReading(row) : null,
+          })),
+          missingReadings: result.rows.filter((row) => !row.id).length,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching monthly readings:", error);
+      next(createError("DATABASE_ERROR", "Failed to fetch monthly readings"));
+    }
+  }
+}
+
+export default UtilityController;
@@ -0,0 +1,121 @@
+// src/controllers/webhookController.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  isMockProviderEnabled,
+  getPaymentProvider,
+  processPaymentWebhook,
+} from "../services/paymentGatewayService.js";
+
+// Building IDs accessible to the current user based on role
+const getAccessibleBuildingIds = async (userId, userRole) => {
+  if (userRole === "super_admin" || userRole === "admin") {
+    const result = await pool.query(
+      "SELECT id FROM buildings WHERE status = $1",
+      ["active"]
+    );
+    return result.rows.map((row) => row.id);
+  } else if (userRole === "manager") {
+    const result = await pool.query(
+      "SELECT id FROM buildings WHERE manager_id = $1 AND status = $2",
+      [userId, "active"]
+    );
+    return result.rows.map((row) => row.id);
+  }
+  return [];
+};
+
+class WebhookController {
+  // POST /api/webhooks/payments/:provider
+  // Receive payment gateway events (signature verified, applied once per event)
+  async handlePaymentWebhook(req, res, next) {
+    try {
+      const { provider } = req.params;
+
+      const { result, order } = await processPaymentWebhook(provider, {
+        rawBody: req.rawBody,
+        headers: req.headers,
+        payload: req.body,
+      });
+
+      res.json({
+        success: true,
+        data: {
+          result,
+          order_id: order ? order.id : null,
+          order_status: order ? order.status : null,
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Payment webhook error:", error);
+      next(createError("DATABASE_ERROR", "Failed to process payment webhook"));
+    }
+  }
+
+  // POST /api/webhooks/payments/mock/simulate
+  // Send a signed mock gateway event for a mock order in a building the
+  // caller can access (only when the mock provider is enabled)
+  async simulateMockPayment(req, res, next) {
+    try {
+      const { orderId, event = "payment.captured", method = "upi" } = req.body;
+
+      if (!isMockProviderEnabled()) {
+        return next(createError("FORBIDDEN", "Mock payments are not enabled"));
+      }
+
+      const accessibleBuildingIds = await getAccessibleBuildingIds(
+        req.user.id,
+        req.user.role
+      );
+
+      const orderResult = await pool.query(
+        `SELECT po.*
+        FROM payment_orders po
+        JOIN payments p ON po.payment_id = p.id
+        JOIN tenancies t ON p.tenancy_id = t.id
+        JOIN units u ON t.unit_id = u.id
+        JOIN rooms r ON u.room_id = r.id
+        WHERE po.id = $1 AND po.provider = 'mock'
+        AND r.building_id = ANY($2)`,
+        [orderId, accessibleBuildingIds]
+      );
+
+      if (orderResult.rows.length === 0) {
+        return next(createError("NOT_FOUND", "Mock payment order not found"));
+      }
+
+      const mockProvider = getPaymentProvider("mock");
+      const webhook = mockProvider.buildWebhookEvent(orderResult.rows[0], {
+        event,
+        method,
+      });
+
+      // Goes through the same verification and processing as a real delivery
+      const { result, order } = await processPaymentWebhook("mock", {
+        rawBody: Buffer.from(webhook.body),
+        headers: webhook.headers,
+        payload: JSON.parse(webhook.body),
+      });
+
+      res.json({
+        success: true,
+        message: `Mock ${event} event processed`,
+        data: {
+          result,
+          order,
+        },
+      });
+    } catch (error) {
+      if (error.statusCode) {
+        return next(error);
+      }
+      console.error("Mock payment error:", error);
+      next(createError("DATABASE_ERROR", "Failed to simulate mock payment"));
+    }
+  }
+}
+
+export default new WebhookController();
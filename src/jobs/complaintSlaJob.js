@@ -0,0 +1,227 @@
+// src/jobs/complaintSlaJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+import { sendComplaintEmail } from "../services/emailService.js";
+import {
+  ESCALATION_LEVELS,
+  recordSlaBreaches,
+  getDueEscalations,
+  getEscalationAdmins,
+  markEscalated,
+} from "../services/complaintSlaService.js";
+
+class ComplaintSlaJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Deadlines of a complaint that are currently missed, for the email
+  getOpenBreaches(complaint) {
+    const breaches = [];
+
+    if (complaint.status === "submitted" && complaint.acknowledge_breached_at) {
+      breaches.push({
+        label: "Acknowledgement",
+        dueAt: complaint.acknowledge_due_at,
+      });
+    }
+    if (complaint.resolve_breached_at) {
+      breaches.push({ label: "Resolution", dueAt: complaint.resolve_due_at });
+    }
+
+    return breaches;
+  }
+
+  // Email the recipients of the complaint's next escalation level and record it.
+  // A complaint whose emails all fail is left to be escalated on the next run.
+  async escalateComplaint(complaint, admins, client) {
+    const toAdmins = complaint.next_level === ESCALATION_LEVELS.ADMINS;
+    const recipients = toAdmins
+      ? admins
+      : [{ email: complaint.manager_email, name: complaint.manager_name }];
+
+    let sent = 0;
+
+    for (const recipient of recipients) {
+      try {
+        await sendComplaintEmail("sla_breach", recipient.email, {
+          recipientName: recipient.name,
+          complaintNumber: complaint.complaint_number,
+          title: complaint.title,
+          tenantName: complaint.tenant_name,
+          buildingName: complaint.building_name,
+          unitNumber: complaint.unit_number,
+          category: complaint.category,
+          priority: complaint.priority,
+          createdAt: complaint.created_at,
+          breaches: this.getOpenBreaches(complaint),
+          escalatedToAdmins: toAdmins,
+        });
+        sent++;
+      } catch (emailError) {
+        console.error(
+          `❌ Error sending SLA escalation for complaint ${complaint.complaint_number} to ${recipient.email}:`,
+          emailError.message
+        );
+        // Continue with other recipients even if one fails
+      }
+    }
+
+    if (recipients.length > 0 && sent === 0) {
+      return false;
+    }
+
+    const description = toAdmins
+      ? `SLA breach escalated to admins (${sent} notified)`
+      : `SLA breach escalated to building manager ${complaint.manager_name}`;
+
+    await markEscalated(complaint.id, complaint.next_level, description, client);
+
+    return true;
+  }
+
+  // Main job function to record SLA breaches and escalate them
+  async processComplaintSlas() {
+    if (this.isRunning) {
+      console.log("Complaint SLA job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting complaint SLA job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+    const client = await pool.connect();
+
+    try {
+      const breaches = await recordSlaBreaches(client);
+      const dueEscalations = await getDueEscalations(client);
+      const admins = dueEscalations.some(
+        (complaint) => complaint.next_level === ESCALATION_LEVELS.ADMINS
+      )
+        ? await getEscalationAdmins(client)
+        : [];
+
+      let toManagers = 0;
+      let toAdmins = 0;
+      let failed = 0;
+
+      for (const complaint of dueEscalations) {
+        try {
+          const escalated = await this.escalateComplaint(
+            complaint,
+            admins,
+            client
+          );
+
+          if (!escalated) {
+            failed++;
+          } else if (complaint.next_level === ESCALATION_LEVELS.ADMINS) {
+            toAdmins++;
+          } else {
+            toManagers++;
+          }
+        } catch (escalationError) {
+          console.error(
+            `❌ Error escalating complaint ${complaint.id}:`,
+            escalationError.message
+          );
+          failed++;
+          // Continue with other complaints even if one fails
+        }
+      }
+
+      const details = `Recorded ${breaches.acknowledgeBreachIds.length} acknowledgement and ${breaches.resolveBreachIds.length} resolution breaches, escalated ${toManagers} complaints to building managers and ${toAdmins} to admins (${failed} failed)`;
+
+      // Log job execution
+      await client.query(
+        `INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          "complaint_sla",
+          new Date().toISOString(),
+          "completed",
+          details,
+          Date.now() - startedAt,
+        ]
+      );
+
+      console.log(`🎉 Complaint SLA job completed: ${details}`);
+
+      return {
+        success: true,
+        acknowledgeBreaches: breaches.acknowledgeBreachIds.length,
+        resolveBreaches: breaches.resolveBreachIds.length,
+        escalatedToManagers: toManagers,
+        escalatedToAdmins: toAdmins,
+        escalationsFailed: failed,
+      };
+    } catch (error) {
+      console.error("❌ Complaint SLA job failed:", error);
+
+      // Log failed job execution
+      try {
+        await client.query(
+          `INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+          [
+            "complaint_sla",
+            new Date().toISOString(),
+            error.message,
+            Date.now() - startedAt,
+          ]
+        );
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every 15 minutes, since urgent complaints have
+  // deadlines measured in hours
+  startScheduler() {
+    console.log("🚀 Starting complaint SLA scheduler...");
+
+    cron.schedule(
+      "*/15 * * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Checking complaint SLAs");
+        try {
+          await this.processComplaintSlas();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Complaint SLA scheduler started - will run every 15 minutes"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering complaint SLA job...");
+    return await this.processComplaintSlas();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Complaint SLA scheduler stopped");
+  }
+}
+
+export default new ComplaintSlaJob();
@@ -0,0 +1,252 @@
+// src/jobs/dunningJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+import { sendPaymentReminder } from "../services/reminderService.js";
+
+// Used for buildings that have no row in dunning_schedules
+export const DEFAULT_DUNNING_SCHEDULE = {
+  gentle_day: 1,
+  firm_day: 7,
+  final_day: 15,
+  escalation_day: 30,
+};
+
+// Stages in escalation order, mapped to their schedule column
+export const DUNNING_STAGES = [
+  { type: "gentle", column: "gentle_day" },
+  { type: "firm", column: "firm_day" },
+  { type: "final", column: "final_day" },
+  { type: "manager_escalation", column: "escalation_day" },
+];
+
+class DunningJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Pick the latest stage a payment has reached, or null if none applies.
+  // Only one stage is sent per run so a payment discovered late gets the
+  // stage matching its age instead of every earlier stage at once.
+  getDueStage(payment) {
+    let dueStageIndex = -1;
+
+    DUNNING_STAGES.forEach((stage, index) => {
+      const day = payment[stage.column];
+      if (day !== null && day !== undefined && payment.days_overdue >= day) {
+        dueStageIndex = index;
+      }
+    });
+
+    if (dueStageIndex === -1) {
+      return null;
+    }
+
+    // Never send a stage that (or a later one) was already sent
+    const sentStages = payment.sent_stages || [];
+    const alreadyReached = DUNNING_STAGES.slice(dueStageIndex).some((stage) =>
+      sentStages.includes(stage.type)
+    );
+
+    return alreadyReached ? null : DUNNING_STAGES[dueStageIndex].type;
+  }
+
+  // Main job function to send escalating reminders for overdue rent
+  async sendDunningReminders() {
+    if (this.isRunning) {
+      console.log("Dunning job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting rent dunning job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+    const client = await pool.connect();
+
+    try {
+      const overduePaymentsQuery = `
+        SELECT
+          p.id,
+          p.amount,
+          p.due_date,
+          p.status,
+          (CURRENT_DATE - p.due_date)::integer as days_overdue,
+          u_user.email as tenant_email,
+          up.first_name,
+          up.last_name,
+          up.phone as tenant_phone,
+          un.unit_number,
+          b.id as building_id,
+          b.name as building_name,
+          mgr.email as manager_email,
+          TRIM(CONCAT(mp.first_name, ' ', mp.last_name)) as manager_name,
+          CASE WHEN ds.id IS NULL THEN $1 ELSE ds.gentle_day END as gentle_day,
+          CASE WHEN ds.id IS NULL THEN $2 ELSE ds.firm_day END as firm_day,
+          CASE WHEN ds.id IS NULL THEN $3 ELSE ds.final_day END as final_day,
+          CASE WHEN ds.id IS NULL THEN $4 ELSE ds.escalation_day END as escalation_day,
+          ARRAY(
+            SELECT DISTINCT prm.reminder_type
+            FROM payment_reminders prm
+            WHERE prm.payment_id = p.id AND prm.status = 'sent'
+          ) as sent_stages
+        FROM payments p
+        JOIN tenancies t ON p.tenancy_id = t.id
+        JOIN users u_user ON t.tenant_user_id = u_user.id
+        JOIN user_profiles up ON u_user.id = up.user_id
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        LEFT JOIN users mgr ON b.manager_id = mgr.id
+        LEFT JOIN user_profiles mp ON mgr.id = mp.user_id
+        LEFT JOIN dunning_schedules ds ON ds.building_id = b.id
+        WHERE p.payment_type = 'rent'
+          AND p.status NOT IN ('paid', 'rescheduled')
+          AND p.due_date < CURRENT_DATE
+          AND b.status = 'active'
+          AND COALESCE(ds.is_active, true) = true
+        ORDER BY p.due_date ASC
+      `;
+
+      const paymentsResult = await client.query(overduePaymentsQuery, [
+        DEFAULT_DUNNING_SCHEDULE.gentle_day,
+        DEFAULT_DUNNING_SCHEDULE.firm_day,
+        DEFAULT_DUNNING_SCHEDULE.final_day,
+        DEFAULT_DUNNING_SCHEDULE.escalation_day,
+      ]);
+
+      console.log(
+        `📊 Found ${paymentsResult.rows.length} overdue rent payments to evaluate`
+      );
+
+      const sentByStage = {
+        gentle: 0,
+        firm: 0,
+        final: 0,
+        manager_escalation: 0,
+      };
+      let remindersSent = 0;
+      let remindersFailed = 0;
+
+      for (const payment of paymentsResult.rows) {
+        const stage = this.getDueStage(payment);
+
+        if (!stage) {
+          continue;
+        }
+
+        try {
+          const reminder = await sendPaymentReminder(payment, stage, {}, client);
+
+          if (reminder.status === "sent") {
+            sentByStage[stage]++;
+            remindersSent++;
+            console.log(
+              `✅ Sent ${stage} reminder for payment ${payment.id} - Unit ${payment.unit_number} (${payment.days_overdue} days overdue)`
+            );
+          } else {
+            remindersFailed++;
+          }
+        } catch (paymentError) {
+          console.error(
+            `❌ Error sending dunning reminder for payment ${payment.id}:`,
+            paymentError.message
+          );
+          remindersFailed++;
+          // Continue with other payments even if one fails
+        }
+      }
+
+      const details = `Sent ${remindersSent} reminders (gentle: ${sentByStage.gentle}, firm: ${sentByStage.firm}, final: ${sentByStage.final}, manager escalation: ${sentByStage.manager_escalation}), ${remindersFailed} failed`;
+
+      // Log job execution
+      const logJobQuery = `
+        INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      `;
+
+      await client.query(logJobQuery, [
+        "rent_dunning",
+        new Date().toISOString(),
+        "completed",
+        details,
+        Date.now() - startedAt,
+      ]);
+
+      console.log(`🎉 Rent dunning job completed: ${details}`);
+
+      return {
+        success: true,
+        paymentsEvaluated: paymentsResult.rows.length,
+        remindersSent,
+        remindersFailed,
+        sentByStage,
+      };
+    } catch (error) {
+      console.error("❌ Rent dunning job failed:", error);
+
+      // Log failed job execution
+      try {
+        const logFailedJobQuery = `
+          INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        `;
+
+        await client.query(logFailedJobQuery, [
+          "rent_dunning",
+          new Date().toISOString(),
+          error.message,
+          Date.now() - startedAt,
+        ]);
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every day at 10:00 AM
+  startScheduler() {
+    console.log("🚀 Starting rent dunning scheduler...");
+
+    cron.schedule(
+      "0 10 * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Sending rent dunning reminders");
+        try {
+          await this.sendDunningReminders();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Rent dunning scheduler started - will run every day at 10:00 AM IST"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering rent dunning job...");
+    return await this.sendDunningReminders();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Rent dunning scheduler stopped");
+  }
+}
+
+export default new DunningJob();
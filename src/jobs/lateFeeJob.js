@@ -0,0 +1,252 @@
+// src/jobs/lateFeeJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+
+// Work out the late fee a policy allows for a payment that is `daysOverdue` days late
+export const calculateLateFee = (policy, amount, daysOverdue) => {
+  const daysPastGrace = daysOverdue - policy.grace_days;
+
+  if (daysPastGrace <= 0) {
+    return { fee: 0, calculation: "Within grace period" };
+  }
+
+  const feeValue = parseFloat(policy.fee_value);
+  const baseFee =
+    policy.fee_type === "percentage"
+      ? (parseFloat(amount) * feeValue) / 100
+      : feeValue;
+
+  let fee = policy.daily_accrual ? baseFee * daysPastGrace : baseFee;
+  let calculation =
+    policy.fee_type === "percentage"
+      ? `${feeValue}% of ₹${parseFloat(amount).toFixed(2)}`
+      : `₹${feeValue.toFixed(2)} flat`;
+
+  if (policy.daily_accrual) {
+    calculation += ` x ${daysPastGrace} days past ${policy.grace_days}-day grace`;
+  }
+
+  if (policy.max_fee !== null && policy.max_fee !== undefined) {
+    const maxFee = parseFloat(policy.max_fee);
+    if (fee > maxFee) {
+      fee = maxFee;
+      calculation += ` (capped at ₹${maxFee.toFixed(2)})`;
+    }
+  }
+
+  return { fee: Math.round(fee * 100) / 100, calculation };
+};
+
+class LateFeeJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Main job function to assess late fees on overdue rent
+  async assessLateFees() {
+    if (this.isRunning) {
+      console.log("Late fee job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting late fee assessment job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+    const client = await pool.connect();
+
+    try {
+      // Overdue rent in buildings with an active policy, past the grace period
+      const overduePaymentsQuery = `
+        SELECT
+          p.id,
+          p.amount,
+          COALESCE(p.late_fee, 0) as late_fee,
+          (CURRENT_DATE - p.due_date)::integer as days_overdue,
+          un.unit_number,
+          lfp.id as policy_id,
+          lfp.grace_days,
+          lfp.fee_type,
+          lfp.fee_value,
+          lfp.daily_accrual,
+          lfp.max_fee
+        FROM payments p
+        JOIN tenancies t ON p.tenancy_id = t.id
+        JOIN units un ON t.unit_id = un.id
+        JOIN rooms r ON un.room_id = r.id
+        JOIN buildings b ON r.building_id = b.id
+        JOIN late_fee_policies lfp ON lfp.building_id = b.id AND lfp.is_active = true
+        WHERE p.payment_type = 'rent'
+          AND p.status NOT IN ('paid', 'rescheduled')
+          AND COALESCE(p.late_fee_waived, false) = false
+          AND (CURRENT_DATE - p.due_date) > lfp.grace_days
+          -- Dues of a closed accounting period keep the fee they were closed with
+          AND NOT EXISTS (
+            SELECT 1 FROM accounting_periods ap
+            WHERE ap.building_id = b.id
+              AND ap.status = 'closed'
+              AND ap.period_start = DATE_TRUNC('month', p.due_date)::date
+          )
+        ORDER BY p.due_date ASC
+      `;
+
+      const paymentsResult = await client.query(overduePaymentsQuery);
+
+      console.log(
+        `📊 Found ${paymentsResult.rows.length} overdue rent payments past their grace period`
+      );
+
+      let feesAssessed = 0;
+      let totalAssessed = 0;
+      let failed = 0;
+
+      for (const payment of paymentsResult.rows) {
+        const { fee, calculation } = calculateLateFee(
+          payment,
+          payment.amount,
+          payment.days_overdue
+        );
+        const previousFee = parseFloat(payment.late_fee) || 0;
+
+        // Never lower a fee; manual fees above the policy amount are kept
+        if (fee <= previousFee) {
+          continue;
+        }
+
+        try {
+          await client.query("BEGIN");
+
+          await client.query(
+            `UPDATE payments
+             SET late_fee = $1, updated_at = CURRENT_TIMESTAMP
+             WHERE id = $2`,
+            [fee, payment.id]
+          );
+
+          await client.query(
+            `INSERT INTO late_fee_assessments (
+              payment_id, policy_id, assessment_type, days_overdue,
+              previous_fee, new_fee, calculation, created_at
+            ) VALUES ($1, $2, 'automatic', $3, $4, $5, $6, CURRENT_TIMESTAMP)`,
+            [
+              payment.id,
+              payment.policy_id,
+              payment.days_overdue,
+              previousFee,
+              fee,
+              calculation,
+            ]
+          );
+
+          await client.query("COMMIT");
+
+          feesAssessed++;
+          totalAssessed += fee - previousFee;
+
+          console.log(
+            `✅ Late fee for payment ${payment.id} - Unit ${payment.unit_number}: ₹${previousFee} → ₹${fee}`
+          );
+        } catch (paymentError) {
+          await client.query("ROLLBACK");
+          failed++;
+          console.error(
+            `❌ Error assessing late fee for payment ${payment.id}:`,
+            paymentError.message
+          );
+          // Continue with other payments even if one fails
+        }
+      }
+
+      totalAssessed = Math.round(totalAssessed * 100) / 100;
+      const details = `Assessed late fees on ${feesAssessed} payments totalling ₹${totalAssessed}, ${failed} failed`;
+
+      // Log job execution
+      await client.query(
+        `INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          "late_fees",
+          new Date().toISOString(),
+          "completed",
+          details,
+          Date.now() - startedAt,
+        ]
+      );
+
+      console.log(`🎉 Late fee job completed: ${details}`);
+
+      return {
+        success: true,
+        paymentsEvaluated: paymentsResult.rows.length,
+        feesAssessed,
+        totalAssessed,
+        failed,
+      };
+    } catch (error) {
+      console.error("❌ Late fee job failed:", error);
+
+      // Log failed job execution
+      try {
+        await client.query(
+          `INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+          [
+            "late_fees",
+            new Date().toISOString(),
+            error.message,
+            Date.now() - startedAt,
+          ]
+        );
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every night at 01:00 AM
+  startScheduler() {
+    console.log("🚀 Starting late fee scheduler...");
+
+    cron.schedule(
+      "0 1 * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Assessing late fees");
+        try {
+          await this.assessLateFees();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Late fee scheduler started - will run every night at 01:00 AM IST"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering late fee job...");
+    return await this.assessLateFees();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Late fee scheduler stopped");
+  }
+}
+
+export default new LateFeeJob();
@@ -0,0 +1,150 @@
+// src/jobs/maintenanceScheduleJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+import {
+  OPEN_TASK_STATUSES,
+  generateScheduleTasks,
+  getDueScheduleIds,
+} from "../services/maintenanceScheduleService.js";
+
+class MaintenanceScheduleJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Main job function to generate preventive maintenance tasks
+  async generateMaintenanceTasks() {
+    if (this.isRunning) {
+      console.log("Maintenance schedule job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting maintenance schedule job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+    const client = await pool.connect();
+
+    try {
+      const scheduleIds = await getDueScheduleIds(client);
+
+      let tasksCreated = 0;
+      let failed = 0;
+
+      for (const scheduleId of scheduleIds) {
+        try {
+          await client.query("BEGIN");
+          const tasks = await generateScheduleTasks(scheduleId, client);
+          await client.query("COMMIT");
+          tasksCreated += tasks.length;
+        } catch (scheduleError) {
+          await client.query("ROLLBACK");
+          console.error(
+            `❌ Error generating tasks for maintenance schedule ${scheduleId}:`,
+            scheduleError.message
+          );
+          failed++;
+          // Continue with other schedules even if one fails
+        }
+      }
+
+      const overdueResult = await client.query(
+        `SELECT COUNT(*) as overdue
+        FROM maintenance_requests
+        WHERE status = ANY($1) AND scheduled_date < CURRENT_DATE`,
+        [OPEN_TASK_STATUSES]
+      );
+      const overdueTasks = parseInt(overdueResult.rows[0].overdue);
+
+      const details = `Generated ${tasksCreated} tasks from ${scheduleIds.length} schedules (${failed} failed), ${overdueTasks} tasks overdue`;
+
+      // Log job execution
+      await client.query(
+        `INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          "maintenance_schedules",
+          new Date().toISOString(),
+          "completed",
+          details,
+          Date.now() - startedAt,
+        ]
+      );
+
+      console.log(`🎉 Maintenance schedule job completed: ${details}`);
+
+      return {
+        success: true,
+        schedulesProcessed: scheduleIds.length,
+        tasksCreated,
+        schedulesFailed: failed,
+        overdueTasks,
+      };
+    } catch (error) {
+      console.error("❌ Maintenance schedule job failed:", error);
+
+      // Log failed job execution
+      try {
+        await client.query(
+          `INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+          [
+            "maintenance_schedules",
+            new Date().toISOString(),
+            error.message,
+            Date.now() - startedAt,
+          ]
+        );
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every day at 6:00 AM, before the working day
+  startScheduler() {
+    console.log("🚀 Starting maintenance schedule scheduler...");
+
+    cron.schedule(
+      "0 6 * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Generating maintenance tasks");
+        try {
+          await this.generateMaintenanceTasks();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Maintenance schedule scheduler started - will run every day at 6:00 AM IST"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering maintenance schedule job...");
+    return await this.generateMaintenanceTasks();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Maintenance schedule scheduler stopped");
+  }
+}
+
+export default new MaintenanceScheduleJob();
@@ -0,0 +1,276 @@
+// src/jobs/paymentPlanJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+import { sendPaymentReminder } from "../services/reminderService.js";
+import {
+  INSTALLMENT_REMINDER_DAYS,
+  updatePaymentPlanStatuses,
+} from "../services/paymentPlanService.js";
+
+class PaymentPlanJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Pick the reminder an unpaid installment is due for, or null. Each kind is
+  // sent once: ahead of the due date, then once the installment is missed.
+  getDueReminder(installment) {
+    const sent = installment.sent_reminders || [];
+
+    if (installment.days_overdue > 0) {
+      return sent.includes("installment_missed") ? null : "installment_missed";
+    }
+
+    if (-installment.days_overdue <= INSTALLMENT_REMINDER_DAYS) {
+      return sent.includes("installment_upcoming")
+        ? null
+        : "installment_upcoming";
+    }
+
+    return null;
+  }
+
+  // Send installment reminders to tenants with an active or broken plan
+  async sendInstallmentReminders(client) {
+    const installmentsQuery = `
+      SELECT
+        p.id,
+        p.amount,
+        p.due_date,
+        p.payment_plan_id,
+        (CURRENT_DATE - p.due_date)::integer as days_overdue,
+        u_user.email as tenant_email,
+        up.first_name,
+        up.last_name,
+        un.unit_number,
+        b.name as building_name,
+        ARRAY(
+          SELECT DISTINCT prm.reminder_type
+          FROM payment_reminders prm
+          WHERE prm.payment_id = p.id AND prm.status = 'sent'
+        ) as sent_reminders
+      FROM payments p
+      JOIN payment_plans pp ON p.payment_plan_id = pp.id
+      JOIN tenancies t ON p.tenancy_id = t.id
+      JOIN users u_user ON t.tenant_user_id = u_user.id
+      JOIN user_profiles up ON u_user.id = up.user_id
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      WHERE pp.status IN ('active', 'broken')
+        AND p.status != 'paid'
+        AND p.due_date <= CURRENT_DATE + $1::integer
+      ORDER BY p.due_date ASC
+    `;
+
+    const installmentsResult = await client.query(installmentsQuery, [
+      INSTALLMENT_REMINDER_DAYS,
+    ]);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const installment of installmentsResult.rows) {
+      const reminderType = this.getDueReminder(installment);
+
+      if (!reminderType) {
+        continue;
+      }
+
+      try {
+        const reminder = await sendPaymentReminder(
+          installment,
+          reminderType,
+          {},
+          client
+        );
+
+        if (reminder.status === "sent") {
+          sent++;
+        } else {
+          failed++;
+        }
+      } catch (reminderError) {
+        console.error(
+          `❌ Error sending installment reminder for payment ${installment.id}:`,
+          reminderError.message
+        );
+        failed++;
+        // Continue with other installments even if one fails
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  // Let building managers know a plan was broken, against the missed installment
+  async notifyBrokenPlans(brokenPlans, client) {
+    if (brokenPlans.length === 0) {
+      return { sent: 0, failed: 0 };
+    }
+
+    const missedResult = await client.query(
+      `SELECT
+        p.id,
+        p.amount,
+        p.due_date,
+        (CURRENT_DATE - p.due_date)::integer as days_overdue,
+        u_user.email as tenant_email,
+        up.first_name,
+        up.last_name,
+        up.phone as tenant_phone,
+        un.unit_number,
+        b.name as building_name,
+        mgr.email as manager_email,
+        TRIM(CONCAT(mp.first_name, ' ', mp.last_name)) as manager_name
+      FROM payments p
+      JOIN tenancies t ON p.tenancy_id = t.id
+      JOIN users u_user ON t.tenant_user_id = u_user.id
+      JOIN user_profiles up ON u_user.id = up.user_id
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      LEFT JOIN users mgr ON b.manager_id = mgr.id
+      LEFT JOIN user_profiles mp ON mgr.id = mp.user_id
+      WHERE p.id = ANY($1)`,
+      [brokenPlans.map((plan) => plan.payment_id)]
+    );
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const installment of missedResult.rows) {
+      const reminder = await sendPaymentReminder(
+        installment,
+        "manager_escalation",
+        {
+          customMessage:
+            "The tenant has missed an installment and their payment plan is now broken.",
+        },
+        client
+      );
+
+      if (reminder.status === "sent") {
+        sent++;
+      } else {
+        failed++;
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  // Main job function to update plan statuses and send installment reminders
+  async processPaymentPlans() {
+    if (this.isRunning) {
+      console.log("Payment plan job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting payment plan job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+    const client = await pool.connect();
+
+    try {
+      const statuses = await updatePaymentPlanStatuses(client);
+      const escalations = await this.notifyBrokenPlans(
+        statuses.brokenPlans,
+        client
+      );
+      const reminders = await this.sendInstallmentReminders(client);
+
+      const details = `Completed ${statuses.completedPlanIds.length} plans, marked ${statuses.brokenPlans.length} plans broken (${escalations.sent} managers notified, ${escalations.failed} failed), sent ${reminders.sent} installment reminders (${reminders.failed} failed)`;
+
+      // Log job execution
+      await client.query(
+        `INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          "payment_plans",
+          new Date().toISOString(),
+          "completed",
+          details,
+          Date.now() - startedAt,
+        ]
+      );
+
+      console.log(`🎉 Payment plan job completed: ${details}`);
+
+      return {
+        success: true,
+        plansCompleted: statuses.completedPlanIds.length,
+        plansBroken: statuses.brokenPlans.length,
+        managersNotified: escalations.sent,
+        remindersSent: reminders.sent,
+        remindersFailed: reminders.failed,
+      };
+    } catch (error) {
+      console.error("❌ Payment plan job failed:", error);
+
+      // Log failed job execution
+      try {
+        await client.query(
+          `INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+          [
+            "payment_plans",
+            new Date().toISOString(),
+            error.message,
+            Date.now() - startedAt,
+          ]
+        );
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      client.release();
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every day at 10:15 AM, after the rent dunning run
+  startScheduler() {
+    console.log("🚀 Starting payment plan scheduler...");
+
+    cron.schedule(
+      "15 10 * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Processing payment plans");
+        try {
+          await this.processPaymentPlans();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Payment plan scheduler started - will run every day at 10:15 AM IST"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering payment plan job...");
+    return await this.processPaymentPlans();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Payment plan scheduler stopped");
+  }
+}
+
+export default new PaymentPlanJob();
@@ -1,169 +1,238 @@
 // src/jobs/recurringPaymentsJob.js
 import pool from "../config/database.js";
 import cron from "node-cron";
+import { createError } from "../utils/errorHandler.js";
+import {
+  calculateProratedRent,
+  getBillingCycle,
+  getDailyRent,
+  getProrationConvention,
+  MAX_BILLING_DAY,
+} from "../services/prorationService.js";
+import { billMeterReadings } from "../services/utilityService.js";
+import { billRecurringCharges } from "../services/recurringChargeService.js";
+import { issueInvoicesForPayments } from "../services/invoiceService.js";
+import { applyCreditBalance } from "../services/ledgerService.js";
+import rentRevisionJob from "./rentRevisionJob.js";
+
+// Longest date range a single catch-up run may bill
+const MAX_CATCH_UP_MONTHS = 24;
+
+const toPeriod = (year, month) => `${year}-${String(month).padStart(2, "0")}`;
+
+// Billing months from one "YYYY-MM" period to another, inclusive
+const getBillingMonths = (fromPeriod, toPeriod) => {
+  const [fromYear, fromMonth] = fromPeriod.split("-").map(Number);
+  const [toYear, toMonth] = toPeriod.split("-").map(Number);
+  const months = [];
+
+  for (
+    let index = fromYear * 12 + fromMonth - 1;
+    index <= toYear * 12 + toMonth - 1;
+    index++
+  ) {
+    months.push({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+  }
+
+  return months;
+};
 
 class RecurringPaymentsJob {
   constructor() {
     this.isRunning = false;
   }
 
-  // Main job function to create monthly rent payments
-  async createMonthlyRentPayments() {
+  /**
+   * Create monthly rent payments. Without options this bills the current
+   * month for every tenancy. Options:
+   *   fromMonth, toMonth - "YYYY-MM" range to catch up on missed months
+   *   buildingId, tenancyId - bill only one building or tenancy
+   *   dryRun - run the billing and roll it back, reporting what would be created
+   * Every run records its per-tenancy outcomes in job_logs.details.
+   */
+  async createMonthlyRentPayments({
+    fromMonth = null,
+    toMonth = null,
+    buildingId = null,
+    tenancyId = null,
+    dryRun = false,
+  } = {}) {
     if (this.isRunning) {
       console.log("Recurring payments job is already running, skipping...");
       return;
     }
 
-    console.log("🕐 Starting recurring payments job...");
+    const currentDate = new Date();
+    const currentPeriod = toPeriod(
+      currentDate.getFullYear(),
+      currentDate.getMonth() + 1
+    );
+    const rangeEnd = toMonth || currentPeriod;
+    const rangeStart = fromMonth || rangeEnd;
+
+    if (rangeStart > rangeEnd) {
+      throw createError("VALIDATION_ERROR", "fromMonth must not be after toMonth");
+    }
+
+    if (rangeEnd > currentPeriod) {
+      throw createError("VALIDATION_ERROR", "Future months cannot be billed");
+    }
+
+    const billingMonths = getBillingMonths(rangeStart, rangeEnd);
+
+    if (billingMonths.length > MAX_CATCH_UP_MONTHS) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `A run can cover at most ${MAX_CATCH_UP_MONTHS} months`
+      );
+    }
+
+    console.log(
+      `🕐 Starting recurring payments job${dryRun ? " (dry run)" : ""}...`
+    );
     this.isRunning = true;
+    const startedAt = Date.now();
+
+    // Apply revisions effective today or earlier so each cycle bills the rent
+    // in effect. A dry run must not change anything, so it bills with the
+    // revisions applied so far.
+    if (!dryRun) {
+      try {
+        await rentRevisionJob.applyDueRevisions();
+      } catch (revisionError) {
+        console.error(
+          "❌ Failed to apply due rent revisions before billing:",
+          revisionError.message
+        );
+      }
+    }
 
     const client = await pool.connect();
 
     try {
       await client.query("BEGIN");
 
-      const currentDate = new Date();
-      const currentMonth = currentDate.getMonth() + 1; // 1-12
-      const currentYear = currentDate.getFullYear();
-      const firstOfMonth = new Date(currentYear, currentDate.getMonth(), 1);
-      const dueDate = firstOfMonth.toISOString().split("T")[0];
+      const prorationConvention = getProrationConvention();
+      const outcomes = [];
+      const monthSummaries = [];
+      const createdPaymentIds = [];
+
+      for (const { year, month } of billingMonths) {
+        const summary = await this.billMonth(
+          { year, month, buildingId, tenancyId, prorationConvention, dryRun },
+          client,
+          outcomes
+        );
+        createdPaymentIds.push(...summary.paymentIds);
+        delete summary.paymentIds;
+        monthSummaries.push(summary);
+      }
 
-      console.log(
-        `📅 Creating rent payments for ${currentMonth}/${currentYear}`
+      // Tax invoices for the new charges in buildings set up for invoicing
+      const invoicing = await issueInvoicesForPayments(
+        createdPaymentIds,
+        {},
+        client
       );
 
-      // Get all active tenancies that don't have payments for current month
-      const activetenanciesQuery = `
-        SELECT DISTINCT
-          t.id as tenancy_id,
-          t.tenant_user_id,
-          t.rent_amount,
-          t.start_date,
-          t.end_date,
-          u.unit_number,
-          r.room_number,
-          b.name as building_name,
-          up.first_name,
-          up.last_name,
-          usr.email
-        FROM tenancies t
-        JOIN units u ON t.unit_id = u.id
-        JOIN rooms r ON u.room_id = r.id
-        JOIN buildings b ON r.building_id = b.id
-        JOIN users usr ON t.tenant_user_id = usr.id
-        JOIN user_profiles up ON usr.id = up.user_id
-        WHERE t.start_date <= $1::date
-          AND (t.end_date IS NULL OR t.end_date >= $1::date)
-          AND usr.status = 'active'
-          AND NOT EXISTS (
-            SELECT 1 FROM rent_cycles rc 
-            WHERE rc.tenancy_id = t.id 
-              AND rc.cycle_month = $2 
-              AND rc.cycle_year = $3
-          )
-          AND NOT EXISTS (
-            SELECT 1 FROM payments p 
-            WHERE p.tenancy_id = t.id 
-              AND p.payment_type = 'rent'
-              AND EXTRACT(MONTH FROM p.due_date) = $2
-              AND EXTRACT(YEAR FROM p.due_date) = $3
-          )
-      `;
+      console.log(
+        `🧾 Issued ${invoicing.issued.length} tax invoices (${invoicing.failed.length} failed)`
+      );
 
-      const tenanciesResult = await client.query(activetenanciesQuery, [
-        dueDate,
-        currentMonth,
-        currentYear,
-      ]);
+      const creditApplication = await this.applyTenantCredit(
+        createdPaymentIds,
+        client,
+        outcomes,
+        dryRun
+      );
 
-      const activeTenancies = tenanciesResult.rows;
       console.log(
-        `📊 Found ${activeTenancies.length} active tenancies for payment generation`
+        `💳 Applied ${creditApplication.amountApplied} of tenant credit to ${creditApplication.paymentsSettled} payments`
       );
 
-      let paymentsCreated = 0;
-      let rentCyclesCreated = 0;
-
-      for (const tenancy of activeTenancies) {
-        try {
-          // Create payment record
-          const createPaymentQuery = `
-            INSERT INTO payments (
-              tenancy_id, payment_type, amount, due_date, status, notes, created_at, updated_at
-            ) VALUES ($1, 'rent', $2, $3, 'pending', $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-            RETURNING id
-          `;
-
-          const paymentResult = await client.query(createPaymentQuery, [
-            tenancy.tenancy_id,
-            tenancy.rent_amount,
-            dueDate,
-            `Monthly rent for ${currentMonth}/${currentYear} - Unit ${tenancy.unit_number}`,
-          ]);
-
-          paymentsCreated++;
-
-          // Create rent cycle record
-          const createRentCycleQuery = `
-            INSERT INTO rent_cycles (
-              tenancy_id, cycle_month, cycle_year, rent_amount, due_date,
-              payment_status, created_at, updated_at
-            ) VALUES ($1, $2, $3, $4, $5, 'pending', CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
-            RETURNING id
-          `;
-
-          await client.query(createRentCycleQuery, [
-            tenancy.tenancy_id,
-            currentMonth,
-            currentYear,
-            tenancy.rent_amount,
-            dueDate,
-          ]);
-
-          rentCyclesCreated++;
-
-          console.log(
-            `✅ Created payment for ${tenancy.first_name} ${tenancy.last_name} - Unit ${tenancy.unit_number} - ₹${tenancy.rent_amount}`
-          );
-        } catch (tenancyError) {
-          console.error(
-            `❌ Error creating payment for tenancy ${tenancy.tenancy_id}:`,
-            tenancyError.message
-          );
-          // Continue with other tenancies even if one fails
-        }
-      }
+      const sumOf = (key) =>
+        monthSummaries.reduce((total, summary) => total + summary[key], 0);
+      const paymentsCreated = sumOf("paymentsCreated");
+      const rentCyclesCreated = sumOf("rentCyclesCreated");
+      const utilityPaymentsCreated = sumOf("utilityPaymentsCreated");
+      const recurringChargesBilled = sumOf("recurringChargesBilled");
+      const meterReadingsBilled = sumOf("meterReadingsBilled");
+
+      const periodLabel =
+        rangeStart === rangeEnd ? rangeStart : `${rangeStart} to ${rangeEnd}`;
+      const targetLabel = tenancyId
+        ? ` (tenancy ${tenancyId})`
+        : buildingId
+        ? ` (building ${buildingId})`
+        : "";
+      const summaryText = `${dryRun ? "Dry run: would create" : "Successfully created"} ${paymentsCreated} payments (${utilityPaymentsCreated} utility, ${recurringChargesBilled} recurring charges), ${rentCyclesCreated} rent cycles and ${invoicing.issued.length} invoices for ${periodLabel}${targetLabel}; ${creditApplication.amountApplied} of tenant credit applied`;
+
+      const details = JSON.stringify({
+        summary: summaryText,
+        dryRun,
+        fromMonth: rangeStart,
+        toMonth: rangeEnd,
+        buildingId,
+        tenancyId,
+        months: monthSummaries,
+        invoicesIssued: invoicing.issued.length,
+        invoiceFailures: invoicing.failed,
+        creditApplied: creditApplication.amountApplied,
+        outcomes,
+      });
 
       // Log job execution
       const logJobQuery = `
         INSERT INTO job_logs (
           job_name, execution_date, status, details, payments_created, rent_cycles_created,
-          created_at, updated_at
-        ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          execution_duration_ms, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
       `;
 
-      await client.query(logJobQuery, [
-        "recurring_payments",
-        currentDate.toISOString(),
-        "completed",
-        `Successfully created ${paymentsCreated} payments and ${rentCyclesCreated} rent cycles for ${currentMonth}/${currentYear}`,
-        paymentsCreated,
-        rentCyclesCreated,
-      ]);
-
-      await client.query("COMMIT");
+      if (dryRun) {
+        // Discard everything the run wrote, then record the run itself
+        await client.query("ROLLBACK");
+        await client.query(logJobQuery, [
+          "recurring_payments",
+          currentDate.toISOString(),
+          "completed",
+          details,
+          0,
+          0,
+          Date.now() - startedAt,
+        ]);
+      } else {
+        await client.query(logJobQuery, [
+          "recurring_payments",
+          currentDate.toISOString(),
+          "completed",
+          details,
+          paymentsCreated,
+          rentCyclesCreated,
+          Date.now() - startedAt,
+        ]);
+        await client.query("COMMIT");
+      }
 
       console.log(`🎉 Recurring payments job completed successfully!`);
-      console.log(
-        `📈 Summary: ${paymentsCreated} payments created, ${rentCyclesCreated} rent cycles created`
-      );
+      console.log(`📈 Summary: ${summaryText}`);
 
       return {
         success: true,
+        dryRun,
+        fromMonth: rangeStart,
+        toMonth: rangeEnd,
+        buildingId,
+        tenancyId,
         paymentsCreated,
         rentCyclesCreated,
-        month: currentMonth,
-        year: currentYear,
+        utilityPaymentsCreated,
+        recurringChargesBilled,
+        meterReadingsBilled,
+        invoicesIssued: invoicing.issued.length,
+        creditApplied: creditApplication.amountApplied,
+        months: monthSummaries,
+        outcomes,
       };
     } catch (error) {
       await client.query("ROLLBACK");
@@ -193,6 +262,460 @@ class RecurringPaymentsJob {
     }
   }
 
+  /**
+   * Settle the new charges (and any older dues) of each billed tenancy from
+   * its credit balance - advances, overpayments and credit notes not yet
+   * applied. Each tenancy is handled in its own savepoint and what was applied
+   * is appended to `outcomes`.
+   */
+  async applyTenantCredit(paymentIds, client, outcomes, dryRun) {
+    let amountApplied = 0;
+    let paymentsSettled = 0;
+
+    if (paymentIds.length === 0) {
+      return { amountApplied, paymentsSettled };
+    }
+
+    const tenanciesResult = await client.query(
+      `SELECT DISTINCT tenancy_id FROM payments
+      WHERE id = ANY($1)
+      ORDER BY tenancy_id`,
+      [paymentIds]
+    );
+
+    for (const { tenancy_id: tenancyId } of tenanciesResult.rows) {
+      try {
+        await client.query("SAVEPOINT tenant_credit");
+        const applied = await applyCreditBalance(tenancyId, {}, client);
+        await client.query("RELEASE SAVEPOINT tenant_credit");
+
+        if (applied.amountApplied > 0) {
+          amountApplied =
+            Math.round((amountApplied + applied.amountApplied) * 100) / 100;
+          paymentsSettled += applied.paymentIds.length;
+          outcomes.push({
+            tenancyId,
+            status: dryRun ? "would_apply_credit" : "credit_applied",
+            amount: applied.amountApplied,
+            paymentIds: dryRun ? [] : applied.paymentIds,
+            remainingCredit: applied.remainingCredit,
+          });
+        }
+      } catch (creditError) {
+        await client.query("ROLLBACK TO SAVEPOINT tenant_credit");
+        console.error(
+          `❌ Error applying credit for tenancy ${tenancyId}:`,
+          creditError.message
+        );
+        outcomes.push({
+          tenancyId,
+          status: "failed",
+          reason: `Credit not applied: ${creditError.message}`,
+        });
+      }
+    }
+
+    return { amountApplied, paymentsSettled };
+  }
+
+  /**
+   * Bill one month: a rent payment and rent cycle per tenancy whose billing
+   * cycle starting this month (on its billing day) it occupies and has not
+   * been billed for, the recurring charges due with it, then the meter
+   * readings due for billing. Each tenancy is billed in its own savepoint and
+   * its outcome is appended to `outcomes`.
+   */
+  async billMonth(
+    { year, month, buildingId, tenancyId, prorationConvention, dryRun },
+    client,
+    outcomes
+  ) {
+    const period = toPeriod(year, month);
+    // Utility charges stay due on the first of the month
+    const dueDate = `${period}-01`;
+
+    console.log(`📅 Creating rent payments for ${month}/${year}`);
+
+    // Get all tenancies occupying their unit during this month's billing cycle
+    const activetenanciesQuery = `
+      SELECT DISTINCT
+        t.id as tenancy_id,
+        t.tenant_user_id,
+        t.billing_day,
+        -- Rent in effect on the first day of the cycle
+        COALESCE(
+          (
+            SELECT rh.rent_amount FROM tenancy_rent_history rh
+            WHERE rh.tenancy_id = t.id AND rh.effective_from <= cycle.cycle_start
+            ORDER BY rh.effective_from DESC
+            LIMIT 1
+          ),
+          t.rent_amount
+        ) as rent_amount,
+        t.start_date,
+        t.end_date,
+        t.actual_move_out_date,
+        -- Day after the last billed cycle; differs from the cycle start when
+        -- the billing day has changed since
+        previous.next_period_start,
+        u.unit_number,
+        r.room_number,
+        b.name as building_name,
+        up.first_name,
+        up.last_name,
+        usr.email,
+        (
+          EXISTS (
+            SELECT 1 FROM rent_cycles rc 
+            WHERE rc.tenancy_id = t.id 
+              AND rc.cycle_month = $1 
+              AND rc.cycle_year = $2
+          )
+          OR EXISTS (
+            SELECT 1 FROM payments p 
+            WHERE p.tenancy_id = t.id 
+              AND p.payment_type = 'rent'
+              AND EXTRACT(MONTH FROM p.due_date) = $1
+              AND EXTRACT(YEAR FROM p.due_date) = $2
+          )
+        ) as already_billed,
+        EXISTS (
+          SELECT 1 FROM accounting_periods ap
+          WHERE ap.building_id = b.id
+            AND ap.status = 'closed'
+            AND ap.period_start = make_date($2::integer, $1::integer, 1)
+        ) as period_closed
+      FROM tenancies t
+      CROSS JOIN LATERAL (
+        SELECT
+          make_date($2::integer, $1::integer, t.billing_day) as cycle_start,
+          (make_date($2::integer, $1::integer, t.billing_day) + INTERVAL '1 month' - INTERVAL '1 day')::date as cycle_end
+      ) cycle
+      LEFT JOIN LATERAL (
+        SELECT MAX(rc.period_end) + 1 as next_period_start
+        FROM rent_cycles rc
+        WHERE rc.tenancy_id = t.id
+          AND rc.cycle_year * 12 + rc.cycle_month < $2::integer * 12 + $1::integer
+      ) previous ON true
+      JOIN units u ON t.unit_id = u.id
+      JOIN rooms r ON u.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      JOIN users usr ON t.tenant_user_id = usr.id
+      JOIN user_profiles up ON usr.id = up.user_id
+      WHERE t.start_date <= cycle.cycle_end
+        -- A tenancy moving in after the month, before its billing day, has
+        -- those days billed with the next month's cycle
+        AND t.start_date < (make_date($2::integer, $1::integer, 1) + INTERVAL '1 month')::date
+        AND (t.end_date IS NULL OR t.end_date >= cycle.cycle_start)
+        AND (t.actual_move_out_date IS NULL OR t.actual_move_out_date >= cycle.cycle_start)
+        AND usr.status = 'active'
+        AND ($3::integer IS NULL OR b.id = $3)
+        AND ($4::integer IS NULL OR t.id = $4)
+      ORDER BY t.id
+    `;
+
+    const tenanciesResult = await client.query(activetenanciesQuery, [
+      month,
+      year,
+      buildingId,
+      tenancyId,
+    ]);
+
+    const activeTenancies = tenanciesResult.rows;
+    console.log(
+      `📊 Found ${activeTenancies.length} active tenancies for payment generation`
+    );
+
+    if (tenancyId && activeTenancies.length === 0) {
+      outcomes.push({
+        tenancyId,
+        month: period,
+        status: "skipped",
+        reason: "Tenancy did not occupy its unit this billing cycle",
+      });
+    }
+
+    let rentCyclesCreated = 0;
+    const paymentIds = [];
+
+    for (const tenancy of activeTenancies) {
+      if (tenancy.already_billed) {
+        outcomes.push({
+          tenancyId: tenancy.tenancy_id,
+          month: period,
+          status: "skipped",
+          reason: "Already billed",
+        });
+        continue;
+      }
+
+      // Missed months of a closed accounting period are billed through an
+      // adjusting entry instead
+      if (tenancy.period_closed) {
+        outcomes.push({
+          tenancyId: tenancy.tenancy_id,
+          month: period,
+          status: "skipped",
+          reason: "Accounting period is closed",
+        });
+        continue;
+      }
+
+      try {
+        await client.query("SAVEPOINT tenancy_billing");
+
+        // A tenancy moving in during the cycle is due on its move-in date
+        const cycle = getBillingCycle(
+          year,
+          month,
+          tenancy.billing_day,
+          tenancy.start_date
+        );
+
+        // A cycle already billed under an earlier billing day may overlap
+        // this one, so billing resumes the day after it
+        const billedUntil = tenancy.next_period_start;
+        const occupancyStart =
+          billedUntil && billedUntil > tenancy.start_date
+            ? billedUntil
+            : tenancy.start_date;
+
+        // Pro-rate the first and last cycles of a tenancy by day count
+        const occupancyEnds = [
+          tenancy.end_date,
+          tenancy.actual_move_out_date,
+        ].filter(Boolean);
+        const rent = calculateProratedRent(
+          tenancy.rent_amount,
+          {
+            year,
+            month,
+            billingDay: tenancy.billing_day,
+            occupancyStart,
+            occupancyEnd:
+              occupancyEnds.length > 0
+                ? new Date(Math.min(...occupancyEnds))
+                : null,
+          },
+          prorationConvention
+        );
+
+        // Moving the billing day later leaves the days between the last
+        // billed cycle and this one, charged at the daily rent. A longer gap
+        // is a missed month, which a catch-up run bills instead. The days of
+        // a move-in this month before the billing day are charged the same
+        // way, as the previous month's cycle left them out.
+        const startDay = tenancy.start_date.toLocaleDateString("en-CA");
+        const movedInBeforeCycle =
+          !billedUntil &&
+          startDay >= `${period}-01` &&
+          startDay < cycle.periodStart;
+        const gapStart =
+          billedUntil && billedUntil > tenancy.start_date
+            ? billedUntil
+            : movedInBeforeCycle
+            ? tenancy.start_date
+            : null;
+        const gapDays = gapStart
+          ? Math.round(
+              (new Date(`${cycle.periodStart}T00:00:00`) - gapStart) /
+                (24 * 60 * 60 * 1000)
+            )
+          : 0;
+        if (gapDays > 0 && gapDays < MAX_BILLING_DAY && rent.amount > 0) {
+          const gapAmount =
+            Math.round(
+              getDailyRent(tenancy.rent_amount, prorationConvention) *
+                gapDays *
+                100
+            ) / 100;
+          const gapReason = movedInBeforeCycle
+            ? "Moved in before billing day"
+            : "Billing day changed";
+          const gapCalculation = `${gapReason}: ${gapDays} days from ${gapStart.toLocaleDateString(
+            "en-CA"
+          )} at ₹${gapAmount.toFixed(2)}`;
+
+          rent.amount = Math.round((rent.amount + gapAmount) * 100) / 100;
+          rent.isProrated = true;
+          rent.periodStart = gapStart.toLocaleDateString("en-CA");
+          rent.occupiedDays += gapDays;
+          rent.calculation = rent.calculation
+            ? `${rent.calculation}; ${gapCalculation}`
+            : gapCalculation;
+        }
+
+        if (rent.amount <= 0) {
+          await client.query("RELEASE SAVEPOINT tenancy_billing");
+          outcomes.push({
+            tenancyId: tenancy.tenancy_id,
+            month: period,
+            status: "skipped",
+            reason: "No rent due for the billing cycle",
+          });
+          continue;
+        }
+
+        let paymentNotes = `Monthly rent for ${month}/${year} - Unit ${tenancy.unit_number}`;
+        if (tenancy.billing_day !== 1) {
+          paymentNotes = `Monthly rent for ${cycle.periodStart} to ${cycle.periodEnd} - Unit ${tenancy.unit_number}`;
+        }
+        if (rent.isProrated) {
+          paymentNotes += ` (${rent.calculation})`;
+        }
+
+        // Create payment record
+        const createPaymentQuery = `
+          INSERT INTO payments (
+            tenancy_id, payment_type, amount, due_date, status, notes, created_at, updated_at
+          ) VALUES ($1, 'rent', $2, $3, 'pending', $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          RETURNING id
+        `;
+
+        const paymentResult = await client.query(createPaymentQuery, [
+          tenancy.tenancy_id,
+          rent.amount,
+          cycle.dueDate,
+          paymentNotes,
+        ]);
+
+        // Create rent cycle record
+        const createRentCycleQuery = `
+          INSERT INTO rent_cycles (
+            tenancy_id, cycle_month, cycle_year, rent_amount, due_date,
+            payment_status, full_rent_amount, is_prorated, period_start,
+            period_end, occupied_days, basis_days, proration_convention,
+            proration_details, created_at, updated_at
+          ) VALUES ($1, $2, $3, $4, $5, 'pending', $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+          RETURNING id
+        `;
+
+        await client.query(createRentCycleQuery, [
+          tenancy.tenancy_id,
+          month,
+          year,
+          rent.amount,
+          cycle.dueDate,
+          rent.fullAmount,
+          rent.isProrated,
+          rent.periodStart,
+          rent.periodEnd,
+          rent.occupiedDays,
+          rent.basisDays,
+          rent.convention,
+          rent.calculation,
+        ]);
+
+        await client.query("RELEASE SAVEPOINT tenancy_billing");
+        paymentIds.push(paymentResult.rows[0].id);
+        rentCyclesCreated++;
+
+        outcomes.push({
+          tenancyId: tenancy.tenancy_id,
+          month: period,
+          status: dryRun ? "would_create" : "created",
+          paymentId: dryRun ? null : paymentResult.rows[0].id,
+          amount: rent.amount,
+          prorated: rent.isProrated,
+        });
+
+        const prorationNote = rent.isProrated
+          ? ` (pro-rated ${rent.occupiedDays}/${rent.basisDays} days)`
+          : "";
+        console.log(
+          `✅ Created payment for ${tenancy.first_name} ${tenancy.last_name} - Unit ${tenancy.unit_number} - ₹${rent.amount}${prorationNote}`
+        );
+      } catch (tenancyError) {
+        await client.query("ROLLBACK TO SAVEPOINT tenancy_billing");
+        console.error(
+          `❌ Error creating payment for tenancy ${tenancy.tenancy_id}:`,
+          tenancyError.message
+        );
+        outcomes.push({
+          tenancyId: tenancy.tenancy_id,
+          month: period,
+          status: "failed",
+          reason: tenancyError.message,
+        });
+        // Continue with other tenancies even if one fails
+      }
+    }
+
+    // Add-on charges fall due with the cycle's rent
+    const chargeBilling = await billRecurringCharges(
+      { year, month, buildingId, tenancyId },
+      client
+    );
+
+    for (const charge of chargeBilling.billed) {
+      outcomes.push({
+        tenancyId: charge.tenancyId,
+        month: period,
+        status: dryRun ? "would_create" : "created",
+        recurringChargeId: charge.chargeId,
+        paymentId: dryRun ? null : charge.paymentId,
+        paymentType: charge.paymentType,
+        amount: charge.amount,
+      });
+    }
+    for (const charge of chargeBilling.skipped) {
+      outcomes.push({
+        tenancyId: charge.tenancyId,
+        month: period,
+        status: [
+          "Already billed",
+          "Accounting period is closed",
+        ].includes(charge.reason)
+          ? "skipped"
+          : "failed",
+        recurringChargeId: charge.chargeId,
+        reason: charge.reason,
+      });
+    }
+
+    console.log(
+      `🔁 Billed ${chargeBilling.chargesBilled} recurring charges (${chargeBilling.skipped.length} skipped)`
+    );
+
+    // Bill the previous months' meter readings alongside this month's rent.
+    // Shared meters are split across a room, so a single-tenancy run leaves
+    // them for the next full run.
+    let utilityBilling = { readingsBilled: 0, paymentIds: [], skipped: [] };
+    if (!tenancyId) {
+      utilityBilling = await billMeterReadings(
+        {
+          billingYear: year,
+          billingMonth: month,
+          dueDate,
+          buildingId,
+        },
+        client
+      );
+
+      console.log(
+        `⚡ Billed ${utilityBilling.readingsBilled} meter readings into ${utilityBilling.paymentIds.length} utility payments (${utilityBilling.skipped.length} skipped)`
+      );
+    }
+
+    return {
+      month: period,
+      paymentsCreated:
+        rentCyclesCreated +
+        chargeBilling.paymentIds.length +
+        utilityBilling.paymentIds.length,
+      rentCyclesCreated,
+      recurringChargesBilled: chargeBilling.chargesBilled,
+      utilityPaymentsCreated: utilityBilling.paymentIds.length,
+      meterReadingsBilled: utilityBilling.readingsBilled,
+      meterReadingsSkipped: utilityBilling.skipped,
+      paymentIds: [
+        ...paymentIds,
+        ...chargeBilling.paymentIds,
+        ...utilityBilling.paymentIds,
+      ],
+    };
+  }
+
   // Schedule the job to run on 1st of every month at 00:30 AM
   startScheduler() {
     console.log("🚀 Starting recurring payments scheduler...");
@@ -219,10 +742,11 @@ class RecurringPaymentsJob {
     );
   }
 
-  // Manual trigger for testing or admin use
-  async triggerManually() {
+  // Manual trigger for testing or admin use, with the catch-up, targeting
+  // and dry-run options of createMonthlyRentPayments
+  async triggerManually(options = {}) {
     console.log("🔧 Manually triggering recurring payments job...");
-    return await this.createMonthlyRentPayments();
+    return await this.createMonthlyRentPayments(options);
   }
 
   // Stop the scheduler
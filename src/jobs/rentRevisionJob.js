@@ -0,0 +1,255 @@
+// src/jobs/rentRevisionJob.js
+import pool from "../config/database.js";
+import cron from "node-cron";
+import {
+  applyRentRevision,
+  calculateRevisedRent,
+} from "../services/rentRevisionService.js";
+import { sendRentRevisionNoticeEmail } from "../services/emailService.js";
+
+class RentRevisionJob {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // Apply every scheduled revision whose effective date has arrived. Each
+  // revision runs in its own transaction so one failure doesn't block the rest.
+  async applyDueRevisions() {
+    const client = await pool.connect();
+
+    let applied = 0;
+    let failed = 0;
+    const failedIds = [];
+
+    try {
+      // Re-query until nothing is due: recurring revisions that were missed
+      // for a while schedule their next occurrence, which may also be due
+      while (true) {
+        const dueResult = await client.query(
+          `SELECT rr.id, rr.tenancy_id
+           FROM rent_revisions rr
+           JOIN tenancies t ON rr.tenancy_id = t.id
+           WHERE rr.status = 'scheduled'
+             AND rr.effective_date <= CURRENT_DATE
+             AND t.agreement_status = 'executed'
+             AND NOT (rr.id = ANY($1))
+           ORDER BY rr.tenancy_id, rr.effective_date ASC, rr.id ASC`,
+          [failedIds]
+        );
+
+        if (dueResult.rows.length === 0) {
+          break;
+        }
+
+        for (const revision of dueResult.rows) {
+          try {
+            await client.query("BEGIN");
+            const result = await applyRentRevision(revision.id, client);
+            await client.query("COMMIT");
+
+            applied++;
+            console.log(
+              `✅ Applied rent revision ${revision.id} for tenancy ${revision.tenancy_id}: ₹${result.previousRent} → ₹${result.newRent}`
+            );
+          } catch (revisionError) {
+            await client.query("ROLLBACK");
+            failed++;
+            failedIds.push(revision.id);
+            console.error(
+              `❌ Error applying rent revision ${revision.id}:`,
+              revisionError.message
+            );
+            // Continue with other revisions even if one fails
+          }
+        }
+      }
+    } finally {
+      client.release();
+    }
+
+    return { applied, failed };
+  }
+
+  // Email tenants about upcoming revisions once they are within the notice window
+  async sendRevisionNotices() {
+    const upcomingQuery = `
+      SELECT
+        rr.id,
+        rr.revision_type,
+        rr.revision_value,
+        rr.effective_date,
+        t.rent_amount as current_rent,
+        u_user.email as tenant_email,
+        up.first_name,
+        up.last_name,
+        un.unit_number,
+        b.name as building_name
+      FROM rent_revisions rr
+      JOIN tenancies t ON rr.tenancy_id = t.id
+      JOIN users u_user ON t.tenant_user_id = u_user.id
+      JOIN user_profiles up ON u_user.id = up.user_id
+      JOIN units un ON t.unit_id = un.id
+      JOIN rooms r ON un.room_id = r.id
+      JOIN buildings b ON r.building_id = b.id
+      WHERE rr.status = 'scheduled'
+        AND rr.notified_at IS NULL
+        AND rr.effective_date > CURRENT_DATE
+        AND rr.effective_date - rr.notice_days <= CURRENT_DATE
+        AND t.agreement_status = 'executed'
+      ORDER BY rr.effective_date ASC
+    `;
+
+    const upcomingResult = await pool.query(upcomingQuery);
+
+    let sent = 0;
+    let failed = 0;
+
+    for (const revision of upcomingResult.rows) {
+      const value = parseFloat(revision.revision_value);
+
+      try {
+        await sendRentRevisionNoticeEmail(revision.tenant_email, {
+          tenantName: `${revision.first_name || ""} ${
+            revision.last_name || ""
+          }`.trim(),
+          unitNumber: revision.unit_number,
+          buildingName: revision.building_name,
+          currentRent: revision.current_rent,
+          newRent: calculateRevisedRent(
+            revision.current_rent,
+            revision.revision_type,
+            value
+          ),
+          revisionDescription:
+            revision.revision_type === "percentage"
+              ? `${value}% revision`
+              : `₹${value.toFixed(2)} ${value >= 0 ? "increase" : "reduction"}`,
+          effectiveDate: revision.effective_date,
+        });
+
+        await pool.query(
+          "UPDATE rent_revisions SET notified_at = CURRENT_TIMESTAMP WHERE id = $1",
+          [revision.id]
+        );
+
+        sent++;
+      } catch (noticeError) {
+        failed++;
+        console.error(
+          `❌ Error sending rent revision notice ${revision.id}:`,
+          noticeError.message
+        );
+        // Retried on the next run since notified_at stays NULL
+      }
+    }
+
+    return { sent, failed };
+  }
+
+  // Main job function to apply due revisions and notify tenants of upcoming ones
+  async processRentRevisions() {
+    if (this.isRunning) {
+      console.log("Rent revision job is already running, skipping...");
+      return;
+    }
+
+    console.log("🕐 Starting rent revision job...");
+    this.isRunning = true;
+
+    const startedAt = Date.now();
+
+    try {
+      const revisions = await this.applyDueRevisions();
+      const notices = await this.sendRevisionNotices();
+
+      const details = `Applied ${revisions.applied} rent revisions (${revisions.failed} failed), sent ${notices.sent} revision notices (${notices.failed} failed)`;
+
+      // Log job execution
+      await pool.query(
+        `INSERT INTO job_logs (
+          job_name, execution_date, status, details, execution_duration_ms,
+          created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+        [
+          "rent_revisions",
+          new Date().toISOString(),
+          "completed",
+          details,
+          Date.now() - startedAt,
+        ]
+      );
+
+      console.log(`🎉 Rent revision job completed: ${details}`);
+
+      return {
+        success: true,
+        revisionsApplied: revisions.applied,
+        revisionsFailed: revisions.failed,
+        noticesSent: notices.sent,
+        noticesFailed: notices.failed,
+      };
+    } catch (error) {
+      console.error("❌ Rent revision job failed:", error);
+
+      // Log failed job execution
+      try {
+        await pool.query(
+          `INSERT INTO job_logs (
+            job_name, execution_date, status, error_message, execution_duration_ms,
+            created_at, updated_at
+          ) VALUES ($1, $2, 'failed', $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+          [
+            "rent_revisions",
+            new Date().toISOString(),
+            error.message,
+            Date.now() - startedAt,
+          ]
+        );
+      } catch (logError) {
+        console.error("Failed to log job error:", logError);
+      }
+
+      throw error;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+
+  // Schedule the job to run every day at 00:05 AM, ahead of monthly billing at 00:30
+  startScheduler() {
+    console.log("🚀 Starting rent revision scheduler...");
+
+    cron.schedule(
+      "5 0 * * *",
+      async () => {
+        console.log("⏰ Cron triggered: Processing rent revisions");
+        try {
+          await this.processRentRevisions();
+        } catch (error) {
+          console.error("Scheduled job failed:", error);
+        }
+      },
+      {
+        scheduled: true,
+        timezone: "Asia/Kolkata",
+      }
+    );
+
+    console.log(
+      "📅 Rent revision scheduler started - will run every day at 00:05 AM IST"
+    );
+  }
+
+  // Manual trigger for testing or admin use
+  async triggerManually() {
+    console.log("🔧 Manually triggering rent revision job...");
+    return await this.processRentRevisions();
+  }
+
+  // Stop the scheduler
+  stopScheduler() {
+    console.log("⏹️ Rent revision scheduler stopped");
+  }
+}
+
+export default new RentRevisionJob();
@@ -1,5 +1,11 @@
 // src/jobs/scheduler.js
 import recurringPaymentsJob from "./recurringPaymentsJob.js";
+import dunningJob from "./dunningJob.js";
+import lateFeeJob from "./lateFeeJob.js";
+import rentRevisionJob from "./rentRevisionJob.js";
+import paymentPlanJob from "./paymentPlanJob.js";
+import complaintSlaJob from "./complaintSlaJob.js";
+import maintenanceScheduleJob from "./maintenanceScheduleJob.js";
 
 class JobScheduler {
   constructor() {
@@ -20,8 +26,32 @@ class JobScheduler {
       // Register recurring payments job
       this.jobs.recurringPayments = recurringPaymentsJob;
 
-      // Start the scheduler
+      // Register rent dunning job
+      this.jobs.dunning = dunningJob;
+
+      // Register late fee assessment job
+      this.jobs.lateFees = lateFeeJob;
+
+      // Register rent revision job
+      this.jobs.rentRevisions = rentRevisionJob;
+
+      // Register installment plan job
+      this.jobs.paymentPlans = paymentPlanJob;
+
+      // Register complaint SLA job
+      this.jobs.complaintSlas = complaintSlaJob;
+
+      // Register preventive maintenance job
+      this.jobs.maintenanceSchedules = maintenanceScheduleJob;
+
+      // Start the schedulers
       recurringPaymentsJob.startScheduler();
+      dunningJob.startScheduler();
+      lateFeeJob.startScheduler();
+      rentRevisionJob.startScheduler();
+      paymentPlanJob.startScheduler();
+      complaintSlaJob.startScheduler();
+      maintenanceScheduleJob.startScheduler();
 
       this.isInitialized = true;
       console.log("✅ Job scheduler initialized successfully");
@@ -35,8 +65,9 @@ class JobScheduler {
     }
   }
 
-  // Manually trigger a specific job (useful for testing or admin actions)
-  async triggerJob(jobName) {
+  // Manually trigger a specific job (useful for testing or admin actions).
+  // Options are passed through to jobs that accept them.
+  async triggerJob(jobName, options = {}) {
     if (!this.jobs[jobName]) {
       throw new Error(`Job '${jobName}' not found`);
     }
@@ -44,7 +75,7 @@ class JobScheduler {
     console.log(`🔧 Manually triggering job: ${jobName}`);
 
     try {
-      const result = await this.jobs[jobName].triggerManually();
+      const result = await this.jobs[jobName].triggerManually(options);
       console.log(`✅ Job '${jobName}' completed successfully`);
       return result;
     } catch (error) {
@@ -193,8 +193,7 @@ async function checkMaintenancePermission(client, user, requestId, operation) {
     const query = `
       SELECT mr.id 
       FROM maintenance_requests mr
-      JOIN rooms r ON mr.room_id = r.id
-      JOIN buildings b ON r.building_id = b.id
+      JOIN buildings b ON mr.building_id = b.id
       WHERE mr.id = $1 AND b.manager_id = $2
     `;
     const result = await client.query(query, [requestId, user.userId]);
@@ -2,6 +2,7 @@
 
 import multer from "multer";
 import path from "path";
+import fs from "fs";
 import { nanoid } from "nanoid";
 import { createError } from "../utils/errorHandler.js";
 
@@ -19,6 +20,12 @@ const storage = multer.diskStorage({
       uploadPath += "rooms/";
     } else if (file.fieldname === "floorPlanImage") {
       uploadPath += "floor-plans/";
+    } else if (file.fieldname === "completion_attachments") {
+      uploadPath += "work-orders/";
+      fs.mkdirSync(uploadPath, { recursive: true });
+    } else if (file.fieldname === "completion_photos") {
+      uploadPath += "maintenance/";
+      fs.mkdirSync(uploadPath, { recursive: true });
     } else {
       uploadPath += "general/";
     }
@@ -49,4 +56,38 @@ const upload = multer({
   },
 });
 
+// CSV / XLSX imports: bank statements and meter readings
+const spreadsheetStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    const uploadPath =
+      file.fieldname === "statement"
+        ? "uploads/statements/"
+        : "uploads/imports/";
+    fs.mkdirSync(uploadPath, { recursive: true });
+    cb(null, uploadPath);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname).toLowerCase();
+    const filename = `${file.fieldname}_${nanoid()}${ext}`;
+    cb(null, filename);
+  },
+});
+
+const spreadsheetFileFilter = (req, file, cb) => {
+  const ext = path.extname(file.originalname).toLowerCase();
+  if (ext === ".csv" || ext === ".xlsx") {
+    cb(null, true);
+  } else {
+    cb(createError("FILE_ERROR", "Only CSV or XLSX files are allowed"), false);
+  }
+};
+
+export const spreadsheetUpload = multer({
+  storage: spreadsheetStorage,
+  fileFilter: spreadsheetFileFilter,
+  limits: {
+    fileSize: parseInt(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024, // 5MB default
+  },
+});
+
 export default upload;
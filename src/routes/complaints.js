@@ -5,6 +5,8 @@ import { authenticate, authorize, ROLES } from "../middleware/auth.js";
 import upload from "../middleware/upload.js";
 import { createError } from "../utils/errorHandler.js";
 import ComplaintsController from "../controllers/complaintsController.js";
+import { COMPLAINT_PRIORITIES } from "../services/complaintSlaService.js";
+import { VENDOR_TRADES } from "../services/workOrderService.js";
 
 const router = express.Router();
 
@@ -144,6 +146,221 @@ router.get(
   ComplaintsController.getComplaintCategories
 );
 
+/**
+ * GET /api/complaints/sla-policies
+ * Get SLA policies for acknowledging and resolving complaints, with the defaults
+ */
+router.get(
+  "/sla-policies",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  ComplaintsController.getSlaPolicies
+);
+
+/**
+ * PUT /api/complaints/sla-policies
+ * Set SLA hours per category and priority; a policy without hours is removed
+ */
+router.put(
+  "/sla-policies",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("policies")
+      .isArray({ min: 1 })
+      .withMessage("Policies must be a non-empty list"),
+    body("policies.*.category")
+      .optional({ values: "null" })
+      .isString()
+      .isLength({ max: 50 })
+      .withMessage("Category cannot exceed 50 characters"),
+    body("policies.*.priority")
+      .isIn(COMPLAINT_PRIORITIES)
+      .withMessage("Priority must be low, medium, high, or urgent"),
+    body([
+      "policies.*.acknowledge_within_hours",
+      "policies.*.resolve_within_hours",
+    ])
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("SLA hours must be positive integers")
+      .toInt(),
+    body("policies.*").custom((policy) => {
+      const { acknowledge_within_hours, resolve_within_hours } = policy;
+      if ((acknowledge_within_hours == null) !== (resolve_within_hours == null)) {
+        throw new Error(
+          "Set both acknowledge and resolve hours, or neither to remove the policy"
+        );
+      }
+      if (resolve_within_hours < acknowledge_within_hours) {
+        throw new Error(
+          "Resolve hours cannot be less than acknowledge hours"
+        );
+      }
+      return true;
+    }),
+  ],
+  handleValidationErrors,
+  ComplaintsController.updateSlaPolicies
+);
+
+// Name, trade and phone are required when adding a vendor, optional on update
+const vendorValidation = (required) => {
+  const field = (name) => (required ? body(name) : body(name).optional());
+
+  return [
+    field("name")
+      .trim()
+      .isLength({ min: 2, max: 200 })
+      .withMessage("Vendor name must be between 2 and 200 characters"),
+    field("trade")
+      .isIn(VENDOR_TRADES)
+      .withMessage(`Trade must be one of: ${VENDOR_TRADES.join(", ")}`),
+    field("phone")
+      .isMobilePhone()
+      .withMessage("Please provide a valid phone number"),
+    body("email")
+      .optional({ values: "falsy" })
+      .isEmail()
+      .withMessage("Email must be valid"),
+    body("contact_person")
+      .optional({ values: "null" })
+      .isString()
+      .isLength({ max: 100 })
+      .withMessage("Contact person must be under 100 characters"),
+    body("gstin")
+      .optional({ values: "null" })
+      .matches(/^[0-9]{2}[A-Za-z0-9]{13}$/)
+      .withMessage("GSTIN must be 15 characters starting with the state code"),
+    body(["visit_charge", "hourly_rate"])
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Rates must be non-negative numbers")
+      .toFloat(),
+  ];
+};
+
+/**
+ * GET /api/complaints/vendors
+ * List vendors with their open and completed work orders
+ */
+router.get(
+  "/vendors",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("trade")
+      .optional()
+      .isIn(VENDOR_TRADES)
+      .withMessage(`Trade must be one of: ${VENDOR_TRADES.join(", ")}`),
+    query("search")
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage("Search term must be less than 100 characters"),
+  ],
+  handleValidationErrors,
+  ComplaintsController.getVendors
+);
+
+/**
+ * POST /api/complaints/vendors
+ * Add a vendor to the directory
+ */
+router.post(
+  "/vendors",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  vendorValidation(true),
+  handleValidationErrors,
+  ComplaintsController.createVendor
+);
+
+/**
+ * PUT /api/complaints/vendors/:vendorId
+ * Update a vendor's details or deactivate it
+ */
+router.put(
+  "/vendors/:vendorId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("vendorId").isInt().withMessage("Vendor ID must be a valid integer"),
+    ...vendorValidation(false),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  ComplaintsController.updateVendor
+);
+
+/**
+ * PUT /api/complaints/work-orders/:workOrderId
+ * Reschedule, re-quote, start or cancel a work order, or correct its actual cost
+ */
+router.put(
+  "/work-orders/:workOrderId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("workOrderId")
+      .isInt()
+      .withMessage("Work order ID must be a valid integer"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ min: 5, max: 2000 })
+      .withMessage("Description must be between 5 and 2000 characters"),
+    body("status")
+      .optional()
+      .isIn(["scheduled", "in_progress", "cancelled"])
+      .withMessage("Status must be scheduled, in_progress or cancelled"),
+    body("scheduled_visit_at")
+      .optional()
+      .isISO8601()
+      .withMessage("Scheduled visit must be a valid date and time"),
+    body(["quoted_cost", "actual_cost"])
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Costs must be non-negative numbers")
+      .toFloat(),
+    body("cancellation_reason")
+      .optional()
+      .isString()
+      .isLength({ max: 1000 })
+      .withMessage("Cancellation reason must be less than 1000 characters"),
+  ],
+  handleValidationErrors,
+  ComplaintsController.updateWorkOrder
+);
+
+/**
+ * POST /api/complaints/work-orders/:workOrderId/complete
+ * Record the work as done with its actual cost, notes and photos
+ */
+router.post(
+  "/work-orders/:workOrderId/complete",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  upload.array("completion_attachments", 5), // Allow up to 5 files
+  [
+    param("workOrderId")
+      .isInt()
+      .withMessage("Work order ID must be a valid integer"),
+    body("actual_cost")
+      .isFloat({ min: 0 })
+      .withMessage("Actual cost is required and must be a non-negative number")
+      .toFloat(),
+    body("completion_notes")
+      .optional()
+      .isString()
+      .isLength({ max: 2000 })
+      .withMessage("Completion notes must be less than 2000 characters"),
+    body("vendor_rating")
+      .optional()
+      .isInt({ min: 1, max: 5 })
+      .withMessage("Vendor rating must be between 1 and 5")
+      .toInt(),
+  ],
+  handleValidationErrors,
+  ComplaintsController.completeWorkOrder
+);
+
 /**
  * GET /api/complaints/:id
  * Get complaint details by ID
@@ -189,6 +406,46 @@ router.put(
   ComplaintsController.updateComplaintStatus
 );
 
+/**
+ * GET /api/complaints/:id/work-orders
+ * Get the vendor work orders raised on a complaint
+ */
+router.get(
+  "/:id/work-orders",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [param("id").isInt().withMessage("Complaint ID must be a valid integer")],
+  handleValidationErrors,
+  ComplaintsController.getWorkOrders
+);
+
+/**
+ * POST /api/complaints/:id/work-orders
+ * Raise a work order on a complaint to a vendor
+ */
+router.post(
+  "/:id/work-orders",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("id").isInt().withMessage("Complaint ID must be a valid integer"),
+    body("vendor_id").isInt().withMessage("Vendor ID must be a valid integer"),
+    body("description")
+      .trim()
+      .isLength({ min: 5, max: 2000 })
+      .withMessage("Description must be between 5 and 2000 characters"),
+    body("scheduled_visit_at")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Scheduled visit must be a valid date and time"),
+    body("quoted_cost")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Quoted cost must be a non-negative number")
+      .toFloat(),
+  ],
+  handleValidationErrors,
+  ComplaintsController.createWorkOrder
+);
+
 /**
  * POST /api/complaints/:id/activity
  * Add activity/note to complaint
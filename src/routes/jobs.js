@@ -61,7 +61,9 @@ router.get(
 
 /**
  * POST /api/admin/jobs/trigger
- * Manually trigger a scheduled job
+ * Manually trigger a scheduled job. recurringPayments accepts options:
+ * fromMonth/toMonth (YYYY-MM) to catch up, buildingId or tenancyId to target
+ * part of the portfolio, and dryRun to preview without saving.
  */
 router.post(
   "/trigger",
@@ -71,6 +73,24 @@ router.post(
       .notEmpty()
       .isLength({ max: 100 })
       .withMessage("Valid job name is required"),
+    body("options")
+      .optional()
+      .isObject()
+      .withMessage("Options must be an object"),
+    body(["options.fromMonth", "options.toMonth"])
+      .optional()
+      .matches(/^\d{4}-(0[1-9]|1[0-2])$/)
+      .withMessage("Months must be in YYYY-MM format"),
+    body(["options.buildingId", "options.tenancyId"])
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Building and tenancy IDs must be positive integers")
+      .toInt(),
+    body("options.dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be true or false")
+      .toBoolean(),
   ],
   handleValidationErrors,
   jobsController.triggerJob
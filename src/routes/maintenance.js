@@ -0,0 +1,309 @@
+// src/routes/maintenance.js
+import express from "express";
+import { body, query, param, validationResult } from "express-validator";
+import { authenticate, authorize, ROLES } from "../middleware/auth.js";
+import upload from "../middleware/upload.js";
+import { createError } from "../utils/errorHandler.js";
+import { MAINTENANCE_FREQUENCIES } from "../services/maintenanceScheduleService.js";
+import MaintenanceController from "../controllers/maintenanceController.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessage = errors.array()[0].msg;
+    return next(createError("VALIDATION_ERROR", errorMessage));
+  }
+  next();
+};
+
+const PRIORITIES = ["low", "medium", "high", "urgent"];
+
+/**
+ * GET /api/maintenance/assets
+ * List equipment that is serviced on a schedule
+ */
+router.get(
+  "/assets",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  MaintenanceController.getAssets
+);
+
+/**
+ * POST /api/maintenance/assets
+ * Register a water tank, AC unit, fire extinguisher or other equipment
+ */
+router.post(
+  "/assets",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    body("building_id")
+      .isInt()
+      .withMessage("Building ID must be a valid integer")
+      .toInt(),
+    body("room_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Room ID must be a valid integer")
+      .toInt(),
+    body("name").trim().notEmpty().withMessage("Asset name is required"),
+    body("asset_type")
+      .trim()
+      .notEmpty()
+      .withMessage("Asset type is required")
+      .isLength({ max: 50 })
+      .withMessage("Asset type must be less than 50 characters"),
+    body("installed_on")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Installed on must be a valid date"),
+  ],
+  handleValidationErrors,
+  MaintenanceController.createAsset
+);
+
+/**
+ * PUT /api/maintenance/assets/:assetId
+ * Update an asset's details or retire it
+ */
+router.put(
+  "/assets/:assetId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("assetId").isInt().withMessage("Asset ID must be a valid integer"),
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Asset name cannot be empty"),
+    body("asset_type")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Asset type cannot be empty"),
+    body("installed_on")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Installed on must be a valid date"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("Active flag must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  MaintenanceController.updateAsset
+);
+
+/**
+ * GET /api/maintenance/schedules
+ * List recurring maintenance plans with their next due date
+ */
+router.get(
+  "/schedules",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("asset_id")
+      .optional()
+      .isInt()
+      .withMessage("Asset ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  MaintenanceController.getSchedules
+);
+
+/**
+ * POST /api/maintenance/schedules
+ * Create a recurring plan, e.g. monthly water tank cleaning or quarterly AC
+ * servicing, for a building or one of its assets
+ */
+router.post(
+  "/schedules",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    body("building_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Building ID must be a valid integer")
+      .toInt(),
+    body("asset_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Asset ID must be a valid integer")
+      .toInt(),
+    body().custom((value) => {
+      if (!value.building_id && !value.asset_id) {
+        throw new Error("Either a building or an asset is required");
+      }
+      return true;
+    }),
+    body("title").trim().notEmpty().withMessage("Title is required"),
+    body("category").trim().notEmpty().withMessage("Category is required"),
+    body("priority")
+      .optional()
+      .isIn(PRIORITIES)
+      .withMessage("Invalid priority"),
+    body("frequency")
+      .isIn(MAINTENANCE_FREQUENCIES)
+      .withMessage(
+        `Frequency must be one of: ${MAINTENANCE_FREQUENCIES.join(", ")}`
+      ),
+    body("start_date").isISO8601().withMessage("Start date must be a valid date"),
+    body("lead_days")
+      .optional()
+      .isInt({ min: 0, max: 90 })
+      .withMessage("Lead days must be between 0 and 90")
+      .toInt(),
+  ],
+  handleValidationErrors,
+  MaintenanceController.createSchedule
+);
+
+/**
+ * PUT /api/maintenance/schedules/:scheduleId
+ * Change, pause or resume a maintenance plan
+ */
+router.put(
+  "/schedules/:scheduleId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("scheduleId")
+      .isInt()
+      .withMessage("Schedule ID must be a valid integer"),
+    body("title").optional().trim().notEmpty().withMessage("Title cannot be empty"),
+    body("category")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Category cannot be empty"),
+    body("priority")
+      .optional()
+      .isIn(PRIORITIES)
+      .withMessage("Invalid priority"),
+    body("frequency")
+      .optional()
+      .isIn(MAINTENANCE_FREQUENCIES)
+      .withMessage(
+        `Frequency must be one of: ${MAINTENANCE_FREQUENCIES.join(", ")}`
+      ),
+    body("start_date")
+      .optional()
+      .isISO8601()
+      .withMessage("Start date must be a valid date"),
+    body("lead_days")
+      .optional()
+      .isInt({ min: 0, max: 90 })
+      .withMessage("Lead days must be between 0 and 90")
+      .toInt(),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("Active flag must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  MaintenanceController.updateSchedule
+);
+
+/**
+ * GET /api/maintenance/tasks
+ * List maintenance tasks; overdue=true returns only open tasks past due
+ */
+router.get(
+  "/tasks",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("schedule_id")
+      .optional()
+      .isInt()
+      .withMessage("Schedule ID must be a valid integer"),
+    query("status")
+      .optional()
+      .isIn(["pending", "assigned", "in_progress", "completed", "cancelled"])
+      .withMessage("Invalid status"),
+    query("overdue")
+      .optional()
+      .isBoolean()
+      .withMessage("Overdue must be true or false"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  MaintenanceController.getTasks
+);
+
+/**
+ * PUT /api/maintenance/tasks/:taskId
+ * Start, reschedule or cancel an open task
+ */
+router.put(
+  "/tasks/:taskId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("taskId").isInt().withMessage("Task ID must be a valid integer"),
+    body("status")
+      .optional()
+      .isIn(["in_progress", "cancelled"])
+      .withMessage("Status must be in_progress or cancelled"),
+    body("scheduled_date")
+      .optional()
+      .isISO8601()
+      .withMessage("Scheduled date must be a valid date"),
+  ],
+  handleValidationErrors,
+  MaintenanceController.updateTask
+);
+
+/**
+ * POST /api/maintenance/tasks/:taskId/complete
+ * Record a task as done with notes and photos
+ */
+router.post(
+  "/tasks/:taskId/complete",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  upload.array("completion_photos", 5), // Allow up to 5 photos
+  [
+    param("taskId").isInt().withMessage("Task ID must be a valid integer"),
+    body("completion_notes")
+      .trim()
+      .notEmpty()
+      .withMessage("Completion notes are required")
+      .isLength({ max: 2000 })
+      .withMessage("Completion notes must be less than 2000 characters"),
+    body("actual_cost")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Actual cost must be a non-negative number")
+      .toFloat(),
+  ],
+  handleValidationErrors,
+  MaintenanceController.completeTask
+);
+
+export default router;
@@ -173,4 +173,113 @@ router.put(
   OffboardingController.updateOffboardingStatus
 );
 
+/**
+ * GET /api/offboarding/:id/settlement
+ * Get the itemized security deposit settlement
+ */
+router.get(
+  "/:id/settlement",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [param("id").isInt({ min: 1 }).withMessage("Invalid offboarding request ID")],
+  handleValidationErrors,
+  OffboardingController.getDepositSettlement
+);
+
+/**
+ * POST /api/offboarding/:id/settlement
+ * Prepare or recalculate the draft security deposit settlement
+ */
+router.post(
+  "/:id/settlement",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("id").isInt({ min: 1 }).withMessage("Invalid offboarding request ID"),
+    body("moveOutDate")
+      .optional()
+      .isISO8601()
+      .withMessage("Move-out date must be a valid ISO date"),
+    body("damageCharges")
+      .optional()
+      .isArray()
+      .withMessage("Damage charges must be an array"),
+    body("damageCharges.*.description")
+      .trim()
+      .notEmpty()
+      .isLength({ max: 255 })
+      .withMessage("Damage description is required (max 255 characters)"),
+    body("damageCharges.*.amount")
+      .isFloat({ min: 0.01 })
+      .withMessage("Damage amount must be greater than 0"),
+    body("notes")
+      .optional()
+      .trim()
+      .isLength({ max: 1000 })
+      .withMessage("Notes cannot exceed 1000 characters"),
+  ],
+  handleValidationErrors,
+  OffboardingController.prepareDepositSettlement
+);
+
+/**
+ * PUT /api/offboarding/:id/settlement/items
+ * Adjust, add or remove line items of a draft settlement
+ */
+router.put(
+  "/:id/settlement/items",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("id").isInt({ min: 1 }).withMessage("Invalid offboarding request ID"),
+    body("items")
+      .optional()
+      .isArray()
+      .withMessage("Items must be an array"),
+    body("items.*.id")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Item ID must be a positive integer"),
+    body("items.*.item_type")
+      .optional()
+      .isIn(["damage", "other"])
+      .withMessage("New items must be of type damage or other"),
+    body("items.*.description")
+      .if((value, { req, path }) => {
+        const index = path.match(/\[(\d+)\]/)[1];
+        return !req.body.items[index].id;
+      })
+      .trim()
+      .notEmpty()
+      .isLength({ max: 255 })
+      .withMessage("Description is required for new items (max 255 characters)"),
+    body("items.*.amount")
+      .isFloat()
+      .withMessage("Item amount must be a number"),
+    body("items.*.adjustment_reason")
+      .optional()
+      .trim()
+      .isLength({ max: 500 })
+      .withMessage("Adjustment reason cannot exceed 500 characters"),
+    body("removeItemIds")
+      .optional()
+      .isArray()
+      .withMessage("Remove item IDs must be an array"),
+    body("removeItemIds.*")
+      .isInt({ min: 1 })
+      .withMessage("Remove item IDs must be positive integers"),
+  ],
+  handleValidationErrors,
+  OffboardingController.updateDepositSettlementItems
+);
+
+/**
+ * POST /api/offboarding/:id/settlement/approve
+ * Approve the settlement and record final dues and deposit refund
+ */
+router.post(
+  "/:id/settlement/approve",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [param("id").isInt({ min: 1 }).withMessage("Invalid offboarding request ID")],
+  handleValidationErrors,
+  OffboardingController.approveDepositSettlement
+);
+
 export default router;
\ No newline at end of file
@@ -134,6 +134,10 @@ router.post(
       .optional()
       .isInt({ min: 0 })
       .withMessage("Invalid notice period"),
+    body("tenancyDetails.billingDay")
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage("Billing day must be between 1 and 28"),
   ],
   handleValidationErrors,
   onboardingController.onboardTenant
@@ -235,6 +239,10 @@ router.put(
       .optional()
       .isInt({ min: 0 })
       .withMessage("Invalid notice period"),
+    body("tenancyData.billingDay")
+      .optional()
+      .isInt({ min: 1, max: 28 })
+      .withMessage("Billing day must be between 1 and 28"),
   ],
   handleValidationErrors,
   onboardingController.updateTenantInfo
@@ -269,7 +269,7 @@ router.get(
     query("metrics")
       .optional()
       .matches(
-        /^(revenue|occupancy|maintenance|tenant_satisfaction)(,(revenue|occupancy|maintenance|tenant_satisfaction))*$/
+        /^(revenue|occupancy|maintenance|vendors|tenant_satisfaction)(,(revenue|occupancy|maintenance|vendors|tenant_satisfaction))*$/
       )
       .withMessage("Invalid metrics"),
   ],
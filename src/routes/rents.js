@@ -2,9 +2,21 @@
 import express from "express";
 import { body, query, param, validationResult } from "express-validator";
 import { authenticate, authorize, ROLES } from "../middleware/auth.js";
-import upload from "../middleware/upload.js";
+import upload, { spreadsheetUpload } from "../middleware/upload.js";
 import { createError } from "../utils/errorHandler.js";
 import RentController from "../controllers/rentController.js";
+import {
+  RECURRING_CHARGE_TYPES,
+  CHARGE_FREQUENCIES,
+} from "../services/recurringChargeService.js";
+import {
+  REFUND_TYPES,
+  REFUND_REASONS,
+} from "../services/refundService.js";
+import {
+  EXPORT_FORMATS,
+  LEDGER_ACCOUNT_TYPES,
+} from "../services/accountingExportService.js";
 
 const router = express.Router();
 
@@ -46,6 +58,31 @@ router.get(
   RentController.getOverview
 );
 
+/**
+ * GET /api/rent-collection/rent-roll
+ * Download the monthly rent roll (one row per unit, a sheet per building)
+ */
+router.get(
+  "/rent-roll",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("month")
+      .optional()
+      .isInt({ min: 1, max: 12 })
+      .withMessage("Month must be between 1 and 12"),
+    query("year")
+      .optional()
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage("Year must be between 2020 and 2030"),
+    query("building_ids")
+      .optional()
+      .matches(/^\d+(,\s*\d+)*$/)
+      .withMessage("Building IDs must be a comma-separated list of integers"),
+  ],
+  handleValidationErrors,
+  RentController.exportRentRoll
+);
+
 /**
  * GET /api/rent-collection/payments
  * Get paginated list of rent payments with comprehensive filters
@@ -64,7 +101,7 @@ router.get(
       .withMessage("Limit must be between 1 and 100"),
     query("status")
       .optional()
-      .isIn(["pending", "paid", "overdue", "partial", "failed"])
+      .isIn(["pending", "paid", "overdue", "partial", "failed", "rescheduled"])
       .withMessage("Invalid payment status"),
     query("building_id")
       .optional()
@@ -107,6 +144,22 @@ router.get(
   RentController.getPayments
 );
 
+/**
+ * GET /api/rent-collection/payments/:paymentId
+ * Get payment details with receipts and reminders history
+ */
+router.get(
+  "/payments/:paymentId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("paymentId")
+      .isInt()
+      .withMessage("Payment ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getPaymentById
+);
+
 /**
  * PUT /api/rent-collection/payments/:paymentId
  * Update payment status and upload receipts
@@ -177,6 +230,48 @@ router.get(
   RentController.getOverduePayments
 );
 
+/**
+ * GET /api/rent-collection/aging
+ * Get the receivables aging report by building and tenant
+ */
+router.get(
+  "/aging",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("as_of_date")
+      .optional()
+      .isISO8601()
+      .withMessage("As of date must be in ISO format (YYYY-MM-DD)"),
+    query("building_ids")
+      .optional()
+      .matches(/^\d+(,\s*\d+)*$/)
+      .withMessage("Building IDs must be a comma-separated list of integers"),
+  ],
+  handleValidationErrors,
+  RentController.getAgingReport
+);
+
+/**
+ * GET /api/rent-collection/aging/export
+ * Download the receivables aging report as an Excel workbook
+ */
+router.get(
+  "/aging/export",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("as_of_date")
+      .optional()
+      .isISO8601()
+      .withMessage("As of date must be in ISO format (YYYY-MM-DD)"),
+    query("building_ids")
+      .optional()
+      .matches(/^\d+(,\s*\d+)*$/)
+      .withMessage("Building IDs must be a comma-separated list of integers"),
+  ],
+  handleValidationErrors,
+  RentController.exportAgingReport
+);
+
 /**
  * GET /api/rent-collection/tenant/:tenantId/history
  * Get payment history for a specific tenant
@@ -225,4 +320,1114 @@ router.post(
   RentController.sendPaymentReminders
 );
 
+/**
+ * GET /api/rent-collection/dunning-schedules
+ * Get reminder escalation schedules per building
+ */
+router.get(
+  "/dunning-schedules",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  RentController.getDunningSchedules
+);
+
+/**
+ * PUT /api/rent-collection/dunning-schedules/:buildingId
+ * Configure the reminder escalation schedule for a building
+ */
+router.put(
+  "/dunning-schedules/:buildingId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("buildingId")
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body(["gentle_day", "firm_day", "final_day", "escalation_day"])
+      .optional({ values: "null" })
+      .isInt({ min: 0, max: 365 })
+      .withMessage("Reminder days must be between 0 and 365"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("Is active must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  RentController.updateDunningSchedule
+);
+
+/**
+ * GET /api/rent-collection/late-fee-policies
+ * Get late fee policies per building
+ */
+router.get(
+  "/late-fee-policies",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  RentController.getLateFeePolicies
+);
+
+/**
+ * PUT /api/rent-collection/late-fee-policies/:buildingId
+ * Configure the late fee policy for a building
+ */
+router.put(
+  "/late-fee-policies/:buildingId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("buildingId")
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("grace_days")
+      .optional()
+      .isInt({ min: 0, max: 60 })
+      .withMessage("Grace days must be between 0 and 60"),
+    body("fee_type")
+      .isIn(["flat", "percentage"])
+      .withMessage("Fee type must be flat or percentage"),
+    body("fee_value")
+      .isFloat({ min: 0 })
+      .withMessage("Fee value must be a positive number"),
+    body("fee_value")
+      .if(body("fee_type").equals("percentage"))
+      .isFloat({ max: 100 })
+      .withMessage("Percentage fee cannot exceed 100"),
+    body("daily_accrual")
+      .optional()
+      .isBoolean()
+      .withMessage("Daily accrual must be true or false")
+      .toBoolean(),
+    body("max_fee")
+      .optional({ values: "null" })
+      .isFloat({ min: 0 })
+      .withMessage("Maximum fee must be a positive number"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("Is active must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  RentController.updateLateFeePolicy
+);
+
+/**
+ * POST /api/rent-collection/payments/:paymentId/waive-late-fee
+ * Waive the late fee on a payment with a reason
+ */
+router.post(
+  "/payments/:paymentId/waive-late-fee",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("paymentId")
+      .isInt()
+      .withMessage("Payment ID must be a valid integer"),
+    body("reason")
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage("Reason must be between 3 and 500 characters"),
+  ],
+  handleValidationErrors,
+  RentController.waiveLateFee
+);
+
+/**
+ * GET /api/rent-collection/tenancies/:tenancyId/ledger
+ * Get the account ledger of a tenancy with running balance
+ */
+router.get(
+  "/tenancies/:tenancyId/ledger",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getTenancyLedger
+);
+
+/**
+ * POST /api/rent-collection/tenancies/:tenancyId/ledger/receipts
+ * Record a receipt and allocate it to open dues (oldest first by default)
+ */
+router.post(
+  "/tenancies/:tenancyId/ledger/receipts",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    body("entry_date")
+      .optional()
+      .isISO8601()
+      .withMessage("Entry date must be in ISO format"),
+    body("payment_method")
+      .isIn(["cash", "bank_transfer", "upi", "card", "cheque"])
+      .withMessage("Invalid payment method"),
+    body("transaction_id")
+      .optional()
+      .isLength({ max: 100 })
+      .withMessage("Transaction ID must not exceed 100 characters"),
+    body("description")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Description must not exceed 500 characters"),
+    body("allocations")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Allocations must be a non-empty array"),
+    body("allocations.*.payment_id")
+      .isInt()
+      .withMessage("Each allocation needs a valid payment ID"),
+    body("allocations.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Each allocation amount must be greater than 0"),
+  ],
+  handleValidationErrors,
+  RentController.recordLedgerReceipt
+);
+
+/**
+ * POST /api/rent-collection/tenancies/:tenancyId/ledger/adjustments
+ * Add an adjustment or credit to a tenancy's ledger
+ */
+router.post(
+  "/tenancies/:tenancyId/ledger/adjustments",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("entry_type")
+      .isIn(["adjustment", "credit"])
+      .withMessage("Entry type must be adjustment or credit"),
+    body("direction")
+      .optional()
+      .isIn(["debit", "credit"])
+      .withMessage("Direction must be debit or credit"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    body("entry_date")
+      .optional()
+      .isISO8601()
+      .withMessage("Entry date must be in ISO format"),
+    body("description")
+      .trim()
+      .isLength({ min: 3, max: 500 })
+      .withMessage("Description must be between 3 and 500 characters"),
+    body("allocate")
+      .optional()
+      .isBoolean()
+      .withMessage("Allocate must be true or false"),
+  ],
+  handleValidationErrors,
+  RentController.createLedgerAdjustment
+);
+
+/**
+ * PUT /api/rent-collection/ledger/entries/:entryId/allocations
+ * Reallocate a receipt or credit; omit allocations to reapply oldest-first
+ */
+router.put(
+  "/ledger/entries/:entryId/allocations",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("entryId")
+      .isInt()
+      .withMessage("Entry ID must be a valid integer"),
+    body("allocations")
+      .optional()
+      .isArray({ min: 1 })
+      .withMessage("Allocations must be a non-empty array"),
+    body("allocations.*.payment_id")
+      .isInt()
+      .withMessage("Each allocation needs a valid payment ID"),
+    body("allocations.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Each allocation amount must be greater than 0"),
+  ],
+  handleValidationErrors,
+  RentController.reallocateLedgerEntry
+);
+
+/**
+ * GET /api/rent-collection/tenancies/:tenancyId/rent-revisions
+ * Get rent revisions and rent history of a tenancy
+ */
+router.get(
+  "/tenancies/:tenancyId/rent-revisions",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getRentRevisions
+);
+
+/**
+ * POST /api/rent-collection/tenancies/:tenancyId/rent-revisions
+ * Schedule a percentage or fixed rent revision
+ */
+router.post(
+  "/tenancies/:tenancyId/rent-revisions",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("revision_type")
+      .isIn(["percentage", "fixed"])
+      .withMessage("Revision type must be percentage or fixed"),
+    body("revision_value")
+      .isFloat()
+      .withMessage("Revision value must be a number"),
+    body("revision_value")
+      .if(body("revision_type").equals("percentage"))
+      .isFloat({ min: -100, max: 100 })
+      .withMessage("Percentage revision must be between -100 and 100"),
+    body("effective_date")
+      .isISO8601()
+      .withMessage("Effective date must be in ISO format (YYYY-MM-DD)"),
+    body("recurrence_months")
+      .optional({ values: "null" })
+      .isInt({ min: 1, max: 60 })
+      .withMessage("Recurrence must be between 1 and 60 months"),
+    body("notice_days")
+      .optional()
+      .isInt({ min: 0, max: 180 })
+      .withMessage("Notice days must be between 0 and 180"),
+    body("notes")
+      .optional()
+      .isLength({ max: 500 })
+      .withMessage("Notes must not exceed 500 characters"),
+  ],
+  handleValidationErrors,
+  RentController.createRentRevision
+);
+
+/**
+ * DELETE /api/rent-collection/rent-revisions/:revisionId
+ * Cancel a scheduled rent revision
+ */
+router.delete(
+  "/rent-revisions/:revisionId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("revisionId")
+      .isInt()
+      .withMessage("Revision ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.cancelRentRevision
+);
+
+/**
+ * GET /api/rent-collection/tenancies/:tenancyId/recurring-charges
+ * List a tenancy's recurring add-on charges
+ */
+router.get(
+  "/tenancies/:tenancyId/recurring-charges",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getRecurringCharges
+);
+
+/**
+ * POST /api/rent-collection/tenancies/:tenancyId/recurring-charges
+ * Attach a recurring charge (parking, laundry, meal plan...) billed with rent
+ */
+router.post(
+  "/tenancies/:tenancyId/recurring-charges",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("payment_type")
+      .isIn(RECURRING_CHARGE_TYPES)
+      .withMessage(
+        `Payment type must be one of: ${RECURRING_CHARGE_TYPES.join(", ")}`
+      ),
+    body("description")
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Description is required (max 200 characters)"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    body("frequency")
+      .optional()
+      .isIn(Object.keys(CHARGE_FREQUENCIES))
+      .withMessage("Frequency must be monthly, quarterly, half_yearly or yearly"),
+    body("start_date")
+      .isISO8601()
+      .withMessage("Start date must be in ISO format (YYYY-MM-DD)"),
+    body("end_date")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("End date must be in ISO format (YYYY-MM-DD)"),
+  ],
+  handleValidationErrors,
+  RentController.createRecurringCharge
+);
+
+/**
+ * PUT /api/rent-collection/recurring-charges/:chargeId
+ * Change, end or deactivate a recurring charge
+ */
+router.put(
+  "/recurring-charges/:chargeId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("chargeId")
+      .isInt()
+      .withMessage("Charge ID must be a valid integer"),
+    body("description")
+      .optional()
+      .trim()
+      .isLength({ min: 1, max: 200 })
+      .withMessage("Description cannot be empty (max 200 characters)"),
+    body("amount")
+      .optional()
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    body("frequency")
+      .optional()
+      .isIn(Object.keys(CHARGE_FREQUENCIES))
+      .withMessage("Frequency must be monthly, quarterly, half_yearly or yearly"),
+    body("end_date")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("End date must be in ISO format (YYYY-MM-DD)"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  RentController.updateRecurringCharge
+);
+
+/**
+ * GET /api/rent-collection/payment-plans
+ * List installment plans for arrears
+ */
+router.get(
+  "/payment-plans",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("status")
+      .optional()
+      .isIn(["active", "completed", "broken"])
+      .withMessage("Status must be active, completed or broken"),
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("tenancy_id")
+      .optional()
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getPaymentPlans
+);
+
+/**
+ * GET /api/rent-collection/payment-plans/:planId
+ * Get an installment plan with its rescheduled dues and installments
+ */
+router.get(
+  "/payment-plans/:planId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("planId")
+      .isInt()
+      .withMessage("Plan ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getPaymentPlanById
+);
+
+/**
+ * POST /api/rent-collection/tenancies/:tenancyId/payment-plans
+ * Reschedule overdue dues into a plan of dated installments
+ */
+router.post(
+  "/tenancies/:tenancyId/payment-plans",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("payment_ids")
+      .isArray({ min: 1 })
+      .withMessage("Select at least one overdue payment"),
+    body("payment_ids.*")
+      .isInt()
+      .withMessage("Payment IDs must be valid integers"),
+    body("installments")
+      .optional()
+      .isArray({ min: 1, max: 36 })
+      .withMessage("Installments must be a list of 1 to 36 entries"),
+    body("installments.*.due_date")
+      .isISO8601()
+      .withMessage("Installment due dates must be in ISO format (YYYY-MM-DD)"),
+    body("installments.*.amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Installment amounts must be greater than 0"),
+    body("installment_count")
+      .optional()
+      .isInt({ min: 1, max: 36 })
+      .withMessage("Installment count must be between 1 and 36")
+      .toInt(),
+    body("first_due_date")
+      .optional()
+      .isISO8601()
+      .withMessage("First due date must be in ISO format (YYYY-MM-DD)"),
+    body("grace_days")
+      .optional()
+      .isInt({ min: 0, max: 30 })
+      .withMessage("Grace days must be between 0 and 30")
+      .toInt(),
+    body("notes")
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage("Notes must not exceed 1000 characters"),
+  ],
+  handleValidationErrors,
+  RentController.createPaymentPlan
+);
+
+/**
+ * GET /api/rent-collection/accounting-periods
+ * List closed and reopened accounting periods with their audit trail
+ */
+router.get(
+  "/accounting-periods",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("year")
+      .optional()
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage("Year must be between 2020 and 2030"),
+    query("status")
+      .optional()
+      .isIn(["open", "closed"])
+      .withMessage("Status must be open or closed"),
+  ],
+  handleValidationErrors,
+  RentController.getAccountingPeriods
+);
+
+/**
+ * POST /api/rent-collection/accounting-periods/close
+ * Close a building's month; its payments and ledger entries become read-only
+ */
+router.post(
+  "/accounting-periods/close",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("building_id")
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("month")
+      .isInt({ min: 1, max: 12 })
+      .withMessage("Month must be between 1 and 12")
+      .toInt(),
+    body("year")
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage("Year must be between 2020 and 2030")
+      .toInt(),
+    body("notes")
+      .optional()
+      .isLength({ max: 1000 })
+      .withMessage("Notes must not exceed 1000 characters"),
+  ],
+  handleValidationErrors,
+  RentController.closeAccountingPeriod
+);
+
+/**
+ * POST /api/rent-collection/accounting-periods/reopen
+ * Reopen a closed month (super admin only, audited)
+ */
+router.post(
+  "/accounting-periods/reopen",
+  authorize(ROLES.SUPER_ADMIN),
+  [
+    body("building_id")
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("month")
+      .isInt({ min: 1, max: 12 })
+      .withMessage("Month must be between 1 and 12")
+      .toInt(),
+    body("year")
+      .isInt({ min: 2020, max: 2030 })
+      .withMessage("Year must be between 2020 and 2030")
+      .toInt(),
+    body("reason")
+      .trim()
+      .isLength({ min: 5, max: 1000 })
+      .withMessage("Reason must be between 5 and 1000 characters"),
+  ],
+  handleValidationErrors,
+  RentController.reopenAccountingPeriod
+);
+
+/**
+ * GET /api/rent-collection/accounting-ledgers
+ * Get the ledger mapping of a building, or the defaults for all buildings
+ */
+router.get(
+  "/accounting-ledgers",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getAccountingLedgers
+);
+
+/**
+ * PUT /api/rent-collection/accounting-ledgers
+ * Map payment types and accounts to ledgers; an empty name falls back to the default
+ */
+router.put(
+  "/accounting-ledgers",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("building_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("ledgers")
+      .isArray({ min: 1 })
+      .withMessage("Ledgers must be a non-empty list"),
+    body("ledgers.*.account_type")
+      .isIn(LEDGER_ACCOUNT_TYPES)
+      .withMessage(
+        `Account type must be one of: ${LEDGER_ACCOUNT_TYPES.join(", ")}`
+      ),
+    body("ledgers.*.ledger_name")
+      .optional({ values: "null" })
+      .isString()
+      .isLength({ max: 200 })
+      .withMessage("Ledger name must not exceed 200 characters"),
+  ],
+  handleValidationErrors,
+  RentController.updateAccountingLedgers
+);
+
+/**
+ * POST /api/rent-collection/accounting-exports
+ * Export receipts, invoices and refunds not exported before as a file
+ */
+router.post(
+  "/accounting-exports",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("from_date")
+      .isISO8601()
+      .withMessage("From date must be in ISO format (YYYY-MM-DD)"),
+    body("to_date")
+      .isISO8601()
+      .withMessage("To date must be in ISO format (YYYY-MM-DD)")
+      .custom((value, { req }) => value >= req.body.from_date)
+      .withMessage("To date must not be before from date"),
+    body("format")
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+    body("building_ids")
+      .optional()
+      .isArray()
+      .withMessage("Building IDs must be a list"),
+    body("building_ids.*")
+      .isInt()
+      .withMessage("Building IDs must be valid integers"),
+  ],
+  handleValidationErrors,
+  RentController.createAccountingExport
+);
+
+/**
+ * GET /api/rent-collection/accounting-exports
+ * List past accounting exports
+ */
+router.get(
+  "/accounting-exports",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  RentController.getAccountingExports
+);
+
+/**
+ * GET /api/rent-collection/accounting-exports/:exportId/download
+ * Download a past export again without marking anything
+ */
+router.get(
+  "/accounting-exports/:exportId/download",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("exportId")
+      .isInt()
+      .withMessage("Export ID must be a valid integer"),
+    query("format")
+      .optional()
+      .isIn(EXPORT_FORMATS)
+      .withMessage(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`),
+  ],
+  handleValidationErrors,
+  RentController.downloadAccountingExport
+);
+
+/**
+ * GET /api/rent-collection/refunds
+ * List refunds and credit notes
+ */
+router.get(
+  "/refunds",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("status")
+      .optional()
+      .isIn(["pending", "approved", "rejected"])
+      .withMessage("Status must be pending, approved or rejected"),
+    query("refund_type")
+      .optional()
+      .isIn(REFUND_TYPES)
+      .withMessage("Refund type must be refund or credit_note"),
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("tenancy_id")
+      .optional()
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.getRefunds
+);
+
+/**
+ * POST /api/rent-collection/refunds
+ * Request a refund or credit note; it is applied once approved
+ */
+router.post(
+  "/refunds",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    body("tenancy_id")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("payment_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Payment ID must be a valid integer"),
+    body("refund_type")
+      .isIn(REFUND_TYPES)
+      .withMessage("Refund type must be refund or credit_note"),
+    body("amount")
+      .isFloat({ gt: 0 })
+      .withMessage("Amount must be greater than 0"),
+    body("reason_category")
+      .isIn(REFUND_REASONS)
+      .withMessage(`Reason must be one of: ${REFUND_REASONS.join(", ")}`),
+    body("reason")
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Reason details are required (max 500 characters)"),
+    body("refund_method")
+      .optional({ values: "null" })
+      .isIn(["cash", "bank_transfer", "upi", "card", "cheque"])
+      .withMessage("Invalid refund method"),
+    body("transaction_id")
+      .optional({ values: "null" })
+      .isLength({ max: 100 })
+      .withMessage("Transaction ID must not exceed 100 characters"),
+    body("refund_date")
+      .optional({ values: "null" })
+      .isISO8601()
+      .withMessage("Refund date must be in ISO format (YYYY-MM-DD)"),
+  ],
+  handleValidationErrors,
+  RentController.createRefund
+);
+
+/**
+ * POST /api/rent-collection/refunds/:refundId/approve
+ * Approve a refund or credit note (admins only)
+ */
+router.post(
+  "/refunds/:refundId/approve",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("refundId")
+      .isInt()
+      .withMessage("Refund ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.approveRefund
+);
+
+/**
+ * POST /api/rent-collection/refunds/:refundId/reject
+ * Reject a refund or credit note (admins only)
+ */
+router.post(
+  "/refunds/:refundId/reject",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("refundId")
+      .isInt()
+      .withMessage("Refund ID must be a valid integer"),
+    body("reason")
+      .trim()
+      .isLength({ min: 1, max: 500 })
+      .withMessage("Rejection reason is required (max 500 characters)"),
+  ],
+  handleValidationErrors,
+  RentController.rejectRefund
+);
+
+/**
+ * POST /api/rent-collection/reconciliation/statements
+ * Upload a bank or UPI statement (CSV/XLSX) and auto-match its credits
+ */
+router.post(
+  "/reconciliation/statements",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  spreadsheetUpload.single("statement"),
+  [
+    body("source")
+      .optional()
+      .isIn(["bank", "upi"])
+      .withMessage("Source must be bank or upi"),
+  ],
+  handleValidationErrors,
+  RentController.importBankStatement
+);
+
+/**
+ * GET /api/rent-collection/reconciliation/statements
+ * List imported statements with their review progress
+ */
+router.get(
+  "/reconciliation/statements",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+  ],
+  handleValidationErrors,
+  RentController.getBankStatements
+);
+
+/**
+ * GET /api/rent-collection/reconciliation/statements/:importId
+ * Get statement lines with their matched payments for review
+ */
+router.get(
+  "/reconciliation/statements/:importId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("importId")
+      .isInt()
+      .withMessage("Statement ID must be a valid integer"),
+    query("match_status")
+      .optional()
+      .isIn(["unmatched", "suggested", "confirmed", "rejected", "duplicate"])
+      .withMessage("Invalid match status"),
+  ],
+  handleValidationErrors,
+  RentController.getBankStatementLines
+);
+
+/**
+ * POST /api/rent-collection/reconciliation/statements/:importId/confirm
+ * Confirm all suggested matches of a statement
+ */
+router.post(
+  "/reconciliation/statements/:importId/confirm",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("importId")
+      .isInt()
+      .withMessage("Statement ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.confirmSuggestedStatementLines
+);
+
+/**
+ * POST /api/rent-collection/reconciliation/lines/:lineId/confirm
+ * Confirm a suggested match, or match a line manually to a payment
+ */
+router.post(
+  "/reconciliation/lines/:lineId/confirm",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("lineId")
+      .isInt()
+      .withMessage("Line ID must be a valid integer"),
+    body("payment_id")
+      .optional({ values: "null" })
+      .isInt({ min: 1 })
+      .withMessage("Payment ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.confirmStatementLine
+);
+
+/**
+ * POST /api/rent-collection/reconciliation/lines/:lineId/reject
+ * Reject the suggested match of a statement line
+ */
+router.post(
+  "/reconciliation/lines/:lineId/reject",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("lineId")
+      .isInt()
+      .withMessage("Line ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.rejectStatementLine
+);
+
+/**
+ * GET /api/rent-collection/legal-entities
+ * Get the invoicing legal entity of each building
+ */
+router.get(
+  "/legal-entities",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  RentController.getLegalEntities
+);
+
+/**
+ * PUT /api/rent-collection/legal-entities/:buildingId
+ * Configure the legal entity a building invoices under
+ */
+router.put(
+  "/legal-entities/:buildingId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("buildingId")
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("legal_name")
+      .trim()
+      .notEmpty()
+      .withMessage("Legal name is required"),
+    body("gstin")
+      .optional({ values: "null" })
+      .matches(/^[0-9]{2}[A-Za-z0-9]{13}$/)
+      .withMessage("GSTIN must be 15 characters starting with the state code"),
+    body("pan")
+      .optional({ values: "null" })
+      .matches(/^[A-Za-z]{5}[0-9]{4}[A-Za-z]$/)
+      .withMessage("Please provide a valid PAN"),
+    body("address").trim().notEmpty().withMessage("Address is required"),
+    body("state_code")
+      .matches(/^[0-9]{2}$/)
+      .withMessage("State code must be the 2-digit GST state code"),
+    body("gstin")
+      .optional({ values: "null" })
+      .custom((gstin, { req }) => gstin.slice(0, 2) === req.body.state_code)
+      .withMessage("GSTIN must belong to the building's state"),
+    body("invoice_prefix")
+      .matches(/^[A-Za-z0-9]{1,5}$/)
+      .withMessage("Invoice prefix must be 1-5 letters or digits"),
+    body("gst_rate")
+      .optional()
+      .isFloat({ min: 0, max: 28 })
+      .withMessage("GST rate must be between 0 and 28"),
+    body("sac_code")
+      .optional()
+      .matches(/^[0-9]{6}$/)
+      .withMessage("SAC code must be 6 digits"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("Is active must be true or false")
+      .toBoolean(),
+  ],
+  handleValidationErrors,
+  RentController.updateLegalEntity
+);
+
+/**
+ * PUT /api/rent-collection/tenancies/:tenancyId/billing-details
+ * Set the invoice recipient details of a corporate tenancy
+ */
+router.put(
+  "/tenancies/:tenancyId/billing-details",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("tenancyId")
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    body("billing_name")
+      .optional({ values: "null" })
+      .trim()
+      .isLength({ max: 200 })
+      .withMessage("Billing name cannot exceed 200 characters"),
+    body("billing_gstin")
+      .optional({ values: "null" })
+      .matches(/^[0-9]{2}[A-Za-z0-9]{13}$/)
+      .withMessage("GSTIN must be 15 characters starting with the state code"),
+    body("billing_address")
+      .optional({ values: "null" })
+      .trim(),
+  ],
+  handleValidationErrors,
+  RentController.updateBillingDetails
+);
+
+/**
+ * GET /api/rent-collection/invoices
+ * List tax invoices and credit notes
+ */
+router.get(
+  "/invoices",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("tenancy_id")
+      .optional()
+      .isInt()
+      .withMessage("Tenancy ID must be a valid integer"),
+    query("financial_year")
+      .optional()
+      .matches(/^\d{4}-\d{2}$/)
+      .withMessage("Financial year must look like 2026-27"),
+    query("document_type")
+      .optional()
+      .isIn(["invoice", "credit_note"])
+      .withMessage("Document type must be invoice or credit_note"),
+    query("status")
+      .optional()
+      .isIn(["issued", "cancelled"])
+      .withMessage("Status must be issued or cancelled"),
+  ],
+  handleValidationErrors,
+  RentController.getInvoices
+);
+
+/**
+ * POST /api/rent-collection/payments/:paymentId/invoice
+ * Issue the tax invoice for a charge
+ */
+router.post(
+  "/payments/:paymentId/invoice",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("paymentId")
+      .isInt()
+      .withMessage("Payment ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.issueInvoice
+);
+
+/**
+ * GET /api/rent-collection/invoices/:invoiceId/download
+ * Download an invoice or credit note PDF
+ */
+router.get(
+  "/invoices/:invoiceId/download",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("invoiceId")
+      .isInt()
+      .withMessage("Invoice ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  RentController.downloadInvoice
+);
+
+/**
+ * POST /api/rent-collection/invoices/:invoiceId/cancel
+ * Cancel an invoice; a credit note is issued in its place
+ */
+router.post(
+  "/invoices/:invoiceId/cancel",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("invoiceId")
+      .isInt()
+      .withMessage("Invoice ID must be a valid integer"),
+    body("reason")
+      .trim()
+      .isLength({ min: 5, max: 500 })
+      .withMessage("Reason must be between 5 and 500 characters"),
+  ],
+  handleValidationErrors,
+  RentController.cancelInvoice
+);
+
 export default router;
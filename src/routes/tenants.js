@@ -228,7 +228,15 @@ router.get(
       .withMessage("Limit must be between 1 and 100"),
     query("status")
       .optional()
-      .isIn(["all", "pending", "paid", "overdue", "partial", "failed"])
+      .isIn([
+        "all",
+        "pending",
+        "paid",
+        "overdue",
+        "partial",
+        "failed",
+        "rescheduled",
+      ])
       .withMessage("Invalid payment status"),
     query("type")
       .optional()
@@ -240,6 +248,10 @@ router.get(
         "utility",
         "late_fee",
         "other",
+        "parking",
+        "laundry",
+        "meal_plan",
+        "installment",
       ])
       .withMessage("Invalid payment type"),
   ],
@@ -253,6 +265,23 @@ router.get(
  */
 router.get("/payments/upcoming", tenantController.getUpcomingPayments);
 
+/**
+ * GET /api/tenant/payment-plans
+ * Get installment plans with their installments and rescheduled dues
+ */
+router.get("/payment-plans", tenantController.getPaymentPlans);
+
+/**
+ * POST /api/tenant/payments/:id/intent
+ * Create a payment gateway order to pay a due online
+ */
+router.post(
+  "/payments/:id/intent",
+  [param("id").isInt({ min: 1 }).withMessage("Invalid payment ID")],
+  handleValidationErrors,
+  tenantController.createPaymentIntent
+);
+
 /**
  * GET /api/tenant/complaints
  * Get tenant's complaints with filtering and pagination
@@ -454,7 +483,7 @@ router.get(
   "/documents/:type/:id/download",
   [
     param("type")
-      .isIn(["payment_receipt", "lease_agreement", "id_proof"])
+      .isIn(["payment_receipt", "tax_invoice", "lease_agreement", "id_proof"])
       .withMessage("Invalid document type"),
     param("id").isInt({ min: 1 }).withMessage("Invalid document ID"),
   ],
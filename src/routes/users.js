@@ -330,7 +330,7 @@ router.get(
       .withMessage("Limit must be between 1 and 100"),
     query("status")
       .optional()
-      .isIn(["pending", "paid", "overdue", "partial", "failed"])
+      .isIn(["pending", "paid", "overdue", "partial", "failed", "rescheduled"])
       .withMessage("Invalid payment status"),
     query("type")
       .optional()
@@ -341,6 +341,10 @@ router.get(
         "utility",
         "late_fee",
         "other",
+        "parking",
+        "laundry",
+        "meal_plan",
+        "installment",
       ])
       .withMessage("Invalid payment type"),
   ],
@@ -0,0 +1,277 @@
+// src/routes/utilities.js
+import express from "express";
+import { body, query, param, validationResult } from "express-validator";
+import { authenticate, authorize, ROLES } from "../middleware/auth.js";
+import { spreadsheetUpload } from "../middleware/upload.js";
+import { createError } from "../utils/errorHandler.js";
+import UtilityController from "../controllers/utilityController.js";
+
+const router = express.Router();
+
+// Apply authentication to all routes
+router.use(authenticate);
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessage = errors.array()[0].msg;
+    return next(createError("VALIDATION_ERROR", errorMessage));
+  }
+  next();
+};
+
+const readingPeriodValidation = (location) => [
+  location("year")
+    .isInt({ min: 2020, max: 2030 })
+    .withMessage("Year must be between 2020 and 2030"),
+  location("month")
+    .isInt({ min: 1, max: 12 })
+    .withMessage("Month must be between 1 and 12"),
+];
+
+const tariffValidation = [
+  body("rate_per_unit")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Rate per unit must be a non-negative number"),
+  body("fixed_charge")
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage("Fixed charge must be a non-negative number"),
+  body("slabs")
+    .optional({ values: "null" })
+    .isArray()
+    .withMessage("Slabs must be an array"),
+  body("slabs.*.up_to")
+    .optional({ values: "null" })
+    .isFloat({ gt: 0 })
+    .withMessage("Slab upper limit must be a positive number"),
+  body("slabs.*.rate")
+    .isFloat({ min: 0 })
+    .withMessage("Slab rate must be a non-negative number"),
+  body("effective_from")
+    .optional()
+    .isISO8601()
+    .withMessage("Effective from must be a valid date"),
+];
+
+/**
+ * GET /api/utilities/tariffs
+ * List default and building-specific utility tariffs
+ */
+router.get(
+  "/tariffs",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("utility_type")
+      .optional()
+      .isIn(["electricity", "water", "gas"])
+      .withMessage("Invalid utility type"),
+  ],
+  handleValidationErrors,
+  UtilityController.getTariffs
+);
+
+/**
+ * POST /api/utilities/tariffs
+ * Create a tariff; without building_id it is the default for its utility
+ */
+router.post(
+  "/tariffs",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("name").trim().notEmpty().withMessage("Tariff name is required"),
+    body("building_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    body("utility_type")
+      .optional()
+      .isIn(["electricity", "water", "gas"])
+      .withMessage("Invalid utility type"),
+    ...tariffValidation,
+  ],
+  handleValidationErrors,
+  UtilityController.createTariff
+);
+
+/**
+ * PUT /api/utilities/tariffs/:tariffId
+ * Update a tariff's rates or deactivate it
+ */
+router.put(
+  "/tariffs/:tariffId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    param("tariffId").isInt().withMessage("Tariff ID must be a valid integer"),
+    body("name")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Tariff name cannot be empty"),
+    body("is_active")
+      .optional()
+      .isBoolean()
+      .withMessage("is_active must be a boolean"),
+    ...tariffValidation,
+  ],
+  handleValidationErrors,
+  UtilityController.updateTariff
+);
+
+/**
+ * GET /api/utilities/meters
+ * List meters with their latest reading
+ */
+router.get(
+  "/meters",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+    query("room_id")
+      .optional()
+      .isInt()
+      .withMessage("Room ID must be a valid integer"),
+    query("status")
+      .optional()
+      .isIn(["active", "inactive"])
+      .withMessage("Status must be active or inactive"),
+  ],
+  handleValidationErrors,
+  UtilityController.getMeters
+);
+
+/**
+ * POST /api/utilities/meters
+ * Register a meter for a room (shared by its occupants) or a single unit
+ */
+router.post(
+  "/meters",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    body("meter_number")
+      .trim()
+      .notEmpty()
+      .withMessage("Meter number is required"),
+    body("room_id").isInt().withMessage("Room ID must be a valid integer"),
+    body("unit_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Unit ID must be a valid integer"),
+    body("utility_type")
+      .optional()
+      .isIn(["electricity", "water", "gas"])
+      .withMessage("Invalid utility type"),
+    body("tariff_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Tariff ID must be a valid integer"),
+    body("initial_reading")
+      .optional()
+      .isFloat({ min: 0 })
+      .withMessage("Initial reading must be a non-negative number"),
+    body("installed_on")
+      .optional()
+      .isISO8601()
+      .withMessage("Installed on must be a valid date"),
+  ],
+  handleValidationErrors,
+  UtilityController.createMeter
+);
+
+/**
+ * PUT /api/utilities/meters/:meterId
+ * Change a meter's tariff or take it out of service
+ */
+router.put(
+  "/meters/:meterId",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("meterId").isInt().withMessage("Meter ID must be a valid integer"),
+    body("tariff_id")
+      .optional({ values: "null" })
+      .isInt()
+      .withMessage("Tariff ID must be a valid integer"),
+    body("status")
+      .optional()
+      .isIn(["active", "inactive"])
+      .withMessage("Status must be active or inactive"),
+  ],
+  handleValidationErrors,
+  UtilityController.updateMeter
+);
+
+/**
+ * GET /api/utilities/meters/:meterId/readings
+ * Reading history of a meter with the charges raised from it
+ */
+router.get(
+  "/meters/:meterId/readings",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [param("meterId").isInt().withMessage("Meter ID must be a valid integer")],
+  handleValidationErrors,
+  UtilityController.getMeterReadings
+);
+
+/**
+ * POST /api/utilities/meters/:meterId/readings
+ * Record or correct a monthly reading (until it has been billed)
+ */
+router.post(
+  "/meters/:meterId/readings",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    param("meterId").isInt().withMessage("Meter ID must be a valid integer"),
+    ...readingPeriodValidation(body),
+    body("reading_value")
+      .isFloat({ min: 0 })
+      .withMessage("Reading value must be a non-negative number"),
+    body("reading_date")
+      .optional()
+      .isISO8601()
+      .withMessage("Reading date must be a valid date"),
+  ],
+  handleValidationErrors,
+  UtilityController.recordReading
+);
+
+/**
+ * GET /api/utilities/readings
+ * Monthly reading sheet: all active meters with the month's reading, if any
+ */
+router.get(
+  "/readings",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  [
+    ...readingPeriodValidation(query),
+    query("building_id")
+      .optional()
+      .isInt()
+      .withMessage("Building ID must be a valid integer"),
+  ],
+  handleValidationErrors,
+  UtilityController.getMonthlyReadings
+);
+
+/**
+ * POST /api/utilities/readings/bulk
+ * Upload a month's readings (CSV/XLSX with meter number and reading columns)
+ */
+router.post(
+  "/readings/bulk",
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN, ROLES.MANAGER),
+  spreadsheetUpload.single("readings"),
+  readingPeriodValidation(body),
+  handleValidationErrors,
+  UtilityController.bulkRecordReadings
+);
+
+export default router;
@@ -0,0 +1,61 @@
+// src/routes/webhooks.js
+import express from "express";
+import { body, param, validationResult } from "express-validator";
+import { authenticate, authorize, ROLES } from "../middleware/auth.js";
+import { createError } from "../utils/errorHandler.js";
+import webhookController from "../controllers/webhookController.js";
+
+const router = express.Router();
+
+// Validation middleware
+const handleValidationErrors = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessage = errors.array()[0].msg;
+    return next(createError("VALIDATION_ERROR", errorMessage));
+  }
+  next();
+};
+
+/**
+ * POST /api/webhooks/payments/mock/simulate
+ * Simulate a gateway event for a mock order in an accessible building (only
+ * when PAYMENT_GATEWAY_MOCK_ENABLED is set outside production)
+ */
+router.post(
+  "/payments/mock/simulate",
+  authenticate,
+  authorize(ROLES.SUPER_ADMIN, ROLES.ADMIN),
+  [
+    body("orderId")
+      .isInt({ min: 1 })
+      .withMessage("Order ID must be a positive integer"),
+    body("event")
+      .optional()
+      .isIn(["payment.captured", "payment.failed"])
+      .withMessage("Event must be payment.captured or payment.failed"),
+    body("method")
+      .optional()
+      .isIn(["upi", "card", "bank_transfer"])
+      .withMessage("Invalid payment method"),
+  ],
+  handleValidationErrors,
+  webhookController.simulateMockPayment
+);
+
+/**
+ * POST /api/webhooks/payments/:provider
+ * Payment gateway webhook receiver (authenticated by HMAC signature)
+ */
+router.post(
+  "/payments/:provider",
+  [
+    param("provider")
+      .isIn(["mock", "razorpay"])
+      .withMessage("Unknown payment provider"),
+  ],
+  handleValidationErrors,
+  webhookController.handlePaymentWebhook
+);
+
+export default router;
@@ -29,6 +29,9 @@ import announcementRoutes from "./routes/announcements.js";
 import rentRoutes from "./routes/rents.js";
 import dashboardRoutes from "./routes/dashboard.js";
 import offboardingRoutes from "./routes/offboarding.js";
+import webhookRoutes from "./routes/webhooks.js";
+import utilityRoutes from "./routes/utilities.js";
+import maintenanceRoutes from "./routes/maintenance.js";
 
 // Import job scheduler
 import jobScheduler from "./jobs/scheduler.js";
@@ -76,8 +79,15 @@ if (process.env.NODE_ENV !== "development") {
   app.use("/api", limiter);
 }
 
-// Body parsing
-app.use(express.json({ limit: "10mb" }));
+// Body parsing (raw body kept for webhook signature checks)
+app.use(
+  express.json({
+    limit: "10mb",
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 app.use(express.urlencoded({ extended: true, limit: "10mb" }));
 
 // Compression
@@ -126,6 +136,9 @@ app.use("/api/announcements", announcementRoutes);
 app.use("/api/rent-collection", rentRoutes);
 app.use("/api/dashboard", dashboardRoutes);
 app.use("/api/offboarding", offboardingRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/utilities", utilityRoutes);
+app.use("/api/maintenance", maintenanceRoutes);
 
 // 404 handler
 app.use("*", (req, res) => {
@@ -0,0 +1,587 @@
+// src/services/accountingExportService.js
+import { Parser } from "json2csv";
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+export const EXPORT_FORMATS = ["journal_csv", "tally_xml"];
+
+// Ledger used when neither the building nor the defaults map an account type
+export const DEFAULT_LEDGER_NAMES = {
+  rent: "Rent Income",
+  security_deposit: "Security Deposits Received",
+  maintenance: "Maintenance Charges",
+  utility: "Utility Charges Recovered",
+  late_fee: "Late Fee Income",
+  other: "Other Income",
+  parking: "Parking Income",
+  laundry: "Laundry Income",
+  meal_plan: "Meal Plan Income",
+  installment: "Sundry Debtors",
+  tenant_receivable: "Sundry Debtors",
+  tenant_advance: "Advances from Tenants",
+  cash: "Cash",
+  bank: "Bank Account",
+  output_cgst: "Output CGST",
+  output_sgst: "Output SGST",
+};
+
+export const LEDGER_ACCOUNT_TYPES = Object.keys(DEFAULT_LEDGER_NAMES);
+
+const toDateString = (date) =>
+  date instanceof Date ? date.toLocaleDateString("en-CA") : String(date);
+
+/**
+ * Ledger names of every account type for a building, marking whether each
+ * comes from the building, the defaults for all buildings or the system
+ */
+export const getLedgerMappings = async (buildingId = null, db = pool) => {
+  const mappingsResult = await db.query(
+    `SELECT building_id, account_type, ledger_name
+    FROM accounting_ledger_mappings
+    WHERE building_id IS NULL OR building_id = $1`,
+    [buildingId]
+  );
+
+  return LEDGER_ACCOUNT_TYPES.map((accountType) => {
+    const own = mappingsResult.rows.find(
+      (row) =>
+        row.account_type === accountType &&
+        buildingId &&
+        row.building_id === parseInt(buildingId)
+    );
+    const fallback = mappingsResult.rows.find(
+      (row) => row.account_type === accountType && row.building_id === null
+    );
+
+    return {
+      accountType,
+      ledgerName:
+        (own || fallback)?.ledger_name || DEFAULT_LEDGER_NAMES[accountType],
+      source: own ? "building" : fallback ? "default" : "system",
+    };
+  });
+};
+
+/**
+ * Map account types to ledger names for a building, or for all buildings
+ * when no building is given. An empty ledger name removes the mapping.
+ * Must run inside the caller's transaction.
+ */
+export const setLedgerMappings = async (
+  { buildingId = null, mappings, updatedBy = null },
+  db
+) => {
+  for (const { accountType, ledgerName } of mappings) {
+    if (!ledgerName) {
+      await db.query(
+        `DELETE FROM accounting_ledger_mappings
+        WHERE account_type = $1 AND building_id IS NOT DISTINCT FROM $2`,
+        [accountType, buildingId]
+      );
+      continue;
+    }
+
+    await db.query(
+      `INSERT INTO accounting_ledger_mappings (
+        building_id, account_type, ledger_name, updated_by, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT ${
+        buildingId
+          ? "(building_id, account_type) WHERE building_id IS NOT NULL"
+          : "(account_type) WHERE building_id IS NULL"
+      }
+      DO UPDATE SET
+        ledger_name = EXCLUDED.ledger_name,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP`,
+      [buildingId, accountType, ledgerName, updatedBy]
+    );
+  }
+};
+
+// Resolve ledger names for any building from all mappings at once
+const getLedgerResolver = async (db) => {
+  const mappingsResult = await db.query(
+    "SELECT building_id, account_type, ledger_name FROM accounting_ledger_mappings"
+  );
+  const ledgers = new Map(
+    mappingsResult.rows.map((row) => [
+      `${row.building_id ?? "default"}:${row.account_type}`,
+      row.ledger_name,
+    ])
+  );
+
+  return (buildingId, accountType) =>
+    ledgers.get(`${buildingId}:${accountType}`) ||
+    ledgers.get(`default:${accountType}`) ||
+    DEFAULT_LEDGER_NAMES[accountType];
+};
+
+/**
+ * Receipts, tax invoices and approved refunds to export. Either the records
+ * of a past export, or those dated in the range for the buildings that have
+ * not been exported yet.
+ */
+const getExportRecords = async (
+  { fromDate, toDate, buildingIds, exportId = null },
+  db
+) => {
+  const scope = (alias, recordType, dateColumn) =>
+    exportId
+      ? `${alias}.id IN (
+          SELECT aei.record_id FROM accounting_export_items aei
+          WHERE aei.export_id = $1 AND aei.record_type = '${recordType}'
+        )`
+      : `${alias}.${dateColumn} BETWEEN $1 AND $2
+        AND b.id = ANY($3)
+        AND NOT EXISTS (
+          SELECT 1 FROM accounting_export_items aei
+          WHERE aei.record_type = '${recordType}' AND aei.record_id = ${alias}.id
+        )`;
+  const params = exportId ? [exportId] : [fromDate, toDate, buildingIds];
+
+  const tenancyJoins = (alias) => `
+    JOIN tenancies t ON t.id = ${alias}.tenancy_id
+    JOIN users u_user ON t.tenant_user_id = u_user.id
+    LEFT JOIN user_profiles up ON u_user.id = up.user_id
+    JOIN units un ON t.unit_id = un.id
+    JOIN rooms r ON un.room_id = r.id
+    JOIN buildings b ON r.building_id = b.id
+  `;
+  const tenancyColumns = `
+    b.id as building_id,
+    b.name as building_name,
+    un.unit_number,
+    TRIM(CONCAT(up.first_name, ' ', up.last_name)) as tenant_name
+  `;
+
+  // Each allocation notes whether its due was invoiced, in which case the
+  // receipt settles the tenant's receivable rather than the income ledger
+  const receiptsResult = await db.query(
+    `SELECT
+      le.id, le.entry_date, le.credit as amount, le.payment_method,
+      le.transaction_id, le.description,
+      COALESCE(
+        (
+          SELECT json_agg(json_build_object(
+            'payment_type', p.payment_type,
+            'amount', la.amount,
+            'invoiced', EXISTS (
+              SELECT 1 FROM tax_invoices ti
+              WHERE ti.payment_id = p.id
+                AND ti.document_type = 'invoice'
+                AND ti.status = 'issued'
+            )
+          ))
+          FROM ledger_allocations la
+          JOIN payments p ON la.payment_id = p.id
+          WHERE la.ledger_entry_id = le.id
+        ),
+        '[]'::json
+      ) as allocations,
+      ${tenancyColumns}
+    FROM ledger_entries le
+    ${tenancyJoins("le")}
+    WHERE le.entry_type = 'receipt' AND ${scope("le", "receipt", "entry_date")}
+    ORDER BY le.entry_date ASC, le.id ASC`,
+    params
+  );
+
+  const invoicesResult = await db.query(
+    `SELECT
+      ti.id, ti.document_type, ti.invoice_number, ti.invoice_date,
+      ti.description, ti.taxable_amount, ti.cgst_amount, ti.sgst_amount,
+      ti.total_amount, COALESCE(p.payment_type, 'other') as payment_type,
+      ${tenancyColumns}
+    FROM tax_invoices ti
+    LEFT JOIN payments p ON ti.payment_id = p.id
+    ${tenancyJoins("ti")}
+    WHERE ${scope("ti", "invoice", "invoice_date")}
+    ORDER BY ti.invoice_date ASC, ti.id ASC`,
+    params
+  );
+
+  const refundsResult = await db.query(
+    `SELECT
+      pr.id, pr.refund_type, pr.amount, pr.reason_category, pr.reason,
+      pr.refund_method, pr.transaction_id, pr.refund_date,
+      COALESCE(p.payment_type, 'other') as payment_type,
+      ${tenancyColumns}
+    FROM payment_refunds pr
+    LEFT JOIN payments p ON pr.payment_id = p.id
+    ${tenancyJoins("pr")}
+    WHERE pr.status = 'approved' AND ${scope("pr", "refund", "refund_date")}
+    ORDER BY pr.refund_date ASC, pr.id ASC`,
+    params
+  );
+
+  return {
+    receipts: receiptsResult.rows,
+    invoices: invoicesResult.rows,
+    refunds: refundsResult.rows,
+  };
+};
+
+// Merge lines posting to the same ledger on the same side and drop zeroes
+const collectLines = (lines) => {
+  const merged = [];
+
+  for (const line of lines) {
+    const amount = roundAmount(line.amount);
+    if (amount <= 0) {
+      continue;
+    }
+
+    const existing = merged.find(
+      (entry) => entry.ledger === line.ledger && entry.side === line.side
+    );
+    if (existing) {
+      existing.amount = roundAmount(existing.amount + amount);
+    } else {
+      merged.push({ ledger: line.ledger, side: line.side, amount });
+    }
+  }
+
+  return merged.map((line) => ({
+    ledger: line.ledger,
+    debit: line.side === "debit" ? line.amount : 0,
+    credit: line.side === "credit" ? line.amount : 0,
+  }));
+};
+
+/**
+ * Double-entry vouchers for the records, in date order:
+ * - receipts debit cash or bank and credit the tenant's receivable for
+ *   invoiced dues, the payment type's ledger for the rest and advances for
+ *   what is not allocated
+ * - invoices debit the receivable and credit the income and GST ledgers;
+ *   credit notes reverse them
+ * - refunds pay back deposits or advances; credit notes on charges reduce
+ *   the payment type's ledger against the receivable
+ */
+const buildVouchers = (records, ledgerFor) => {
+  const vouchers = [];
+  const base = (recordType, record, date) => ({
+    recordType,
+    recordId: record.id,
+    date: toDateString(date),
+    buildingName: record.building_name,
+    partyName: record.tenant_name || `Unit ${record.unit_number}`,
+  });
+
+  for (const receipt of records.receipts) {
+    const ledger = (accountType) => ledgerFor(receipt.building_id, accountType);
+    const amount = parseFloat(receipt.amount);
+    const allocated = receipt.allocations.reduce(
+      (sum, allocation) => sum + parseFloat(allocation.amount),
+      0
+    );
+
+    vouchers.push({
+      ...base("receipt", receipt, receipt.entry_date),
+      voucherType: "Receipt",
+      voucherNumber: `RCV-${receipt.id}`,
+      narration: [
+        receipt.description,
+        `${receipt.tenant_name} - Unit ${receipt.unit_number}`,
+        receipt.transaction_id ? `Ref ${receipt.transaction_id}` : null,
+      ]
+        .filter(Boolean)
+        .join("; "),
+      lines: collectLines([
+        {
+          ledger: ledger(receipt.payment_method === "cash" ? "cash" : "bank"),
+          side: "debit",
+          amount,
+        },
+        ...receipt.allocations.map((allocation) => ({
+          ledger: ledger(
+            allocation.invoiced ? "tenant_receivable" : allocation.payment_type
+          ),
+          side: "credit",
+          amount: parseFloat(allocation.amount),
+        })),
+        {
+          ledger: ledger("tenant_advance"),
+          side: "credit",
+          amount: amount - allocated,
+        },
+      ]),
+    });
+  }
+
+  for (const invoice of records.invoices) {
+    const ledger = (accountType) => ledgerFor(invoice.building_id, accountType);
+    const isCreditNote = invoice.document_type === "credit_note";
+    const [tenantSide, incomeSide] = isCreditNote
+      ? ["credit", "debit"]
+      : ["debit", "credit"];
+
+    vouchers.push({
+      ...base("invoice", invoice, invoice.invoice_date),
+      voucherType: isCreditNote ? "Credit Note" : "Sales",
+      voucherNumber: invoice.invoice_number,
+      narration: `${invoice.description}; ${invoice.tenant_name} - Unit ${invoice.unit_number}`,
+      lines: collectLines([
+        {
+          ledger: ledger("tenant_receivable"),
+          side: tenantSide,
+          amount: parseFloat(invoice.total_amount),
+        },
+        {
+          ledger: ledger(invoice.payment_type),
+          side: incomeSide,
+          amount: parseFloat(invoice.taxable_amount),
+        },
+        {
+          ledger: ledger("output_cgst"),
+          side: incomeSide,
+          amount: parseFloat(invoice.cgst_amount),
+        },
+        {
+          ledger: ledger("output_sgst"),
+          side: incomeSide,
+          amount: parseFloat(invoice.sgst_amount),
+        },
+      ]),
+    });
+  }
+
+  for (const refund of records.refunds) {
+    const ledger = (accountType) => ledgerFor(refund.building_id, accountType);
+    const amount = parseFloat(refund.amount);
+    const isRefund = refund.refund_type === "refund";
+
+    const debitLedger = isRefund
+      ? ledger(
+          refund.reason_category === "deposit_refund"
+            ? "security_deposit"
+            : "tenant_advance"
+        )
+      : ledger(refund.payment_type);
+    const creditLedger = isRefund
+      ? ledger(refund.refund_method === "cash" ? "cash" : "bank")
+      : ledger("tenant_receivable");
+
+    vouchers.push({
+      ...base("refund", refund, refund.refund_date),
+      voucherType: isRefund ? "Payment" : "Journal",
+      voucherNumber: `${isRefund ? "RFD" : "CRN"}-${refund.id}`,
+      narration: [
+        refund.reason,
+        `${refund.tenant_name} - Unit ${refund.unit_number}`,
+        refund.transaction_id ? `Ref ${refund.transaction_id}` : null,
+      ]
+        .filter(Boolean)
+        .join("; "),
+      lines: collectLines([
+        { ledger: debitLedger, side: "debit", amount },
+        { ledger: creditLedger, side: "credit", amount },
+      ]),
+    });
+  }
+
+  return vouchers.sort(
+    (a, b) =>
+      a.date.localeCompare(b.date) ||
+      a.voucherNumber.localeCompare(b.voucherNumber)
+  );
+};
+
+const JOURNAL_FIELDS = [
+  { label: "Date", value: "date" },
+  { label: "Voucher Type", value: "voucherType" },
+  { label: "Voucher Number", value: "voucherNumber" },
+  { label: "Building", value: "buildingName" },
+  { label: "Party", value: "partyName" },
+  { label: "Ledger", value: "ledger" },
+  { label: "Debit", value: "debit" },
+  { label: "Credit", value: "credit" },
+  { label: "Narration", value: "narration" },
+  { label: "Source", value: "recordType" },
+  { label: "Source ID", value: "recordId" },
+];
+
+// Generic journal: one row per ledger line
+export const buildJournalCsv = (vouchers) => {
+  const rows = vouchers.flatMap((voucher) =>
+    voucher.lines.map((line) => ({
+      ...voucher,
+      ledger: line.ledger,
+      debit: line.debit ? line.debit.toFixed(2) : "",
+      credit: line.credit ? line.credit.toFixed(2) : "",
+    }))
+  );
+
+  return new Parser({ fields: JOURNAL_FIELDS }).parse(rows);
+};
+
+const escapeXml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+// Tally import envelope of vouchers. Tally takes debits as negative amounts
+// deemed positive and credits as positive amounts.
+export const buildTallyXml = (vouchers) => {
+  const voucherXml = vouchers.map((voucher) => {
+    const entries = voucher.lines.map((line) =>
+      [
+        "        <ALLLEDGERENTRIES.LIST>",
+        `          <LEDGERNAME>${escapeXml(line.ledger)}</LEDGERNAME>`,
+        `          <ISDEEMEDPOSITIVE>${line.debit ? "Yes" : "No"}</ISDEEMEDPOSITIVE>`,
+        `          <AMOUNT>${(line.debit ? -line.debit : line.credit).toFixed(2)}</AMOUNT>`,
+        "        </ALLLEDGERENTRIES.LIST>",
+      ].join("\n")
+    );
+
+    return [
+      `      <VOUCHER VCHTYPE="${escapeXml(voucher.voucherType)}" ACTION="Create">`,
+      `        <DATE>${voucher.date.replace(/-/g, "")}</DATE>`,
+      `        <VOUCHERTYPENAME>${escapeXml(voucher.voucherType)}</VOUCHERTYPENAME>`,
+      `        <VOUCHERNUMBER>${escapeXml(voucher.voucherNumber)}</VOUCHERNUMBER>`,
+      `        <NARRATION>${escapeXml(voucher.narration)}</NARRATION>`,
+      ...entries,
+      "      </VOUCHER>",
+    ].join("\n");
+  });
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    "<ENVELOPE>",
+    "  <HEADER>",
+    "    <TALLYREQUEST>Import Data</TALLYREQUEST>",
+    "  </HEADER>",
+    "  <BODY>",
+    "    <IMPORTDATA>",
+    "      <REQUESTDESC>",
+    "        <REPORTNAME>Vouchers</REPORTNAME>",
+    "      </REQUESTDESC>",
+    "      <REQUESTDATA>",
+    '        <TALLYMESSAGE xmlns:UDF="TallyUDF">',
+    ...voucherXml.map((xml) => xml.replace(/^/gm, "    ")),
+    "        </TALLYMESSAGE>",
+    "      </REQUESTDATA>",
+    "    </IMPORTDATA>",
+    "  </BODY>",
+    "</ENVELOPE>",
+    "",
+  ].join("\n");
+};
+
+/**
+ * Render vouchers in an export format, with the file's content type and
+ * extension
+ */
+export const renderExport = (format, vouchers) =>
+  format === "tally_xml"
+    ? {
+        content: buildTallyXml(vouchers),
+        contentType: "application/xml",
+        extension: "xml",
+      }
+    : {
+        content: buildJournalCsv(vouchers),
+        contentType: "text/csv",
+        extension: "csv",
+      };
+
+/**
+ * Export the receipts, invoices and refunds in the range that have not been
+ * exported before, and mark them exported. A record taken by a concurrent
+ * export is left out. Must run inside the caller's transaction.
+ */
+export const createAccountingExport = async (
+  { fromDate, toDate, buildingIds, format, exportedBy = null },
+  db
+) => {
+  const records = await getExportRecords(
+    { fromDate, toDate, buildingIds },
+    db
+  );
+  const items = [
+    ...records.receipts.map((record) => ["receipt", record.id]),
+    ...records.invoices.map((record) => ["invoice", record.id]),
+    ...records.refunds.map((record) => ["refund", record.id]),
+  ];
+
+  if (items.length === 0) {
+    throw createError(
+      "NOT_FOUND",
+      "No receipts, invoices or refunds left to export for this period"
+    );
+  }
+
+  const exportResult = await db.query(
+    `INSERT INTO accounting_exports (
+      export_format, from_date, to_date, building_ids, exported_by, created_at
+    ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [format, fromDate, toDate, buildingIds, exportedBy]
+  );
+  const accountingExport = exportResult.rows[0];
+
+  const markedResult = await db.query(
+    `INSERT INTO accounting_export_items (export_id, record_type, record_id)
+    SELECT $1, item.record_type, item.record_id
+    FROM unnest($2::text[], $3::integer[]) as item(record_type, record_id)
+    ON CONFLICT (record_type, record_id) DO NOTHING
+    RETURNING record_type, record_id`,
+    [
+      accountingExport.id,
+      items.map(([recordType]) => recordType),
+      items.map(([, recordId]) => recordId),
+    ]
+  );
+  const marked = new Set(
+    markedResult.rows.map((row) => `${row.record_type}:${row.record_id}`)
+  );
+  const isMarked = (recordType) => (record) =>
+    marked.has(`${recordType}:${record.id}`);
+
+  const ledgerFor = await getLedgerResolver(db);
+  const vouchers = buildVouchers(
+    {
+      receipts: records.receipts.filter(isMarked("receipt")),
+      invoices: records.invoices.filter(isMarked("invoice")),
+      refunds: records.refunds.filter(isMarked("refund")),
+    },
+    ledgerFor
+  );
+
+  const updatedResult = await db.query(
+    `UPDATE accounting_exports SET voucher_count = $1 WHERE id = $2
+    RETURNING *`,
+    [vouchers.length, accountingExport.id]
+  );
+
+  return { export: updatedResult.rows[0], vouchers };
+};
+
+/**
+ * Vouchers of a past export, rebuilt with the current ledger mappings
+ */
+export const getExportVouchers = async (exportId, db = pool) => {
+  const records = await getExportRecords({ exportId }, db);
+  const ledgerFor = await getLedgerResolver(db);
+
+  return buildVouchers(records, ledgerFor);
+};
+
+export default {
+  EXPORT_FORMATS,
+  DEFAULT_LEDGER_NAMES,
+  LEDGER_ACCOUNT_TYPES,
+  getLedgerMappings,
+  setLedgerMappings,
+  buildJournalCsv,
+  buildTallyXml,
+  renderExport,
+  createAccountingExport,
+  getExportVouchers,
+};
@@ -0,0 +1,166 @@
+// src/services/accountingPeriodService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+// First day of the month a date (Date or YYYY-MM-DD) falls in, as YYYY-MM-DD
+export const getPeriodStart = (date) => {
+  const day =
+    date instanceof Date ? date.toLocaleDateString("en-CA") : String(date);
+  return `${day.slice(0, 7)}-01`;
+};
+
+const formatPeriod = (periodStart) =>
+  new Date(`${periodStart}T00:00:00`).toLocaleDateString("en-IN", {
+    month: "long",
+    year: "numeric",
+  });
+
+/**
+ * Throw a CONFLICT when any of the dates falls in a closed period of the
+ * building. Empty dates are ignored.
+ */
+export const assertPeriodsOpen = async (buildingId, dates, db = pool) => {
+  const periodStarts = [
+    ...new Set(dates.filter(Boolean).map((date) => getPeriodStart(date))),
+  ];
+
+  if (periodStarts.length === 0) {
+    return;
+  }
+
+  const closedResult = await db.query(
+    `SELECT period_start::text as period_start
+    FROM accounting_periods
+    WHERE building_id = $1 AND status = 'closed' AND period_start = ANY($2::date[])
+    ORDER BY period_start ASC`,
+    [buildingId, periodStarts]
+  );
+
+  if (closedResult.rows.length > 0) {
+    throw createError(
+      "CONFLICT",
+      `The accounting period for ${formatPeriod(
+        closedResult.rows[0].period_start
+      )} is closed; record an adjusting entry in an open period instead`
+    );
+  }
+};
+
+// Same as assertPeriodsOpen, for the building of a tenancy
+export const assertTenancyPeriodsOpen = async (tenancyId, dates, db = pool) => {
+  const buildingResult = await db.query(
+    `SELECT r.building_id
+    FROM tenancies t
+    JOIN units u ON t.unit_id = u.id
+    JOIN rooms r ON u.room_id = r.id
+    WHERE t.id = $1`,
+    [tenancyId]
+  );
+
+  if (buildingResult.rows.length === 0) {
+    return;
+  }
+
+  await assertPeriodsOpen(buildingResult.rows[0].building_id, dates, db);
+};
+
+const recordPeriodEvent = async (periodId, action, reason, userId, db) => {
+  await db.query(
+    `INSERT INTO accounting_period_events (
+      period_id, action, reason, performed_by, created_at
+    ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)`,
+    [periodId, action, reason, userId]
+  );
+};
+
+/**
+ * Close a building's month. Only months that have ended can be closed.
+ * Must run inside the caller's transaction.
+ */
+export const closePeriod = async (
+  { buildingId, periodStart, closedBy = null, notes = null },
+  db
+) => {
+  const start = getPeriodStart(periodStart);
+
+  const currentResult = await db.query(
+    "SELECT DATE_TRUNC('month', CURRENT_DATE)::date::text as current_start"
+  );
+
+  if (start >= currentResult.rows[0].current_start) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Only months that have ended can be closed"
+    );
+  }
+
+  const periodResult = await db.query(
+    `INSERT INTO accounting_periods (
+      building_id, period_start, status, closed_by, closed_at, notes,
+      created_at, updated_at
+    ) VALUES ($1, $2, 'closed', $3, CURRENT_TIMESTAMP, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    ON CONFLICT (building_id, period_start) DO UPDATE
+    SET status = 'closed',
+        closed_by = EXCLUDED.closed_by,
+        closed_at = EXCLUDED.closed_at,
+        notes = COALESCE(EXCLUDED.notes, accounting_periods.notes),
+        updated_at = CURRENT_TIMESTAMP
+    WHERE accounting_periods.status = 'open'
+    RETURNING *`,
+    [buildingId, start, closedBy, notes]
+  );
+
+  if (periodResult.rows.length === 0) {
+    throw createError(
+      "CONFLICT",
+      `The accounting period for ${formatPeriod(start)} is already closed`
+    );
+  }
+
+  const period = periodResult.rows[0];
+  await recordPeriodEvent(period.id, "closed", notes, closedBy, db);
+
+  return period;
+};
+
+/**
+ * Reopen a closed month of a building, recording who reopened it and why.
+ * Must run inside the caller's transaction.
+ */
+export const reopenPeriod = async (
+  { buildingId, periodStart, reopenedBy = null, reason },
+  db
+) => {
+  const start = getPeriodStart(periodStart);
+
+  const periodResult = await db.query(
+    `UPDATE accounting_periods
+    SET status = 'open',
+        reopened_by = $3,
+        reopened_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE building_id = $1 AND period_start = $2 AND status = 'closed'
+    RETURNING *`,
+    [buildingId, start, reopenedBy]
+  );
+
+  if (periodResult.rows.length === 0) {
+    throw createError(
+      "CONFLICT",
+      `The accounting period for ${formatPeriod(start)} is not closed`
+    );
+  }
+
+  const period = periodResult.rows[0];
+  await recordPeriodEvent(period.id, "reopened", reason, reopenedBy, db);
+
+  return period;
+};
+
+export default {
+  getPeriodStart,
+  assertPeriodsOpen,
+  assertTenancyPeriodsOpen,
+  closePeriod,
+  reopenPeriod,
+};
@@ -0,0 +1,297 @@
+// src/services/agingReportService.js
+import ExcelJS from "exceljs";
+import pool from "../config/database.js";
+import { getSheetName, styleHeaderRow } from "../utils/spreadsheet.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const AMOUNT_FORMAT = "#,##0.00";
+
+// Days past due covered by each bucket; dues not yet past due are current
+export const AGING_BUCKETS = [
+  { key: "current", label: "Current", maxDays: 0 },
+  { key: "days1To30", label: "1-30 Days", maxDays: 30 },
+  { key: "days31To60", label: "31-60 Days", maxDays: 60 },
+  { key: "days61To90", label: "61-90 Days", maxDays: 90 },
+  { key: "over90", label: "90+ Days", maxDays: Infinity },
+];
+
+const emptyBuckets = () => ({
+  ...Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, 0])),
+  total: 0,
+});
+
+const addToBuckets = (buckets, amounts) => {
+  for (const key of Object.keys(amounts)) {
+    buckets[key] = roundAmount(buckets[key] + amounts[key]);
+  }
+};
+
+/**
+ * Outstanding dues as they stood at the end of `asOfDate`, grouped by
+ * building and tenancy into aging buckets. Receipts and credits count when
+ * dated by then, late fees as last assessed by then and dues moved into an
+ * installment plan until the plan was made. Dues marked paid without ledger
+ * allocations count as settled on their payment date. Tenancies that had
+ * moved out by the date are listed apart as former tenants.
+ */
+export const getAgingReport = async ({ asOfDate, buildingIds }, db = pool) => {
+  const agingQuery = `
+    SELECT
+      b.id as building_id,
+      b.name as building_name,
+      t.id as tenancy_id,
+      TRIM(CONCAT(up.first_name, ' ', up.last_name)) as tenant_name,
+      up.phone as tenant_phone,
+      u_user.email as tenant_email,
+      un.unit_number,
+      COALESCE(t.actual_move_out_date, t.end_date) as move_out_date,
+      COALESCE(
+        COALESCE(
+          t.actual_move_out_date,
+          CASE WHEN t.offboarding_status = 'completed' THEN t.end_date END
+        ) <= $2::date,
+        false
+      ) as is_former,
+      p.id as payment_id,
+      p.payment_type,
+      p.due_date,
+      ($2::date - p.due_date) as days_past_due,
+      p.amount
+        + CASE
+            WHEN $2::date >= CURRENT_DATE THEN COALESCE(p.late_fee, 0)
+            ELSE COALESCE(fee.late_fee, 0)
+          END
+        - COALESCE(settled.amount, 0) as outstanding
+    FROM payments p
+    JOIN tenancies t ON p.tenancy_id = t.id
+    JOIN users u_user ON t.tenant_user_id = u_user.id
+    LEFT JOIN user_profiles up ON u_user.id = up.user_id
+    JOIN units un ON t.unit_id = un.id
+    JOIN rooms r ON un.room_id = r.id
+    JOIN buildings b ON r.building_id = b.id
+    LEFT JOIN LATERAL (
+      SELECT lfa.new_fee as late_fee
+      FROM late_fee_assessments lfa
+      WHERE lfa.payment_id = p.id AND lfa.created_at < $2::date + 1
+      ORDER BY lfa.created_at DESC, lfa.id DESC
+      LIMIT 1
+    ) fee ON true
+    LEFT JOIN LATERAL (
+      SELECT SUM(la.amount) as amount
+      FROM ledger_allocations la
+      JOIN ledger_entries le ON la.ledger_entry_id = le.id
+      WHERE la.payment_id = p.id AND le.entry_date <= $2::date
+    ) settled ON true
+    LEFT JOIN payment_plan_items ppi ON ppi.payment_id = p.id
+    LEFT JOIN payment_plans pp ON ppi.plan_id = pp.id
+    WHERE b.id = ANY($1)
+      AND p.created_at < $2::date + 1
+      AND (pp.id IS NULL OR pp.created_at >= $2::date + 1)
+      -- Marked paid before the ledger existed, as in the tenancy ledger
+      AND NOT (
+        p.status = 'paid'
+        AND COALESCE(p.payment_date, p.due_date) <= $2::date
+        AND NOT EXISTS (SELECT 1 FROM ledger_allocations la WHERE la.payment_id = p.id)
+      )
+    ORDER BY b.name, tenant_name, t.id, p.due_date
+  `;
+
+  const result = await db.query(agingQuery, [buildingIds, asOfDate]);
+
+  const buildings = new Map();
+  const totals = emptyBuckets();
+  const formerTotals = emptyBuckets();
+
+  for (const row of result.rows) {
+    const outstanding = roundAmount(parseFloat(row.outstanding));
+    if (outstanding <= 0) {
+      continue;
+    }
+
+    if (!buildings.has(row.building_id)) {
+      buildings.set(row.building_id, {
+        id: row.building_id,
+        name: row.building_name,
+        tenants: new Map(),
+        formerTenants: new Map(),
+        totals: emptyBuckets(),
+        formerTotals: emptyBuckets(),
+      });
+    }
+
+    const building = buildings.get(row.building_id);
+    const group = row.is_former ? building.formerTenants : building.tenants;
+
+    if (!group.has(row.tenancy_id)) {
+      group.set(row.tenancy_id, {
+        tenancyId: row.tenancy_id,
+        tenantName: row.tenant_name,
+        tenantPhone: row.tenant_phone,
+        tenantEmail: row.tenant_email,
+        unitNumber: row.unit_number,
+        moveOutDate: row.is_former ? row.move_out_date : null,
+        oldestDueDate: row.due_date,
+        ...emptyBuckets(),
+        dues: [],
+      });
+    }
+
+    const daysPastDue = parseInt(row.days_past_due);
+    const bucket = AGING_BUCKETS.find(({ maxDays }) => daysPastDue <= maxDays);
+    const amounts = { ...emptyBuckets(), [bucket.key]: outstanding };
+    amounts.total = outstanding;
+
+    const tenant = group.get(row.tenancy_id);
+    addToBuckets(tenant, amounts);
+    tenant.dues.push({
+      paymentId: row.payment_id,
+      paymentType: row.payment_type,
+      dueDate: row.due_date,
+      daysPastDue: Math.max(daysPastDue, 0),
+      bucket: bucket.key,
+      outstanding,
+    });
+
+    addToBuckets(
+      row.is_former ? building.formerTotals : building.totals,
+      amounts
+    );
+    addToBuckets(row.is_former ? formerTotals : totals, amounts);
+  }
+
+  const byBalance = (a, b) => b.total - a.total;
+
+  return {
+    asOfDate,
+    buckets: AGING_BUCKETS.map(({ key, label }) => ({ key, label })),
+    buildings: [...buildings.values()].map((building) => ({
+      ...building,
+      tenants: [...building.tenants.values()].sort(byBalance),
+      formerTenants: [...building.formerTenants.values()].sort(byBalance),
+    })),
+    totals,
+    formerTotals,
+    grandTotals: Object.fromEntries(
+      Object.keys(totals).map((key) => [
+        key,
+        roundAmount(totals[key] + formerTotals[key]),
+      ])
+    ),
+  };
+};
+
+const TENANT_COLUMNS = [
+  { header: "Tenant", key: "tenantName", width: 28 },
+  { header: "Unit", key: "unitNumber", width: 10 },
+  { header: "Phone", key: "tenantPhone", width: 15 },
+  { header: "Oldest Due", key: "oldestDueDate", width: 14, date: true },
+  { header: "Move-out Date", key: "moveOutDate", width: 14, date: true },
+  ...AGING_BUCKETS.map(({ key, label }) => ({
+    header: label,
+    key,
+    width: 14,
+    amount: true,
+  })),
+  { header: "Total", key: "total", width: 14, amount: true },
+];
+
+const BUCKET_KEYS = [...AGING_BUCKETS.map(({ key }) => key), "total"];
+
+/**
+ * Workbook with a summary per building followed by one sheet per building
+ * listing current tenants, then former tenants, each with a totals row.
+ */
+export const buildAgingWorkbook = (report) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { header: "Building", key: "name", width: 30 },
+    { header: "Tenants", key: "group", width: 16 },
+    ...AGING_BUCKETS.map(({ key, label }) => ({
+      header: label,
+      key,
+      width: 14,
+    })),
+    { header: "Total", key: "total", width: 14 },
+  ];
+  styleHeaderRow(summary.getRow(1));
+
+  const usedNames = new Set(["summary"]);
+
+  for (const building of report.buildings) {
+    summary.addRow({
+      name: building.name,
+      group: "Current",
+      ...building.totals,
+    });
+    if (building.formerTenants.length > 0) {
+      summary.addRow({
+        name: building.name,
+        group: "Former",
+        ...building.formerTotals,
+      });
+    }
+
+    const sheet = workbook.addWorksheet(getSheetName(building.name, usedNames));
+    sheet.columns = TENANT_COLUMNS.map(({ header, key, width }) => ({
+      header,
+      key,
+      width,
+    }));
+    styleHeaderRow(sheet.getRow(1));
+
+    sheet.addRows(building.tenants);
+    const totalsRow = sheet.addRow({
+      tenantName: "Total",
+      ...building.totals,
+    });
+    totalsRow.font = { bold: true };
+
+    if (building.formerTenants.length > 0) {
+      sheet.addRow({});
+      sheet.addRow({ tenantName: "Former tenants" }).font = { bold: true };
+      sheet.addRows(building.formerTenants);
+      const formerTotalsRow = sheet.addRow({
+        tenantName: "Total former tenants",
+        ...building.formerTotals,
+      });
+      formerTotalsRow.font = { bold: true };
+    }
+
+    TENANT_COLUMNS.forEach((column, index) => {
+      const sheetColumn = sheet.getColumn(index + 1);
+      if (column.amount) {
+        sheetColumn.numFmt = AMOUNT_FORMAT;
+      } else if (column.date) {
+        sheetColumn.numFmt = "dd-mmm-yyyy";
+      }
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+
+  [
+    { name: "Total current tenants", ...report.totals },
+    { name: "Total former tenants", ...report.formerTotals },
+    { name: "Total", ...report.grandTotals },
+  ].forEach((totals) => {
+    summary.addRow(totals).font = { bold: true };
+  });
+  BUCKET_KEYS.forEach((key) => {
+    summary.getColumn(key).numFmt = AMOUNT_FORMAT;
+  });
+
+  summary.insertRow(1, [`Receivables aging as of ${report.asOfDate}`]);
+  summary.getRow(1).font = { bold: true, size: 14 };
+  summary.views = [{ state: "frozen", ySplit: 2 }];
+
+  return workbook;
+};
+
+export default {
+  AGING_BUCKETS,
+  getAgingReport,
+  buildAgingWorkbook,
+};
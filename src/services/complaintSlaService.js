@@ -0,0 +1,278 @@
+// src/services/complaintSlaService.js
+import pool from "../config/database.js";
+
+export const COMPLAINT_PRIORITIES = ["low", "medium", "high", "urgent"];
+
+// Hours to acknowledge and resolve a complaint when no policy covers it
+export const DEFAULT_SLA_TARGETS = {
+  urgent: { acknowledgeWithinHours: 1, resolveWithinHours: 24 },
+  high: { acknowledgeWithinHours: 4, resolveWithinHours: 72 },
+  medium: { acknowledgeWithinHours: 24, resolveWithinHours: 168 },
+  low: { acknowledgeWithinHours: 48, resolveWithinHours: 336 },
+};
+
+// Hours a breach may stay with the building manager before admins are told
+export const ADMIN_ESCALATION_HOURS = 24;
+
+export const ESCALATION_LEVELS = {
+  NONE: 0,
+  MANAGER: 1,
+  ADMINS: 2,
+};
+
+// Complaint statuses the SLA clock still runs for
+const OPEN_STATUSES = ["submitted", "acknowledged", "in_progress"];
+
+export const getSlaPolicies = async (db = pool) => {
+  const policiesResult = await db.query(
+    `SELECT id, category, priority, acknowledge_within_hours, resolve_within_hours,
+      updated_by, updated_at
+    FROM complaint_sla_policies
+    ORDER BY category NULLS FIRST, ARRAY_POSITION($1::varchar[], priority)`,
+    [COMPLAINT_PRIORITIES]
+  );
+
+  return policiesResult.rows;
+};
+
+/**
+ * Create or replace policies, one per category (null for all categories) and
+ * priority. A policy without hours is removed, falling back to the
+ * all-categories policy or the default. Must run inside the caller's
+ * transaction.
+ */
+export const setSlaPolicies = async ({ policies, updatedBy = null }, db) => {
+  for (const policy of policies) {
+    const category = policy.category || null;
+
+    if (!policy.acknowledgeWithinHours && !policy.resolveWithinHours) {
+      await db.query(
+        `DELETE FROM complaint_sla_policies
+        WHERE priority = $1 AND category IS NOT DISTINCT FROM $2`,
+        [policy.priority, category]
+      );
+      continue;
+    }
+
+    await db.query(
+      `INSERT INTO complaint_sla_policies (
+        category, priority, acknowledge_within_hours, resolve_within_hours,
+        updated_by, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT ${
+        category
+          ? "(category, priority) WHERE category IS NOT NULL"
+          : "(priority) WHERE category IS NULL"
+      }
+      DO UPDATE SET
+        acknowledge_within_hours = EXCLUDED.acknowledge_within_hours,
+        resolve_within_hours = EXCLUDED.resolve_within_hours,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP`,
+      [
+        category,
+        policy.priority,
+        policy.acknowledgeWithinHours,
+        policy.resolveWithinHours,
+        updatedBy,
+      ]
+    );
+  }
+};
+
+/**
+ * Stamp a complaint with its acknowledge and resolve deadlines, counted from
+ * submission under the policy for its category and priority.
+ */
+export const applySlaDeadlines = async (complaintId, db = pool) => {
+  const policyResult = await db.query(
+    `SELECT c.priority, sp.id, sp.acknowledge_within_hours, sp.resolve_within_hours
+    FROM complaints c
+    LEFT JOIN LATERAL (
+      SELECT *
+      FROM complaint_sla_policies sp
+      WHERE sp.priority = COALESCE(c.priority, 'medium')
+        AND (sp.category = c.category OR sp.category IS NULL)
+      ORDER BY sp.category IS NULL
+      LIMIT 1
+    ) sp ON true
+    WHERE c.id = $1`,
+    [complaintId]
+  );
+
+  if (policyResult.rows.length === 0) {
+    return null;
+  }
+
+  const policy = policyResult.rows[0];
+  const defaults = DEFAULT_SLA_TARGETS[policy.priority || "medium"];
+
+  const updateResult = await db.query(
+    `UPDATE complaints
+    SET sla_policy_id = $2,
+        acknowledge_due_at = created_at + make_interval(hours => $3),
+        resolve_due_at = created_at + make_interval(hours => $4)
+    WHERE id = $1
+    RETURNING sla_policy_id, acknowledge_due_at, resolve_due_at`,
+    [
+      complaintId,
+      policy.id,
+      policy.acknowledge_within_hours ?? defaults.acknowledgeWithinHours,
+      policy.resolve_within_hours ?? defaults.resolveWithinHours,
+    ]
+  );
+
+  return updateResult.rows[0];
+};
+
+/**
+ * Mark complaints that have just missed a deadline and log the breach on each.
+ * Returns the ids of the complaints newly in breach.
+ */
+export const recordSlaBreaches = async (db = pool) => {
+  const acknowledgeResult = await db.query(
+    `WITH breached AS (
+      UPDATE complaints
+      SET acknowledge_breached_at = CURRENT_TIMESTAMP
+      WHERE status = 'submitted'
+        AND acknowledge_due_at < CURRENT_TIMESTAMP
+        AND acknowledge_breached_at IS NULL
+      RETURNING id, acknowledge_due_at as due_at
+    )
+    INSERT INTO complaint_activities (
+      complaint_id, activity_type, description, created_for, created_at
+    )
+    SELECT id, 'sla_breach',
+      'Not acknowledged by the SLA deadline of ' || TO_CHAR(due_at, 'DD Mon YYYY HH12:MI AM'),
+      'system', CURRENT_TIMESTAMP
+    FROM breached
+    RETURNING complaint_id`
+  );
+
+  const resolveResult = await db.query(
+    `WITH breached AS (
+      UPDATE complaints
+      SET resolve_breached_at = CURRENT_TIMESTAMP
+      WHERE status = ANY($1)
+        AND resolve_due_at < CURRENT_TIMESTAMP
+        AND resolve_breached_at IS NULL
+      RETURNING id, resolve_due_at as due_at
+    )
+    INSERT INTO complaint_activities (
+      complaint_id, activity_type, description, created_for, created_at
+    )
+    SELECT id, 'sla_breach',
+      'Not resolved by the SLA deadline of ' || TO_CHAR(due_at, 'DD Mon YYYY HH12:MI AM'),
+      'system', CURRENT_TIMESTAMP
+    FROM breached
+    RETURNING complaint_id`,
+    [OPEN_STATUSES]
+  );
+
+  return {
+    acknowledgeBreachIds: acknowledgeResult.rows.map((row) => row.complaint_id),
+    resolveBreachIds: resolveResult.rows.map((row) => row.complaint_id),
+  };
+};
+
+/**
+ * Open complaints in breach that are due to move up a level: to the building
+ * manager on the first breach, then to admins when the breach has sat with
+ * the manager for ADMIN_ESCALATION_HOURS or a further deadline is missed.
+ * Buildings without a manager go straight to admins.
+ */
+export const getDueEscalations = async (db = pool) => {
+  const escalationsResult = await db.query(
+    `SELECT
+      c.id,
+      c.complaint_number,
+      c.title,
+      c.description,
+      c.category,
+      c.priority,
+      c.status,
+      c.created_at,
+      c.acknowledge_due_at,
+      c.resolve_due_at,
+      c.acknowledge_breached_at,
+      c.resolve_breached_at,
+      c.escalation_level,
+      CASE
+        WHEN c.escalation_level = 0 AND mgr.id IS NOT NULL THEN 1
+        ELSE 2
+      END as next_level,
+      TRIM(CONCAT(tp.first_name, ' ', tp.last_name)) as tenant_name,
+      b.name as building_name,
+      un.unit_number,
+      mgr.email as manager_email,
+      TRIM(CONCAT(mp.first_name, ' ', mp.last_name)) as manager_name
+    FROM complaints c
+    JOIN buildings b ON c.building_id = b.id
+    LEFT JOIN units un ON c.unit_id = un.id
+    LEFT JOIN user_profiles tp ON c.tenant_user_id = tp.user_id
+    LEFT JOIN users mgr ON b.manager_id = mgr.id AND mgr.status = 'active'
+    LEFT JOIN user_profiles mp ON mgr.id = mp.user_id
+    WHERE c.status = ANY($1)
+      AND (
+        (c.status = 'submitted' AND c.acknowledge_breached_at IS NOT NULL)
+        OR c.resolve_breached_at IS NOT NULL
+      )
+      AND (
+        c.escalation_level = 0
+        OR (
+          c.escalation_level = 1
+          AND (
+            c.escalated_at <= CURRENT_TIMESTAMP - make_interval(hours => $2)
+            OR c.resolve_breached_at > c.escalated_at
+          )
+        )
+      )
+    ORDER BY c.priority = 'urgent' DESC, c.created_at ASC`,
+    [OPEN_STATUSES, ADMIN_ESCALATION_HOURS]
+  );
+
+  return escalationsResult.rows;
+};
+
+// Active admins and super admins, who receive second-level escalations
+export const getEscalationAdmins = async (db = pool) => {
+  const adminsResult = await db.query(
+    `SELECT u.email, TRIM(CONCAT(up.first_name, ' ', up.last_name)) as name
+    FROM users u
+    LEFT JOIN user_profiles up ON u.id = up.user_id
+    WHERE u.role IN ('super_admin', 'admin') AND u.status = 'active'`
+  );
+
+  return adminsResult.rows;
+};
+
+// Move a complaint to an escalation level and log who was told
+export const markEscalated = async (complaintId, level, description, db) => {
+  await db.query(
+    `UPDATE complaints
+    SET escalation_level = $2, escalated_at = CURRENT_TIMESTAMP
+    WHERE id = $1`,
+    [complaintId, level]
+  );
+
+  await db.query(
+    `INSERT INTO complaint_activities (
+      complaint_id, activity_type, description, created_for, created_at
+    ) VALUES ($1, 'escalation', $2, 'system', CURRENT_TIMESTAMP)`,
+    [complaintId, description]
+  );
+};
+
+export default {
+  COMPLAINT_PRIORITIES,
+  DEFAULT_SLA_TARGETS,
+  ADMIN_ESCALATION_HOURS,
+  ESCALATION_LEVELS,
+  getSlaPolicies,
+  setSlaPolicies,
+  applySlaDeadlines,
+  recordSlaBreaches,
+  getDueEscalations,
+  getEscalationAdmins,
+  markEscalated,
+};
@@ -0,0 +1,449 @@
+// src/services/depositSettlementService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  calculateProratedRent,
+  getCycleMonth,
+  getDailyRent,
+  getProrationConvention,
+} from "./prorationService.js";
+import { createLedgerEntry, allocateEntry } from "./ledgerService.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const MONTH_NAMES = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+const toDateString = (value) => {
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(value.getDate()).padStart(2, "0")}`;
+  }
+  return String(value).split("T")[0];
+};
+
+/**
+ * Work out the system lines of a deposit settlement: unpaid dues, rent not yet
+ * billed up to move-out, credit for rent billed past move-out and any
+ * notice-period shortfall. Damage charges are added by the manager.
+ */
+export const calculateSettlementItems = async (
+  tenancy,
+  moveOutDate,
+  db = pool
+) => {
+  const convention = getProrationConvention();
+  const billingDay = tenancy.billing_day || 1;
+  const moveOut = toDateString(moveOutDate);
+  // Rent is billed per cycle starting on the billing day, so the move-out
+  // month is the month of the cycle that contains the move-out date
+  const { year: moveOutYear, month: moveOutMonth } = getCycleMonth(
+    moveOut,
+    billingDay
+  );
+  const items = [];
+
+  // Unpaid dues, net of anything already received against them
+  const unpaidResult = await db.query(
+    `SELECT
+      id, payment_type, due_date,
+      (amount + COALESCE(late_fee, 0) - COALESCE(paid_amount, 0)) as outstanding
+    FROM payments
+    WHERE tenancy_id = $1 AND status NOT IN ('paid', 'rescheduled')
+    ORDER BY due_date ASC`,
+    [tenancy.id]
+  );
+
+  for (const payment of unpaidResult.rows) {
+    const outstanding = roundAmount(parseFloat(payment.outstanding));
+    if (outstanding <= 0) continue;
+
+    const dueDate = new Date(payment.due_date);
+    items.push({
+      itemType: "unpaid_payment",
+      paymentId: payment.id,
+      description: `Unpaid ${payment.payment_type.replace(/_/g, " ")} due ${
+        MONTH_NAMES[dueDate.getMonth()]
+      } ${dueDate.getFullYear()}`,
+      amount: outstanding,
+      calculation: null,
+    });
+  }
+
+  // Rent already billed per month, to find unbilled months and rent billed past move-out
+  const billedResult = await db.query(
+    `SELECT
+      EXTRACT(YEAR FROM due_date)::integer as year,
+      EXTRACT(MONTH FROM due_date)::integer as month,
+      SUM(amount) as billed
+    FROM payments
+    WHERE tenancy_id = $1 AND payment_type = 'rent'
+    GROUP BY 1, 2
+    ORDER BY 1, 2`,
+    [tenancy.id]
+  );
+
+  const billedByMonth = new Map(
+    billedResult.rows.map((row) => [
+      `${row.year}-${row.month}`,
+      parseFloat(row.billed),
+    ])
+  );
+
+  const moveOutLabel = `${MONTH_NAMES[moveOutMonth - 1]} ${moveOutYear}`;
+  const moveOutRent = calculateProratedRent(
+    tenancy.rent_amount,
+    {
+      year: moveOutYear,
+      month: moveOutMonth,
+      billingDay,
+      occupancyStart: tenancy.start_date,
+      occupancyEnd: moveOut,
+    },
+    convention
+  );
+
+  // Months after the last billed rent up to move-out have not been billed yet
+  const lastBilled = billedResult.rows[billedResult.rows.length - 1];
+  let year;
+  let month;
+  if (lastBilled) {
+    year = lastBilled.month === 12 ? lastBilled.year + 1 : lastBilled.year;
+    month = lastBilled.month === 12 ? 1 : lastBilled.month + 1;
+  } else {
+    ({ year, month } = getCycleMonth(tenancy.start_date, billingDay));
+  }
+
+  while (
+    year < moveOutYear ||
+    (year === moveOutYear && month <= moveOutMonth)
+  ) {
+    const rent = calculateProratedRent(
+      tenancy.rent_amount,
+      {
+        year,
+        month,
+        billingDay,
+        occupancyStart: tenancy.start_date,
+        occupancyEnd: moveOut,
+      },
+      convention
+    );
+
+    if (rent.amount > 0) {
+      items.push({
+        itemType: "unbilled_rent",
+        paymentId: null,
+        description: `Unbilled rent for ${MONTH_NAMES[month - 1]} ${year}`,
+        amount: rent.amount,
+        calculation:
+          rent.calculation || `Full month rent ₹${rent.amount.toFixed(2)}`,
+      });
+    }
+
+    month++;
+    if (month > 12) {
+      month = 1;
+      year++;
+    }
+  }
+
+  // A move-out month billed in full is credited for the days after move-out
+  const moveOutBilled = billedByMonth.get(`${moveOutYear}-${moveOutMonth}`);
+  if (
+    moveOutBilled !== undefined &&
+    moveOutBilled - moveOutRent.amount > 0.01
+  ) {
+    items.push({
+      itemType: "rent_credit",
+      paymentId: null,
+      description: `Rent credit for ${moveOutLabel} after move-out`,
+      amount: -roundAmount(moveOutBilled - moveOutRent.amount),
+      calculation: `Billed ₹${moveOutBilled.toFixed(
+        2
+      )}, occupied rent ₹${moveOutRent.amount.toFixed(2)}${
+        moveOutRent.calculation ? ` (${moveOutRent.calculation})` : ""
+      }`,
+    });
+  }
+
+  // Rent billed for months after move-out is credited in full
+  for (const row of billedResult.rows) {
+    const isAfterMoveOut =
+      row.year > moveOutYear ||
+      (row.year === moveOutYear && row.month > moveOutMonth);
+
+    if (isAfterMoveOut) {
+      items.push({
+        itemType: "rent_credit",
+        paymentId: null,
+        description: `Rent credit for ${MONTH_NAMES[row.month - 1]} ${row.year} after move-out`,
+        amount: -roundAmount(parseFloat(row.billed)),
+        calculation: "Billed for a month after move-out",
+      });
+    }
+  }
+
+  // Notice-period shortfall: days between move-out and the end of the notice period
+  if (tenancy.notice_given_date && tenancy.notice_period_days) {
+    const shortfallResult = await db.query(
+      `SELECT ($1::date + $2::integer) - $3::date as shortfall_days`,
+      [
+        toDateString(tenancy.notice_given_date),
+        tenancy.notice_period_days,
+        moveOut,
+      ]
+    );
+    const shortfallDays = parseInt(shortfallResult.rows[0].shortfall_days);
+
+    if (shortfallDays > 0) {
+      const dailyRent = getDailyRent(tenancy.rent_amount, convention);
+      const amount = roundAmount(dailyRent * shortfallDays);
+
+      items.push({
+        itemType: "notice_shortfall",
+        paymentId: null,
+        description: `Notice period shortfall (${shortfallDays} of ${tenancy.notice_period_days} days)`,
+        amount,
+        calculation: `${shortfallDays} days x ₹${dailyRent.toFixed(2)} daily rent (${
+          convention === "30_360" ? "30/360" : "actual days"
+        })`,
+      });
+    }
+  }
+
+  return items;
+};
+
+// Recalculate a settlement's totals from its lines
+export const updateSettlementTotals = async (settlementId, db = pool) => {
+  const result = await db.query(
+    `UPDATE deposit_settlements ds
+    SET total_deductions = totals.deductions,
+        refund_amount = GREATEST(ds.security_deposit - totals.deductions, 0),
+        amount_due = GREATEST(totals.deductions - ds.security_deposit, 0),
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT COALESCE(SUM(amount), 0) as deductions
+      FROM deposit_settlement_items
+      WHERE settlement_id = $1
+    ) totals
+    WHERE ds.id = $1
+    RETURNING ds.*`,
+    [settlementId]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Create or recalculate the draft settlement of a tenancy. Recalculating
+ * replaces the system lines and keeps lines the manager added by hand.
+ */
+export const prepareSettlement = async (
+  tenancy,
+  { moveOutDate, damageCharges = [], notes = null, preparedBy = null },
+  db = pool
+) => {
+  const existingResult = await db.query(
+    "SELECT * FROM deposit_settlements WHERE tenancy_id = $1 FOR UPDATE",
+    [tenancy.id]
+  );
+  const existing = existingResult.rows[0];
+
+  if (existing && existing.status === "approved") {
+    throw createError(
+      "CONFLICT",
+      "Deposit settlement has already been approved"
+    );
+  }
+
+  let settlement;
+  if (existing) {
+    const updateResult = await db.query(
+      `UPDATE deposit_settlements
+      SET move_out_date = $1, security_deposit = $2, notes = COALESCE($3, notes),
+          prepared_by = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $5
+      RETURNING *`,
+      [moveOutDate, tenancy.security_deposit || 0, notes, preparedBy, existing.id]
+    );
+    settlement = updateResult.rows[0];
+
+    await db.query(
+      `DELETE FROM deposit_settlement_items
+      WHERE settlement_id = $1 AND calculated_amount IS NOT NULL`,
+      [settlement.id]
+    );
+  } else {
+    const insertResult = await db.query(
+      `INSERT INTO deposit_settlements (
+        tenancy_id, move_out_date, security_deposit, notes, prepared_by,
+        created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *`,
+      [tenancy.id, moveOutDate, tenancy.security_deposit || 0, notes, preparedBy]
+    );
+    settlement = insertResult.rows[0];
+  }
+
+  const items = await calculateSettlementItems(tenancy, moveOutDate, db);
+
+  for (const item of items) {
+    await db.query(
+      `INSERT INTO deposit_settlement_items (
+        settlement_id, item_type, description, payment_id, calculated_amount,
+        amount, calculation, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [
+        settlement.id,
+        item.itemType,
+        item.description,
+        item.paymentId,
+        item.amount,
+        item.calculation,
+      ]
+    );
+  }
+
+  for (const damage of damageCharges) {
+    await db.query(
+      `INSERT INTO deposit_settlement_items (
+        settlement_id, item_type, description, amount, adjusted_by,
+        created_at, updated_at
+      ) VALUES ($1, 'damage', $2, $3, $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [settlement.id, damage.description, parseFloat(damage.amount), preparedBy]
+    );
+  }
+
+  return await updateSettlementTotals(settlement.id, db);
+};
+
+// Settlement with its lines, or null if none has been prepared
+export const getSettlement = async (tenancyId, db = pool) => {
+  const settlementResult = await db.query(
+    `SELECT
+      ds.*,
+      TRIM(CONCAT(pp.first_name, ' ', pp.last_name)) as prepared_by_name,
+      TRIM(CONCAT(ap.first_name, ' ', ap.last_name)) as approved_by_name,
+      COALESCE(
+        ARRAY(
+          SELECT json_build_object(
+            'id', dsi.id,
+            'item_type', dsi.item_type,
+            'description', dsi.description,
+            'payment_id', dsi.payment_id,
+            'calculated_amount', dsi.calculated_amount,
+            'amount', dsi.amount,
+            'calculation', dsi.calculation,
+            'adjustment_reason', dsi.adjustment_reason,
+            'is_adjusted', dsi.calculated_amount IS DISTINCT FROM dsi.amount
+          )
+          FROM deposit_settlement_items dsi
+          WHERE dsi.settlement_id = ds.id
+          ORDER BY dsi.id
+        ),
+        ARRAY[]::json[]
+      ) as items
+    FROM deposit_settlements ds
+    LEFT JOIN user_profiles pp ON ds.prepared_by = pp.user_id
+    LEFT JOIN user_profiles ap ON ds.approved_by = ap.user_id
+    WHERE ds.tenancy_id = $1`,
+    [tenancyId]
+  );
+
+  return settlementResult.rows[0] || null;
+};
+
+/**
+ * Approve a settlement: the deposit settles the unpaid dues it covers through
+ * a ledger credit, and the final figures are copied onto the tenancy.
+ */
+export const approveSettlement = async (
+  settlementId,
+  approvedBy,
+  db = pool
+) => {
+  const settlementResult = await db.query(
+    "SELECT * FROM deposit_settlements WHERE id = $1 FOR UPDATE",
+    [settlementId]
+  );
+  const settlement = settlementResult.rows[0];
+
+  if (settlement.status === "approved") {
+    throw createError(
+      "CONFLICT",
+      "Deposit settlement has already been approved"
+    );
+  }
+
+  const unpaidItemsResult = await db.query(
+    `SELECT payment_id, amount FROM deposit_settlement_items
+    WHERE settlement_id = $1 AND item_type = 'unpaid_payment'
+      AND payment_id IS NOT NULL AND amount > 0
+      -- An unpaid deposit only nets off the deposit; it is not paid from it
+      AND payment_id NOT IN (
+        SELECT id FROM payments WHERE payment_type = 'security_deposit'
+      )
+    ORDER BY id`,
+    [settlementId]
+  );
+
+  let depositRemaining = parseFloat(settlement.security_deposit);
+  const allocations = [];
+
+  for (const item of unpaidItemsResult.rows) {
+    if (depositRemaining <= 0) break;
+
+    const amount = roundAmount(Math.min(parseFloat(item.amount), depositRemaining));
+    allocations.push({ payment_id: item.payment_id, amount });
+    depositRemaining = roundAmount(depositRemaining - amount);
+  }
+
+  if (allocations.length > 0) {
+    const entry = await createLedgerEntry(
+      {
+        tenancyId: settlement.tenancy_id,
+        entryType: "credit",
+        credit: allocations.reduce((sum, a) => sum + a.amount, 0),
+        entryDate: settlement.move_out_date,
+        description: "Security deposit applied to unpaid dues at move-out",
+        createdBy: approvedBy,
+      },
+      db
+    );
+    await allocateEntry(entry.id, { allocations, allocatedBy: approvedBy }, db);
+  }
+
+  const approvedResult = await db.query(
+    `UPDATE deposit_settlements
+    SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+    RETURNING *`,
+    [approvedBy, settlementId]
+  );
+  const approved = approvedResult.rows[0];
+
+  await db.query(
+    `UPDATE tenancies
+    SET final_dues = GREATEST($1::numeric, 0), deposit_refund_amount = $2,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3`,
+    [approved.total_deductions, approved.refund_amount, approved.tenancy_id]
+  );
+
+  return approved;
+};
+
+export default {
+  calculateSettlementItems,
+  updateSettlementTotals,
+  prepareSettlement,
+  getSettlement,
+  approveSettlement,
+};
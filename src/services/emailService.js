@@ -22,6 +22,15 @@ const createTransporter = () => {
   });
 };
 
+// Escape text entered by users before it is placed in email HTML
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
 // Email templates
 const getOTPEmailTemplate = (otp, purpose) => {
   const templates = {
@@ -583,6 +592,64 @@ const getComplaintEmailTemplate = (type, data) => {
         ${footerStyle}
       `,
     },
+
+    sla_breach: {
+      subject: `SLA Breached - ${data.complaintNumber}`,
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #dc3545; margin-top: 0;">⏰ Complaint Past Its SLA</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.recipientName || "Admin"},<br><br>
+            ${
+              data.escalatedToAdmins
+                ? "This complaint is still outside its service level and has been escalated to admins."
+                : "This complaint at your building has missed its service level and needs your attention."
+            }
+          </p>
+
+          <div style="background: #f8d7da; border: 1px solid #f5c6cb; border-radius: 8px; padding: 20px; margin: 25px 0;">
+            <h3 style="color: #721c24; margin-top: 0; margin-bottom: 15px;">${
+              data.title
+            }</h3>
+            <p style="margin: 0 0 10px 0; color: #721c24;"><strong>Complaint Number:</strong> ${
+              data.complaintNumber
+            }</p>
+            <p style="margin: 0 0 10px 0; color: #721c24;"><strong>Tenant:</strong> ${
+              data.tenantName
+            }</p>
+            <p style="margin: 0 0 10px 0; color: #721c24;"><strong>Building:</strong> ${
+              data.buildingName
+            }${data.unitNumber ? `, Unit ${data.unitNumber}` : ""}</p>
+            <p style="margin: 0 0 10px 0; color: #721c24;"><strong>Category / Priority:</strong> ${
+              data.category
+            } / ${data.priority}</p>
+            <p style="margin: 0 0 10px 0; color: #721c24;"><strong>Submitted:</strong> ${new Date(
+              data.createdAt
+            ).toLocaleString()}</p>
+            ${(data.breaches || [])
+              .map(
+                (breach) => `
+              <p style="margin: 0 0 10px 0; color: #721c24;"><strong>${
+                breach.label
+              } due:</strong> ${new Date(breach.dueAt).toLocaleString()}</p>
+            `
+              )
+              .join("")}
+          </div>
+
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${
+              process.env.FRONTEND_URL || "http://localhost:3000"
+            }/admin/complaints"
+               style="background: #dc3545; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+              Manage Complaint
+            </a>
+          </div>
+        </div>
+        ${footerStyle}
+      `,
+    },
   };
 
   return templates[type] || templates.new_complaint;
@@ -618,6 +685,346 @@ export const sendComplaintEmail = async (type, recipientEmail, data) => {
   }
 };
 
+// Rent reminder email templates
+const getRentReminderEmailTemplate = (type, data) => {
+  const baseStyle = `
+    <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+      <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+        <h1 style="margin: 0; font-size: 28px;">🏠 PropertyFlow</h1>
+        <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">Rent & Payments</p>
+      </div>
+  `;
+
+  const footerStyle = `
+      <div style="text-align: center; margin-top: 30px; color: #888; font-size: 12px;">
+        <p>© ${new Date().getFullYear()} PropertyFlow. All rights reserved.</p>
+        <p>If you have already made this payment, please ignore this email or share the transaction details with your building manager.</p>
+      </div>
+    </div>
+  `;
+
+  const formattedAmount = `₹${Number(data.amount || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+  })}`;
+  const formattedDueDate = new Date(data.dueDate).toLocaleDateString("en-IN", {
+    day: "numeric",
+    month: "long",
+    year: "numeric",
+  });
+
+  const paymentDetails = (borderColor, textColor) => `
+    <div style="background: #f8f9fa; border: 1px solid ${borderColor}; border-radius: 8px; padding: 20px; margin: 25px 0;">
+      <h3 style="color: ${textColor}; margin-top: 0; margin-bottom: 15px;">Payment Details</h3>
+      <table style="width: 100%; border-collapse: collapse;">
+        <tr style="border-bottom: 1px solid #dee2e6;">
+          <td style="padding: 8px 0; font-weight: bold; color: #495057; width: 150px;">Amount Due:</td>
+          <td style="padding: 8px 0; color: #666;">${formattedAmount}</td>
+        </tr>
+        <tr style="border-bottom: 1px solid #dee2e6;">
+          <td style="padding: 8px 0; font-weight: bold; color: #495057;">Due Date:</td>
+          <td style="padding: 8px 0; color: #666;">${formattedDueDate}</td>
+        </tr>
+        ${
+          data.daysOverdue > 0
+            ? `<tr style="border-bottom: 1px solid #dee2e6;">
+          <td style="padding: 8px 0; font-weight: bold; color: #495057;">Days Overdue:</td>
+          <td style="padding: 8px 0; color: #dc3545;">${data.daysOverdue}</td>
+        </tr>`
+            : ""
+        }
+        <tr style="border-bottom: 1px solid #dee2e6;">
+          <td style="padding: 8px 0; font-weight: bold; color: #495057;">Building:</td>
+          <td style="padding: 8px 0; color: #666;">${data.buildingName}</td>
+        </tr>
+        <tr>
+          <td style="padding: 8px 0; font-weight: bold; color: #495057;">Unit:</td>
+          <td style="padding: 8px 0; color: #666;">${data.unitNumber}</td>
+        </tr>
+      </table>
+    </div>
+  `;
+
+  const customMessage = data.customMessage
+    ? `
+      <div style="background: #fff; border-left: 4px solid #17a2b8; padding: 15px; margin: 15px 0; border-radius: 4px;">
+        <p style="margin: 0; color: #0c5460; font-size: 14px;">
+          <strong>Message from your building manager:</strong><br>
+          ${escapeHtml(data.customMessage)}
+        </p>
+      </div>
+    `
+    : "";
+
+  const payButton = `
+    <div style="text-align: center; margin: 30px 0;">
+      <a href="${
+        process.env.FRONTEND_URL || "http://localhost:3000"
+      }/tenant/payments" 
+         style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+        View Payment
+      </a>
+    </div>
+  `;
+
+  const templates = {
+    gentle: {
+      subject: "Friendly Reminder: Rent Payment Due",
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #333; margin-top: 0;">Friendly Payment Reminder</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.tenantName},<br><br>
+            This is a friendly reminder that your payment for ${
+              data.unitNumber
+            } is due. Please make the payment at your earliest convenience.
+          </p>
+          ${paymentDetails("#dee2e6", "#495057")}
+          ${customMessage}
+          ${payButton}
+        </div>
+        ${footerStyle}
+      `,
+    },
+
+    firm: {
+      subject: "Important: Overdue Rent Payment",
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #fd7e14; margin-top: 0;">Overdue Payment Notice</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.tenantName},<br><br>
+            Our records show that the payment below is now overdue. Please clear the outstanding amount as soon as possible to avoid late fees.
+          </p>
+          ${paymentDetails("#ffc107", "#856404")}
+          ${customMessage}
+          ${payButton}
+        </div>
+        ${footerStyle}
+      `,
+    },
+
+    final: {
+      subject: "FINAL NOTICE: Immediate Action Required",
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #dc3545; margin-top: 0;">🚨 Final Notice</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.tenantName},<br><br>
+            Despite earlier reminders, the payment below remains unpaid. This is the final notice before the matter is escalated to building management.
+          </p>
+          ${paymentDetails("#f5c6cb", "#721c24")}
+          <div style="background: #f8d7da; border-left: 4px solid #dc3545; padding: 15px; margin: 20px 0; border-radius: 4px;">
+            <p style="margin: 0; color: #721c24; font-size: 14px;">
+              <strong>Please pay immediately</strong> or contact your building manager to discuss the outstanding amount.
+            </p>
+          </div>
+          ${customMessage}
+          ${payButton}
+        </div>
+        ${footerStyle}
+      `,
+    },
+
+    installment_upcoming: {
+      subject: "Reminder: Installment Due Soon",
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #333; margin-top: 0;">Upcoming Installment</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.tenantName},<br><br>
+            The next installment of your payment plan for ${
+              data.unitNumber
+            } falls due soon. Paying on time keeps your plan in good standing.
+          </p>
+          ${paymentDetails("#dee2e6", "#495057")}
+          ${customMessage}
+          ${payButton}
+        </div>
+        ${footerStyle}
+      `,
+    },
+
+    installment_missed: {
+      subject: "Important: Missed Installment",
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #fd7e14; margin-top: 0;">Missed Installment</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.tenantName},<br><br>
+            The installment below has not been paid. Please pay it right away; if it stays unpaid your payment plan will be marked as broken and building management will follow up on the arrears.
+          </p>
+          ${paymentDetails("#ffc107", "#856404")}
+          ${customMessage}
+          ${payButton}
+        </div>
+        ${footerStyle}
+      `,
+    },
+
+    manager_escalation: {
+      subject: `Rent Escalation: ${data.tenantName} - Unit ${data.unitNumber}`,
+      html: `
+        ${baseStyle}
+        <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+          <h2 style="color: #dc3545; margin-top: 0;">🚨 Overdue Rent Escalation</h2>
+          <p style="color: #666; font-size: 16px; line-height: 1.5;">
+            Hello ${data.managerName || "Manager"},<br><br>
+            The payment below is still unpaid after all automated reminders. Please follow up with the tenant directly.
+          </p>
+          ${paymentDetails("#f5c6cb", "#721c24")}
+          <div style="background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 25px 0;">
+            <h3 style="color: #495057; margin-top: 0; margin-bottom: 15px;">Tenant Contact</h3>
+            <p style="margin: 0 0 10px 0;"><strong>Name:</strong> ${
+              data.tenantName
+            }</p>
+            <p style="margin: 0 0 10px 0;"><strong>Email:</strong> ${
+              data.tenantEmail || "N/A"
+            }</p>
+            <p style="margin: 0;"><strong>Phone:</strong> ${
+              data.tenantPhone || "N/A"
+            }</p>
+          </div>
+          <div style="text-align: center; margin: 30px 0;">
+            <a href="${
+              process.env.FRONTEND_URL || "http://localhost:3000"
+            }/admin/rent-collection" 
+               style="background: #dc3545; color: white; padding: 15px 30px; text-decoration: none; border-radius: 8px; font-weight: bold; display: inline-block;">
+              Open Rent Collection
+            </a>
+          </div>
+        </div>
+        ${footerStyle}
+      `,
+    },
+  };
+
+  return templates[type] || templates.gentle;
+};
+
+// Send rent payment reminder emails
+export const sendRentReminderEmail = async (type, recipientEmail, data) => {
+  try {
+    const transporter = createTransporter();
+    const template = getRentReminderEmailTemplate(type, data);
+
+    const mailOptions = {
+      from: {
+        name: "PropertyFlow",
+        address: process.env.EMAIL_USER,
+      },
+      to: recipientEmail,
+      subject: template.subject,
+      html: template.html,
+    };
+
+    console.log(`📧 Sending ${type} rent reminder to ${recipientEmail}`);
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`✅ Rent reminder sent successfully to ${recipientEmail}`);
+
+    return result;
+  } catch (error) {
+    console.error("📧 Rent reminder email error:", error);
+    throw createError(
+      "EMAIL_ERROR",
+      `Failed to send rent reminder email: ${error.message}`
+    );
+  }
+};
+
+// Send advance notice of a scheduled rent revision to a tenant
+export const sendRentRevisionNoticeEmail = async (recipientEmail, data) => {
+  try {
+    const transporter = createTransporter();
+
+    const formatAmount = (value) =>
+      `₹${Number(value || 0).toLocaleString("en-IN", {
+        minimumFractionDigits: 2,
+      })}`;
+    const formattedEffectiveDate = new Date(
+      data.effectiveDate
+    ).toLocaleDateString("en-IN", {
+      day: "numeric",
+      month: "long",
+      year: "numeric",
+    });
+
+    const mailOptions = {
+      from: {
+        name: "PropertyFlow",
+        address: process.env.EMAIL_USER,
+      },
+      to: recipientEmail,
+      subject: `Rent Revision Notice - Unit ${data.unitNumber}`,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <div style="background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; border-radius: 10px; text-align: center; margin-bottom: 30px;">
+            <h1 style="margin: 0; font-size: 28px;">🏠 PropertyFlow</h1>
+            <p style="margin: 10px 0 0 0; font-size: 16px; opacity: 0.9;">Rent & Payments</p>
+          </div>
+          <div style="background: white; padding: 30px; border-radius: 10px; box-shadow: 0 4px 6px rgba(0,0,0,0.1);">
+            <h2 style="color: #333; margin-top: 0;">Upcoming Rent Revision</h2>
+            <p style="color: #666; font-size: 16px; line-height: 1.5;">
+              Hello ${data.tenantName},<br><br>
+              As per your tenancy terms, the monthly rent for your unit will be revised from ${formattedEffectiveDate}.
+            </p>
+            <div style="background: #f8f9fa; border: 1px solid #dee2e6; border-radius: 8px; padding: 20px; margin: 25px 0;">
+              <table style="width: 100%; border-collapse: collapse;">
+                <tr style="border-bottom: 1px solid #dee2e6;">
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057; width: 150px;">Current Rent:</td>
+                  <td style="padding: 8px 0; color: #666;">${formatAmount(data.currentRent)}</td>
+                </tr>
+                <tr style="border-bottom: 1px solid #dee2e6;">
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057;">Revised Rent:</td>
+                  <td style="padding: 8px 0; color: #333; font-weight: bold;">${formatAmount(data.newRent)}</td>
+                </tr>
+                <tr style="border-bottom: 1px solid #dee2e6;">
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057;">Revision:</td>
+                  <td style="padding: 8px 0; color: #666;">${data.revisionDescription}</td>
+                </tr>
+                <tr style="border-bottom: 1px solid #dee2e6;">
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057;">Effective From:</td>
+                  <td style="padding: 8px 0; color: #666;">${formattedEffectiveDate}</td>
+                </tr>
+                <tr style="border-bottom: 1px solid #dee2e6;">
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057;">Building:</td>
+                  <td style="padding: 8px 0; color: #666;">${data.buildingName}</td>
+                </tr>
+                <tr>
+                  <td style="padding: 8px 0; font-weight: bold; color: #495057;">Unit:</td>
+                  <td style="padding: 8px 0; color: #666;">${data.unitNumber}</td>
+                </tr>
+              </table>
+            </div>
+            <p style="color: #666; font-size: 14px; line-height: 1.5;">
+              If you have any questions about this revision, please contact your building manager.
+            </p>
+          </div>
+          <div style="text-align: center; margin-top: 30px; color: #888; font-size: 12px;">
+            <p>© ${new Date().getFullYear()} PropertyFlow. All rights reserved.</p>
+          </div>
+        </div>
+      `,
+    };
+
+    console.log(`📧 Sending rent revision notice to ${recipientEmail}`);
+    const result = await transporter.sendMail(mailOptions);
+    console.log(`✅ Rent revision notice sent successfully to ${recipientEmail}`);
+
+    return result;
+  } catch (error) {
+    console.error("📧 Rent revision notice email error:", error);
+    throw createError(
+      "EMAIL_ERROR",
+      `Failed to send rent revision notice: ${error.message}`
+    );
+  }
+};
+
 // Send lead onboarding email
 export const sendLeadOnboardingEmail = async (leadData) => {
   try {
@@ -782,6 +1189,8 @@ export default {
   sendWelcomeEmail,
   sendPasswordResetEmail,
   sendComplaintEmail,
+  sendRentReminderEmail,
+  sendRentRevisionNoticeEmail,
   sendLeadOnboardingEmail,
   testEmailConfiguration,
 };
@@ -0,0 +1,561 @@
+// src/services/invoiceService.js
+import fs from "fs";
+import path from "path";
+import PDFDocument from "pdfkit";
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+const INVOICES_DIR = "uploads/invoices";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Security deposits are held, not supplied, so they are never invoiced
+const NON_INVOICEABLE_TYPES = ["security_deposit"];
+
+const formatAmount = (value) =>
+  `INR ${parseFloat(value || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+const toDateString = (value) =>
+  `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(
+    2,
+    "0"
+  )}-${String(value.getDate()).padStart(2, "0")}`;
+
+// Indian financial year (April to March) of a date, e.g. "2026-27"
+export const getFinancialYear = (date) => {
+  const value = new Date(date);
+  const startYear =
+    value.getMonth() >= 3 ? value.getFullYear() : value.getFullYear() - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+};
+
+// BLR01-2627-0001 for invoices, BLR01-2627-C0001 for credit notes
+const formatDocumentNumber = (prefix, financialYear, documentType, sequence) => {
+  const [startYear, endYear] = financialYear.split("-");
+  const serial = String(sequence).padStart(4, "0");
+  return `${prefix}-${startYear.slice(2)}${endYear}-${
+    documentType === "credit_note" ? "C" : ""
+  }${serial}`;
+};
+
+/**
+ * Split a GST-inclusive amount into its taxable value and CGST/SGST halves.
+ * Rent is taxed where the property is, so the supply is always intra-state.
+ */
+export const calculateGstBreakup = (totalAmount, gstRate) => {
+  const total = roundAmount(parseFloat(totalAmount));
+  const rate = parseFloat(gstRate) || 0;
+  const taxableAmount = roundAmount((total * 100) / (100 + rate));
+  const tax = roundAmount(total - taxableAmount);
+  const cgstAmount = roundAmount(tax / 2);
+
+  return {
+    taxableAmount,
+    gstRate: rate,
+    cgstAmount,
+    sgstAmount: roundAmount(tax - cgstAmount),
+    totalAmount: total,
+  };
+};
+
+/**
+ * Take the next number of a building's series. The series row stays locked
+ * until the caller's transaction ends, so numbers are handed out in order and
+ * a rollback returns the number instead of leaving a gap. Must run inside a
+ * transaction.
+ */
+const takeNextNumber = async (buildingId, financialYear, documentType, db) => {
+  const result = await db.query(
+    `INSERT INTO invoice_number_series (building_id, financial_year, document_type, last_number)
+     VALUES ($1, $2, $3, 1)
+     ON CONFLICT (building_id, financial_year, document_type)
+     DO UPDATE SET last_number = invoice_number_series.last_number + 1
+     RETURNING last_number`,
+    [buildingId, financialYear, documentType]
+  );
+
+  return result.rows[0].last_number;
+};
+
+// Generated invoices live at uploads/invoices/<invoiceNumber>.pdf
+export const getInvoiceFilePath = (invoiceNumber) =>
+  path.join(INVOICES_DIR, `${invoiceNumber}.pdf`);
+
+/**
+ * Issue the tax invoice for a billed charge, returning the live invoice if
+ * the charge already has one. Must run inside a transaction so the number is
+ * only consumed when the invoice is saved.
+ */
+export const issuePaymentInvoice = async (
+  paymentId,
+  { createdBy = null } = {},
+  db
+) => {
+  const existingResult = await db.query(
+    `SELECT * FROM tax_invoices
+     WHERE payment_id = $1 AND document_type = 'invoice' AND status = 'issued'`,
+    [paymentId]
+  );
+
+  if (existingResult.rows.length > 0) {
+    return existingResult.rows[0];
+  }
+
+  const paymentResult = await db.query(
+    `SELECT
+      p.id, p.payment_type, p.amount, p.due_date, p.notes,
+      t.id as tenancy_id, t.billing_name, t.billing_gstin, t.billing_address,
+      up.first_name, up.last_name,
+      CONCAT_WS(', ', up.address_line1, up.address_line2, up.city, up.state, up.postal_code) as tenant_address,
+      un.unit_number, r.room_number,
+      b.id as building_id, b.name as building_name,
+      ble.legal_name, ble.gstin, ble.pan, ble.address as legal_address,
+      ble.state_code, ble.invoice_prefix, ble.gst_rate, ble.sac_code,
+      rc.cycle_month, rc.cycle_year
+    FROM payments p
+    JOIN tenancies t ON p.tenancy_id = t.id
+    JOIN user_profiles up ON t.tenant_user_id = up.user_id
+    JOIN units un ON t.unit_id = un.id
+    JOIN rooms r ON un.room_id = r.id
+    JOIN buildings b ON r.building_id = b.id
+    LEFT JOIN building_legal_entities ble ON ble.building_id = b.id AND ble.is_active = true
+    LEFT JOIN rent_cycles rc ON (rc.tenancy_id = t.id AND
+                                p.payment_type = 'rent' AND
+                                EXTRACT(MONTH FROM p.due_date) = rc.cycle_month AND
+                                EXTRACT(YEAR FROM p.due_date) = rc.cycle_year)
+    WHERE p.id = $1`,
+    [paymentId]
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Payment not found");
+  }
+
+  const payment = paymentResult.rows[0];
+
+  if (NON_INVOICEABLE_TYPES.includes(payment.payment_type)) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Security deposits are not invoiced"
+    );
+  }
+
+  if (!payment.legal_name) {
+    throw createError(
+      "VALIDATION_ERROR",
+      `No legal entity is configured for invoicing at ${payment.building_name}`
+    );
+  }
+
+  const invoiceDate = toDateString(new Date());
+  const financialYear = getFinancialYear(invoiceDate);
+  // Without a GSTIN the entity cannot charge GST
+  const breakup = calculateGstBreakup(
+    payment.amount,
+    payment.gstin ? payment.gst_rate : 0
+  );
+
+  const periodDate = payment.cycle_month
+    ? new Date(payment.cycle_year, payment.cycle_month - 1, 1)
+    : new Date(payment.due_date);
+  const period = periodDate.toLocaleDateString("en-IN", {
+    month: "long",
+    year: "numeric",
+  });
+  const typeLabel = payment.payment_type
+    .split("_")
+    .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(" ");
+  // Utility notes already carry the meter, consumption and tariff breakdown
+  const description =
+    payment.payment_type === "utility" && payment.notes
+      ? payment.notes
+      : `${typeLabel} for ${period} - Room ${payment.room_number}, Unit ${payment.unit_number}`;
+
+  const sequenceNumber = await takeNextNumber(
+    payment.building_id,
+    financialYear,
+    "invoice",
+    db
+  );
+  const invoiceNumber = formatDocumentNumber(
+    payment.invoice_prefix,
+    financialYear,
+    "invoice",
+    sequenceNumber
+  );
+
+  const insertResult = await db.query(
+    `INSERT INTO tax_invoices (
+      document_type, invoice_number, building_id, financial_year, sequence_number,
+      invoice_date, payment_id, tenancy_id, supplier_name, supplier_gstin,
+      supplier_pan, supplier_address, supplier_state_code, recipient_name,
+      recipient_gstin, recipient_address, place_of_supply, description, sac_code,
+      taxable_amount, gst_rate, cgst_amount, sgst_amount, total_amount,
+      created_by, created_at
+    ) VALUES (
+      'invoice', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14,
+      $15, $12, $16, $17, $18, $19, $20, $21, $22, $23, CURRENT_TIMESTAMP
+    )
+    RETURNING *`,
+    [
+      invoiceNumber,
+      payment.building_id,
+      financialYear,
+      sequenceNumber,
+      invoiceDate,
+      payment.id,
+      payment.tenancy_id,
+      payment.legal_name,
+      payment.gstin,
+      payment.pan,
+      payment.legal_address,
+      payment.state_code,
+      payment.billing_name ||
+        `${payment.first_name || ""} ${payment.last_name || ""}`.trim(),
+      payment.billing_gstin,
+      payment.billing_address || payment.tenant_address || null,
+      description,
+      payment.sac_code,
+      breakup.taxableAmount,
+      breakup.gstRate,
+      breakup.cgstAmount,
+      breakup.sgstAmount,
+      breakup.totalAmount,
+      createdBy,
+    ]
+  );
+
+  return insertResult.rows[0];
+};
+
+/**
+ * Invoice a batch of newly billed charges. Charges in buildings without a
+ * legal entity are skipped; they can be invoiced later once one is set up.
+ */
+export const issueInvoicesForPayments = async (
+  paymentIds,
+  { createdBy = null } = {},
+  db
+) => {
+  const invoiceableResult = await db.query(
+    `SELECT p.id
+     FROM payments p
+     JOIN tenancies t ON p.tenancy_id = t.id
+     JOIN units un ON t.unit_id = un.id
+     JOIN rooms r ON un.room_id = r.id
+     JOIN building_legal_entities ble ON ble.building_id = r.building_id AND ble.is_active = true
+     WHERE p.id = ANY($1) AND p.payment_type <> ALL($2)
+     ORDER BY p.id`,
+    [paymentIds, NON_INVOICEABLE_TYPES]
+  );
+
+  const issued = [];
+  const failed = [];
+
+  for (const { id } of invoiceableResult.rows) {
+    try {
+      await db.query("SAVEPOINT payment_invoice");
+      const invoice = await issuePaymentInvoice(id, { createdBy }, db);
+      await db.query("RELEASE SAVEPOINT payment_invoice");
+      issued.push(invoice);
+    } catch (invoiceError) {
+      await db.query("ROLLBACK TO SAVEPOINT payment_invoice");
+      console.error(
+        `❌ Error issuing invoice for payment ${id}:`,
+        invoiceError.message
+      );
+      failed.push({ paymentId: id, reason: invoiceError.message });
+    }
+  }
+
+  return {
+    issued,
+    failed,
+    skipped: paymentIds.length - invoiceableResult.rows.length,
+  };
+};
+
+/**
+ * Cancel an invoice by issuing a credit note for its full value from the
+ * building's credit note series. The invoice itself is kept, marked
+ * cancelled. Must run inside a transaction.
+ */
+export const cancelInvoice = async (
+  invoiceId,
+  { reason, cancelledBy },
+  db
+) => {
+  const invoiceResult = await db.query(
+    "SELECT * FROM tax_invoices WHERE id = $1 FOR UPDATE",
+    [invoiceId]
+  );
+
+  if (invoiceResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Invoice not found");
+  }
+
+  const invoice = invoiceResult.rows[0];
+
+  if (invoice.document_type !== "invoice") {
+    throw createError("VALIDATION_ERROR", "Credit notes cannot be cancelled");
+  }
+
+  if (invoice.status === "cancelled") {
+    throw createError("CONFLICT", "Invoice is already cancelled");
+  }
+
+  const prefixResult = await db.query(
+    "SELECT invoice_prefix FROM building_legal_entities WHERE building_id = $1",
+    [invoice.building_id]
+  );
+  // The original prefix is embedded in the invoice number if the entity was removed
+  const prefix =
+    prefixResult.rows[0]?.invoice_prefix || invoice.invoice_number.split("-")[0];
+
+  const creditNoteDate = toDateString(new Date());
+  const financialYear = getFinancialYear(creditNoteDate);
+  const sequenceNumber = await takeNextNumber(
+    invoice.building_id,
+    financialYear,
+    "credit_note",
+    db
+  );
+  const creditNoteNumber = formatDocumentNumber(
+    prefix,
+    financialYear,
+    "credit_note",
+    sequenceNumber
+  );
+
+  const creditNoteResult = await db.query(
+    `INSERT INTO tax_invoices (
+      document_type, invoice_number, building_id, financial_year, sequence_number,
+      invoice_date, payment_id, tenancy_id, original_invoice_id, supplier_name,
+      supplier_gstin, supplier_pan, supplier_address, supplier_state_code,
+      recipient_name, recipient_gstin, recipient_address, place_of_supply,
+      description, sac_code, taxable_amount, gst_rate, cgst_amount, sgst_amount,
+      total_amount, cancellation_reason, created_by, created_at
+    )
+    SELECT
+      'credit_note', $1, building_id, $2, $3, $4, payment_id, tenancy_id, id,
+      supplier_name, supplier_gstin, supplier_pan, supplier_address,
+      supplier_state_code, recipient_name, recipient_gstin, recipient_address,
+      place_of_supply, 'Cancellation of invoice ' || invoice_number || ': ' || description,
+      sac_code, taxable_amount, gst_rate, cgst_amount, sgst_amount, total_amount,
+      $5, $6, CURRENT_TIMESTAMP
+    FROM tax_invoices
+    WHERE id = $7
+    RETURNING *`,
+    [
+      creditNoteNumber,
+      financialYear,
+      sequenceNumber,
+      creditNoteDate,
+      reason,
+      cancelledBy,
+      invoice.id,
+    ]
+  );
+
+  const cancelledResult = await db.query(
+    `UPDATE tax_invoices
+     SET status = 'cancelled', cancellation_reason = $1, cancelled_by = $2,
+         cancelled_at = CURRENT_TIMESTAMP, file_path = NULL, file_size = NULL
+     WHERE id = $3
+     RETURNING *`,
+    [reason, cancelledBy, invoice.id]
+  );
+
+  return {
+    invoice: cancelledResult.rows[0],
+    creditNote: creditNoteResult.rows[0],
+  };
+};
+
+// Render an invoice or credit note PDF and resolve once it is written to disk
+const writeInvoicePdf = (filePath, invoice) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+    const isCreditNote = invoice.document_type === "credit_note";
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(stream);
+
+    // Supplier
+    doc.fontSize(18).font("Helvetica-Bold").text(invoice.supplier_name);
+    doc.fontSize(10).font("Helvetica").fillColor("#555555");
+    doc.text(invoice.supplier_address);
+    if (invoice.supplier_gstin) {
+      doc.text(`GSTIN: ${invoice.supplier_gstin}`);
+    }
+    if (invoice.supplier_pan) {
+      doc.text(`PAN: ${invoice.supplier_pan}`);
+    }
+    doc.moveDown(1.5);
+
+    doc.fillColor("#000000").fontSize(16).font("Helvetica-Bold");
+    doc.text(
+      isCreditNote
+        ? "CREDIT NOTE"
+        : invoice.supplier_gstin
+        ? "TAX INVOICE"
+        : "INVOICE",
+      { align: "center" }
+    );
+    doc.moveDown(0.5);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(
+      `${isCreditNote ? "Credit Note" : "Invoice"} No: ${invoice.invoice_number}`,
+      { align: "center" }
+    );
+    doc.text(`Date: ${formatDate(invoice.invoice_date)}`, { align: "center" });
+    if (isCreditNote && invoice.original_invoice_number) {
+      doc.text(
+        `Against invoice ${invoice.original_invoice_number} dated ${formatDate(
+          invoice.original_invoice_date
+        )}`,
+        { align: "center" }
+      );
+    }
+    if (!isCreditNote && invoice.status === "cancelled") {
+      doc.fillColor("#cc0000").font("Helvetica-Bold");
+      doc.text("CANCELLED", { align: "center" });
+      doc.fillColor("#000000").font("Helvetica");
+    }
+    doc.moveDown(1.5);
+
+    const labelX = 50;
+    const valueX = 200;
+    const writeRows = (rows) => {
+      rows.forEach(([label, value]) => {
+        const y = doc.y;
+        doc.font("Helvetica-Bold").text(label, labelX, y, { width: 140 });
+        doc.font("Helvetica").text(String(value), valueX, y, { width: 345 });
+        doc.moveDown(0.6);
+      });
+    };
+
+    // Recipient and supply
+    writeRows([
+      ["Billed to", invoice.recipient_name],
+      ["Recipient GSTIN", invoice.recipient_gstin || "Unregistered"],
+      ["Address", invoice.recipient_address || "-"],
+      ["Place of supply", `State code ${invoice.place_of_supply}`],
+      ["Description", invoice.description],
+      ["SAC", invoice.sac_code],
+    ]);
+
+    doc.moveDown(0.5);
+    doc
+      .moveTo(labelX, doc.y)
+      .lineTo(545, doc.y)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.moveDown(0.8);
+
+    // GST breakup
+    const halfRate = parseFloat(invoice.gst_rate) / 2;
+    writeRows([
+      ["Taxable value", formatAmount(invoice.taxable_amount)],
+      [`CGST @ ${halfRate}%`, formatAmount(invoice.cgst_amount)],
+      [`SGST @ ${halfRate}%`, formatAmount(invoice.sgst_amount)],
+    ]);
+
+    doc.moveDown(0.5);
+    const totalY = doc.y;
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text(isCreditNote ? "Total credit" : "Total", labelX, totalY, {
+      width: 140,
+    });
+    doc.text(formatAmount(invoice.total_amount), valueX, totalY, {
+      width: 345,
+    });
+
+    if (isCreditNote && invoice.cancellation_reason) {
+      doc.moveDown(1.5);
+      doc.fontSize(10).font("Helvetica");
+      doc.text(`Reason: ${invoice.cancellation_reason}`, labelX, doc.y, {
+        width: 495,
+      });
+    }
+
+    // Footer
+    doc.moveDown(3);
+    doc.fontSize(9).font("Helvetica").fillColor("#777777");
+    doc.text(
+      "This is a computer-generated document and does not require a signature.",
+      labelX,
+      doc.y,
+      { align: "center", width: 495 }
+    );
+
+    doc.end();
+  });
+
+/**
+ * Invoice or credit note with its PDF, rendering the file when it is missing.
+ * Cancelling clears the stored file so the invoice is re-rendered as cancelled.
+ */
+export const getOrCreateInvoicePdf = async (invoiceId, db = pool) => {
+  const invoiceResult = await db.query(
+    `SELECT ti.*, orig.invoice_number as original_invoice_number,
+            orig.invoice_date as original_invoice_date
+     FROM tax_invoices ti
+     LEFT JOIN tax_invoices orig ON ti.original_invoice_id = orig.id
+     WHERE ti.id = $1`,
+    [invoiceId]
+  );
+
+  if (invoiceResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Invoice not found");
+  }
+
+  const invoice = invoiceResult.rows[0];
+
+  if (invoice.file_path) {
+    try {
+      await fs.promises.access(invoice.file_path);
+      return invoice;
+    } catch {
+      // File was removed from disk; render it again
+    }
+  }
+
+  const filePath = getInvoiceFilePath(invoice.invoice_number);
+  await fs.promises.mkdir(INVOICES_DIR, { recursive: true });
+  await writeInvoicePdf(filePath, invoice);
+  const { size } = await fs.promises.stat(filePath);
+
+  await db.query(
+    "UPDATE tax_invoices SET file_path = $1, file_size = $2 WHERE id = $3",
+    [filePath, size, invoice.id]
+  );
+
+  return { ...invoice, file_path: filePath, file_size: size };
+};
+
+export default {
+  getFinancialYear,
+  calculateGstBreakup,
+  getInvoiceFilePath,
+  issuePaymentInvoice,
+  issueInvoicesForPayments,
+  cancelInvoice,
+  getOrCreateInvoicePdf,
+};
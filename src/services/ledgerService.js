@@ -0,0 +1,632 @@
+// src/services/ledgerService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import { assertTenancyPeriodsOpen } from "./accountingPeriodService.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Dues (payments) of a tenancy that still have an outstanding amount, oldest
+// first. Dues rescheduled into an installment plan are collected through it.
+export const getOpenDues = async (tenancyId, db = pool) => {
+  const openDuesQuery = `
+    SELECT
+      p.id,
+      p.payment_type,
+      p.due_date,
+      p.amount,
+      COALESCE(p.late_fee, 0) as late_fee,
+      (p.amount + COALESCE(p.late_fee, 0)) as total_due,
+      COALESCE((
+        SELECT SUM(la.amount) FROM ledger_allocations la WHERE la.payment_id = p.id
+      ), 0) as allocated
+    FROM payments p
+    WHERE p.tenancy_id = $1 AND p.status NOT IN ('paid', 'rescheduled')
+    ORDER BY p.due_date ASC, p.id ASC
+  `;
+
+  const result = await db.query(openDuesQuery, [tenancyId]);
+
+  return result.rows
+    .map((due) => ({
+      ...due,
+      outstanding: roundAmount(
+        parseFloat(due.total_due) - parseFloat(due.allocated)
+      ),
+    }))
+    .filter((due) => due.outstanding > 0);
+};
+
+// Recalculate paid_amount, status and payment details of payments from their allocations
+export const syncPaymentStatus = async (paymentIds, db = pool) => {
+  if (paymentIds.length === 0) {
+    return;
+  }
+
+  const syncQuery = `
+    WITH totals AS (
+      SELECT
+        p.id,
+        COALESCE(SUM(la.amount), 0) as allocated,
+        MAX(le.entry_date) as last_receipt_date,
+        (
+          SELECT le2.payment_method FROM ledger_allocations la2
+          JOIN ledger_entries le2 ON la2.ledger_entry_id = le2.id
+          WHERE la2.payment_id = p.id AND le2.payment_method IS NOT NULL
+          ORDER BY le2.entry_date DESC, le2.id DESC LIMIT 1
+        ) as last_payment_method,
+        (
+          SELECT le2.transaction_id FROM ledger_allocations la2
+          JOIN ledger_entries le2 ON la2.ledger_entry_id = le2.id
+          WHERE la2.payment_id = p.id AND le2.transaction_id IS NOT NULL
+          ORDER BY le2.entry_date DESC, le2.id DESC LIMIT 1
+        ) as last_transaction_id
+      FROM payments p
+      LEFT JOIN ledger_allocations la ON la.payment_id = p.id
+      LEFT JOIN ledger_entries le ON la.ledger_entry_id = le.id
+      WHERE p.id = ANY($1)
+      GROUP BY p.id
+    )
+    UPDATE payments p SET
+      paid_amount = totals.allocated,
+      status = CASE
+        WHEN p.status = 'rescheduled' THEN p.status
+        WHEN totals.allocated >= p.amount + COALESCE(p.late_fee, 0) THEN 'paid'
+        WHEN totals.allocated > 0 THEN 'partial'
+        WHEN p.status IN ('paid', 'partial') THEN 'pending'
+        ELSE p.status
+      END,
+      payment_date = CASE
+        WHEN totals.allocated > 0 THEN totals.last_receipt_date
+        ELSE NULL
+      END,
+      payment_method = COALESCE(totals.last_payment_method, p.payment_method),
+      transaction_id = COALESCE(totals.last_transaction_id, p.transaction_id),
+      updated_at = CURRENT_TIMESTAMP
+    FROM totals
+    WHERE p.id = totals.id
+  `;
+
+  await db.query(syncQuery, [paymentIds]);
+};
+
+// Add a receipt, adjustment or credit to a tenancy's ledger
+export const createLedgerEntry = async (
+  {
+    tenancyId,
+    entryType,
+    debit = 0,
+    credit = 0,
+    entryDate = null,
+    paymentMethod = null,
+    transactionId = null,
+    description = null,
+    createdBy = null,
+  },
+  db = pool
+) => {
+  // Entries cannot be back-dated into a closed accounting period
+  await assertTenancyPeriodsOpen(tenancyId, [entryDate], db);
+
+  const insertQuery = `
+    INSERT INTO ledger_entries (
+      tenancy_id, entry_type, entry_date, debit, credit, payment_method,
+      transaction_id, description, created_by, created_at
+    ) VALUES ($1, $2, COALESCE($3::date, CURRENT_DATE), $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+    RETURNING *
+  `;
+
+  const result = await db.query(insertQuery, [
+    tenancyId,
+    entryType,
+    entryDate,
+    roundAmount(debit),
+    roundAmount(credit),
+    paymentMethod,
+    transactionId,
+    description,
+    createdBy,
+  ]);
+
+  return result.rows[0];
+};
+
+// Apply the unallocated part of a receipt or credit to dues. Without explicit
+// allocations ([{ payment_id, amount }]) the oldest open dues are settled
+// first, using at most `limit` when given.
+export const allocateEntry = async (
+  entryId,
+  { allocations = null, allocatedBy = null, limit = null } = {},
+  db = pool
+) => {
+  const entryResult = await db.query(
+    "SELECT * FROM ledger_entries WHERE id = $1 FOR UPDATE",
+    [entryId]
+  );
+
+  if (entryResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Ledger entry not found");
+  }
+
+  const entry = entryResult.rows[0];
+
+  if (parseFloat(entry.credit) <= 0) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Only receipts and credits can be allocated to dues"
+    );
+  }
+
+  const allocatedResult = await db.query(
+    "SELECT COALESCE(SUM(amount), 0) as allocated FROM ledger_allocations WHERE ledger_entry_id = $1",
+    [entryId]
+  );
+  const unallocated = roundAmount(
+    parseFloat(entry.credit) - parseFloat(allocatedResult.rows[0].allocated)
+  );
+
+  const openDues = await getOpenDues(entry.tenancy_id, db);
+  const plan = [];
+
+  if (allocations) {
+    let total = 0;
+
+    for (const allocation of allocations) {
+      const paymentId = parseInt(allocation.payment_id);
+      const amount = roundAmount(parseFloat(allocation.amount));
+      const due = openDues.find((openDue) => openDue.id === paymentId);
+
+      if (!due) {
+        throw createError(
+          "VALIDATION_ERROR",
+          `Payment ${paymentId} is not an open due of this tenancy`
+        );
+      }
+
+      if (amount > due.outstanding) {
+        throw createError(
+          "VALIDATION_ERROR",
+          `Allocation of ${amount} exceeds the ${due.outstanding} outstanding on payment ${paymentId}`
+        );
+      }
+
+      total = roundAmount(total + amount);
+      plan.push({ paymentId, amount });
+    }
+
+    if (total > unallocated) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `Allocations total ${total} but only ${unallocated} is unallocated`
+      );
+    }
+  } else {
+    let remaining =
+      limit === null ? unallocated : roundAmount(Math.min(unallocated, limit));
+
+    for (const due of openDues) {
+      if (remaining <= 0) break;
+
+      const amount = roundAmount(Math.min(remaining, due.outstanding));
+      plan.push({ paymentId: due.id, amount });
+      remaining = roundAmount(remaining - amount);
+    }
+  }
+
+  for (const allocation of plan) {
+    await db.query(
+      `INSERT INTO ledger_allocations (
+        ledger_entry_id, payment_id, amount, allocation_method, allocated_by, created_at
+      ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (ledger_entry_id, payment_id)
+      DO UPDATE SET amount = ledger_allocations.amount + EXCLUDED.amount`,
+      [
+        entryId,
+        allocation.paymentId,
+        allocation.amount,
+        allocations ? "manual" : "auto",
+        allocatedBy,
+      ]
+    );
+  }
+
+  await syncPaymentStatus(
+    plan.map((allocation) => allocation.paymentId),
+    db
+  );
+
+  const allocatedTotal = plan.reduce((sum, a) => sum + a.amount, 0);
+
+  return {
+    entry,
+    allocations: plan,
+    unallocated: roundAmount(unallocated - allocatedTotal),
+  };
+};
+
+// Record money received from a tenant and allocate it to their dues
+export const recordReceipt = async (
+  {
+    tenancyId,
+    amount,
+    entryDate = null,
+    paymentMethod = null,
+    transactionId = null,
+    description = null,
+    createdBy = null,
+    allocations = null,
+  },
+  db = pool
+) => {
+  const entry = await createLedgerEntry(
+    {
+      tenancyId,
+      entryType: "receipt",
+      credit: amount,
+      entryDate,
+      paymentMethod,
+      transactionId,
+      description,
+      createdBy,
+    },
+    db
+  );
+
+  return await allocateEntry(
+    entry.id,
+    { allocations, allocatedBy: createdBy },
+    db
+  );
+};
+
+/**
+ * Record money received against a single due. `paidAmount` is the total
+ * received on the due so far; leave it null to settle the due in full.
+ */
+export const receivePayment = async (
+  paymentId,
+  {
+    paidAmount = null,
+    paymentDate = null,
+    paymentMethod = null,
+    transactionId = null,
+    createdBy = null,
+  } = {},
+  db = pool
+) => {
+  const balanceResult = await db.query(
+    `SELECT
+      p.id, p.tenancy_id, p.payment_type, p.due_date,
+      (p.amount + COALESCE(p.late_fee, 0)) as total_due,
+      COALESCE((
+        SELECT SUM(la.amount) FROM ledger_allocations la WHERE la.payment_id = p.id
+      ), 0) as allocated
+    FROM payments p
+    WHERE p.id = $1`,
+    [paymentId]
+  );
+
+  const payment = balanceResult.rows[0];
+  const totalDue = parseFloat(payment.total_due);
+  const targetPaid =
+    paidAmount === null || paidAmount === undefined
+      ? totalDue
+      : Math.min(parseFloat(paidAmount), totalDue);
+  const receivedAmount = roundAmount(targetPaid - parseFloat(payment.allocated));
+
+  if (receivedAmount <= 0) {
+    return null;
+  }
+
+  return await recordReceipt(
+    {
+      tenancyId: payment.tenancy_id,
+      amount: receivedAmount,
+      entryDate: paymentDate,
+      paymentMethod,
+      transactionId,
+      description: `Payment received for ${payment.payment_type} due ${new Date(
+        payment.due_date
+      ).toLocaleDateString("en-IN")}`,
+      createdBy,
+      allocations: [{ payment_id: payment.id, amount: receivedAmount }],
+    },
+    db
+  );
+};
+
+// Remove the current allocations of an entry and allocate it again. Entries
+// dated in a closed accounting period keep their allocations.
+export const reallocateEntry = async (
+  entryId,
+  { allocations = null, allocatedBy = null } = {},
+  db = pool
+) => {
+  const entryResult = await db.query(
+    "SELECT tenancy_id, entry_date FROM ledger_entries WHERE id = $1",
+    [entryId]
+  );
+
+  if (entryResult.rows.length > 0) {
+    await assertTenancyPeriodsOpen(
+      entryResult.rows[0].tenancy_id,
+      [entryResult.rows[0].entry_date],
+      db
+    );
+  }
+
+  const removedResult = await db.query(
+    "DELETE FROM ledger_allocations WHERE ledger_entry_id = $1 RETURNING payment_id",
+    [entryId]
+  );
+
+  await syncPaymentStatus(
+    removedResult.rows.map((row) => row.payment_id),
+    db
+  );
+
+  return await allocateEntry(entryId, { allocations, allocatedBy }, db);
+};
+
+/**
+ * A tenancy's credit balance: advances, overpayments and credits not yet
+ * applied to dues, less what has been refunded. Refunds pay back the oldest
+ * unapplied credit first, so `entries` lists what is left of each entry,
+ * oldest first.
+ */
+export const getCreditBalance = async (tenancyId, db = pool) => {
+  const creditQuery = `
+    SELECT
+      le.id,
+      le.entry_type,
+      le.entry_date,
+      le.credit - COALESCE((
+        SELECT SUM(la.amount) FROM ledger_allocations la WHERE la.ledger_entry_id = le.id
+      ), 0) as unallocated,
+      (
+        SELECT COALESCE(SUM(refund.debit), 0) FROM ledger_entries refund
+        WHERE refund.tenancy_id = le.tenancy_id AND refund.entry_type = 'refund'
+      ) as refunded
+    FROM ledger_entries le
+    WHERE le.tenancy_id = $1 AND le.credit > 0
+    ORDER BY le.entry_date ASC, le.id ASC
+  `;
+
+  const result = await db.query(creditQuery, [tenancyId]);
+
+  let refunded =
+    result.rows.length > 0 ? parseFloat(result.rows[0].refunded) : 0;
+  const entries = [];
+
+  for (const row of result.rows) {
+    let available = parseFloat(row.unallocated);
+    if (available <= 0) continue;
+
+    const repaid = Math.min(available, refunded);
+    refunded = roundAmount(refunded - repaid);
+    available = roundAmount(available - repaid);
+
+    if (available > 0) {
+      entries.push({
+        entryId: row.id,
+        entryType: row.entry_type,
+        entryDate: row.entry_date,
+        available,
+      });
+    }
+  }
+
+  return {
+    available: roundAmount(
+      entries.reduce((sum, entry) => sum + entry.available, 0)
+    ),
+    entries,
+  };
+};
+
+// Settle a tenancy's open dues, oldest first, from its credit balance
+export const applyCreditBalance = async (
+  tenancyId,
+  { allocatedBy = null } = {},
+  db = pool
+) => {
+  const balance = await getCreditBalance(tenancyId, db);
+  const applied = [];
+
+  for (const entry of balance.entries) {
+    const result = await allocateEntry(
+      entry.entryId,
+      { allocatedBy, limit: entry.available },
+      db
+    );
+
+    applied.push(...result.allocations);
+
+    // Every open due is settled once an entry keeps part of its credit
+    const allocated = result.allocations.reduce((sum, a) => sum + a.amount, 0);
+    if (roundAmount(allocated) < entry.available) {
+      break;
+    }
+  }
+
+  const amountApplied = roundAmount(
+    applied.reduce((sum, allocation) => sum + allocation.amount, 0)
+  );
+
+  return {
+    amountApplied,
+    paymentIds: [...new Set(applied.map((allocation) => allocation.paymentId))],
+    remainingCredit: roundAmount(balance.available - amountApplied),
+  };
+};
+
+// Full ledger for a tenancy with a running balance. Charges come from payments;
+// payments marked paid before the ledger existed show as a matching receipt,
+// and dues moved to an installment plan are credited by what was moved.
+export const getTenancyLedger = async (tenancyId, db = pool) => {
+  const ledgerQuery = `
+    WITH lines AS (
+      SELECT
+        'charge' as entry_type,
+        p.id as payment_id,
+        NULL::integer as entry_id,
+        p.due_date as entry_date,
+        (p.amount + COALESCE(p.late_fee, 0)) as debit,
+        0::numeric as credit,
+        CONCAT(
+          INITCAP(REPLACE(p.payment_type, '_', ' ')), ' due',
+          CASE WHEN COALESCE(p.late_fee, 0) > 0 THEN ' (incl. late fee)' ELSE '' END
+        ) as description,
+        NULL as payment_method,
+        NULL as transaction_id,
+        p.status,
+        p.created_at,
+        ARRAY[]::json[] as allocations
+      FROM payments p
+      WHERE p.tenancy_id = $1
+
+      UNION ALL
+
+      SELECT
+        'receipt' as entry_type,
+        p.id as payment_id,
+        NULL::integer as entry_id,
+        COALESCE(p.payment_date, p.due_date) as entry_date,
+        0::numeric as debit,
+        (p.amount + COALESCE(p.late_fee, 0)) as credit,
+        'Payment recorded' as description,
+        p.payment_method,
+        p.transaction_id,
+        p.status,
+        p.updated_at as created_at,
+        ARRAY[]::json[] as allocations
+      FROM payments p
+      WHERE p.tenancy_id = $1
+        AND p.status = 'paid'
+        AND NOT EXISTS (SELECT 1 FROM ledger_allocations la WHERE la.payment_id = p.id)
+
+      UNION ALL
+
+      SELECT
+        'rescheduled' as entry_type,
+        p.id as payment_id,
+        NULL::integer as entry_id,
+        pp.created_at::date as entry_date,
+        0::numeric as debit,
+        ppi.amount as credit,
+        CONCAT('Moved to installment plan #', pp.id) as description,
+        NULL as payment_method,
+        NULL as transaction_id,
+        p.status,
+        pp.created_at,
+        ARRAY[]::json[] as allocations
+      FROM payment_plan_items ppi
+      JOIN payment_plans pp ON ppi.plan_id = pp.id
+      JOIN payments p ON ppi.payment_id = p.id
+      WHERE p.tenancy_id = $1
+
+      UNION ALL
+
+      SELECT
+        le.entry_type,
+        NULL as payment_id,
+        le.id as entry_id,
+        le.entry_date,
+        le.debit,
+        le.credit,
+        le.description,
+        le.payment_method,
+        le.transaction_id,
+        NULL as status,
+        le.created_at,
+        COALESCE(
+          ARRAY(
+            SELECT json_build_object(
+              'payment_id', la.payment_id,
+              'amount', la.amount,
+              'allocation_method', la.allocation_method,
+              'created_at', la.created_at
+            )
+            FROM ledger_allocations la
+            WHERE la.ledger_entry_id = le.id
+            ORDER BY la.id
+          ),
+          ARRAY[]::json[]
+        ) as allocations
+      FROM ledger_entries le
+      WHERE le.tenancy_id = $1
+    )
+    SELECT
+      lines.*,
+      SUM(debit - credit) OVER (
+        ORDER BY entry_date, created_at, entry_id NULLS FIRST, payment_id
+        ROWS BETWEEN UNBOUNDED PRECEDING AND CURRENT ROW
+      ) as running_balance
+    FROM lines
+    ORDER BY entry_date, created_at, entry_id NULLS FIRST, payment_id
+  `;
+
+  const ledgerResult = await db.query(ledgerQuery, [tenancyId]);
+
+  let totalDebits = 0;
+  let totalCredits = 0;
+  let unallocatedCredit = 0;
+  let refunded = 0;
+
+  const entries = ledgerResult.rows.map((line) => {
+    const debit = parseFloat(line.debit) || 0;
+    const credit = parseFloat(line.credit) || 0;
+    const allocated = (line.allocations || []).reduce(
+      (sum, allocation) => sum + parseFloat(allocation.amount),
+      0
+    );
+
+    totalDebits += debit;
+    totalCredits += credit;
+    if (line.entry_id && credit > 0) {
+      unallocatedCredit += credit - allocated;
+    }
+    if (line.entry_type === "refund") {
+      refunded += debit;
+    }
+
+    return {
+      entryType: line.entry_type,
+      entryId: line.entry_id,
+      paymentId: line.payment_id,
+      entryDate: line.entry_date,
+      description: line.description,
+      debit,
+      credit,
+      runningBalance: parseFloat(line.running_balance) || 0,
+      paymentMethod: line.payment_method,
+      transactionId: line.transaction_id,
+      status: line.status,
+      allocations: line.allocations || [],
+      unallocated: line.entry_id && credit > 0 ? roundAmount(credit - allocated) : 0,
+    };
+  });
+
+  return {
+    entries,
+    summary: {
+      totalCharges: roundAmount(totalDebits),
+      totalCredits: roundAmount(totalCredits),
+      balance: roundAmount(totalDebits - totalCredits),
+      // Credit paid back to the tenant is no longer available for dues
+      unallocatedCredit: roundAmount(Math.max(unallocatedCredit - refunded, 0)),
+    },
+  };
+};
+
+export default {
+  getOpenDues,
+  syncPaymentStatus,
+  createLedgerEntry,
+  allocateEntry,
+  recordReceipt,
+  receivePayment,
+  reallocateEntry,
+  getCreditBalance,
+  applyCreditBalance,
+  getTenancyLedger,
+};
@@ -0,0 +1,333 @@
+// src/services/maintenanceScheduleService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+export const MAINTENANCE_FREQUENCIES = [
+  "weekly",
+  "monthly",
+  "quarterly",
+  "half_yearly",
+  "yearly",
+];
+
+// Statuses of a maintenance request that is still to be done
+export const OPEN_TASK_STATUSES = ["pending", "assigned", "in_progress"];
+
+// Upper bound on tasks generated for one schedule in a run, for schedules
+// whose lead time spans several occurrences
+const MAX_TASKS_PER_RUN = 12;
+
+// Due date of occurrence `occurrence` (0 = start_date) of a schedule, counted
+// from the start date so month-end dates do not drift
+const dueDateSql = (alias, occurrence) => `
+  (${alias}.start_date + (${occurrence}) * CASE ${alias}.frequency
+    WHEN 'weekly' THEN INTERVAL '1 week'
+    WHEN 'monthly' THEN INTERVAL '1 month'
+    WHEN 'quarterly' THEN INTERVAL '3 months'
+    WHEN 'half_yearly' THEN INTERVAL '6 months'
+    ELSE INTERVAL '1 year'
+  END)::date`;
+
+/**
+ * Create a schedule, due first on its first occurrence from today on. The
+ * building comes from the asset when one is given. Must run inside the
+ * caller's transaction.
+ */
+export const createSchedule = async (
+  {
+    buildingId = null,
+    assetId = null,
+    title,
+    description = null,
+    category,
+    priority = "medium",
+    frequency,
+    startDate,
+    leadDays = 7,
+    createdBy = null,
+  },
+  db
+) => {
+  let scheduleBuildingId = buildingId;
+
+  if (assetId) {
+    const assetResult = await db.query(
+      "SELECT building_id FROM maintenance_assets WHERE id = $1 AND is_active = true",
+      [assetId]
+    );
+
+    if (assetResult.rows.length === 0) {
+      throw createError("NOT_FOUND", "Asset not found or inactive");
+    }
+    if (buildingId && assetResult.rows[0].building_id !== buildingId) {
+      throw createError(
+        "VALIDATION_ERROR",
+        "Asset does not belong to the building"
+      );
+    }
+    scheduleBuildingId = assetResult.rows[0].building_id;
+  }
+
+  const scheduleResult = await db.query(
+    `INSERT INTO maintenance_schedules (
+      building_id, asset_id, title, description, category, priority, frequency,
+      start_date, lead_days, next_due_date, created_by, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $8, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [
+      scheduleBuildingId,
+      assetId,
+      title,
+      description,
+      category,
+      priority,
+      frequency,
+      startDate,
+      leadDays,
+      createdBy,
+    ]
+  );
+
+  return realignSchedule(scheduleResult.rows[0].id, db);
+};
+
+// Point a schedule at its first due date from today on, so a start date in
+// the past or a paused schedule does not produce a backlog of overdue tasks
+const realignSchedule = async (scheduleId, db) => {
+  const scheduleResult = await db.query(
+    `UPDATE maintenance_schedules ms
+    SET occurrences_generated = next.occurrence,
+        next_due_date = next.due_date,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT g as occurrence, ${dueDateSql("s", "g")} as due_date
+      FROM maintenance_schedules s, generate_series(0, 600) g
+      WHERE s.id = $1 AND ${dueDateSql("s", "g")} >= CURRENT_DATE
+      ORDER BY g
+      LIMIT 1
+    ) next
+    WHERE ms.id = $1
+    RETURNING ms.*`,
+    [scheduleId]
+  );
+
+  return scheduleResult.rows[0];
+};
+
+/**
+ * Change a schedule. A new start date or frequency, or resuming a paused
+ * schedule, realigns its next due date. Must run inside the caller's
+ * transaction.
+ */
+export const updateSchedule = async ({ scheduleId, changes }, db) => {
+  const currentResult = await db.query(
+    "SELECT * FROM maintenance_schedules WHERE id = $1 FOR UPDATE",
+    [scheduleId]
+  );
+
+  if (currentResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Maintenance schedule not found");
+  }
+
+  const current = currentResult.rows[0];
+  const fields = {
+    title: changes.title,
+    description: changes.description,
+    category: changes.category,
+    priority: changes.priority,
+    frequency: changes.frequency,
+    start_date: changes.startDate,
+    lead_days: changes.leadDays,
+    is_active: changes.isActive,
+  };
+  const updateFields = [];
+  const updateValues = [scheduleId];
+
+  for (const [column, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      updateValues.push(value);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    throw createError("VALIDATION_ERROR", "No changes provided");
+  }
+
+  const updateResult = await db.query(
+    `UPDATE maintenance_schedules
+    SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *`,
+    updateValues
+  );
+
+  const resumed = changes.isActive === true && !current.is_active;
+  if (
+    resumed ||
+    changes.startDate !== undefined ||
+    changes.frequency !== undefined
+  ) {
+    return realignSchedule(scheduleId, db);
+  }
+
+  return updateResult.rows[0];
+};
+
+/**
+ * Generate the tasks of one schedule whose lead time has arrived, assigned to
+ * the building manager, and move the schedule on to its next due date. Must
+ * run inside the caller's transaction. Returns the tasks created.
+ */
+export const generateScheduleTasks = async (scheduleId, db) => {
+  const scheduleResult = await db.query(
+    `SELECT
+      s.*,
+      a.room_id,
+      a.name as asset_name,
+      b.manager_id,
+      TRIM(CONCAT(mp.first_name, ' ', mp.last_name)) as manager_name
+    FROM maintenance_schedules s
+    JOIN buildings b ON s.building_id = b.id
+    LEFT JOIN maintenance_assets a ON s.asset_id = a.id
+    LEFT JOIN user_profiles mp ON b.manager_id = mp.user_id
+    WHERE s.id = $1
+    FOR UPDATE OF s`,
+    [scheduleId]
+  );
+
+  const schedule = scheduleResult.rows[0];
+  if (!schedule || !schedule.is_active) {
+    return [];
+  }
+
+  const tasks = [];
+  let occurrence = schedule.occurrences_generated;
+  let dueDate = schedule.next_due_date;
+
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  for (let generated = 0; generated < MAX_TASKS_PER_RUN; generated++) {
+    const generateFrom = new Date(dueDate);
+    generateFrom.setDate(generateFrom.getDate() - schedule.lead_days);
+    if (generateFrom > today) {
+      break;
+    }
+
+    const taskResult = await db.query(
+      `INSERT INTO maintenance_requests (
+        building_id, room_id, asset_id, schedule_id, category, priority, title,
+        description, status, assigned_user_id, assigned_to, requested_date,
+        scheduled_date, created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_DATE, $12, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      ON CONFLICT (schedule_id, scheduled_date) WHERE schedule_id IS NOT NULL DO NOTHING
+      RETURNING *`,
+      [
+        schedule.building_id,
+        schedule.room_id,
+        schedule.asset_id,
+        schedule.id,
+        schedule.category,
+        schedule.priority,
+        schedule.asset_name
+          ? `${schedule.title} - ${schedule.asset_name}`
+          : schedule.title,
+        schedule.description,
+        schedule.manager_id ? "assigned" : "pending",
+        schedule.manager_id,
+        schedule.manager_id ? schedule.manager_name : null,
+        dueDate,
+      ]
+    );
+    tasks.push(...taskResult.rows);
+
+    occurrence++;
+    const nextResult = await db.query(
+      `SELECT ${dueDateSql("s", "$2::integer")} as due_date
+      FROM maintenance_schedules s
+      WHERE s.id = $1`,
+      [schedule.id, occurrence]
+    );
+    dueDate = nextResult.rows[0].due_date;
+  }
+
+  await db.query(
+    `UPDATE maintenance_schedules
+    SET occurrences_generated = $2, next_due_date = $3, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1`,
+    [schedule.id, occurrence, dueDate]
+  );
+
+  return tasks;
+};
+
+// Active schedules that have a task to generate today
+export const getDueScheduleIds = async (db = pool) => {
+  const dueResult = await db.query(
+    `SELECT s.id
+    FROM maintenance_schedules s
+    LEFT JOIN maintenance_assets a ON s.asset_id = a.id
+    WHERE s.is_active = true
+      AND (a.id IS NULL OR a.is_active = true)
+      AND s.next_due_date - s.lead_days <= CURRENT_DATE
+    ORDER BY s.next_due_date ASC`
+  );
+
+  return dueResult.rows.map((row) => row.id);
+};
+
+/**
+ * Record a task as done with notes, photos and its cost. Must run inside the
+ * caller's transaction.
+ */
+export const completeTask = async (
+  {
+    taskId,
+    completionNotes,
+    photos = [],
+    actualCost = null,
+    completedBy = null,
+  },
+  db
+) => {
+  const taskResult = await db.query(
+    `UPDATE maintenance_requests
+    SET status = 'completed',
+        completion_date = CURRENT_DATE,
+        completion_notes = $2,
+        completion_photos = $3,
+        actual_cost = COALESCE($4, actual_cost),
+        completed_by = $5,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = ANY($6)
+    RETURNING *`,
+    [
+      taskId,
+      completionNotes,
+      photos,
+      actualCost,
+      completedBy,
+      OPEN_TASK_STATUSES,
+    ]
+  );
+
+  if (taskResult.rows.length === 0) {
+    throw createError(
+      "CONFLICT",
+      "Maintenance task is already completed or cancelled"
+    );
+  }
+
+  return taskResult.rows[0];
+};
+
+export default {
+  MAINTENANCE_FREQUENCIES,
+  OPEN_TASK_STATUSES,
+  createSchedule,
+  updateSchedule,
+  generateScheduleTasks,
+  getDueScheduleIds,
+  completeTask,
+};
@@ -0,0 +1,95 @@
+// src/services/mockPaymentProvider.js
+import crypto from "crypto";
+import { nanoid } from "nanoid";
+import { createError } from "../utils/errorHandler.js";
+
+// Local stand-in for a payment gateway. Orders are created in memory only and
+// webhooks are signed with PAYMENT_GATEWAY_WEBHOOK_SECRET like a real gateway;
+// without the secret no webhook is accepted.
+const sign = (rawBody, secret) =>
+  crypto.createHmac("sha256", secret).update(rawBody).digest("hex");
+
+const mockPaymentProvider = {
+  name: "mock",
+
+  async createOrder({ amount, currency }) {
+    const orderId = `order_mock_${nanoid(14)}`;
+
+    return {
+      orderId,
+      amount,
+      currency,
+      checkout: {
+        provider: "mock",
+        orderId,
+        amount,
+        currency,
+      },
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers["x-mock-signature"];
+    const secret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
+    if (!rawBody || !signature || !secret) return false;
+
+    const expected = Buffer.from(sign(rawBody, secret));
+    const received = Buffer.from(String(signature));
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  },
+
+  parseWebhookEvent(payload) {
+    const data = payload.data || {};
+    const types = {
+      "payment.captured": "payment_captured",
+      "payment.failed": "payment_failed",
+    };
+
+    return {
+      eventId: payload.id,
+      type: types[payload.event] || "ignored",
+      orderId: data.order_id,
+      providerPaymentId: data.payment_id,
+      amount: data.amount !== undefined ? parseFloat(data.amount) : null,
+      method: data.method || "upi",
+      failureReason: data.error_description || null,
+    };
+  },
+
+  /**
+   * Build a signed webhook request for an order, to exercise the webhook
+   * receiver without a real gateway.
+   */
+  buildWebhookEvent(order, { event = "payment.captured", method = "upi" } = {}) {
+    const secret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
+    if (!secret) {
+      throw createError(
+        "PAYMENT_ERROR",
+        "PAYMENT_GATEWAY_WEBHOOK_SECRET is not configured"
+      );
+    }
+
+    const body = JSON.stringify({
+      id: `evt_mock_${nanoid(14)}`,
+      event,
+      data: {
+        order_id: order.provider_order_id,
+        payment_id: `pay_mock_${nanoid(14)}`,
+        amount: parseFloat(order.amount),
+        method,
+        error_description:
+          event === "payment.failed" ? "Payment declined by mock gateway" : null,
+      },
+    });
+
+    return {
+      body,
+      headers: { "x-mock-signature": sign(body, secret) },
+    };
+  },
+};
+
+export default mockPaymentProvider;
@@ -0,0 +1,314 @@
+// src/services/paymentGatewayService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import { recordReceipt } from "./ledgerService.js";
+import { generatePaymentReceipt } from "./receiptService.js";
+import mockPaymentProvider from "./mockPaymentProvider.js";
+import razorpayPaymentProvider from "./razorpayPaymentProvider.js";
+
+/**
+ * Payment providers implement:
+ *   name
+ *   createOrder({ amount, currency, receipt, notes })
+ *     -> { orderId, amount, currency, checkout }
+ *   verifyWebhookSignature(rawBody, headers) -> boolean
+ *   parseWebhookEvent(payload, headers)
+ *     -> { eventId, type, orderId, providerPaymentId, amount, method, failureReason }
+ *     where type is payment_captured, payment_failed or ignored
+ */
+const PAYMENT_PROVIDERS = {
+  mock: mockPaymentProvider,
+  razorpay: razorpayPaymentProvider,
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// The mock provider settles orders without real money, so it is only offered
+// when PAYMENT_GATEWAY_MOCK_ENABLED=true and the server is not in production
+export const isMockProviderEnabled = () =>
+  process.env.PAYMENT_GATEWAY_MOCK_ENABLED === "true" &&
+  process.env.NODE_ENV !== "production";
+
+// Provider by name, defaulting to PAYMENT_GATEWAY_PROVIDER
+export const getPaymentProvider = (name = null) => {
+  const providerName = name || process.env.PAYMENT_GATEWAY_PROVIDER;
+
+  if (!providerName) {
+    throw createError("PAYMENT_ERROR", "No payment provider is configured");
+  }
+
+  const provider = PAYMENT_PROVIDERS[providerName];
+
+  if (!provider || (providerName === "mock" && !isMockProviderEnabled())) {
+    throw createError("NOT_FOUND", `Unknown payment provider: ${providerName}`);
+  }
+
+  return provider;
+};
+
+/**
+ * Create a gateway order for the outstanding amount of a tenant's due. An
+ * unpaid order for the same amount is reused instead of opening another.
+ */
+export const createPaymentOrder = async (
+  paymentId,
+  { tenantUserId, createdBy = tenantUserId },
+  db = pool
+) => {
+  const provider = getPaymentProvider();
+
+  const paymentResult = await db.query(
+    `SELECT
+      p.id, p.payment_type, p.due_date, p.status,
+      (p.amount + COALESCE(p.late_fee, 0) - COALESCE(p.paid_amount, 0)) as outstanding
+    FROM payments p
+    JOIN tenancies t ON p.tenancy_id = t.id
+    WHERE p.id = $1 AND t.tenant_user_id = $2`,
+    [paymentId, tenantUserId]
+  );
+
+  if (paymentResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Payment not found");
+  }
+
+  const payment = paymentResult.rows[0];
+  const outstanding = roundAmount(parseFloat(payment.outstanding));
+
+  if (payment.status === "paid" || outstanding <= 0) {
+    throw createError("CONFLICT", "Payment has already been paid");
+  }
+
+  if (payment.status === "rescheduled") {
+    throw createError(
+      "CONFLICT",
+      "Payment has been moved to an installment plan; pay its installments instead"
+    );
+  }
+
+  const existingResult = await db.query(
+    `SELECT * FROM payment_orders
+     WHERE payment_id = $1 AND provider = $2 AND status = 'created' AND amount = $3
+     ORDER BY created_at DESC
+     LIMIT 1`,
+    [payment.id, provider.name, outstanding]
+  );
+
+  if (existingResult.rows.length > 0) {
+    const existing = existingResult.rows[0];
+    return {
+      order: existing,
+      checkout: {
+        provider: provider.name,
+        orderId: existing.provider_order_id,
+        amount: parseFloat(existing.amount),
+        currency: existing.currency,
+      },
+    };
+  }
+
+  const gatewayOrder = await provider.createOrder({
+    amount: outstanding,
+    currency: "INR",
+    receipt: `payment_${payment.id}`,
+    notes: { payment_id: String(payment.id), payment_type: payment.payment_type },
+  });
+
+  const orderResult = await db.query(
+    `INSERT INTO payment_orders (
+      payment_id, provider, provider_order_id, amount, currency, created_by,
+      created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [
+      payment.id,
+      provider.name,
+      gatewayOrder.orderId,
+      outstanding,
+      gatewayOrder.currency,
+      createdBy,
+    ]
+  );
+
+  return { order: orderResult.rows[0], checkout: gatewayOrder.checkout };
+};
+
+/**
+ * Verify and apply a gateway webhook. Each event is stored once, so
+ * retried deliveries are acknowledged without recording the money twice.
+ * Returns { result, order } where result is processed, duplicate or ignored.
+ */
+export const processPaymentWebhook = async (
+  providerName,
+  { rawBody, headers, payload }
+) => {
+  const provider = getPaymentProvider(providerName);
+
+  if (!provider.verifyWebhookSignature(rawBody, headers)) {
+    throw createError("UNAUTHORIZED", "Invalid webhook signature");
+  }
+
+  const event = provider.parseWebhookEvent(payload, headers);
+
+  if (!event.eventId) {
+    throw createError("VALIDATION_ERROR", "Webhook event has no id");
+  }
+
+  const client = await pool.connect();
+  let order = null;
+  let result = "ignored";
+
+  try {
+    await client.query("BEGIN");
+
+    const orderResult = event.orderId
+      ? await client.query(
+          `SELECT * FROM payment_orders
+           WHERE provider = $1 AND provider_order_id = $2
+           FOR UPDATE`,
+          [provider.name, event.orderId]
+        )
+      : { rows: [] };
+    order = orderResult.rows[0] || null;
+
+    const eventResult = await client.query(
+      `INSERT INTO payment_webhook_events (
+        provider, event_id, event_type, payment_order_id, payload, created_at
+      ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP)
+      ON CONFLICT (provider, event_id) DO NOTHING
+      RETURNING id`,
+      [
+        provider.name,
+        event.eventId,
+        event.type,
+        order ? order.id : null,
+        JSON.stringify(payload),
+      ]
+    );
+
+    if (eventResult.rows.length === 0) {
+      await client.query("COMMIT");
+      return { result: "duplicate", order };
+    }
+
+    if (order && event.type === "payment_captured") {
+      if (order.status === "paid") {
+        result = "duplicate";
+      } else {
+        const paymentResult = await client.query(
+          `SELECT
+            p.id, p.tenancy_id, p.payment_type, p.due_date, p.status,
+            (p.amount + COALESCE(p.late_fee, 0)) - COALESCE((
+              SELECT SUM(la.amount) FROM ledger_allocations la WHERE la.payment_id = p.id
+            ), 0) as outstanding
+          FROM payments p
+          WHERE p.id = $1
+          FOR UPDATE`,
+          [order.payment_id]
+        );
+        const payment = paymentResult.rows[0];
+        const capturedAmount = roundAmount(
+          event.amount !== null ? event.amount : parseFloat(order.amount)
+        );
+
+        // The gateway has taken the money, so the whole capture is posted.
+        // Only what is still open on the due is allocated to it; the rest,
+        // or all of it when the due was paid or moved into a plan meanwhile,
+        // stays on the ledger as credit.
+        const appliedAmount = ["paid", "rescheduled"].includes(payment.status)
+          ? 0
+          : roundAmount(
+              Math.max(
+                0,
+                Math.min(capturedAmount, parseFloat(payment.outstanding))
+              )
+            );
+
+        const receipt = await recordReceipt(
+          {
+            tenancyId: payment.tenancy_id,
+            amount: capturedAmount,
+            entryDate: new Date().toISOString().split("T")[0],
+            paymentMethod: event.method,
+            transactionId: event.providerPaymentId,
+            description: `Online payment for ${
+              payment.payment_type
+            } due ${new Date(payment.due_date).toLocaleDateString("en-IN")}`,
+            createdBy: order.created_by,
+            allocations:
+              appliedAmount > 0
+                ? [{ payment_id: payment.id, amount: appliedAmount }]
+                : [],
+          },
+          client
+        );
+
+        const paidResult = await client.query(
+          `UPDATE payment_orders
+           SET status = 'paid', provider_payment_id = $1, payment_method = $2,
+               ledger_entry_id = $3, paid_at = CURRENT_TIMESTAMP,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $4
+           RETURNING *`,
+          [
+            event.providerPaymentId,
+            event.method,
+            receipt.entry.id,
+            order.id,
+          ]
+        );
+        order = paidResult.rows[0];
+        result = "processed";
+      }
+    } else if (order && event.type === "payment_failed") {
+      if (order.status === "created") {
+        const failedResult = await client.query(
+          `UPDATE payment_orders
+           SET status = 'failed', provider_payment_id = $1, failure_reason = $2,
+               updated_at = CURRENT_TIMESTAMP
+           WHERE id = $3
+           RETURNING *`,
+          [event.providerPaymentId, event.failureReason, order.id]
+        );
+        order = failedResult.rows[0];
+        result = "processed";
+      }
+    }
+
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Issue the numbered receipt once the due is fully paid; it is rebuilt on
+  // download if this fails
+  if (result === "processed" && order.status === "paid") {
+    try {
+      const statusResult = await pool.query(
+        "SELECT status FROM payments WHERE id = $1",
+        [order.payment_id]
+      );
+      if (statusResult.rows[0].status === "paid") {
+        await generatePaymentReceipt(order.payment_id, {
+          generatedBy: order.created_by,
+        });
+      }
+    } catch (receiptError) {
+      console.error(
+        `Error generating receipt for payment ${order.payment_id}:`,
+        receiptError
+      );
+    }
+  }
+
+  return { result, order };
+};
+
+export default {
+  isMockProviderEnabled,
+  getPaymentProvider,
+  createPaymentOrder,
+  processPaymentWebhook,
+};
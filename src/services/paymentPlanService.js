@@ -0,0 +1,238 @@
+// src/services/paymentPlanService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import { getOpenDues } from "./ledgerService.js";
+import { assertTenancyPeriodsOpen } from "./accountingPeriodService.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Days before an installment's due date that the tenant is reminded
+export const INSTALLMENT_REMINDER_DAYS = 3;
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+/**
+ * Split an amount into `count` monthly installments from `firstDueDate`
+ * (YYYY-MM-DD). Due days past a month's end fall on its last day and the
+ * last installment takes the rounding difference.
+ */
+export const buildMonthlyInstallments = (totalAmount, count, firstDueDate) => {
+  const [year, month, day] = firstDueDate.slice(0, 10).split("-").map(Number);
+  const baseAmount = Math.floor((totalAmount / count) * 100) / 100;
+  const installments = [];
+
+  for (let index = 0; index < count; index++) {
+    const lastDay = new Date(Date.UTC(year, month + index, 0)).getUTCDate();
+
+    installments.push({
+      dueDate: formatDay(
+        new Date(Date.UTC(year, month - 1 + index, Math.min(day, lastDay)))
+      ),
+      amount:
+        index === count - 1
+          ? roundAmount(totalAmount - baseAmount * (count - 1))
+          : baseAmount,
+    });
+  }
+
+  return installments;
+};
+
+/**
+ * Move overdue dues of a tenancy into a plan of dated installments. The dues
+ * are marked rescheduled and what is outstanding on them is raised again as
+ * installment payments, either as given ([{ dueDate, amount }], which must add
+ * up to the outstanding total) or split monthly from `firstDueDate`.
+ * Must run inside the caller's transaction.
+ */
+export const createPaymentPlan = async (
+  {
+    tenancyId,
+    paymentIds,
+    installments = null,
+    installmentCount = null,
+    firstDueDate = null,
+    graceDays = 3,
+    notes = null,
+    createdBy = null,
+  },
+  db
+) => {
+  const ids = [...new Set(paymentIds.map((id) => parseInt(id)))];
+
+  const lockedResult = await db.query(
+    `SELECT id, (due_date < CURRENT_DATE) as is_overdue, CURRENT_DATE::text as today
+    FROM payments
+    WHERE id = ANY($1) AND tenancy_id = $2
+    FOR UPDATE`,
+    [ids, tenancyId]
+  );
+
+  const openDues = await getOpenDues(tenancyId, db);
+  const dues = ids.map((id) => openDues.find((due) => due.id === id));
+  const invalidIds = ids.filter(
+    (id, index) =>
+      !dues[index] ||
+      !lockedResult.rows.find((row) => row.id === id && row.is_overdue)
+  );
+
+  if (invalidIds.length > 0) {
+    throw createError(
+      "VALIDATION_ERROR",
+      `Payments ${invalidIds.join(", ")} are not overdue dues of this tenancy`
+    );
+  }
+
+  // Rescheduling changes the dues' status, which a closed period locks
+  await assertTenancyPeriodsOpen(
+    tenancyId,
+    dues.map((due) => due.due_date),
+    db
+  );
+
+  const today = lockedResult.rows[0].today;
+  const totalAmount = roundAmount(
+    dues.reduce((sum, due) => sum + due.outstanding, 0)
+  );
+
+  const schedule = installments
+    ? installments.map((installment) => ({
+        dueDate: String(installment.dueDate).slice(0, 10),
+        amount: roundAmount(parseFloat(installment.amount)),
+      }))
+    : buildMonthlyInstallments(totalAmount, installmentCount, firstDueDate);
+
+  if (schedule.length === 0) {
+    throw createError("VALIDATION_ERROR", "A plan needs at least one installment");
+  }
+
+  schedule.forEach((installment, index) => {
+    if (installment.amount <= 0) {
+      throw createError(
+        "VALIDATION_ERROR",
+        "Installment amounts must be greater than 0"
+      );
+    }
+    if (installment.dueDate < today) {
+      throw createError(
+        "VALIDATION_ERROR",
+        "Installments cannot fall due in the past"
+      );
+    }
+    if (index > 0 && installment.dueDate <= schedule[index - 1].dueDate) {
+      throw createError(
+        "VALIDATION_ERROR",
+        "Installment due dates must be in ascending order"
+      );
+    }
+  });
+
+  const scheduledTotal = roundAmount(
+    schedule.reduce((sum, installment) => sum + installment.amount, 0)
+  );
+
+  if (scheduledTotal !== totalAmount) {
+    throw createError(
+      "VALIDATION_ERROR",
+      `Installments total ${scheduledTotal} but ${totalAmount} is outstanding on the selected dues`
+    );
+  }
+
+  const planResult = await db.query(
+    `INSERT INTO payment_plans (
+      tenancy_id, total_amount, installment_count, grace_days, notes,
+      created_by, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [tenancyId, totalAmount, schedule.length, graceDays, notes, createdBy]
+  );
+  const plan = planResult.rows[0];
+
+  for (const due of dues) {
+    await db.query(
+      `INSERT INTO payment_plan_items (plan_id, payment_id, amount, created_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)`,
+      [plan.id, due.id, due.outstanding]
+    );
+  }
+
+  await db.query(
+    `UPDATE payments
+    SET status = 'rescheduled', updated_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($1)`,
+    [ids]
+  );
+
+  const installmentPayments = [];
+
+  for (const [index, installment] of schedule.entries()) {
+    const paymentResult = await db.query(
+      `INSERT INTO payments (
+        tenancy_id, payment_type, amount, due_date, status, notes,
+        payment_plan_id, created_at, updated_at
+      ) VALUES ($1, 'installment', $2, $3, 'pending', $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+      RETURNING *`,
+      [
+        tenancyId,
+        installment.amount,
+        installment.dueDate,
+        `Installment ${index + 1} of ${schedule.length} - payment plan #${plan.id}`,
+        plan.id,
+      ]
+    );
+    installmentPayments.push(paymentResult.rows[0]);
+  }
+
+  return { plan, installments: installmentPayments, rescheduledPaymentIds: ids };
+};
+
+/**
+ * Mark plans completed once every installment is paid, and active plans broken
+ * when an installment is still unpaid `grace_days` after it fell due.
+ */
+export const updatePaymentPlanStatuses = async (db = pool) => {
+  const completedResult = await db.query(
+    `UPDATE payment_plans pp
+    SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE pp.status IN ('active', 'broken')
+      AND NOT EXISTS (
+        SELECT 1 FROM payments p
+        WHERE p.payment_plan_id = pp.id AND p.status != 'paid'
+      )
+    RETURNING pp.id`
+  );
+
+  const brokenResult = await db.query(
+    `UPDATE payment_plans pp
+    SET status = 'broken',
+        broken_at = CURRENT_TIMESTAMP,
+        broken_reason = missed.reason,
+        updated_at = CURRENT_TIMESTAMP
+    FROM (
+      SELECT DISTINCT ON (p.payment_plan_id)
+        p.payment_plan_id,
+        p.id as payment_id,
+        CONCAT('Installment due ', TO_CHAR(p.due_date, 'DD Mon YYYY'), ' was not paid') as reason
+      FROM payments p
+      JOIN payment_plans plan ON p.payment_plan_id = plan.id
+      WHERE plan.status = 'active'
+        AND p.status != 'paid'
+        AND p.due_date + plan.grace_days < CURRENT_DATE
+      ORDER BY p.payment_plan_id, p.due_date ASC
+    ) missed
+    WHERE pp.id = missed.payment_plan_id
+    RETURNING pp.id, pp.tenancy_id, missed.payment_id`
+  );
+
+  return {
+    completedPlanIds: completedResult.rows.map((row) => row.id),
+    brokenPlans: brokenResult.rows,
+  };
+};
+
+export default {
+  INSTALLMENT_REMINDER_DAYS,
+  buildMonthlyInstallments,
+  createPaymentPlan,
+  updatePaymentPlanStatuses,
+};
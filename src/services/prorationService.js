@@ -0,0 +1,188 @@
+// src/services/prorationService.js
+
+// Day-count conventions for pro-rating rent in a partial billing cycle
+//   actual - occupied days / actual days in the cycle
+//   30_360 - every cycle counts as 30 days (day 31 counts as day 30)
+export const PRORATION_CONVENTIONS = ["actual", "30_360"];
+
+const DEFAULT_CONVENTION = "actual";
+
+// Convention from RENT_PRORATION_CONVENTION, falling back to actual days
+export const getProrationConvention = () => {
+  const convention = process.env.RENT_PRORATION_CONVENTION;
+  return PRORATION_CONVENTIONS.includes(convention)
+    ? convention
+    : DEFAULT_CONVENTION;
+};
+
+// Normalise a Date or YYYY-MM-DD string to a UTC date without time
+const toDateOnly = (value) => {
+  if (value instanceof Date) {
+    return new Date(
+      Date.UTC(value.getFullYear(), value.getMonth(), value.getDate())
+    );
+  }
+  const [year, month, day] = String(value).split("T")[0].split("-");
+  return new Date(Date.UTC(parseInt(year), parseInt(month) - 1, parseInt(day)));
+};
+
+const formatDay = (date) => date.toISOString().split("T")[0];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Billing day is capped at 28 so every month has it
+export const MAX_BILLING_DAY = 28;
+
+/**
+ * Billing cycle of a month for a tenancy billed on `billingDay`: from that
+ * day of the month up to the day before it in the next month. With the
+ * default of 1 this is the calendar month. The cycle falls due on its first
+ * day, or on `occupancyStart` when occupancy begins later in the cycle.
+ * Dates are YYYY-MM-DD strings.
+ */
+export const getBillingCycle = (
+  year,
+  month,
+  billingDay = 1,
+  occupancyStart = null
+) => {
+  const cycleStart = new Date(Date.UTC(year, month - 1, billingDay));
+  const cycleEnd = new Date(Date.UTC(year, month, billingDay - 1));
+  const start = occupancyStart ? toDateOnly(occupancyStart) : null;
+  const dueDate =
+    start && start > cycleStart && start <= cycleEnd ? start : cycleStart;
+  return {
+    dueDate: formatDay(dueDate),
+    periodStart: formatDay(cycleStart),
+    periodEnd: formatDay(cycleEnd),
+  };
+};
+
+// Year and month of the billing cycle that contains a date
+export const getCycleMonth = (date, billingDay = 1) => {
+  const day = toDateOnly(date);
+  const cycleMonth = new Date(
+    Date.UTC(
+      day.getUTCFullYear(),
+      day.getUTCMonth() - (day.getUTCDate() < billingDay ? 1 : 0),
+      1
+    )
+  );
+  return {
+    year: cycleMonth.getUTCFullYear(),
+    month: cycleMonth.getUTCMonth() + 1,
+  };
+};
+
+// 30/360 day count from `from` to `to` inclusive; a month's last day counts as day 30
+const days360 = (from, to) => {
+  const isMonthEnd = new Date(to.getTime() + DAY_MS).getUTCDate() === 1;
+  const startDay = Math.min(from.getUTCDate(), 30);
+  const endDay = isMonthEnd ? 30 : Math.min(to.getUTCDate(), 30);
+  return (
+    (to.getUTCFullYear() - from.getUTCFullYear()) * 360 +
+    (to.getUTCMonth() - from.getUTCMonth()) * 30 +
+    (endDay - startDay + 1)
+  );
+};
+
+/**
+ * Pro-rate a cycle's rent for the days a tenancy occupies the unit. The cycle
+ * is the month's billing cycle for `billingDay` (see getBillingCycle).
+ * `occupancyEnd` is the last occupied day (inclusive), or null if open-ended.
+ */
+export const calculateProratedRent = (
+  rentAmount,
+  { year, month, occupancyStart, occupancyEnd = null, billingDay = 1 },
+  convention = getProrationConvention()
+) => {
+  const rent = parseFloat(rentAmount);
+  const monthStart = new Date(Date.UTC(year, month - 1, billingDay));
+  const monthEnd = new Date(Date.UTC(year, month, billingDay - 1));
+  const daysInMonth = Math.round((monthEnd - monthStart) / DAY_MS) + 1;
+
+  const start = occupancyStart ? toDateOnly(occupancyStart) : monthStart;
+  const end = occupancyEnd ? toDateOnly(occupancyEnd) : monthEnd;
+  const periodStart = start > monthStart ? start : monthStart;
+  const periodEnd = end < monthEnd ? end : monthEnd;
+
+  if (periodEnd < periodStart) {
+    return {
+      amount: 0,
+      fullAmount: rent,
+      isProrated: true,
+      occupiedDays: 0,
+      basisDays: convention === "30_360" ? 30 : daysInMonth,
+      periodStart: null,
+      periodEnd: null,
+      convention,
+      calculation: "Not in occupancy for this billing cycle",
+    };
+  }
+
+  const isFullMonth =
+    periodStart.getTime() === monthStart.getTime() &&
+    periodEnd.getTime() === monthEnd.getTime();
+
+  let occupiedDays;
+  let basisDays;
+
+  if (convention === "30_360") {
+    basisDays = 30;
+    occupiedDays = Math.max(days360(periodStart, periodEnd), 0);
+  } else {
+    basisDays = daysInMonth;
+    occupiedDays = Math.round((periodEnd - periodStart) / DAY_MS) + 1;
+  }
+
+  if (isFullMonth || occupiedDays >= basisDays) {
+    return {
+      amount: rent,
+      fullAmount: rent,
+      isProrated: false,
+      occupiedDays: basisDays,
+      basisDays,
+      periodStart: formatDay(periodStart),
+      periodEnd: formatDay(periodEnd),
+      convention,
+      calculation: null,
+    };
+  }
+
+  const amount = Math.round(((rent * occupiedDays) / basisDays) * 100) / 100;
+
+  return {
+    amount,
+    fullAmount: rent,
+    isProrated: true,
+    occupiedDays,
+    basisDays,
+    periodStart: formatDay(periodStart),
+    periodEnd: formatDay(periodEnd),
+    convention,
+    calculation: `Pro-rated ${formatDay(periodStart)} to ${formatDay(
+      periodEnd
+    )}: ₹${rent.toFixed(2)} x ${occupiedDays}/${basisDays} days (${
+      convention === "30_360" ? "30/360" : "actual days"
+    }) = ₹${amount.toFixed(2)}`,
+  };
+};
+
+// Rent for a single day, used where a charge is not tied to a calendar month
+export const getDailyRent = (
+  rentAmount,
+  convention = getProrationConvention()
+) => {
+  const rent = parseFloat(rentAmount);
+  return convention === "30_360" ? rent / 30 : (rent * 12) / 365;
+};
+
+export default {
+  PRORATION_CONVENTIONS,
+  MAX_BILLING_DAY,
+  getProrationConvention,
+  getBillingCycle,
+  getCycleMonth,
+  calculateProratedRent,
+  getDailyRent,
+};
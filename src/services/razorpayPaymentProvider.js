@@ -0,0 +1,97 @@
+// src/services/razorpayPaymentProvider.js
+import crypto from "crypto";
+import { createError } from "../utils/errorHandler.js";
+
+const RAZORPAY_API_URL = "https://api.razorpay.com/v1";
+
+// Razorpay payment methods mapped to payments.payment_method
+const METHOD_MAP = {
+  upi: "upi",
+  card: "card",
+  emi: "card",
+  netbanking: "bank_transfer",
+  wallet: "upi",
+};
+
+const razorpayPaymentProvider = {
+  name: "razorpay",
+
+  async createOrder({ amount, currency, receipt, notes }) {
+    const keyId = process.env.PAYMENT_GATEWAY_KEY_ID;
+    const keySecret = process.env.PAYMENT_GATEWAY_KEY_SECRET;
+
+    const response = await fetch(`${RAZORPAY_API_URL}/orders`, {
+      method: "POST",
+      headers: {
+        "Content-Type": "application/json",
+        Authorization: `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString(
+          "base64"
+        )}`,
+      },
+      body: JSON.stringify({
+        // Razorpay amounts are in paise
+        amount: Math.round(amount * 100),
+        currency,
+        receipt,
+        notes,
+      }),
+    });
+
+    const order = await response.json();
+
+    if (!response.ok) {
+      throw createError(
+        "PAYMENT_ERROR",
+        order.error?.description || "Failed to create payment gateway order"
+      );
+    }
+
+    return {
+      orderId: order.id,
+      amount,
+      currency,
+      checkout: {
+        provider: "razorpay",
+        key: keyId,
+        orderId: order.id,
+        amount: order.amount,
+        currency: order.currency,
+      },
+    };
+  },
+
+  verifyWebhookSignature(rawBody, headers) {
+    const signature = headers["x-razorpay-signature"];
+    const secret = process.env.PAYMENT_GATEWAY_WEBHOOK_SECRET;
+    if (!rawBody || !signature || !secret) return false;
+
+    const expected = Buffer.from(
+      crypto.createHmac("sha256", secret).update(rawBody).digest("hex")
+    );
+    const received = Buffer.from(String(signature));
+    return (
+      expected.length === received.length &&
+      crypto.timingSafeEqual(expected, received)
+    );
+  },
+
+  parseWebhookEvent(payload, headers) {
+    const payment = payload.payload?.payment?.entity || {};
+    const types = {
+      "payment.captured": "payment_captured",
+      "payment.failed": "payment_failed",
+    };
+
+    return {
+      eventId: headers["x-razorpay-event-id"] || `${payload.event}:${payment.id}`,
+      type: types[payload.event] || "ignored",
+      orderId: payment.order_id,
+      providerPaymentId: payment.id,
+      amount: payment.amount !== undefined ? payment.amount / 100 : null,
+      method: METHOD_MAP[payment.method] || "bank_transfer",
+      failureReason: payment.error_description || null,
+    };
+  },
+};
+
+export default razorpayPaymentProvider;
@@ -0,0 +1,283 @@
+// src/services/receiptService.js
+import fs from "fs";
+import path from "path";
+import PDFDocument from "pdfkit";
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+const RECEIPTS_DIR = "uploads/receipts";
+
+const PAYMENT_METHOD_LABELS = {
+  cash: "Cash",
+  bank_transfer: "Bank Transfer",
+  upi: "UPI",
+  card: "Card",
+  cheque: "Cheque",
+};
+
+const formatAmount = (value) =>
+  `INR ${parseFloat(value || 0).toLocaleString("en-IN", {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`;
+
+const formatDate = (value) =>
+  value
+    ? new Date(value).toLocaleDateString("en-IN", {
+        day: "2-digit",
+        month: "short",
+        year: "numeric",
+      })
+    : "-";
+
+// Generated receipts live at uploads/receipts/<paymentId>_receipt.pdf
+export const getReceiptFilePath = (paymentId) =>
+  path.join(RECEIPTS_DIR, `${paymentId}_receipt.pdf`);
+
+// Render the receipt PDF and resolve once it is fully written to disk
+const writeReceiptPdf = (filePath, receipt) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: "A4", margin: 50 });
+    const stream = fs.createWriteStream(filePath);
+
+    stream.on("finish", resolve);
+    stream.on("error", reject);
+    doc.on("error", reject);
+    doc.pipe(stream);
+
+    // Header
+    doc.fontSize(20).font("Helvetica-Bold").text(receipt.buildingName);
+    if (receipt.buildingAddress) {
+      doc.fontSize(10).font("Helvetica").fillColor("#555555");
+      doc.text(receipt.buildingAddress);
+    }
+    doc.moveDown(1.5);
+
+    doc.fillColor("#000000").fontSize(16).font("Helvetica-Bold");
+    doc.text("PAYMENT RECEIPT", { align: "center" });
+    doc.moveDown(0.5);
+    doc.fontSize(10).font("Helvetica");
+    doc.text(`Receipt No: ${receipt.receiptNumber}`, { align: "center" });
+    doc.text(`Issued on: ${formatDate(receipt.issuedAt)}`, { align: "center" });
+    doc.moveDown(1.5);
+
+    // Details table
+    const rows = [
+      ["Received from", receipt.tenantName],
+      ["Building", receipt.buildingName],
+      ["Unit", receipt.unitNumber],
+      ["Payment for", receipt.paymentTypeLabel],
+      ["Period", receipt.period],
+      ["Due date", formatDate(receipt.dueDate)],
+      ["Payment date", formatDate(receipt.paymentDate)],
+      ["Payment method", receipt.paymentMethod],
+      ["Transaction ID", receipt.transactionId || "-"],
+      ["Amount", formatAmount(receipt.amount)],
+    ];
+
+    if (receipt.lateFee > 0) {
+      rows.push(["Late fee", formatAmount(receipt.lateFee)]);
+    }
+
+    const labelX = 50;
+    const valueX = 200;
+
+    rows.forEach(([label, value]) => {
+      const y = doc.y;
+      doc.font("Helvetica-Bold").text(label, labelX, y, { width: 140 });
+      doc.font("Helvetica").text(String(value), valueX, y, { width: 345 });
+      doc.moveDown(0.6);
+    });
+
+    doc.moveDown(0.5);
+    doc
+      .moveTo(labelX, doc.y)
+      .lineTo(545, doc.y)
+      .strokeColor("#cccccc")
+      .stroke();
+    doc.moveDown(0.8);
+
+    const totalY = doc.y;
+    doc.fontSize(12).font("Helvetica-Bold");
+    doc.text("Total received", labelX, totalY, { width: 140 });
+    doc.text(formatAmount(receipt.totalAmount), valueX, totalY, {
+      width: 345,
+    });
+
+    // Footer
+    doc.moveDown(3);
+    doc.fontSize(9).font("Helvetica").fillColor("#777777");
+    doc.text(
+      "This is a computer-generated receipt and does not require a signature.",
+      labelX,
+      doc.y,
+      { align: "center", width: 495 }
+    );
+
+    doc.end();
+  });
+
+/**
+ * Generate (or regenerate) the numbered PDF receipt for a paid payment.
+ * A payment keeps its receipt number if the file has to be rebuilt.
+ */
+export const generatePaymentReceipt = async (
+  paymentId,
+  { generatedBy = null } = {},
+  db = pool
+) => {
+  const paymentQuery = `
+    SELECT
+      p.id,
+      p.payment_type,
+      p.amount,
+      COALESCE(p.late_fee, 0) as late_fee,
+      p.due_date,
+      p.payment_date,
+      p.payment_method,
+      p.transaction_id,
+      p.status,
+      up.first_name,
+      up.last_name,
+      un.unit_number,
+      b.name as building_name,
+      CONCAT_WS(', ', b.address_line1, b.address_line2, b.city, b.state, b.postal_code) as building_address,
+      rc.cycle_month,
+      rc.cycle_year
+    FROM payments p
+    JOIN tenancies t ON p.tenancy_id = t.id
+    JOIN user_profiles up ON t.tenant_user_id = up.user_id
+    JOIN units un ON t.unit_id = un.id
+    JOIN rooms r ON un.room_id = r.id
+    JOIN buildings b ON r.building_id = b.id
+    LEFT JOIN rent_cycles rc ON (rc.tenancy_id = t.id AND
+                                p.payment_type = 'rent' AND
+                                EXTRACT(MONTH FROM p.due_date) = rc.cycle_month AND
+                                EXTRACT(YEAR FROM p.due_date) = rc.cycle_year)
+    WHERE p.id = $1
+  `;
+
+  const paymentResult = await db.query(paymentQuery, [paymentId]);
+
+  if (paymentResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Payment not found");
+  }
+
+  const payment = paymentResult.rows[0];
+
+  if (payment.status !== "paid") {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Receipts can only be generated for paid payments"
+    );
+  }
+
+  const existingResult = await db.query(
+    `SELECT * FROM payment_receipts
+     WHERE payment_id = $1 AND receipt_type = 'generated'`,
+    [paymentId]
+  );
+  const existingReceipt = existingResult.rows[0] || null;
+
+  let receiptNumber = existingReceipt?.receipt_number;
+  if (!receiptNumber) {
+    const sequenceResult = await db.query(
+      "SELECT nextval('payment_receipt_number_seq') as seq"
+    );
+    receiptNumber = `RCT-${new Date().getFullYear()}-${String(
+      sequenceResult.rows[0].seq
+    ).padStart(6, "0")}`;
+  }
+
+  const periodDate = payment.cycle_month
+    ? new Date(payment.cycle_year, payment.cycle_month - 1, 1)
+    : new Date(payment.due_date);
+  const lateFee = parseFloat(payment.late_fee) || 0;
+  const filePath = getReceiptFilePath(payment.id);
+
+  await fs.promises.mkdir(RECEIPTS_DIR, { recursive: true });
+  await writeReceiptPdf(filePath, {
+    receiptNumber,
+    issuedAt: existingReceipt?.uploaded_at || new Date(),
+    tenantName: `${payment.first_name || ""} ${payment.last_name || ""}`.trim(),
+    buildingName: payment.building_name,
+    buildingAddress: payment.building_address,
+    unitNumber: payment.unit_number,
+    paymentTypeLabel: payment.payment_type
+      .split("_")
+      .map((word) => word.charAt(0).toUpperCase() + word.slice(1))
+      .join(" "),
+    period: periodDate.toLocaleDateString("en-IN", {
+      month: "long",
+      year: "numeric",
+    }),
+    dueDate: payment.due_date,
+    paymentDate: payment.payment_date,
+    paymentMethod:
+      PAYMENT_METHOD_LABELS[payment.payment_method] ||
+      payment.payment_method ||
+      "-",
+    transactionId: payment.transaction_id,
+    amount: payment.amount,
+    lateFee,
+    totalAmount: parseFloat(payment.amount) + lateFee,
+  });
+
+  const { size } = await fs.promises.stat(filePath);
+
+  if (existingReceipt) {
+    const updateResult = await db.query(
+      `UPDATE payment_receipts
+       SET file_path = $1, file_size = $2
+       WHERE id = $3
+       RETURNING *`,
+      [filePath, size, existingReceipt.id]
+    );
+    return updateResult.rows[0];
+  }
+
+  const insertResult = await db.query(
+    `INSERT INTO payment_receipts (
+      payment_id, file_name, file_path, file_size, uploaded_by,
+      receipt_type, receipt_number, uploaded_at
+    ) VALUES ($1, $2, $3, $4, $5, 'generated', $6, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [
+      payment.id,
+      `${receiptNumber}.pdf`,
+      filePath,
+      size,
+      generatedBy,
+      receiptNumber,
+    ]
+  );
+
+  return insertResult.rows[0];
+};
+
+// Generated receipt for a payment, rebuilding the file if it is missing
+export const getOrCreatePaymentReceipt = async (paymentId, db = pool) => {
+  const existingResult = await db.query(
+    `SELECT * FROM payment_receipts
+     WHERE payment_id = $1 AND receipt_type = 'generated'`,
+    [paymentId]
+  );
+
+  if (existingResult.rows.length > 0) {
+    const receipt = existingResult.rows[0];
+    try {
+      await fs.promises.access(receipt.file_path);
+      return receipt;
+    } catch {
+      // File was removed from disk; regenerate it with the same number
+    }
+  }
+
+  return await generatePaymentReceipt(paymentId, {}, db);
+};
+
+export default {
+  getReceiptFilePath,
+  generatePaymentReceipt,
+  getOrCreatePaymentReceipt,
+};
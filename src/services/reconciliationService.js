@@ -0,0 +1,440 @@
+// src/services/reconciliationService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import { recordReceipt } from "./ledgerService.js";
+import {
+  normaliseText,
+  cellText,
+  parseSpreadsheetDate,
+  detectColumns,
+  readSpreadsheetRows,
+} from "../utils/spreadsheet.js";
+
+// Days either side of the due date a credit can land and still match
+const MATCH_DATE_WINDOW_DAYS = 10;
+
+// A line is only auto-matched when its best candidate scores at least this
+const AUTO_MATCH_MIN_SCORE = 60;
+
+const MATCH_WEIGHTS = {
+  amount: 40,
+  date: 20,
+  tenant_name: 40,
+};
+
+// Header names used by common bank and UPI statement exports
+const COLUMN_ALIASES = {
+  date: ["transaction date", "txn date", "date", "value date", "posting date", "settlement date"],
+  credit: ["credit", "credit amount", "deposit", "deposits", "cr", "amount credited"],
+  debit: ["debit", "debit amount", "withdrawal", "withdrawals", "dr", "amount debited"],
+  amount: ["amount", "transaction amount", "txn amount", "settlement amount"],
+  reference: ["transaction id", "txn id", "utr", "utr number", "reference", "reference no", "ref no", "ref no./cheque no.", "chq/ref number", "rrn"],
+  description: ["narration", "description", "particulars", "remarks", "details"],
+  payerName: ["payer name", "payer", "sender name", "remitter name", "customer name", "name"],
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const parseAmount = (value) => {
+  if (typeof value === "number") return value;
+  const text = String(value).replace(/[₹,\s]|INR|Rs\.?/gi, "");
+  if (!text) return null;
+  const amount = parseFloat(text.replace(/(CR|DR)$/i, ""));
+  return Number.isNaN(amount) ? null : amount;
+};
+
+/**
+ * Read the credit lines of a CSV or XLSX statement. The header row is the
+ * first row that names a date column and an amount or credit column.
+ */
+export const parseStatementFile = async (filePath, originalName) => {
+  const rows = await readSpreadsheetRows(filePath, originalName);
+
+  let columns = null;
+  const lines = [];
+
+  for (const { rowNumber, values } of rows) {
+    if (!columns) {
+      const detected = detectColumns(values, COLUMN_ALIASES);
+      if (
+        detected.date !== undefined &&
+        (detected.credit !== undefined || detected.amount !== undefined)
+      ) {
+        columns = detected;
+      }
+      continue;
+    }
+
+    const valueAt = (key) =>
+      columns[key] === undefined ? "" : cellText(values[columns[key]]);
+
+    const transactionDate = valueAt("date") ? parseSpreadsheetDate(valueAt("date")) : null;
+    if (!transactionDate) continue;
+
+    let amount;
+    if (columns.credit !== undefined) {
+      amount = parseAmount(valueAt("credit"));
+    } else {
+      amount = parseAmount(valueAt("amount"));
+      // Single amount columns mark debits with a DR suffix or a minus sign
+      if (/DR$/i.test(String(valueAt("amount")).trim())) amount = -amount;
+    }
+
+    if (amount === null || amount <= 0) continue;
+
+    lines.push({
+      lineNumber: rowNumber,
+      transactionDate,
+      amount: roundAmount(amount),
+      reference: String(valueAt("reference")).trim().slice(0, 100) || null,
+      description: String(valueAt("description")).trim() || null,
+      payerName: String(valueAt("payerName")).trim().slice(0, 255) || null,
+    });
+  }
+
+  if (!columns) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Could not find a header row with date and amount/credit columns"
+    );
+  }
+
+  return lines;
+};
+
+// Does the statement name the tenant (payer name or narration)?
+const mentionsTenant = (line, payment) => {
+  const haystack = normaliseText(`${line.payerName || ""} ${line.description || ""}`);
+  const firstName = normaliseText(payment.first_name);
+  const lastName = normaliseText(payment.last_name);
+
+  if (!haystack || !firstName) return false;
+
+  const words = haystack.split(" ");
+  const hasFirst = words.includes(firstName);
+  const hasLast = !lastName || words.includes(lastName);
+  return hasFirst && hasLast;
+};
+
+/**
+ * Find the pending payment a credit line most likely settles. An exact
+ * transaction id wins outright; otherwise candidates are scored on amount,
+ * date window and tenant name.
+ */
+export const findPaymentMatch = async (line, excludedPaymentIds = [], db = pool) => {
+  if (line.reference) {
+    const referenceResult = await db.query(
+      `SELECT id FROM payments
+       WHERE status NOT IN ('paid', 'rescheduled') AND transaction_id IS NOT NULL
+         AND LOWER(TRIM(transaction_id)) = LOWER($1)
+         AND NOT (id = ANY($2))
+       LIMIT 1`,
+      [line.reference, excludedPaymentIds]
+    );
+
+    if (referenceResult.rows.length > 0) {
+      return {
+        paymentId: referenceResult.rows[0].id,
+        score: 100,
+        reasons: ["transaction_id"],
+      };
+    }
+  }
+
+  const candidatesResult = await db.query(
+    `SELECT
+      p.id,
+      p.due_date,
+      (p.amount + COALESCE(p.late_fee, 0) - COALESCE(p.paid_amount, 0)) as outstanding,
+      ABS(p.due_date - $2::date) as days_from_due,
+      up.first_name,
+      up.last_name
+    FROM payments p
+    JOIN tenancies t ON p.tenancy_id = t.id
+    LEFT JOIN user_profiles up ON t.tenant_user_id = up.user_id
+    WHERE p.status NOT IN ('paid', 'rescheduled')
+      AND NOT (p.id = ANY($3))
+      AND (
+        ABS((p.amount + COALESCE(p.late_fee, 0) - COALESCE(p.paid_amount, 0)) - $1) < 0.01
+        OR ABS(p.due_date - $2::date) <= $4
+      )`,
+    [line.amount, line.transactionDate, excludedPaymentIds, MATCH_DATE_WINDOW_DAYS]
+  );
+
+  let best = null;
+  let tied = false;
+
+  for (const candidate of candidatesResult.rows) {
+    const reasons = [];
+    if (Math.abs(parseFloat(candidate.outstanding) - line.amount) < 0.01) {
+      reasons.push("amount");
+    }
+    if (parseInt(candidate.days_from_due) <= MATCH_DATE_WINDOW_DAYS) {
+      reasons.push("date");
+    }
+    if (mentionsTenant(line, candidate)) {
+      reasons.push("tenant_name");
+    }
+
+    const score = reasons.reduce((sum, reason) => sum + MATCH_WEIGHTS[reason], 0);
+
+    if (!best || score > best.score) {
+      best = { paymentId: candidate.id, score, reasons };
+      tied = false;
+    } else if (score === best.score) {
+      tied = true;
+    }
+  }
+
+  // Ambiguous or weak matches are left for manual review
+  if (!best || tied || best.score < AUTO_MATCH_MIN_SCORE) {
+    return null;
+  }
+
+  return best;
+};
+
+/**
+ * Store a parsed statement and auto-match its credit lines. Lines whose
+ * reference was already confirmed in an earlier import are flagged duplicate.
+ */
+export const importStatement = async (
+  { filePath, fileName, source = "bank", uploadedBy },
+  db = pool
+) => {
+  const lines = await parseStatementFile(filePath, fileName);
+
+  if (lines.length === 0) {
+    throw createError("VALIDATION_ERROR", "No credit lines found in the statement");
+  }
+
+  const importResult = await db.query(
+    `INSERT INTO bank_statement_imports (
+      file_name, file_path, source, total_lines, uploaded_by, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [fileName, filePath, source, lines.length, uploadedBy]
+  );
+  const statementImport = importResult.rows[0];
+
+  const claimedPaymentIds = [];
+  let matched = 0;
+
+  for (const line of lines) {
+    let matchStatus = "unmatched";
+    let match = null;
+
+    const duplicateResult = line.reference
+      ? await db.query(
+          `SELECT id FROM bank_statement_lines
+           WHERE reference = $1 AND amount = $2 AND match_status = 'confirmed'
+           LIMIT 1`,
+          [line.reference, line.amount]
+        )
+      : { rows: [] };
+
+    if (duplicateResult.rows.length > 0) {
+      matchStatus = "duplicate";
+    } else {
+      match = await findPaymentMatch(line, claimedPaymentIds, db);
+      if (match) {
+        matchStatus = "suggested";
+        claimedPaymentIds.push(match.paymentId);
+        matched++;
+      }
+    }
+
+    await db.query(
+      `INSERT INTO bank_statement_lines (
+        import_id, line_number, transaction_date, amount, reference, description,
+        payer_name, match_status, payment_id, match_score, match_reasons,
+        created_at, updated_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)`,
+      [
+        statementImport.id,
+        line.lineNumber,
+        line.transactionDate,
+        line.amount,
+        line.reference,
+        line.description,
+        line.payerName,
+        matchStatus,
+        match ? match.paymentId : null,
+        match ? match.score : null,
+        match ? match.reasons : null,
+      ]
+    );
+  }
+
+  const updatedResult = await db.query(
+    `UPDATE bank_statement_imports
+     SET matched_lines = $1, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [matched, statementImport.id]
+  );
+
+  return updatedResult.rows[0];
+};
+
+/**
+ * Confirm a statement line against a payment (the suggested one unless
+ * `paymentId` is given) and record the whole line amount as a receipt in the
+ * tenant ledger. Up to the outstanding amount is allocated to the payment;
+ * any excess stays on the ledger as unallocated credit.
+ */
+export const confirmStatementLine = async (
+  lineId,
+  { paymentId = null, confirmedBy, accessibleBuildingIds = null },
+  db = pool
+) => {
+  const lineResult = await db.query(
+    `SELECT bsl.*, bsi.source
+     FROM bank_statement_lines bsl
+     JOIN bank_statement_imports bsi ON bsl.import_id = bsi.id
+     WHERE bsl.id = $1
+     FOR UPDATE OF bsl`,
+    [lineId]
+  );
+
+  if (lineResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Statement line not found");
+  }
+
+  const line = lineResult.rows[0];
+
+  if (line.match_status === "confirmed") {
+    throw createError("CONFLICT", "Statement line has already been confirmed");
+  }
+
+  const targetPaymentId = paymentId || line.payment_id;
+  if (!targetPaymentId) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Statement line has no suggested payment; choose a payment to match"
+    );
+  }
+
+  const paymentResult = await db.query(
+    `SELECT
+       p.*,
+       r.building_id,
+       COALESCE((
+         SELECT SUM(la.amount) FROM ledger_allocations la WHERE la.payment_id = p.id
+       ), 0) as allocated
+     FROM payments p
+     JOIN tenancies t ON p.tenancy_id = t.id
+     JOIN units u ON t.unit_id = u.id
+     JOIN rooms r ON u.room_id = r.id
+     WHERE p.id = $1
+     FOR UPDATE OF p`,
+    [targetPaymentId]
+  );
+
+  const payment = paymentResult.rows[0];
+  if (
+    !payment ||
+    (accessibleBuildingIds && !accessibleBuildingIds.includes(payment.building_id))
+  ) {
+    throw createError("NOT_FOUND", "Payment not found or access denied");
+  }
+
+  if (payment.status === "paid") {
+    throw createError("CONFLICT", "Payment has already been paid");
+  }
+
+  // The balance of a rescheduled due is collected through its plan's
+  // installments
+  if (payment.status === "rescheduled") {
+    throw createError(
+      "CONFLICT",
+      "Payment has been moved into a payment plan; match an installment instead"
+    );
+  }
+
+  const outstanding = roundAmount(
+    parseFloat(payment.amount) +
+      (parseFloat(payment.late_fee) || 0) -
+      parseFloat(payment.allocated)
+  );
+  const lineAmount = roundAmount(parseFloat(line.amount));
+  const appliedAmount = roundAmount(
+    Math.max(0, Math.min(lineAmount, outstanding))
+  );
+
+  const receipt = await recordReceipt(
+    {
+      tenancyId: payment.tenancy_id,
+      amount: lineAmount,
+      entryDate: line.transaction_date,
+      paymentMethod: line.source === "upi" ? "upi" : "bank_transfer",
+      transactionId: line.reference,
+      description: `Payment received for ${payment.payment_type} due ${new Date(
+        payment.due_date
+      ).toLocaleDateString("en-IN")}`,
+      createdBy: confirmedBy,
+      allocations:
+        appliedAmount > 0
+          ? [{ payment_id: payment.id, amount: appliedAmount }]
+          : [],
+    },
+    db
+  );
+
+  const confirmedResult = await db.query(
+    `UPDATE bank_statement_lines
+     SET match_status = 'confirmed',
+         payment_id = $1,
+         match_reasons = CASE WHEN $1 = payment_id THEN match_reasons ELSE ARRAY['manual'] END,
+         match_score = CASE WHEN $1 = payment_id THEN match_score ELSE NULL END,
+         ledger_entry_id = $2,
+         reviewed_by = $3,
+         reviewed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $4
+     RETURNING *`,
+    [payment.id, receipt.entry.id, confirmedBy, line.id]
+  );
+
+  return confirmedResult.rows[0];
+};
+
+// Reject a suggested match; the line stays unmatched for manual review
+export const rejectStatementLine = async (lineId, { rejectedBy }, db = pool) => {
+  const lineResult = await db.query(
+    "SELECT * FROM bank_statement_lines WHERE id = $1 FOR UPDATE",
+    [lineId]
+  );
+
+  if (lineResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Statement line not found");
+  }
+
+  if (lineResult.rows[0].match_status === "confirmed") {
+    throw createError("CONFLICT", "Confirmed statement lines cannot be rejected");
+  }
+
+  const rejectedResult = await db.query(
+    `UPDATE bank_statement_lines
+     SET match_status = 'rejected',
+         payment_id = NULL,
+         match_score = NULL,
+         match_reasons = NULL,
+         reviewed_by = $1,
+         reviewed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $2
+     RETURNING *`,
+    [rejectedBy, lineId]
+  );
+
+  return rejectedResult.rows[0];
+};
+
+export default {
+  parseStatementFile,
+  findPaymentMatch,
+  importStatement,
+  confirmStatementLine,
+  rejectStatementLine,
+};
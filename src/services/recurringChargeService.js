@@ -0,0 +1,181 @@
+// src/services/recurringChargeService.js
+import pool from "../config/database.js";
+import { getBillingCycle, getCycleMonth } from "./prorationService.js";
+
+export const RECURRING_CHARGE_TYPES = [
+  "maintenance",
+  "utility",
+  "parking",
+  "laundry",
+  "meal_plan",
+  "other",
+];
+
+// Months between two bills of a charge
+export const CHARGE_FREQUENCIES = {
+  monthly: 1,
+  quarterly: 3,
+  half_yearly: 6,
+  yearly: 12,
+};
+
+/**
+ * Whether a charge falls due in the billing cycle of `year`/`month`. Charges
+ * bill in the cycle they start in and then every `frequency` months.
+ */
+export const isChargeDueInMonth = (charge, year, month, billingDay = 1) => {
+  const start = getCycleMonth(charge.start_date, billingDay);
+  const monthsSinceStart = year * 12 + month - (start.year * 12 + start.month);
+  const interval = CHARGE_FREQUENCIES[charge.frequency] || 1;
+
+  return monthsSinceStart >= 0 && monthsSinceStart % interval === 0;
+};
+
+/**
+ * Raise a payment for every active recurring charge due in the billing cycle
+ * of `year`/`month`, optionally for one building or tenancy. The payment is
+ * due with the tenancy's rent for the cycle, or when the tenancy or charge
+ * starts if that is later in the cycle; a charge already billed for the
+ * cycle is left alone. Each charge is billed in its own savepoint.
+ */
+export const billRecurringCharges = async (
+  { year, month, buildingId = null, tenancyId = null },
+  db = pool
+) => {
+  const chargesResult = await db.query(
+    `SELECT
+      rc.*,
+      t.billing_day,
+      GREATEST(t.start_date, rc.start_date) as occupancy_start,
+      u.unit_number,
+      -- A cycle's bill may fall due after its first day (see getBillingCycle)
+      EXISTS (
+        SELECT 1 FROM payments p
+        WHERE p.recurring_charge_id = rc.id
+          AND p.due_date BETWEEN cycle.cycle_start AND cycle.cycle_end
+      ) as already_billed,
+      EXISTS (
+        SELECT 1 FROM accounting_periods ap
+        WHERE ap.building_id = r.building_id
+          AND ap.status = 'closed'
+          AND ap.period_start = make_date($2::integer, $1::integer, 1)
+      ) as period_closed
+    FROM tenancy_recurring_charges rc
+    JOIN tenancies t ON rc.tenancy_id = t.id
+    CROSS JOIN LATERAL (
+      SELECT
+        make_date($2::integer, $1::integer, t.billing_day) as cycle_start,
+        (make_date($2::integer, $1::integer, t.billing_day) + INTERVAL '1 month' - INTERVAL '1 day')::date as cycle_end
+    ) cycle
+    JOIN units u ON t.unit_id = u.id
+    JOIN rooms r ON u.room_id = r.id
+    JOIN users usr ON t.tenant_user_id = usr.id
+    WHERE rc.is_active = true
+      AND rc.start_date <= cycle.cycle_end
+      AND (rc.end_date IS NULL OR rc.end_date >= cycle.cycle_start)
+      AND t.start_date <= cycle.cycle_end
+      AND (t.end_date IS NULL OR t.end_date >= cycle.cycle_start)
+      AND (t.actual_move_out_date IS NULL OR t.actual_move_out_date >= cycle.cycle_start)
+      AND usr.status = 'active'
+      AND ($3::integer IS NULL OR r.building_id = $3)
+      AND ($4::integer IS NULL OR t.id = $4)
+    ORDER BY t.id, rc.id`,
+    [month, year, buildingId, tenancyId]
+  );
+
+  const billed = [];
+  const skipped = [];
+
+  for (const charge of chargesResult.rows) {
+    if (!isChargeDueInMonth(charge, year, month, charge.billing_day)) {
+      continue;
+    }
+
+    if (charge.already_billed) {
+      skipped.push({
+        chargeId: charge.id,
+        tenancyId: charge.tenancy_id,
+        reason: "Already billed",
+      });
+      continue;
+    }
+
+    if (charge.period_closed) {
+      skipped.push({
+        chargeId: charge.id,
+        tenancyId: charge.tenancy_id,
+        reason: "Accounting period is closed",
+      });
+      continue;
+    }
+
+    try {
+      await db.query("SAVEPOINT recurring_charge");
+
+      const cycle = getBillingCycle(
+        year,
+        month,
+        charge.billing_day,
+        charge.occupancy_start
+      );
+      const interval = CHARGE_FREQUENCIES[charge.frequency] || 1;
+      const coveredUntil = getBillingCycle(
+        year,
+        month + interval - 1,
+        charge.billing_day
+      ).periodEnd;
+      const frequencyLabel = charge.frequency.replace(/_/g, "-");
+
+      const paymentResult = await db.query(
+        `INSERT INTO payments (
+          tenancy_id, payment_type, amount, due_date, status, notes,
+          recurring_charge_id, created_at, updated_at
+        ) VALUES ($1, $2, $3, $4, 'pending', $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+        RETURNING id`,
+        [
+          charge.tenancy_id,
+          charge.payment_type,
+          parseFloat(charge.amount),
+          cycle.dueDate,
+          `${charge.description} (${frequencyLabel}) for ${cycle.periodStart} to ${coveredUntil} - Unit ${charge.unit_number}`,
+          charge.id,
+        ]
+      );
+
+      await db.query("RELEASE SAVEPOINT recurring_charge");
+
+      billed.push({
+        chargeId: charge.id,
+        tenancyId: charge.tenancy_id,
+        paymentId: paymentResult.rows[0].id,
+        paymentType: charge.payment_type,
+        amount: parseFloat(charge.amount),
+      });
+    } catch (chargeError) {
+      await db.query("ROLLBACK TO SAVEPOINT recurring_charge");
+      console.error(
+        `❌ Error billing recurring charge ${charge.id} for tenancy ${charge.tenancy_id}:`,
+        chargeError.message
+      );
+      skipped.push({
+        chargeId: charge.id,
+        tenancyId: charge.tenancy_id,
+        reason: chargeError.message,
+      });
+    }
+  }
+
+  return {
+    chargesBilled: billed.length,
+    paymentIds: billed.map((charge) => charge.paymentId),
+    billed,
+    skipped,
+  };
+};
+
+export default {
+  RECURRING_CHARGE_TYPES,
+  CHARGE_FREQUENCIES,
+  isChargeDueInMonth,
+  billRecurringCharges,
+};
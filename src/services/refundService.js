@@ -0,0 +1,365 @@
+// src/services/refundService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  createLedgerEntry,
+  allocateEntry,
+  getOpenDues,
+  getTenancyLedger,
+} from "./ledgerService.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+export const REFUND_TYPES = ["refund", "credit_note"];
+
+export const REFUND_REASONS = [
+  "overpayment",
+  "waiver",
+  "deposit_refund",
+  "billing_error",
+  "goodwill",
+  "other",
+];
+
+/**
+ * Record a refund or credit note awaiting approval. Credit notes against a
+ * charge cannot exceed what is left of it after earlier credit notes; deposit
+ * refunds cannot exceed the deposit collected (or the settled refund amount).
+ */
+export const createRefundRequest = async (
+  {
+    refundType,
+    tenancyId,
+    paymentId = null,
+    amount,
+    reasonCategory,
+    reason,
+    refundMethod = null,
+    transactionId = null,
+    refundDate = null,
+    requestedBy = null,
+  },
+  db = pool
+) => {
+  const refundAmount = roundAmount(parseFloat(amount));
+
+  if (refundType === "refund" && !refundMethod) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Refund method is required for refunds"
+    );
+  }
+
+  if (reasonCategory === "deposit_refund" && refundType !== "refund") {
+    throw createError(
+      "VALIDATION_ERROR",
+      "A deposit is returned with a refund, not a credit note"
+    );
+  }
+
+  let payment = null;
+  if (paymentId) {
+    const paymentResult = await db.query(
+      `SELECT
+        p.id, p.tenancy_id, p.payment_type,
+        (p.amount + COALESCE(p.late_fee, 0)) as total_due,
+        COALESCE((
+          SELECT SUM(pr.amount) FROM payment_refunds pr
+          WHERE pr.payment_id = p.id
+            AND pr.refund_type = 'credit_note'
+            AND pr.status IN ('pending', 'approved')
+        ), 0) as credited
+      FROM payments p
+      WHERE p.id = $1`,
+      [paymentId]
+    );
+    payment = paymentResult.rows[0];
+
+    if (!payment || payment.tenancy_id !== parseInt(tenancyId)) {
+      throw createError(
+        "VALIDATION_ERROR",
+        "Payment does not belong to this tenancy"
+      );
+    }
+  }
+
+  if (refundType === "credit_note" && payment) {
+    const creditable = roundAmount(
+      parseFloat(payment.total_due) - parseFloat(payment.credited)
+    );
+
+    if (refundAmount > creditable) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `Credit note exceeds the ${creditable} left to credit on payment ${payment.id}`
+      );
+    }
+  }
+
+  if (reasonCategory === "deposit_refund") {
+    if (payment && payment.payment_type !== "security_deposit") {
+      throw createError(
+        "VALIDATION_ERROR",
+        "A deposit refund must be linked to a security deposit payment"
+      );
+    }
+
+    const depositResult = await db.query(
+      `SELECT
+        t.deposit_refund_amount,
+        COALESCE((
+          SELECT SUM(COALESCE(p.paid_amount, 0)) FROM payments p
+          WHERE p.tenancy_id = t.id AND p.payment_type = 'security_deposit'
+        ), 0) as collected,
+        COALESCE((
+          SELECT SUM(pr.amount) FROM payment_refunds pr
+          WHERE pr.tenancy_id = t.id
+            AND pr.reason_category = 'deposit_refund'
+            AND pr.status IN ('pending', 'approved')
+        ), 0) as refunded
+      FROM tenancies t
+      WHERE t.id = $1`,
+      [tenancyId]
+    );
+    const deposit = depositResult.rows[0];
+    // Once the deposit is settled only the settled refund goes back
+    const refundable = roundAmount(
+      (deposit.deposit_refund_amount !== null
+        ? parseFloat(deposit.deposit_refund_amount)
+        : parseFloat(deposit.collected)) - parseFloat(deposit.refunded)
+    );
+
+    if (refundAmount > refundable) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `Deposit refund exceeds the ${Math.max(refundable, 0)} refundable`
+      );
+    }
+  }
+
+  const insertResult = await db.query(
+    `INSERT INTO payment_refunds (
+      refund_type, tenancy_id, payment_id, amount, reason_category, reason,
+      refund_method, transaction_id, refund_date, requested_by, created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, COALESCE($9::date, CURRENT_DATE), $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [
+      refundType,
+      tenancyId,
+      paymentId || null,
+      refundAmount,
+      reasonCategory,
+      reason,
+      refundType === "refund" ? refundMethod : null,
+      transactionId || null,
+      refundDate || null,
+      requestedBy,
+    ]
+  );
+
+  return insertResult.rows[0];
+};
+
+/**
+ * Approve a pending refund or credit note and post it. A credit note credits
+ * the tenant's ledger and settles the linked charge (or the oldest dues); any
+ * excess stays as credit. A refund pays back available credit as a ledger
+ * debit, while a deposit refund marks the tenancy's deposit as refunded.
+ * Must run inside the caller's transaction.
+ */
+export const approveRefund = async (refundId, { approvedBy = null } = {}, db) => {
+  const refundResult = await db.query(
+    "SELECT * FROM payment_refunds WHERE id = $1 FOR UPDATE",
+    [refundId]
+  );
+  const refund = refundResult.rows[0];
+
+  if (!refund) {
+    throw createError("NOT_FOUND", "Refund not found");
+  }
+
+  if (refund.status !== "pending") {
+    throw createError("CONFLICT", `Refund has already been ${refund.status}`);
+  }
+
+  const amount = parseFloat(refund.amount);
+  let ledgerEntryId = null;
+
+  if (refund.refund_type === "credit_note") {
+    const entry = await createLedgerEntry(
+      {
+        tenancyId: refund.tenancy_id,
+        entryType: "credit",
+        credit: amount,
+        entryDate: refund.refund_date,
+        description: `Credit note #${refund.id}: ${refund.reason}`,
+        createdBy: approvedBy,
+      },
+      db
+    );
+    ledgerEntryId = entry.id;
+
+    if (refund.payment_id) {
+      const openDues = await getOpenDues(refund.tenancy_id, db);
+      const due = openDues.find((openDue) => openDue.id === refund.payment_id);
+      const applied = due ? roundAmount(Math.min(amount, due.outstanding)) : 0;
+
+      if (applied > 0) {
+        await allocateEntry(
+          entry.id,
+          {
+            allocations: [{ payment_id: refund.payment_id, amount: applied }],
+            allocatedBy: approvedBy,
+          },
+          db
+        );
+      }
+    } else {
+      await allocateEntry(entry.id, { allocatedBy: approvedBy }, db);
+    }
+  } else if (refund.reason_category === "deposit_refund") {
+    await db.query(
+      `UPDATE tenancies
+      SET deposit_refund_status = 'processed', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1`,
+      [refund.tenancy_id]
+    );
+  } else {
+    const ledger = await getTenancyLedger(refund.tenancy_id, db);
+    const available = ledger.summary.unallocatedCredit;
+
+    if (amount > available) {
+      throw createError(
+        "VALIDATION_ERROR",
+        `Refund exceeds the tenant's available credit of ${available}`
+      );
+    }
+
+    const entry = await createLedgerEntry(
+      {
+        tenancyId: refund.tenancy_id,
+        entryType: "refund",
+        debit: amount,
+        entryDate: refund.refund_date,
+        paymentMethod: refund.refund_method,
+        transactionId: refund.transaction_id,
+        description: `Refund #${refund.id}: ${refund.reason}`,
+        createdBy: approvedBy,
+      },
+      db
+    );
+    ledgerEntryId = entry.id;
+  }
+
+  const approvedResult = await db.query(
+    `UPDATE payment_refunds
+    SET status = 'approved', approved_by = $1, approved_at = CURRENT_TIMESTAMP,
+        ledger_entry_id = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3
+    RETURNING *`,
+    [approvedBy, ledgerEntryId, refund.id]
+  );
+
+  return approvedResult.rows[0];
+};
+
+// Reject a pending refund or credit note; nothing is posted
+export const rejectRefund = async (
+  refundId,
+  { rejectedBy = null, reason = null } = {},
+  db = pool
+) => {
+  const result = await db.query(
+    `UPDATE payment_refunds
+    SET status = 'rejected', rejected_by = $1, rejected_at = CURRENT_TIMESTAMP,
+        rejection_reason = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $3 AND status = 'pending'
+    RETURNING *`,
+    [rejectedBy, reason, refundId]
+  );
+
+  if (result.rows.length === 0) {
+    throw createError("CONFLICT", "Only pending refunds can be rejected");
+  }
+
+  return result.rows[0];
+};
+
+/**
+ * Approved credit notes and refunds per building for revenue figures.
+ * Credit notes count against the charges they settled that fall due in the
+ * period (`creditedPaid` for charges now fully paid); refunds count by refund
+ * date. `endDate` is exclusive.
+ */
+export const getRefundTotals = async (
+  { startDate, endDate, buildingIds },
+  db = pool
+) => {
+  const totalsQuery = `
+    WITH credited AS (
+      SELECT
+        r.building_id,
+        SUM(la.amount) as credited,
+        SUM(CASE WHEN p.status = 'paid' THEN la.amount ELSE 0 END) as credited_paid
+      FROM payment_refunds pr
+      JOIN ledger_allocations la ON la.ledger_entry_id = pr.ledger_entry_id
+      JOIN payments p ON la.payment_id = p.id
+      JOIN tenancies t ON p.tenancy_id = t.id
+      JOIN units u ON t.unit_id = u.id
+      JOIN rooms r ON u.room_id = r.id
+      WHERE pr.refund_type = 'credit_note'
+        AND pr.status = 'approved'
+        AND p.due_date >= $2::date AND p.due_date < $3::date
+        AND r.building_id = ANY($1)
+      GROUP BY r.building_id
+    ),
+    refunded AS (
+      SELECT r.building_id, SUM(pr.amount) as refunded
+      FROM payment_refunds pr
+      JOIN tenancies t ON pr.tenancy_id = t.id
+      JOIN units u ON t.unit_id = u.id
+      JOIN rooms r ON u.room_id = r.id
+      WHERE pr.refund_type = 'refund'
+        AND pr.status = 'approved'
+        AND pr.refund_date >= $2::date AND pr.refund_date < $3::date
+        AND r.building_id = ANY($1)
+      GROUP BY r.building_id
+    )
+    SELECT
+      b.id as building_id,
+      COALESCE(c.credited, 0) as credited,
+      COALESCE(c.credited_paid, 0) as credited_paid,
+      COALESCE(rf.refunded, 0) as refunded
+    FROM unnest($1::integer[]) as b(id)
+    LEFT JOIN credited c ON c.building_id = b.id
+    LEFT JOIN refunded rf ON rf.building_id = b.id
+  `;
+
+  const result = await db.query(totalsQuery, [buildingIds, startDate, endDate]);
+
+  const byBuilding = new Map();
+  const totals = { credited: 0, creditedPaid: 0, refunded: 0 };
+
+  for (const row of result.rows) {
+    const buildingTotals = {
+      credited: parseFloat(row.credited),
+      creditedPaid: parseFloat(row.credited_paid),
+      refunded: parseFloat(row.refunded),
+    };
+    byBuilding.set(row.building_id, buildingTotals);
+    for (const key of Object.keys(totals)) {
+      totals[key] = roundAmount(totals[key] + buildingTotals[key]);
+    }
+  }
+
+  return { byBuilding, totals };
+};
+
+export default {
+  REFUND_TYPES,
+  REFUND_REASONS,
+  createRefundRequest,
+  approveRefund,
+  rejectRefund,
+  getRefundTotals,
+};
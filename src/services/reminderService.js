@@ -0,0 +1,111 @@
+// src/services/reminderService.js
+import pool from "../config/database.js";
+import { sendRentReminderEmail } from "./emailService.js";
+
+// Record a single reminder attempt in the reminders history
+export const logPaymentReminder = async (
+  {
+    paymentId,
+    reminderType,
+    channel = "email",
+    recipient,
+    status,
+    errorMessage = null,
+    customMessage = null,
+    daysOverdue = null,
+    sentBy = null,
+  },
+  db = pool
+) => {
+  const insertQuery = `
+    INSERT INTO payment_reminders (
+      payment_id, reminder_type, channel, recipient, status,
+      error_message, custom_message, days_overdue, sent_by, sent_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, CURRENT_TIMESTAMP)
+    RETURNING *
+  `;
+
+  const result = await db.query(insertQuery, [
+    paymentId,
+    reminderType,
+    channel,
+    recipient,
+    status,
+    errorMessage,
+    customMessage,
+    daysOverdue,
+    sentBy,
+  ]);
+
+  return result.rows[0];
+};
+
+// Send a reminder email for a payment and record the outcome.
+// `payment` expects the columns selected by the reminders queries:
+// id, amount, due_date, days_overdue, tenant_email, first_name, last_name,
+// unit_number, building_name. Manager escalations additionally use
+// manager_email, manager_name and tenant_phone.
+export const sendPaymentReminder = async (
+  payment,
+  reminderType,
+  { sentBy = null, customMessage = null } = {},
+  db = pool
+) => {
+  const isEscalation = reminderType === "manager_escalation";
+  const recipient = isEscalation ? payment.manager_email : payment.tenant_email;
+  let status = "sent";
+  let errorMessage = null;
+
+  try {
+    if (!recipient) {
+      throw new Error(
+        isEscalation
+          ? "Building has no manager assigned"
+          : "Tenant has no email address"
+      );
+    }
+
+    await sendRentReminderEmail(reminderType, recipient, {
+      tenantName:
+        `${payment.first_name || ""} ${payment.last_name || ""}`.trim() ||
+        "Resident",
+      tenantEmail: payment.tenant_email,
+      tenantPhone: payment.tenant_phone,
+      managerName: payment.manager_name,
+      unitNumber: payment.unit_number,
+      buildingName: payment.building_name,
+      amount: parseFloat(payment.amount),
+      dueDate: payment.due_date,
+      daysOverdue: payment.days_overdue,
+      customMessage,
+    });
+  } catch (emailError) {
+    console.error(
+      `Failed to send reminder for payment ${payment.id}:`,
+      emailError
+    );
+    status = "failed";
+    errorMessage = emailError.message;
+  }
+
+  const reminder = await logPaymentReminder(
+    {
+      paymentId: payment.id,
+      reminderType,
+      recipient,
+      status,
+      errorMessage,
+      customMessage,
+      daysOverdue: payment.days_overdue,
+      sentBy,
+    },
+    db
+  );
+
+  return reminder;
+};
+
+export default {
+  logPaymentReminder,
+  sendPaymentReminder,
+};
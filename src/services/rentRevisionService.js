@@ -0,0 +1,157 @@
+// src/services/rentRevisionService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+// Rent after applying a percentage or fixed revision, never below zero
+export const calculateRevisedRent = (currentRent, revisionType, revisionValue) => {
+  const rent = parseFloat(currentRent);
+  const value = parseFloat(revisionValue);
+  const revised =
+    revisionType === "percentage" ? rent * (1 + value / 100) : rent + value;
+
+  return Math.round(Math.max(revised, 0) * 100) / 100;
+};
+
+/**
+ * Record a change of rent in tenancy_rent_history. The first change also
+ * stores the original rent from the tenancy start date.
+ */
+export const recordRentChange = async (
+  {
+    tenancyId,
+    previousRent,
+    newRent,
+    effectiveFrom,
+    tenancyStart,
+    revisionId = null,
+  },
+  db = pool
+) => {
+  await db.query(
+    `INSERT INTO tenancy_rent_history (tenancy_id, rent_amount, effective_from, created_at)
+     SELECT $1, $2, $3, CURRENT_TIMESTAMP
+     WHERE NOT EXISTS (SELECT 1 FROM tenancy_rent_history WHERE tenancy_id = $1)`,
+    [tenancyId, previousRent, tenancyStart]
+  );
+
+  await db.query(
+    `UPDATE tenancy_rent_history
+     SET effective_to = $2::date - 1
+     WHERE tenancy_id = $1 AND effective_to IS NULL AND effective_from < $2::date`,
+    [tenancyId, effectiveFrom]
+  );
+
+  await db.query(
+    `INSERT INTO tenancy_rent_history (
+      tenancy_id, rent_amount, effective_from, revision_id, created_at
+    ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    ON CONFLICT (tenancy_id, effective_from)
+    DO UPDATE SET rent_amount = EXCLUDED.rent_amount,
+                  revision_id = EXCLUDED.revision_id,
+                  effective_to = NULL`,
+    [tenancyId, newRent, effectiveFrom, revisionId]
+  );
+};
+
+/**
+ * Apply a scheduled revision to its tenancy: update rent_amount, close the
+ * previous rent in tenancy_rent_history and schedule the next recurrence.
+ * Runs on the caller's connection; wrap it in a transaction.
+ */
+export const applyRentRevision = async (revisionId, db = pool) => {
+  const revisionResult = await db.query(
+    `SELECT rr.*, t.rent_amount as current_rent, t.start_date as tenancy_start
+     FROM rent_revisions rr
+     JOIN tenancies t ON rr.tenancy_id = t.id
+     WHERE rr.id = $1
+     FOR UPDATE OF rr, t`,
+    [revisionId]
+  );
+
+  if (revisionResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Rent revision not found");
+  }
+
+  const revision = revisionResult.rows[0];
+
+  if (revision.status !== "scheduled") {
+    throw createError(
+      "CONFLICT",
+      `Rent revision has already been ${revision.status}`
+    );
+  }
+
+  const previousRent = parseFloat(revision.current_rent);
+  const newRent = calculateRevisedRent(
+    previousRent,
+    revision.revision_type,
+    revision.revision_value
+  );
+
+  await recordRentChange(
+    {
+      tenancyId: revision.tenancy_id,
+      previousRent,
+      newRent,
+      effectiveFrom: revision.effective_date,
+      tenancyStart: revision.tenancy_start,
+      revisionId: revision.id,
+    },
+    db
+  );
+
+  await db.query(
+    `UPDATE tenancies SET rent_amount = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2`,
+    [newRent, revision.tenancy_id]
+  );
+
+  const appliedResult = await db.query(
+    `UPDATE rent_revisions
+     SET status = 'applied',
+         previous_rent = $1,
+         new_rent = $2,
+         applied_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE id = $3
+     RETURNING *`,
+    [previousRent, newRent, revision.id]
+  );
+
+  let nextRevision = null;
+  if (revision.recurrence_months) {
+    const nextResult = await db.query(
+      `INSERT INTO rent_revisions (
+        tenancy_id, revision_type, revision_value, effective_date,
+        recurrence_months, notice_days, notes, created_by, created_at, updated_at
+      ) VALUES (
+        $1, $2, $3, ($4::date + make_interval(months => $5))::date,
+        $5, $6, $7, $8, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP
+      )
+      RETURNING *`,
+      [
+        revision.tenancy_id,
+        revision.revision_type,
+        revision.revision_value,
+        revision.effective_date,
+        revision.recurrence_months,
+        revision.notice_days,
+        revision.notes,
+        revision.created_by,
+      ]
+    );
+    nextRevision = nextResult.rows[0];
+  }
+
+  return {
+    revision: appliedResult.rows[0],
+    previousRent,
+    newRent,
+    nextRevision,
+  };
+};
+
+export default {
+  calculateRevisedRent,
+  recordRentChange,
+  applyRentRevision,
+};
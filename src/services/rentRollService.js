@@ -0,0 +1,253 @@
+// src/services/rentRollService.js
+import ExcelJS from "exceljs";
+import pool from "../config/database.js";
+import { getSheetName, styleHeaderRow } from "../utils/spreadsheet.js";
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const AMOUNT_FORMAT = "#,##0.00";
+
+const MONTH_NAMES = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+const UNIT_COLUMNS = [
+  { header: "Floor", key: "floorNumber", width: 8 },
+  { header: "Room", key: "roomNumber", width: 10 },
+  { header: "Unit", key: "unitNumber", width: 10 },
+  { header: "Tenant", key: "tenantName", width: 28 },
+  { header: "Phone", key: "tenantPhone", width: 15 },
+  { header: "Monthly Rent", key: "monthlyRent", width: 14, amount: true },
+  { header: "Amount Billed", key: "amountBilled", width: 14, amount: true },
+  { header: "Amount Paid", key: "amountPaid", width: 14, amount: true },
+  { header: "Balance", key: "balance", width: 14, amount: true },
+  { header: "Deposit Held", key: "depositHeld", width: 14, amount: true },
+  { header: "Move-in Date", key: "moveInDate", width: 14 },
+  { header: "Move-out Date", key: "moveOutDate", width: 14 },
+];
+
+const TOTAL_KEYS = ["amountBilled", "amountPaid", "balance", "depositHeld"];
+
+/**
+ * Rent roll rows for a month: every unit of the chosen buildings with the
+ * tenancy that occupied it during the month, what was billed for that month
+ * and how much of it has been paid. A unit that changed hands mid-month has a
+ * row per tenancy; a vacant unit has a single row with no tenant.
+ */
+export const getRentRoll = async ({ year, month, buildingIds }, db = pool) => {
+  const monthStart = `${year}-${String(month).padStart(2, "0")}-01`;
+  const monthEnd = `${year}-${String(month).padStart(2, "0")}-${new Date(
+    year,
+    month,
+    0
+  ).getDate()}`;
+
+  const rentRollQuery = `
+    SELECT
+      b.id as building_id,
+      b.name as building_name,
+      f.floor_number,
+      r.room_number,
+      un.unit_number,
+      t.id as tenancy_id,
+      TRIM(CONCAT(up.first_name, ' ', up.last_name)) as tenant_name,
+      up.phone as tenant_phone,
+      COALESCE(
+        (
+          SELECT rh.rent_amount FROM tenancy_rent_history rh
+          WHERE rh.tenancy_id = t.id AND rh.effective_from <= $3::date
+          ORDER BY rh.effective_from DESC
+          LIMIT 1
+        ),
+        t.rent_amount
+      ) as monthly_rent,
+      COALESCE(billed.amount_billed, 0) as amount_billed,
+      COALESCE(billed.amount_paid, 0) as amount_paid,
+      CASE
+        WHEN ds.approved_at IS NOT NULL AND ds.approved_at::date <= $3::date THEN 0
+        ELSE COALESCE(deposit.collected, 0)
+      END as deposit_held,
+      COALESCE(t.move_in_date, t.start_date) as move_in_date,
+      COALESCE(t.actual_move_out_date, t.end_date) as move_out_date
+    FROM units un
+    JOIN rooms r ON un.room_id = r.id
+    JOIN floors f ON r.floor_id = f.id
+    JOIN buildings b ON r.building_id = b.id
+    LEFT JOIN tenancies t ON (
+      t.unit_id = un.id
+      AND t.agreement_status IN ('executed', 'terminated', 'expired')
+      AND t.start_date <= $3::date
+      AND COALESCE(t.actual_move_out_date, t.end_date, $2::date) >= $2::date
+    )
+    LEFT JOIN user_profiles up ON t.tenant_user_id = up.user_id
+    LEFT JOIN LATERAL (
+      SELECT
+        SUM(p.amount + COALESCE(p.late_fee, 0)) as amount_billed,
+        SUM(COALESCE(p.paid_amount, 0)) as amount_paid
+      FROM payments p
+      WHERE p.tenancy_id = t.id
+        AND p.payment_type <> 'security_deposit'
+        AND p.due_date BETWEEN $2::date AND $3::date
+    ) billed ON true
+    LEFT JOIN LATERAL (
+      SELECT SUM(COALESCE(p.paid_amount, 0)) as collected
+      FROM payments p
+      WHERE p.tenancy_id = t.id
+        AND p.payment_type = 'security_deposit'
+        AND (p.payment_date IS NULL OR p.payment_date <= $3::date)
+    ) deposit ON true
+    LEFT JOIN deposit_settlements ds ON (
+      ds.tenancy_id = t.id AND ds.status = 'approved'
+    )
+    WHERE b.id = ANY($1)
+    ORDER BY b.name, f.floor_number, r.room_number, un.unit_number, t.start_date
+  `;
+
+  const result = await db.query(rentRollQuery, [
+    buildingIds,
+    monthStart,
+    monthEnd,
+  ]);
+
+  const buildings = new Map();
+  const countedUnits = new Set();
+
+  for (const row of result.rows) {
+    if (!buildings.has(row.building_id)) {
+      buildings.set(row.building_id, {
+        id: row.building_id,
+        name: row.building_name,
+        units: [],
+        totals: {
+          units: 0,
+          occupiedUnits: 0,
+          amountBilled: 0,
+          amountPaid: 0,
+          balance: 0,
+          depositHeld: 0,
+        },
+      });
+    }
+
+    const building = buildings.get(row.building_id);
+    const amountBilled = parseFloat(row.amount_billed);
+    const amountPaid = parseFloat(row.amount_paid);
+
+    const unit = {
+      floorNumber: row.floor_number,
+      roomNumber: row.room_number,
+      unitNumber: row.unit_number,
+      tenancyId: row.tenancy_id,
+      tenantName: row.tenancy_id ? row.tenant_name : "Vacant",
+      tenantPhone: row.tenant_phone,
+      monthlyRent: row.tenancy_id ? parseFloat(row.monthly_rent) : null,
+      amountBilled,
+      amountPaid,
+      balance: roundAmount(amountBilled - amountPaid),
+      depositHeld: parseFloat(row.deposit_held),
+      moveInDate: row.move_in_date,
+      moveOutDate: row.move_out_date,
+    };
+
+    building.units.push(unit);
+    if (!countedUnits.has(row.unit_number)) {
+      countedUnits.add(row.unit_number);
+      building.totals.units++;
+    }
+    if (row.tenancy_id) building.totals.occupiedUnits++;
+    for (const key of TOTAL_KEYS) {
+      building.totals[key] = roundAmount(building.totals[key] + unit[key]);
+    }
+  }
+
+  return {
+    year,
+    month,
+    period: `${MONTH_NAMES[month - 1]} ${year}`,
+    buildings: [...buildings.values()],
+  };
+};
+
+/**
+ * Workbook with a summary of totals per building followed by one sheet per
+ * building listing its units and a totals row.
+ */
+export const buildRentRollWorkbook = (rentRoll) => {
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  const summary = workbook.addWorksheet("Summary");
+  summary.columns = [
+    { header: "Building", key: "name", width: 30 },
+    { header: "Units", key: "units", width: 10 },
+    { header: "Occupied", key: "occupiedUnits", width: 10 },
+    { header: "Amount Billed", key: "amountBilled", width: 14 },
+    { header: "Amount Paid", key: "amountPaid", width: 14 },
+    { header: "Balance", key: "balance", width: 14 },
+    { header: "Deposit Held", key: "depositHeld", width: 14 },
+  ];
+  styleHeaderRow(summary.getRow(1));
+
+  const grandTotals = {
+    name: "Total",
+    units: 0,
+    occupiedUnits: 0,
+    amountBilled: 0,
+    amountPaid: 0,
+    balance: 0,
+    depositHeld: 0,
+  };
+
+  const usedNames = new Set(["summary"]);
+
+  for (const building of rentRoll.buildings) {
+    summary.addRow({ name: building.name, ...building.totals });
+    for (const key of Object.keys(building.totals)) {
+      grandTotals[key] = roundAmount(grandTotals[key] + building.totals[key]);
+    }
+
+    const sheet = workbook.addWorksheet(getSheetName(building.name, usedNames));
+    sheet.columns = UNIT_COLUMNS.map(({ header, key, width }) => ({
+      header,
+      key,
+      width,
+    }));
+    styleHeaderRow(sheet.getRow(1));
+
+    sheet.addRows(building.units);
+
+    const totalsRow = sheet.addRow({
+      tenantName: "Total",
+      ...Object.fromEntries(TOTAL_KEYS.map((key) => [key, building.totals[key]])),
+    });
+    totalsRow.font = { bold: true };
+
+    UNIT_COLUMNS.forEach((column, index) => {
+      const sheetColumn = sheet.getColumn(index + 1);
+      if (column.amount) {
+        sheetColumn.numFmt = AMOUNT_FORMAT;
+      } else if (column.key.endsWith("Date")) {
+        sheetColumn.numFmt = "dd-mmm-yyyy";
+      }
+    });
+    sheet.views = [{ state: "frozen", ySplit: 1 }];
+  }
+
+  const grandTotalRow = summary.addRow(grandTotals);
+  grandTotalRow.font = { bold: true };
+  ["amountBilled", "amountPaid", "balance", "depositHeld"].forEach((key) => {
+    summary.getColumn(key).numFmt = AMOUNT_FORMAT;
+  });
+
+  summary.insertRow(1, [`Rent roll for ${rentRoll.period}`]);
+  summary.getRow(1).font = { bold: true, size: 14 };
+  summary.views = [{ state: "frozen", ySplit: 2 }];
+
+  return workbook;
+};
+
+export default {
+  getRentRoll,
+  buildRentRollWorkbook,
+};
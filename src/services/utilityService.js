@@ -0,0 +1,553 @@
+// src/services/utilityService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+import {
+  cellText,
+  parseSpreadsheetDate,
+  detectColumns,
+  readSpreadsheetRows,
+} from "../utils/spreadsheet.js";
+
+// A reading is flagged when consumption exceeds this multiple of the recent average
+const HIGH_CONSUMPTION_FACTOR = 3;
+
+const MONTH_NAMES = [
+  "Jan", "Feb", "Mar", "Apr", "May", "Jun",
+  "Jul", "Aug", "Sep", "Oct", "Nov", "Dec",
+];
+
+const READING_COLUMN_ALIASES = {
+  meterNumber: ["meter number", "meter no", "meter", "meter id"],
+  readingValue: ["reading", "reading value", "current reading", "meter reading"],
+  readingDate: ["reading date", "date"],
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const monthBounds = (year, month) => ({
+  monthStart: `${year}-${String(month).padStart(2, "0")}-01`,
+  monthEnd: `${year}-${String(month).padStart(2, "0")}-${new Date(
+    year,
+    month,
+    0
+  ).getDate()}`,
+});
+
+/**
+ * Price a month's consumption. Slabs are telescopic: each slab's rate applies
+ * only to the units that fall inside it. Without slabs the flat rate applies.
+ */
+export const calculateUtilityCharge = (consumption, tariff) => {
+  const units = parseFloat(consumption);
+  const fixedCharge = parseFloat(tariff.fixed_charge) || 0;
+  const parts = [];
+  let energyCharge = 0;
+
+  if (Array.isArray(tariff.slabs) && tariff.slabs.length > 0) {
+    let remaining = units;
+    let lowerBound = 0;
+
+    for (const slab of tariff.slabs) {
+      if (remaining <= 0) break;
+
+      const slabSize =
+        slab.up_to === null || slab.up_to === undefined
+          ? remaining
+          : Math.max(parseFloat(slab.up_to) - lowerBound, 0);
+      const slabUnits = Math.min(remaining, slabSize);
+      const rate = parseFloat(slab.rate);
+
+      if (slabUnits > 0) {
+        energyCharge += slabUnits * rate;
+        parts.push(`${roundAmount(slabUnits)} units x ₹${rate}`);
+      }
+
+      remaining -= slabUnits;
+      if (slab.up_to !== null && slab.up_to !== undefined) {
+        lowerBound = parseFloat(slab.up_to);
+      }
+    }
+
+    // Consumption beyond the last capped slab is billed at its rate
+    if (remaining > 0) {
+      const lastRate = parseFloat(tariff.slabs[tariff.slabs.length - 1].rate);
+      energyCharge += remaining * lastRate;
+      parts.push(`${roundAmount(remaining)} units x ₹${lastRate}`);
+    }
+  } else {
+    const rate = parseFloat(tariff.rate_per_unit);
+    energyCharge = units * rate;
+    parts.push(`${roundAmount(units)} units x ₹${rate}`);
+  }
+
+  if (fixedCharge > 0) {
+    parts.push(`fixed ₹${fixedCharge.toFixed(2)}`);
+  }
+
+  const amount = roundAmount(energyCharge + fixedCharge);
+
+  return {
+    amount,
+    calculation: `${tariff.name}: ${parts.join(" + ")} = ₹${amount.toFixed(2)}`,
+  };
+};
+
+// Tariff for a meter's reading month: the meter's own, else its building's, else the default
+export const getMeterTariff = async (meter, year, month, db = pool) => {
+  if (meter.tariff_id) {
+    const tariffResult = await db.query(
+      "SELECT * FROM utility_tariffs WHERE id = $1 AND is_active = true",
+      [meter.tariff_id]
+    );
+    if (tariffResult.rows.length > 0) {
+      return tariffResult.rows[0];
+    }
+  }
+
+  const { monthEnd } = monthBounds(year, month);
+  const tariffResult = await db.query(
+    `SELECT ut.*
+     FROM utility_tariffs ut
+     JOIN rooms r ON r.id = $1
+     WHERE ut.utility_type = $2
+       AND ut.is_active = true
+       AND ut.effective_from <= $3::date
+       AND (ut.building_id = r.building_id OR ut.building_id IS NULL)
+     ORDER BY ut.building_id NULLS LAST, ut.effective_from DESC
+     LIMIT 1`,
+    [meter.room_id, meter.utility_type, monthEnd]
+  );
+
+  return tariffResult.rows[0] || null;
+};
+
+/**
+ * Validate and store a month's reading for a meter. A reading may be
+ * corrected until it has been billed. Returns { reading, warnings }.
+ */
+export const recordMeterReading = async (
+  meterId,
+  { year, month, readingValue, readingDate = null, recordedBy = null },
+  db = pool
+) => {
+  const meterResult = await db.query(
+    "SELECT * FROM utility_meters WHERE id = $1",
+    [meterId]
+  );
+
+  if (meterResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Meter not found");
+  }
+
+  const meter = meterResult.rows[0];
+  const value = parseFloat(readingValue);
+  const { monthStart, monthEnd } = monthBounds(year, month);
+  const today = new Date().toISOString().split("T")[0];
+  const date = readingDate || (monthEnd < today ? monthEnd : today);
+
+  if (meter.status !== "active") {
+    throw createError("VALIDATION_ERROR", `Meter ${meter.meter_number} is inactive`);
+  }
+
+  if (Number.isNaN(value) || value < 0) {
+    throw createError("VALIDATION_ERROR", "Reading must be a non-negative number");
+  }
+
+  if (monthStart > today) {
+    throw createError("VALIDATION_ERROR", "Cannot record a reading for a future month");
+  }
+
+  if (date > today) {
+    throw createError("VALIDATION_ERROR", "Reading date cannot be in the future");
+  }
+
+  // Readings taken in the first days of the next month still close this month
+  if (date < monthStart) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Reading date cannot be before the reading month"
+    );
+  }
+
+  const existingResult = await db.query(
+    `SELECT * FROM meter_readings
+     WHERE meter_id = $1 AND reading_year = $2 AND reading_month = $3`,
+    [meter.id, year, month]
+  );
+  const existing = existingResult.rows[0];
+
+  if (existing && existing.billed_at) {
+    throw createError(
+      "CONFLICT",
+      `Reading for ${MONTH_NAMES[month - 1]} ${year} has already been billed`
+    );
+  }
+
+  const previousResult = await db.query(
+    `SELECT reading_value, consumption FROM meter_readings
+     WHERE meter_id = $1 AND (reading_year * 12 + reading_month) < ($2 * 12 + $3)
+     ORDER BY reading_year DESC, reading_month DESC
+     LIMIT 3`,
+    [meter.id, year, month]
+  );
+
+  const previousReading =
+    previousResult.rows.length > 0
+      ? parseFloat(previousResult.rows[0].reading_value)
+      : parseFloat(meter.initial_reading);
+
+  if (value < previousReading) {
+    throw createError(
+      "VALIDATION_ERROR",
+      `Reading ${value} is lower than the previous reading ${previousReading} for meter ${meter.meter_number}`
+    );
+  }
+
+  const nextResult = await db.query(
+    `SELECT reading_value FROM meter_readings
+     WHERE meter_id = $1 AND (reading_year * 12 + reading_month) > ($2 * 12 + $3)
+     ORDER BY reading_year ASC, reading_month ASC
+     LIMIT 1`,
+    [meter.id, year, month]
+  );
+
+  if (
+    nextResult.rows.length > 0 &&
+    value > parseFloat(nextResult.rows[0].reading_value)
+  ) {
+    throw createError(
+      "VALIDATION_ERROR",
+      `Reading ${value} is higher than the following month's reading ${nextResult.rows[0].reading_value}`
+    );
+  }
+
+  const consumption = roundAmount(value - previousReading);
+  const warnings = [];
+  let flagReason = null;
+
+  const recentConsumption = previousResult.rows.map((row) =>
+    parseFloat(row.consumption)
+  );
+  if (recentConsumption.length > 0) {
+    const average =
+      recentConsumption.reduce((sum, units) => sum + units, 0) /
+      recentConsumption.length;
+
+    if (average > 0 && consumption > average * HIGH_CONSUMPTION_FACTOR) {
+      flagReason = `Consumption ${consumption} is more than ${HIGH_CONSUMPTION_FACTOR}x the recent average of ${roundAmount(
+        average
+      )}`;
+      warnings.push(flagReason);
+    }
+  }
+
+  const readingResult = await db.query(
+    `INSERT INTO meter_readings (
+      meter_id, reading_year, reading_month, reading_date, reading_value,
+      previous_reading, consumption, is_flagged, flag_reason, recorded_by,
+      created_at, updated_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    ON CONFLICT (meter_id, reading_year, reading_month)
+    DO UPDATE SET reading_date = EXCLUDED.reading_date,
+                  reading_value = EXCLUDED.reading_value,
+                  previous_reading = EXCLUDED.previous_reading,
+                  consumption = EXCLUDED.consumption,
+                  is_flagged = EXCLUDED.is_flagged,
+                  flag_reason = EXCLUDED.flag_reason,
+                  recorded_by = EXCLUDED.recorded_by,
+                  updated_at = CURRENT_TIMESTAMP
+    RETURNING *`,
+    [
+      meter.id,
+      year,
+      month,
+      date,
+      value,
+      previousReading,
+      consumption,
+      flagReason !== null,
+      flagReason,
+      recordedBy,
+    ]
+  );
+
+  // A corrected reading changes the following month's starting point
+  if (existing && nextResult.rows.length > 0) {
+    await db.query(
+      `UPDATE meter_readings
+       SET previous_reading = $1, consumption = reading_value - $1,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = (
+         SELECT id FROM meter_readings
+         WHERE meter_id = $2 AND (reading_year * 12 + reading_month) > ($3 * 12 + $4)
+           AND billed_at IS NULL
+         ORDER BY reading_year ASC, reading_month ASC
+         LIMIT 1
+       )`,
+      [value, meter.id, year, month]
+    );
+  }
+
+  return { reading: readingResult.rows[0], warnings };
+};
+
+/**
+ * Read meter readings from a CSV or XLSX upload with meter number and
+ * reading columns (reading date optional).
+ */
+export const parseReadingsFile = async (filePath, originalName) => {
+  const rows = await readSpreadsheetRows(filePath, originalName);
+  let columns = null;
+  const readings = [];
+
+  for (const { rowNumber, values } of rows) {
+    if (!columns) {
+      const detected = detectColumns(values, READING_COLUMN_ALIASES);
+      if (
+        detected.meterNumber !== undefined &&
+        detected.readingValue !== undefined
+      ) {
+        columns = detected;
+      }
+      continue;
+    }
+
+    const valueAt = (key) =>
+      columns[key] === undefined ? "" : cellText(values[columns[key]]);
+
+    const meterNumber = String(valueAt("meterNumber")).trim();
+    if (!meterNumber) continue;
+
+    readings.push({
+      rowNumber,
+      meterNumber,
+      readingValue: String(valueAt("readingValue")).replace(/,/g, ""),
+      readingDate: valueAt("readingDate")
+        ? parseSpreadsheetDate(valueAt("readingDate"))
+        : null,
+    });
+  }
+
+  if (!columns) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Could not find a header row with meter number and reading columns"
+    );
+  }
+
+  return readings;
+};
+
+// Tenancies occupying a meter's unit (or any unit of its room) during the month
+const getMeterOccupants = async (meter, year, month, db) => {
+  const { monthStart, monthEnd } = monthBounds(year, month);
+
+  const occupantsResult = await db.query(
+    `SELECT
+      t.id as tenancy_id,
+      u.unit_number,
+      (
+        LEAST(COALESCE(t.actual_move_out_date, t.end_date, $4::date), $4::date)
+        - GREATEST(t.start_date, $3::date) + 1
+      ) as occupied_days
+    FROM tenancies t
+    JOIN units u ON t.unit_id = u.id
+    WHERE (
+        ($1::integer IS NOT NULL AND u.id = $1)
+        OR ($1::integer IS NULL AND u.room_id = $2)
+      )
+      AND t.agreement_status IN ('executed', 'terminated', 'expired')
+      AND t.start_date <= $4::date
+      AND COALESCE(t.actual_move_out_date, t.end_date, $4::date) >= $3::date
+    ORDER BY t.id`,
+    [meter.unit_id, meter.room_id, monthStart, monthEnd]
+  );
+
+  return occupantsResult.rows.filter((row) => parseInt(row.occupied_days) > 0);
+};
+
+/**
+ * Raise utility payments for every unbilled reading of a month before
+ * `billingYear`/`billingMonth`, optionally for one building only. Room meters
+ * are split between co-occupants in proportion to the days each occupied the
+ * room. Readings are not billed into a closed accounting period of their
+ * building. Each reading is billed in its own savepoint so one bad meter does
+ * not stop the rest.
+ */
+export const billMeterReadings = async (
+  { billingYear, billingMonth, dueDate, buildingId = null },
+  db = pool
+) => {
+  const readingsResult = await db.query(
+    `SELECT
+       mr.*, um.meter_number, um.utility_type, um.room_id, um.unit_id, um.tariff_id,
+       EXISTS (
+         SELECT 1 FROM accounting_periods ap
+         WHERE ap.building_id = r.building_id
+           AND ap.status = 'closed'
+           AND ap.period_start = date_trunc('month', $4::date)::date
+       ) as period_closed
+     FROM meter_readings mr
+     JOIN utility_meters um ON mr.meter_id = um.id
+     JOIN rooms r ON um.room_id = r.id
+     WHERE mr.billed_at IS NULL
+       AND (mr.reading_year * 12 + mr.reading_month) < ($1 * 12 + $2)
+       AND ($3::integer IS NULL OR r.building_id = $3)
+     ORDER BY mr.reading_year, mr.reading_month, mr.id`,
+    [billingYear, billingMonth, buildingId, dueDate]
+  );
+
+  let readingsBilled = 0;
+  const paymentIds = [];
+  const skipped = [];
+
+  for (const reading of readingsResult.rows) {
+    const label = `${MONTH_NAMES[reading.reading_month - 1]} ${reading.reading_year}`;
+
+    // Left unbilled so it goes out with the next month whose period is open
+    if (reading.period_closed) {
+      skipped.push({
+        readingId: reading.id,
+        meterNumber: reading.meter_number,
+        reason: "Accounting period is closed",
+      });
+      continue;
+    }
+
+    try {
+      await db.query("SAVEPOINT utility_reading");
+
+      const tariff = await getMeterTariff(
+        reading,
+        reading.reading_year,
+        reading.reading_month,
+        db
+      );
+
+      // Left unbilled so it goes out once a tariff is configured
+      if (!tariff) {
+        await db.query("RELEASE SAVEPOINT utility_reading");
+        skipped.push({
+          readingId: reading.id,
+          meterNumber: reading.meter_number,
+          reason: "No active tariff",
+        });
+        continue;
+      }
+
+      const charge = calculateUtilityCharge(reading.consumption, tariff);
+      const occupants = await getMeterOccupants(
+        reading,
+        reading.reading_year,
+        reading.reading_month,
+        db
+      );
+
+      let billingNote = null;
+
+      if (occupants.length === 0) {
+        billingNote = "No occupants during the reading month";
+      } else if (charge.amount <= 0) {
+        billingNote = "No charge for this reading";
+      } else {
+        const totalDays = occupants.reduce(
+          (sum, occupant) => sum + parseInt(occupant.occupied_days),
+          0
+        );
+        let amountRemaining = charge.amount;
+        let consumptionRemaining = parseFloat(reading.consumption);
+
+        for (const [index, occupant] of occupants.entries()) {
+          const days = parseInt(occupant.occupied_days);
+          const isLast = index === occupants.length - 1;
+
+          // The last share takes the rounding remainder
+          const amount = isLast
+            ? roundAmount(amountRemaining)
+            : roundAmount((charge.amount * days) / totalDays);
+          const consumptionShare = isLast
+            ? roundAmount(consumptionRemaining)
+            : roundAmount((parseFloat(reading.consumption) * days) / totalDays);
+          amountRemaining -= amount;
+          consumptionRemaining -= consumptionShare;
+
+          if (amount <= 0) continue;
+
+          const calculation =
+            occupants.length > 1
+              ? `${charge.calculation}; shared ${days}/${totalDays} occupant-days`
+              : charge.calculation;
+
+          const paymentResult = await db.query(
+            `INSERT INTO payments (
+              tenancy_id, payment_type, amount, due_date, status, notes, created_at, updated_at
+            ) VALUES ($1, 'utility', $2, $3, 'pending', $4, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+            RETURNING id`,
+            [
+              occupant.tenancy_id,
+              amount,
+              dueDate,
+              `${reading.utility_type.charAt(0).toUpperCase()}${reading.utility_type.slice(
+                1
+              )} for ${label} - Meter ${reading.meter_number}: ${consumptionShare} units (${calculation})`,
+            ]
+          );
+
+          await db.query(
+            `INSERT INTO utility_charges (
+              reading_id, tenancy_id, payment_id, consumption_share, amount,
+              occupied_days, calculation, created_at
+            ) VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)`,
+            [
+              reading.id,
+              occupant.tenancy_id,
+              paymentResult.rows[0].id,
+              consumptionShare,
+              amount,
+              days,
+              calculation,
+            ]
+          );
+
+          paymentIds.push(paymentResult.rows[0].id);
+        }
+      }
+
+      await db.query(
+        `UPDATE meter_readings
+         SET billed_at = CURRENT_TIMESTAMP, billing_note = $1, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [billingNote, reading.id]
+      );
+
+      await db.query("RELEASE SAVEPOINT utility_reading");
+      readingsBilled++;
+    } catch (readingError) {
+      await db.query("ROLLBACK TO SAVEPOINT utility_reading");
+      console.error(
+        `❌ Error billing meter ${reading.meter_number} for ${label}:`,
+        readingError.message
+      );
+      skipped.push({
+        readingId: reading.id,
+        meterNumber: reading.meter_number,
+        reason: readingError.message,
+      });
+    }
+  }
+
+  return {
+    readingsBilled,
+    paymentsCreated: paymentIds.length,
+    paymentIds,
+    skipped,
+  };
+};
+
+export default {
+  calculateUtilityCharge,
+  getMeterTariff,
+  recordMeterReading,
+  parseReadingsFile,
+  billMeterReadings,
+};
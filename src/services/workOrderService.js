@@ -0,0 +1,370 @@
+// src/services/workOrderService.js
+import pool from "../config/database.js";
+import { createError } from "../utils/errorHandler.js";
+
+export const VENDOR_TRADES = [
+  "plumbing",
+  "electrical",
+  "carpentry",
+  "painting",
+  "hvac",
+  "appliance_repair",
+  "pest_control",
+  "cleaning",
+  "civil",
+  "general",
+];
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const logWorkOrderActivity = async (complaintId, description, userId, db) => {
+  await db.query(
+    `INSERT INTO complaint_activities (
+      complaint_id, activity_type, description, created_by, created_for, created_at
+    ) VALUES ($1, 'work_order', $2, $3, 'admin', CURRENT_TIMESTAMP)`,
+    [complaintId, description, userId]
+  );
+};
+
+// Shift a complaint's cost_incurred by the change in a work order's actual cost
+const addToComplaintCost = async (complaintId, amount, db) => {
+  if (!amount) {
+    return;
+  }
+
+  await db.query(
+    `UPDATE complaints
+    SET cost_incurred = COALESCE(cost_incurred, 0) + $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1`,
+    [complaintId, amount]
+  );
+};
+
+const getWorkOrderForUpdate = async (workOrderId, db) => {
+  const workOrderResult = await db.query(
+    `SELECT wo.*, v.name as vendor_name
+    FROM complaint_work_orders wo
+    JOIN vendors v ON wo.vendor_id = v.id
+    WHERE wo.id = $1
+    FOR UPDATE OF wo`,
+    [workOrderId]
+  );
+
+  if (workOrderResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Work order not found");
+  }
+
+  return workOrderResult.rows[0];
+};
+
+/**
+ * Raise a work order on a complaint to an active vendor. Must run inside the
+ * caller's transaction.
+ */
+export const createWorkOrder = async (
+  {
+    complaintId,
+    vendorId,
+    description,
+    scheduledVisitAt = null,
+    quotedCost = null,
+    createdBy = null,
+  },
+  db
+) => {
+  const complaintResult = await db.query(
+    "SELECT id, status FROM complaints WHERE id = $1 FOR UPDATE",
+    [complaintId]
+  );
+
+  if (complaintResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Complaint not found");
+  }
+  if (["closed", "rejected"].includes(complaintResult.rows[0].status)) {
+    throw createError(
+      "CONFLICT",
+      `Cannot raise a work order on a ${complaintResult.rows[0].status} complaint`
+    );
+  }
+
+  const vendorResult = await db.query(
+    "SELECT id, name FROM vendors WHERE id = $1 AND is_active = true",
+    [vendorId]
+  );
+
+  if (vendorResult.rows.length === 0) {
+    throw createError("NOT_FOUND", "Vendor not found or inactive");
+  }
+
+  const workOrderResult = await db.query(
+    `INSERT INTO complaint_work_orders (
+      complaint_id, vendor_id, description, status, scheduled_visit_at,
+      quoted_cost, created_by, created_at, updated_at
+    ) VALUES ($1, $2, $3, 'scheduled', $4, $5, $6, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP)
+    RETURNING *`,
+    [complaintId, vendorId, description, scheduledVisitAt, quotedCost, createdBy]
+  );
+
+  const workOrder = workOrderResult.rows[0];
+  const vendor = vendorResult.rows[0];
+
+  await logWorkOrderActivity(
+    complaintId,
+    `Work order #${workOrder.id} raised to ${vendor.name}${
+      scheduledVisitAt
+        ? `, visit scheduled for ${new Date(scheduledVisitAt).toLocaleString(
+            "en-IN"
+          )}`
+        : ""
+    }`,
+    createdBy,
+    db
+  );
+
+  return { ...workOrder, vendor_name: vendor.name };
+};
+
+/**
+ * Reschedule, re-quote, start or cancel a work order. The actual cost of a
+ * completed order can be corrected, with the difference applied to the
+ * complaint's cost. Must run inside the caller's transaction.
+ */
+export const updateWorkOrder = async (
+  { workOrderId, changes, updatedBy = null },
+  db
+) => {
+  const workOrder = await getWorkOrderForUpdate(workOrderId, db);
+  const isClosed = ["completed", "cancelled"].includes(workOrder.status);
+
+  if (changes.status && isClosed) {
+    throw createError("CONFLICT", `Work order is already ${workOrder.status}`);
+  }
+  if (changes.status === "cancelled" && !changes.cancellationReason) {
+    throw createError(
+      "VALIDATION_ERROR",
+      "A reason is required to cancel a work order"
+    );
+  }
+  if (changes.actualCost !== undefined && workOrder.status !== "completed") {
+    throw createError(
+      "VALIDATION_ERROR",
+      "Actual cost is recorded when the work order is completed"
+    );
+  }
+  if (
+    workOrder.status === "cancelled" &&
+    (changes.scheduledVisitAt !== undefined ||
+      changes.quotedCost !== undefined)
+  ) {
+    throw createError("CONFLICT", "Work order is already cancelled");
+  }
+
+  const fields = {
+    description: changes.description,
+    status: changes.status,
+    scheduled_visit_at: changes.scheduledVisitAt,
+    quoted_cost: changes.quotedCost,
+    actual_cost: changes.actualCost,
+    cancellation_reason: changes.cancellationReason,
+  };
+  const updateFields = [];
+  const updateValues = [workOrderId];
+
+  for (const [column, value] of Object.entries(fields)) {
+    if (value !== undefined) {
+      updateValues.push(value);
+      updateFields.push(`${column} = $${updateValues.length}`);
+    }
+  }
+
+  if (updateFields.length === 0) {
+    throw createError("VALIDATION_ERROR", "No changes provided");
+  }
+
+  const updateResult = await db.query(
+    `UPDATE complaint_work_orders
+    SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *`,
+    updateValues
+  );
+
+  if (changes.actualCost !== undefined) {
+    const difference = roundAmount(
+      (changes.actualCost ?? 0) - parseFloat(workOrder.actual_cost || 0)
+    );
+    await addToComplaintCost(workOrder.complaint_id, difference, db);
+  }
+
+  const notes = [];
+  if (changes.status === "cancelled") {
+    notes.push(`cancelled: ${changes.cancellationReason}`);
+  } else if (changes.status && changes.status !== workOrder.status) {
+    notes.push(`marked ${changes.status.replace("_", " ")}`);
+  }
+  if (changes.scheduledVisitAt) {
+    notes.push(
+      `visit rescheduled to ${new Date(changes.scheduledVisitAt).toLocaleString(
+        "en-IN"
+      )}`
+    );
+  }
+  if (changes.actualCost !== undefined) {
+    notes.push(`actual cost corrected to ₹${changes.actualCost ?? 0}`);
+  }
+
+  if (notes.length > 0) {
+    await logWorkOrderActivity(
+      workOrder.complaint_id,
+      `Work order #${workOrder.id} (${workOrder.vendor_name}) ${notes.join(
+        ", "
+      )}`,
+      updatedBy,
+      db
+    );
+  }
+
+  return { ...updateResult.rows[0], vendor_name: workOrder.vendor_name };
+};
+
+/**
+ * Record a work order as done with its actual cost and evidence, adding the
+ * cost to the complaint. Must run inside the caller's transaction.
+ */
+export const completeWorkOrder = async (
+  {
+    workOrderId,
+    actualCost,
+    completionNotes = null,
+    attachments = [],
+    vendorRating = null,
+    completedBy = null,
+  },
+  db
+) => {
+  const workOrder = await getWorkOrderForUpdate(workOrderId, db);
+
+  if (["completed", "cancelled"].includes(workOrder.status)) {
+    throw createError("CONFLICT", `Work order is already ${workOrder.status}`);
+  }
+
+  const updateResult = await db.query(
+    `UPDATE complaint_work_orders
+    SET status = 'completed',
+        actual_cost = $2,
+        completion_notes = $3,
+        completion_attachments = $4,
+        vendor_rating = $5,
+        completed_by = $6,
+        completed_at = CURRENT_TIMESTAMP,
+        updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING *`,
+    [
+      workOrderId,
+      actualCost,
+      completionNotes,
+      attachments,
+      vendorRating,
+      completedBy,
+    ]
+  );
+
+  await addToComplaintCost(workOrder.complaint_id, actualCost, db);
+
+  await logWorkOrderActivity(
+    workOrder.complaint_id,
+    `Work order #${workOrder.id} completed by ${
+      workOrder.vendor_name
+    } at a cost of ₹${actualCost}${
+      completionNotes ? `. Notes: ${completionNotes}` : ""
+    }`,
+    completedBy,
+    db
+  );
+
+  return { ...updateResult.rows[0], vendor_name: workOrder.vendor_name };
+};
+
+/**
+ * Work orders per vendor on a building's complaints raised in the date range,
+ * with their cost against quotes, turnaround and rating.
+ */
+export const getVendorPerformance = async (
+  { buildingId, fromDate, toDate },
+  db = pool
+) => {
+  const performanceResult = await db.query(
+    `SELECT
+      v.id,
+      v.name,
+      v.trade,
+      COUNT(*) as total_orders,
+      COUNT(*) FILTER (WHERE wo.status = 'completed') as completed_orders,
+      COUNT(*) FILTER (WHERE wo.status = 'cancelled') as cancelled_orders,
+      COUNT(*) FILTER (WHERE wo.status IN ('scheduled', 'in_progress')) as open_orders,
+      COALESCE(SUM(wo.quoted_cost) FILTER (WHERE wo.status = 'completed'), 0) as quoted_cost,
+      COALESCE(SUM(wo.actual_cost) FILTER (WHERE wo.status = 'completed'), 0) as actual_cost,
+      AVG(EXTRACT(EPOCH FROM (wo.completed_at - wo.created_at)) / 86400)
+        FILTER (WHERE wo.status = 'completed') as avg_turnaround_days,
+      AVG(wo.vendor_rating) as avg_rating
+    FROM complaint_work_orders wo
+    JOIN vendors v ON wo.vendor_id = v.id
+    JOIN complaints c ON wo.complaint_id = c.id
+    WHERE c.building_id = $1
+      AND wo.created_at >= $2::date
+      AND wo.created_at < $3::date + 1
+    GROUP BY v.id, v.name, v.trade
+    ORDER BY actual_cost DESC, total_orders DESC`,
+    [buildingId, fromDate, toDate]
+  );
+
+  const vendors = performanceResult.rows.map((row) => ({
+    vendorId: row.id,
+    name: row.name,
+    trade: row.trade,
+    totalOrders: parseInt(row.total_orders),
+    completedOrders: parseInt(row.completed_orders),
+    cancelledOrders: parseInt(row.cancelled_orders),
+    openOrders: parseInt(row.open_orders),
+    quotedCost: parseFloat(row.quoted_cost),
+    actualCost: parseFloat(row.actual_cost),
+    averageTurnaroundDays: row.avg_turnaround_days
+      ? parseFloat(row.avg_turnaround_days).toFixed(1)
+      : null,
+    averageRating: row.avg_rating ? parseFloat(row.avg_rating).toFixed(1) : null,
+  }));
+
+  const byTrade = {};
+  for (const vendor of vendors) {
+    byTrade[vendor.trade] = roundAmount(
+      (byTrade[vendor.trade] || 0) + vendor.actualCost
+    );
+  }
+
+  return {
+    vendors,
+    summary: {
+      totalOrders: vendors.reduce((sum, vendor) => sum + vendor.totalOrders, 0),
+      completedOrders: vendors.reduce(
+        (sum, vendor) => sum + vendor.completedOrders,
+        0
+      ),
+      totalActualCost: roundAmount(
+        vendors.reduce((sum, vendor) => sum + vendor.actualCost, 0)
+      ),
+      totalQuotedCost: roundAmount(
+        vendors.reduce((sum, vendor) => sum + vendor.quotedCost, 0)
+      ),
+      costByTrade: byTrade,
+    },
+  };
+};
+
+export default {
+  VENDOR_TRADES,
+  createWorkOrder,
+  updateWorkOrder,
+  completeWorkOrder,
+  getVendorPerformance,
+};
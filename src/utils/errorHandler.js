@@ -19,6 +19,7 @@ const errorTypes = {
   DATABASE_ERROR: (message) => new AppError(message, 500, "DATABASE_ERROR"),
   EMAIL_ERROR: (message) => new AppError(message, 500, "EMAIL_ERROR"),
   FILE_ERROR: (message) => new AppError(message, 400, "FILE_ERROR"),
+  PAYMENT_ERROR: (message) => new AppError(message, 502, "PAYMENT_ERROR"),
 };
 
 const createError = (type, message) => {
@@ -0,0 +1,141 @@
+// src/utils/spreadsheet.js
+import ExcelJS from "exceljs";
+import path from "path";
+import { createError } from "./errorHandler.js";
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12,
+};
+
+export const normaliseText = (value) =>
+  String(value || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9 ]/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+// Plain text of an ExcelJS cell value (rich text, formulas, hyperlinks)
+export const cellText = (value) => {
+  if (value === null || value === undefined) return "";
+  if (value instanceof Date) return value;
+  if (typeof value === "object") {
+    if (value.richText) return value.richText.map((part) => part.text).join("");
+    if (value.result !== undefined) return cellText(value.result);
+    if (value.text !== undefined) return cellText(value.text);
+    return "";
+  }
+  return String(value).trim();
+};
+
+// Spreadsheet dates arrive as Date cells or as DD/MM/YYYY, YYYY-MM-DD or DD-Mon-YYYY text
+export const parseSpreadsheetDate = (value) => {
+  if (value instanceof Date) {
+    return `${value.getUTCFullYear()}-${String(value.getUTCMonth() + 1).padStart(
+      2,
+      "0"
+    )}-${String(value.getUTCDate()).padStart(2, "0")}`;
+  }
+
+  const text = String(value).trim().split(/[ T]\d{1,2}:/)[0];
+  let year;
+  let month;
+  let day;
+
+  let match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/);
+  if (match) {
+    [, year, month, day] = match.map(Number);
+  } else if ((match = text.match(/^(\d{1,2})[-/. ](\d{1,2})[-/. ](\d{2,4})$/))) {
+    [, day, month, year] = match.map(Number);
+  } else if (
+    (match = text.match(/^(\d{1,2})[-/ ]([A-Za-z]{3})[A-Za-z]*[-/ ,]+(\d{2,4})$/))
+  ) {
+    day = Number(match[1]);
+    month = MONTHS[match[2].toLowerCase()];
+    year = Number(match[3]);
+  } else {
+    return null;
+  }
+
+  if (year < 100) year += 2000;
+  if (!month || month > 12 || !day || day > 31) return null;
+
+  return `${year}-${String(month).padStart(2, "0")}-${String(day).padStart(2, "0")}`;
+};
+
+// Map each known column to its index from the header row
+export const detectColumns = (headerValues, aliasesByColumn) => {
+  const headers = headerValues.map((value) => normaliseText(cellText(value)));
+  const columns = {};
+
+  for (const [key, aliases] of Object.entries(aliasesByColumn)) {
+    for (const alias of aliases) {
+      const index = headers.indexOf(normaliseText(alias));
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[key] = index;
+        break;
+      }
+    }
+  }
+
+  return columns;
+};
+
+/**
+ * Rows of the first worksheet of a CSV or XLSX upload as
+ * [{ rowNumber, values }], with values indexed from 0.
+ */
+export const readSpreadsheetRows = async (filePath, originalName) => {
+  const workbook = new ExcelJS.Workbook();
+  const extension = path.extname(originalName || filePath).toLowerCase();
+
+  let worksheet;
+  try {
+    if (extension === ".csv") {
+      // Keep raw text so long numeric ids are not turned into numbers
+      worksheet = await workbook.csv.readFile(filePath, { map: (datum) => datum });
+    } else {
+      await workbook.xlsx.readFile(filePath);
+      worksheet = workbook.worksheets[0];
+    }
+  } catch (error) {
+    throw createError("FILE_ERROR", `Could not read file: ${error.message}`);
+  }
+
+  if (!worksheet) {
+    throw createError("VALIDATION_ERROR", "File has no worksheet");
+  }
+
+  const rows = [];
+  worksheet.eachRow((row, rowNumber) => {
+    // row.values is 1-based; drop the empty first slot
+    rows.push({ rowNumber, values: row.values.slice(1) });
+  });
+
+  return rows;
+};
+
+// Excel sheet names are limited to 31 characters without []:*?/\ and must be unique
+export const getSheetName = (name, usedNames) => {
+  const base = name.replace(/[[\]:*?/\\]/g, " ").trim().slice(0, 31) || "Building";
+  let sheetName = base;
+  let suffix = 2;
+
+  while (usedNames.has(sheetName.toLowerCase())) {
+    const tag = ` (${suffix++})`;
+    sheetName = `${base.slice(0, 31 - tag.length)}${tag}`;
+  }
+
+  usedNames.add(sheetName.toLowerCase());
+  return sheetName;
+};
+
+// Bold header row on a grey fill
+export const styleHeaderRow = (row) => {
+  row.font = { bold: true };
+  row.fill = {
+    type: "pattern",
+    pattern: "solid",
+    fgColor: { argb: "FFE0E0E0" },
+  };
+};